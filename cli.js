@@ -10,6 +10,8 @@ const AuthCommands = require('./cli/auth');
 const UserCommands = require('./cli/user');
 const DiseaseCommands = require('./cli/diseases');
 const FamilyCommands = require('./cli/family');
+const HerpesDiaryCommands = require('./cli/herpes-diary');
+const PartnerNotifyCommands = require('./cli/partner-notify');
 const SymptomAnalysisCommands = require('./cli/commands/symptom-analysis');
 const ApiKeyCommands = require('./cli/apikeys');
 const BatchCommands = require('./cli/batch');
@@ -17,6 +19,7 @@ const ConfigCommands = require('./cli/config');
 const FHIRBlockchainCommands = require('./cli/fhir-blockchain');
 const DiseaseZoneConsole = require('./cli/console');
 const ApiCommands = require('./cli/api');
+const SurveillanceCommands = require('./cli/surveillance');
 
 // CLI Configuration
 const CLI_CONFIG_PATH = path.join(require('os').homedir(), '.diseasezone');
@@ -207,6 +210,86 @@ function initializeCLI() {
         .argument('<record-id>', 'Record ID')
         .action(FamilyCommands.info);
 
+    // Herpes episode diary
+    const herpesDiary = program.command('herpes-diary').description('📔 Personal herpes episode diary and recurrence outlook');
+    const episodeOptions = command => command
+        .option('-t, --type <type>', 'hsv1, hsv2 (default) or shingles')
+        .option('--duration <days>', 'Days until lesions healed')
+        .option('--severity <1-10>', 'Severity from 1 to 10')
+        .option('--site <site>', 'Lesion site (lips, mouth, face, eye, genital, perianal, buttocks, thigh, trunk, other)')
+        .option('--triggers <list>', 'Suspected triggers (comma-separated: stress, illness, menses, uv)')
+        .option('--antiviral <use>', 'none, episodic or suppressive');
+
+    herpesDiary.command('list')
+        .description('List recorded episodes')
+        .option('-t, --type <type>', 'Filter by hsv1, hsv2 or shingles')
+        .action(HerpesDiaryCommands.list);
+
+    episodeOptions(herpesDiary.command('add')
+        .description('Record an episode')
+        .requiredOption('--onset <date>', 'First symptom date, prodrome included (YYYY-MM-DD)'))
+        .action(HerpesDiaryCommands.add);
+
+    episodeOptions(herpesDiary.command('update')
+        .description('Update an episode')
+        .argument('<episode-id>', 'Episode ID')
+        .option('--onset <date>', 'First symptom date (YYYY-MM-DD)'))
+        .action(HerpesDiaryCommands.update);
+
+    herpesDiary.command('delete')
+        .description('Delete an episode')
+        .argument('<episode-id>', 'Episode ID')
+        .option('-y, --yes', 'Skip confirmation prompt')
+        .action(HerpesDiaryCommands.delete);
+
+    herpesDiary.command('expose')
+        .description('Record a trigger exposure or suppressive therapy, with or without an episode')
+        .requiredOption('-f, --factor <factor>', 'stress, illness, menses, uv or suppressive_antiviral')
+        .requiredOption('--start <date>', 'Start date (YYYY-MM-DD)')
+        .option('--end <date>', 'End date (default: start date; ongoing for suppressive_antiviral)')
+        .action(HerpesDiaryCommands.expose);
+
+    herpesDiary.command('exposures')
+        .description('List recorded trigger exposures')
+        .action(HerpesDiaryCommands.exposures);
+
+    herpesDiary.command('delete-exposure')
+        .description('Delete a trigger exposure')
+        .argument('<exposure-id>', 'Exposure ID')
+        .action(HerpesDiaryCommands.deleteExposure);
+
+    herpesDiary.command('predict')
+        .description('Personal hazard curve and trigger attribution from the diary')
+        .option('-t, --type <type>', 'hsv1, hsv2 (default) or shingles')
+        .option('--horizon <days>', 'Days of hazard curve (default 180)')
+        .option('--window <days>', 'Days a trigger raises the hazard (default 7)')
+        .option('--assume <list>', 'Treat these triggers as present over the horizon (comma-separated)')
+        .action(HerpesDiaryCommands.predict);
+
+    // Anonymous partner notification
+    const partnerNotify = program.command('partner-notify').description('✉️  Anonymous STI exposure notices for partners');
+
+    partnerNotify.command('templates')
+        .description('List notice templates, or preview one')
+        .option('-d, --disease <disease>', 'Show the full notice for this disease')
+        .action(PartnerNotifyCommands.templates);
+
+    partnerNotify.command('send')
+        .description('Send notices by email, or create one-time links to share yourself')
+        .requiredOption('-d, --disease <disease>', 'chlamydia, gonorrhea, syphilis, trichomoniasis, hiv or herpes')
+        .option('-e, --email <addresses>', 'Partner email addresses (comma-separated)')
+        .option('-l, --links <count>', 'Number of one-time links to create (default 1, used when no --email)')
+        .action(PartnerNotifyCommands.send);
+
+    partnerNotify.command('list')
+        .description('List notices you have sent and whether links were opened')
+        .action(PartnerNotifyCommands.list);
+
+    partnerNotify.command('revoke')
+        .description('Revoke an unopened link')
+        .argument('<notice-id>', 'Link notice ID')
+        .action(PartnerNotifyCommands.revoke);
+
     // AI Symptom Analysis
     const symptom = program.command('symptom').description('🧠 AI-powered symptom analysis');
 
@@ -359,6 +442,54 @@ function initializeCLI() {
         .option('-f, --format <format>', 'Template format: csv, json')
         .action(BatchCommands.template);
 
+    // Outbreak surveillance commands
+    const surveillance = program.command('surveillance').description('📈 Outbreak detection and surveillance tools');
+    surveillance.command('evaluate')
+        .description('Backtest detection algorithms against synthetic outbreaks')
+        .option('-d, --disease <name>', 'Disease label for the evaluation')
+        .option('-a, --algorithms <list>', 'Comma-separated algorithms (default: cusum,ewma,farrington)')
+        .option('--sensitivities <list>', 'Comma-separated sensitivity levels (default: low,medium,high)')
+        .option('--series <file>', 'JSON file with historical points [{ timestamp, cases }]; simulated if omitted')
+        .option('--frequency <freq>', 'Series frequency: daily, weekly, monthly')
+        .option('-r, --replicates <n>', 'Number of simulated replicates')
+        .option('--periods <n>', 'Length of the evaluation window in periods')
+        .option('--count <n>', 'Outbreaks injected per replicate')
+        .option('--shape <shape>', 'Outbreak shape: spike, flat, linear, exponential, lognormal')
+        .option('--duration <n>', 'Outbreak duration in periods')
+        .option('--size <k>', 'Outbreak size as a multiple of the baseline standard deviation')
+        .option('--max-false-alarms <n>', 'False alarms per year allowed when recommending settings')
+        .option('--seed <n>', 'Random seed for reproducible runs')
+        .option('-o, --output <file>', 'Save the full evaluation as JSON')
+        .action(SurveillanceCommands.evaluate);
+    surveillance.command('inconsistencies')
+        .description('Compare sources for the same disease, place and period and export disagreements')
+        .option('-d, --disease <name>', 'Disease to fetch from the configured sources')
+        .option('--regions <list>', 'Comma-separated regions (default: global)')
+        .option('--source-data <file>', 'JSON file with source objects [{ sourceId, data: [...] }] instead of fetching')
+        .option('-t, --tolerance <ratio>', 'Relative difference tolerated between sources (default: 0.15)')
+        .option('--status <status>', 'Only show items with this status: open, resolved, dismissed')
+        .option('--cause <cause>', 'Only show items with this likely cause: reporting_lag, definition_difference, unit_error, duplicate, unexplained')
+        .option('-o, --output <file>', 'Export the items as CSV (.csv) or the full report as JSON')
+        .action(SurveillanceCommands.inconsistencies);
+    surveillance.command('resolve <id>')
+        .description('Mark a cross-source inconsistency resolved or dismissed')
+        .option('-s, --status <status>', 'resolved, dismissed or open (default: resolved)')
+        .option('-n, --note <text>', 'Resolution note')
+        .action(SurveillanceCommands.resolve);
+    surveillance.command('wonder')
+        .description('Query CDC WONDER STD data (1996-2014) as a tidy table')
+        .option('-g, --group-by <list>', 'Up to 5 of: year, state, disease, age_group, race_ethnicity, sex (default: year,state)')
+        .option('-m, --measures <list>', 'Comma-separated measures: cases, rate, population (default: cases,rate)')
+        .option('-d, --disease <list>', 'chlamydia, gonorrhea, syphilis, early_latent_syphilis, congenital_syphilis')
+        .option('-y, --year <list>', 'Comma-separated years')
+        .option('-s, --state <list>', 'Comma-separated state codes (ny, ca, ...)')
+        .option('--age-group <list>', 'Age groups, e.g. 15-19,20-24')
+        .option('--race <list>', 'Race/ethnicity, e.g. black,hispanic,white')
+        .option('--sex <list>', 'male, female, unknown')
+        .option('--totals', 'Include total rows')
+        .option('-o, --output <file>', 'Export the rows as CSV (.csv) or the full result as JSON')
+        .action(SurveillanceCommands.wonder);
+
     // Comprehensive API commands
     const api = program.command('api').description('🔌 Comprehensive API access to all platform features');
     
@@ -0,0 +1,272 @@
+const chalk = require('chalk');
+const axios = require('axios');
+const readline = require('readline');
+
+function getServerUrl() {
+    return global.dzConfig.server_url || 'http://localhost:3000';
+}
+
+function requireAuth() {
+    if (!global.dzConfig.auth_token) {
+        console.error(chalk.red('✗ Authentication required'));
+        console.log(chalk.gray('Use "diseasezone auth login" to log in'));
+        process.exit(1);
+    }
+}
+
+function getAuthHeaders() {
+    return {
+        'Authorization': `Bearer ${global.dzConfig.auth_token}`
+    };
+}
+
+function handleError(error, notFoundMessage = 'Record not found') {
+    if (error.response && error.response.status === 401) {
+        console.error(chalk.red('✗ Authentication token invalid'));
+        console.log(chalk.gray('Use "diseasezone auth login" to log in again'));
+    } else if (error.response && error.response.status === 404) {
+        console.error(chalk.red(`✗ ${notFoundMessage}`));
+    } else if (error.response) {
+        console.error(chalk.red('✗ Error:'), error.response.data.error || error.response.data.message);
+    } else {
+        console.error(chalk.red('✗ Error:'), error.message);
+    }
+    process.exit(1);
+}
+
+function printRows(rows, columns) {
+    if (global.dzConfig.output_format === 'json') {
+        console.log(JSON.stringify(rows, null, 2));
+        return;
+    }
+    const widths = columns.map(([header, key]) => Math.max(header.length, ...rows.map(row => String(row[key] ?? '').length)));
+    console.log(columns.map(([header], i) => chalk.cyan.bold(header.padEnd(widths[i]))).join(' │ '));
+    rows.forEach(row => {
+        console.log(columns.map(([, key], i) => String(row[key] ?? '').padEnd(widths[i])).join(' │ '));
+    });
+}
+
+function episodeBody(options) {
+    const body = {};
+    if (options.type) body.herpes_type = options.type;
+    if (options.onset) body.onset_date = options.onset;
+    if (options.duration !== undefined) body.duration_days = parseInt(options.duration);
+    if (options.severity !== undefined) body.severity = parseInt(options.severity);
+    if (options.site) body.lesion_site = options.site;
+    if (options.triggers !== undefined) body.triggers = options.triggers;
+    if (options.antiviral) body.antiviral = options.antiviral;
+    return body;
+}
+
+async function list(options) {
+    requireAuth();
+
+    try {
+        const params = options.type ? `?herpes_type=${encodeURIComponent(options.type)}` : '';
+        const response = await axios.get(`${getServerUrl()}/api/user/herpes-diary/episodes${params}`, {
+            headers: getAuthHeaders()
+        });
+        const episodes = response.data.episodes;
+
+        console.log(chalk.cyan.bold(`📔 Herpes Episode Diary (${episodes.length} episodes)`));
+        console.log(chalk.gray('━'.repeat(60)));
+        if (!episodes.length) {
+            console.log(chalk.gray('No episodes recorded. Use "diseasezone herpes-diary add --onset <date>"'));
+            return;
+        }
+
+        printRows(episodes.map(episode => ({ ...episode, triggers: episode.triggers.join(',') })), [
+            ['ID', 'id'], ['Type', 'herpes_type'], ['Onset', 'onset_date'], ['Days', 'duration_days'],
+            ['Severity', 'severity'], ['Site', 'lesion_site'], ['Triggers', 'triggers'], ['Antiviral', 'antiviral']
+        ]);
+
+        const byAntiviral = response.data.summary.by_antiviral;
+        if (Object.keys(byAntiviral).length > 1) {
+            console.log(chalk.white('\nBy antiviral use:'));
+            Object.entries(byAntiviral).forEach(([use, summary]) => {
+                console.log(chalk.gray(`  ${use}: ${summary.episodes} episodes, mean ${summary.mean_duration_days ?? '-'} days, severity ${summary.mean_severity ?? '-'}`));
+            });
+        }
+    } catch (error) {
+        handleError(error);
+    }
+}
+
+async function add(options) {
+    requireAuth();
+
+    try {
+        const response = await axios.post(`${getServerUrl()}/api/user/herpes-diary/episodes`, episodeBody(options), {
+            headers: getAuthHeaders()
+        });
+        console.log(chalk.green(`✓ Episode ${response.data.episode.id} recorded (${response.data.episode.onset_date})`));
+    } catch (error) {
+        handleError(error);
+    }
+}
+
+async function update(episodeId, options) {
+    requireAuth();
+
+    try {
+        await axios.put(`${getServerUrl()}/api/user/herpes-diary/episodes/${episodeId}`, episodeBody(options), {
+            headers: getAuthHeaders()
+        });
+        console.log(chalk.green(`✓ Episode ${episodeId} updated`));
+    } catch (error) {
+        handleError(error, 'Episode not found');
+    }
+}
+
+async function deleteEpisode(episodeId, options) {
+    requireAuth();
+
+    try {
+        if (!options.yes) {
+            const rl = readline.createInterface({
+                input: process.stdin,
+                output: process.stdout
+            });
+
+            const answer = await new Promise(resolve => {
+                rl.question(chalk.yellow('Are you sure you want to delete this episode? (y/N): '), resolve);
+            });
+
+            rl.close();
+
+            if (answer.toLowerCase() !== 'y' && answer.toLowerCase() !== 'yes') {
+                console.log(chalk.gray('Deletion cancelled'));
+                return;
+            }
+        }
+
+        await axios.delete(`${getServerUrl()}/api/user/herpes-diary/episodes/${episodeId}`, {
+            headers: getAuthHeaders()
+        });
+        console.log(chalk.green(`✓ Episode ${episodeId} deleted`));
+    } catch (error) {
+        handleError(error, 'Episode not found');
+    }
+}
+
+async function expose(options) {
+    requireAuth();
+
+    try {
+        const response = await axios.post(`${getServerUrl()}/api/user/herpes-diary/exposures`, {
+            factor: options.factor,
+            start_date: options.start,
+            end_date: options.end || null
+        }, {
+            headers: getAuthHeaders()
+        });
+        const exposure = response.data.exposure;
+        console.log(chalk.green(`✓ ${exposure.factor} recorded from ${exposure.start_date}${exposure.end_date ? ` to ${exposure.end_date}` : ''} (id ${exposure.id})`));
+    } catch (error) {
+        handleError(error);
+    }
+}
+
+async function exposures() {
+    requireAuth();
+
+    try {
+        const response = await axios.get(`${getServerUrl()}/api/user/herpes-diary/exposures`, {
+            headers: getAuthHeaders()
+        });
+        const rows = response.data.exposures;
+
+        console.log(chalk.cyan.bold(`🌡️  Trigger Exposures (${rows.length})`));
+        console.log(chalk.gray('━'.repeat(60)));
+        if (!rows.length) {
+            console.log(chalk.gray('No exposures recorded. Use "diseasezone herpes-diary expose --factor stress --start <date>"'));
+            return;
+        }
+        printRows(rows, [['ID', 'id'], ['Factor', 'factor'], ['Start', 'start_date'], ['End', 'end_date']]);
+    } catch (error) {
+        handleError(error);
+    }
+}
+
+async function deleteExposure(exposureId) {
+    requireAuth();
+
+    try {
+        await axios.delete(`${getServerUrl()}/api/user/herpes-diary/exposures/${exposureId}`, {
+            headers: getAuthHeaders()
+        });
+        console.log(chalk.green(`✓ Exposure ${exposureId} deleted`));
+    } catch (error) {
+        handleError(error, 'Exposure not found');
+    }
+}
+
+async function predict(options) {
+    requireAuth();
+
+    try {
+        const params = new URLSearchParams();
+        if (options.type) params.append('herpes_type', options.type);
+        if (options.horizon) params.append('horizon', options.horizon);
+        if (options.window) params.append('window_days', options.window);
+        if (options.assume) params.append('assume', options.assume);
+
+        const response = await axios.get(`${getServerUrl()}/api/user/herpes-diary/prediction?${params.toString()}`, {
+            headers: getAuthHeaders()
+        });
+        const result = response.data;
+
+        if (global.dzConfig.output_format === 'json') {
+            console.log(JSON.stringify(result, null, 2));
+            return;
+        }
+
+        if (result.prediction !== 'available') {
+            console.log(chalk.yellow(`⚠ ${result.message}`));
+            result.recommendedActions.forEach(action => console.log(chalk.gray(`  • ${action}`)));
+            return;
+        }
+
+        const date = value => value ? new Date(value).toISOString().slice(0, 10) : 'beyond horizon';
+        const percent = value => value === null ? '-' : `${(value * 100).toFixed(1)}%`;
+
+        console.log(chalk.cyan.bold(`🔮 ${result.herpesType.toUpperCase()} Recurrence Outlook`));
+        console.log(chalk.gray('━'.repeat(60)));
+        console.log(chalk.white('Next episode (median):'), date(result.nextOutbreak.estimatedDate));
+        console.log(chalk.white('Likely range (25–75%):'), `${date(result.nextOutbreak.probabilityRange.earliest)} – ${date(result.nextOutbreak.probabilityRange.latest)}`);
+        const within = result.nextOutbreak.probabilityWithin;
+        console.log(chalk.white('Probability within 7 / 30 / 90 days:'), `${percent(within.days7)} / ${percent(within.days30)} / ${percent(within.days90)}`);
+        console.log(chalk.white('Episodes per year:'), `${result.model.currentRatePerYear} now, ${result.model.baselineRatePerYear} with no recorded factors`);
+        console.log(chalk.gray(`Based on ${result.model.events} episodes over ${result.model.daysAtRisk} days at risk`));
+
+        console.log(chalk.white('\nTriggers:'));
+        printRows(Object.entries(result.triggerAnalysis).map(([factor, analysis]) => ({
+            factor,
+            hazard_ratio: analysis.estimable ? analysis.hazardRatio : '-',
+            ci95: analysis.estimable ? `${analysis.ci95[0]}–${analysis.ci95[1]}` : analysis.reason,
+            attributable: analysis.estimable ? percent(analysis.attributableFraction) : '-',
+            episodes: analysis.episodesWhileExposed
+        })), [['Factor', 'factor'], ['HR', 'hazard_ratio'], ['95% CI', 'ci95'], ['Attributable', 'attributable'], ['Episodes', 'episodes']]);
+
+        console.log(chalk.white('\nCumulative probability by week:'));
+        result.hazardCurve.filter(point => point.day % 7 === 0).slice(0, 13).forEach(point => {
+            const bar = '█'.repeat(Math.round(point.cumulativeProbability * 40));
+            console.log(`  ${point.date} ${chalk.magenta(bar)} ${percent(point.cumulativeProbability)}`);
+        });
+
+        result.caveats.forEach(caveat => console.log(chalk.gray(`\n  ${caveat}`)));
+    } catch (error) {
+        handleError(error);
+    }
+}
+
+module.exports = {
+    list,
+    add,
+    update,
+    delete: deleteEpisode,
+    expose,
+    exposures,
+    deleteExposure,
+    predict
+};
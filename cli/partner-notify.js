@@ -0,0 +1,152 @@
+const chalk = require('chalk');
+const axios = require('axios');
+
+function getServerUrl() {
+    return global.dzConfig.server_url || 'http://localhost:3000';
+}
+
+function requireAuth() {
+    if (!global.dzConfig.auth_token) {
+        console.error(chalk.red('✗ Authentication required'));
+        console.log(chalk.gray('Use "diseasezone auth login" to log in'));
+        process.exit(1);
+    }
+}
+
+function getAuthHeaders() {
+    return {
+        'Authorization': `Bearer ${global.dzConfig.auth_token}`
+    };
+}
+
+function handleError(error) {
+    if (error.response && error.response.status === 401) {
+        console.error(chalk.red('✗ Authentication token invalid'));
+        console.log(chalk.gray('Use "diseasezone auth login" to log in again'));
+    } else if (error.response && error.response.status === 404) {
+        console.error(chalk.red('✗ No unopened link with that id'));
+    } else if (error.response) {
+        console.error(chalk.red('✗ Error:'), error.response.data.error || error.response.data.message);
+    } else {
+        console.error(chalk.red('✗ Error:'), error.message);
+    }
+    process.exit(1);
+}
+
+async function templates(options) {
+    requireAuth();
+
+    try {
+        const response = await axios.get(`${getServerUrl()}/api/user/partner-notifications/templates`, {
+            headers: getAuthHeaders()
+        });
+        const result = response.data;
+
+        if (global.dzConfig.output_format === 'json') {
+            console.log(JSON.stringify(result, null, 2));
+            return;
+        }
+
+        const shown = options.disease ? result.templates.filter(template => template.disease === options.disease) : result.templates;
+        if (!shown.length) {
+            console.error(chalk.red(`✗ No template for ${options.disease}`));
+            process.exit(1);
+        }
+
+        console.log(chalk.cyan.bold('✉️  Partner Notice Templates'));
+        console.log(chalk.gray('━'.repeat(60)));
+        shown.forEach(template => {
+            console.log(chalk.white(`${template.disease}`), chalk.gray(template.disease_codes.length ? `(${template.disease_codes.join(', ')})` : ''));
+            if (options.disease) {
+                console.log(chalk.gray(`\n${template.preview.text}`));
+            }
+        });
+        console.log(chalk.gray(`\nUp to ${result.limits.notices_per_day} notices a day, ${result.limits.recipients_per_request} per request; links expire after ${result.limits.link_expiration_days} days`));
+    } catch (error) {
+        handleError(error);
+    }
+}
+
+async function send(options) {
+    requireAuth();
+
+    try {
+        const body = { disease: options.disease, channel: options.email ? 'email' : 'link' };
+        if (options.email) body.recipients = options.email;
+        else body.count = parseInt(options.links || 1);
+
+        const response = await axios.post(`${getServerUrl()}/api/user/partner-notifications`, body, {
+            headers: getAuthHeaders()
+        });
+        const result = response.data;
+
+        if (global.dzConfig.output_format === 'json') {
+            console.log(JSON.stringify(result, null, 2));
+            return;
+        }
+
+        if (result.channel === 'email') {
+            const colour = result.failed ? chalk.yellow : chalk.green;
+            console.log(colour(`${result.failed ? '⚠' : '✓'} ${result.sent} sent, ${result.failed} failed`));
+            console.log(chalk.gray(result.message));
+            return;
+        }
+
+        console.log(chalk.green(`✓ ${result.links.length} one-time link${result.links.length === 1 ? '' : 's'} created`));
+        result.links.forEach(link => {
+            console.log(`  ${link.url}`);
+            console.log(chalk.gray(`    id ${link.id}, expires ${link.expires_at.slice(0, 10)}`));
+        });
+        console.log(chalk.yellow('\nThese links are shown only now. ') + chalk.gray(result.message));
+    } catch (error) {
+        handleError(error);
+    }
+}
+
+async function list() {
+    requireAuth();
+
+    try {
+        const response = await axios.get(`${getServerUrl()}/api/user/partner-notifications`, {
+            headers: getAuthHeaders()
+        });
+        const notices = response.data.notices;
+
+        if (global.dzConfig.output_format === 'json') {
+            console.log(JSON.stringify(notices, null, 2));
+            return;
+        }
+
+        console.log(chalk.cyan.bold(`✉️  Partner Notices (${notices.length})`));
+        console.log(chalk.gray('━'.repeat(60)));
+        if (!notices.length) {
+            console.log(chalk.gray('No notices sent. Use "diseasezone partner-notify send --disease <disease>"'));
+            return;
+        }
+        notices.forEach(notice => {
+            console.log(`${notice.created_at.slice(0, 10)}  ${notice.disease.padEnd(15)} ${notice.channel.padEnd(6)} ${notice.status}${notice.channel === 'link' ? chalk.gray(`  ${notice.id}`) : ''}`);
+        });
+    } catch (error) {
+        handleError(error);
+    }
+}
+
+async function revoke(noticeId) {
+    requireAuth();
+
+    try {
+        await axios.delete(`${getServerUrl()}/api/user/partner-notifications/${noticeId}`, {
+            headers: getAuthHeaders()
+        });
+        console.log(chalk.green(`✓ Link ${noticeId} revoked`));
+    } catch (error) {
+        handleError(error);
+    }
+}
+
+module.exports = {
+    templates,
+    send,
+    list,
+    revoke
+};
@@ -0,0 +1,318 @@
+const chalk = require('chalk');
+const axios = require('axios');
+const fs = require('fs');
+
+function getServerUrl() {
+    return global.dzConfig.server_url || 'http://localhost:3000';
+}
+
+function getAuthHeaders() {
+    return global.dzConfig.auth_token ? {
+        'Authorization': `Bearer ${global.dzConfig.auth_token}`
+    } : {};
+}
+
+function parseList(value) {
+    return value ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined;
+}
+
+function formatNumber(value, digits = 2) {
+    return value === null || value === undefined ? '-' : Number(value).toFixed(digits);
+}
+
+function formatTable(data, columns) {
+    if (!data || data.length === 0) {
+        console.log(chalk.gray('No data found'));
+        return;
+    }
+
+    const format = global.dzConfig.output_format || 'table';
+
+    if (format === 'json') {
+        console.log(JSON.stringify(data, null, 2));
+        return;
+    }
+
+    if (format === 'csv') {
+        console.log(columns.map(col => col.header).join(','));
+        data.forEach(row => {
+            console.log(columns.map(col => `"${String(row[col.key] ?? '').replace(/"/g, '""')}"`).join(','));
+        });
+        return;
+    }
+
+    const colWidths = columns.map(col =>
+        Math.max(col.header.length, ...data.map(row => String(row[col.key] ?? '').length))
+    );
+
+    const headerRow = columns.map((col, i) => chalk.cyan.bold(col.header.padEnd(colWidths[i]))).join(' │ ');
+    console.log(headerRow);
+    console.log(chalk.gray('─'.repeat(colWidths.reduce((sum, w) => sum + w, 0) + (columns.length - 1) * 3)));
+
+    data.forEach(row => {
+        console.log(columns.map((col, i) => String(row[col.key] ?? '').padEnd(colWidths[i])).join(' │ '));
+    });
+}
+
+async function evaluate(options) {
+    try {
+        const body = {
+            disease: options.disease,
+            algorithms: parseList(options.algorithms),
+            sensitivities: parseList(options.sensitivities),
+            replicates: options.replicates ? parseInt(options.replicates, 10) : undefined,
+            evaluation_periods: options.periods ? parseInt(options.periods, 10) : undefined,
+            max_false_alarms_per_year: options.maxFalseAlarms ? parseFloat(options.maxFalseAlarms) : undefined,
+            seed: options.seed ? parseInt(options.seed, 10) : undefined,
+            outbreaks: {
+                ...(options.count && { count: parseInt(options.count, 10) }),
+                ...(options.shape && { shape: options.shape }),
+                ...(options.duration && { duration: parseInt(options.duration, 10) }),
+                ...(options.size && { size_multiplier: parseFloat(options.size) })
+            }
+        };
+
+        if (options.series) {
+            if (!fs.existsSync(options.series)) {
+                console.error(chalk.red('✗ File not found:'), options.series);
+                process.exit(1);
+            }
+            // Accept either a bare array of points or a { disease, frequency, data } object
+            const series = JSON.parse(fs.readFileSync(options.series, 'utf8'));
+            body.series = Array.isArray(series)
+                ? { disease: options.disease, frequency: options.frequency || 'weekly', data: series }
+                : { frequency: options.frequency, ...series };
+        } else if (options.frequency) {
+            body.baseline = { frequency: options.frequency };
+        }
+
+        console.log(chalk.blue('⏳ Running backtest (this can take a while for many replicates)...'));
+
+        const response = await axios.post(`${getServerUrl()}/global/outbreak-detection/evaluate`, body, {
+            headers: getAuthHeaders()
+        });
+
+        const result = response.data;
+
+        if (options.output) {
+            fs.writeFileSync(options.output, JSON.stringify(result, null, 2));
+            console.log(chalk.green(`✓ Full evaluation saved to ${options.output}`));
+        }
+
+        const { evaluation, results, recommendations } = result;
+        console.log(chalk.cyan.bold(`📈 Detection backtest: ${evaluation.disease} (${evaluation.source}, ${evaluation.replicates} replicates)`));
+        console.log(chalk.gray(`Evaluation window: ${evaluation.evaluation_window.start.slice(0, 10)} → ${evaluation.evaluation_window.end.slice(0, 10)} (${evaluation.evaluation_window.periods} ${evaluation.frequency} periods)`));
+        console.log(chalk.gray('━'.repeat(50)));
+
+        formatTable(results.map(r => ({
+            algorithm: r.algorithm,
+            sensitivity: r.sensitivity,
+            pod: formatNumber(r.sensitivity_pod),
+            specificity: formatNumber(r.specificity, 3),
+            false_alarms: formatNumber(r.false_alarms_per_year),
+            delay: formatNumber(r.mean_detection_delay_periods, 1),
+            timeliness: formatNumber(r.timeliness)
+        })), [
+            { header: 'Algorithm', key: 'algorithm' },
+            { header: 'Sensitivity', key: 'sensitivity' },
+            { header: 'POD', key: 'pod' },
+            { header: 'Specificity', key: 'specificity' },
+            { header: 'False alarms/yr', key: 'false_alarms' },
+            { header: 'Delay (periods)', key: 'delay' },
+            { header: 'Timeliness', key: 'timeliness' }
+        ]);
+
+        if (recommendations.best) {
+            const best = recommendations.best;
+            console.log(chalk.green(`\n✓ Recommended: ${best.algorithm} at ${best.sensitivity} sensitivity ` +
+                `(POD ${formatNumber(best.sensitivity_pod)}, ${formatNumber(best.false_alarms_per_year)} false alarms/yr)`));
+        } else {
+            console.log(chalk.yellow(`\n⚠ No configuration stays within ${recommendations.max_false_alarms_per_year} false alarms per year`));
+        }
+    } catch (error) {
+        if (error.response) {
+            console.error(chalk.red('✗ Error:'), error.response.data.error || error.response.data.message);
+        } else {
+            console.error(chalk.red('✗ Error:'), error.message);
+        }
+        process.exit(1);
+    }
+}
+
+const INCONSISTENCY_COLUMNS = [
+    { header: 'ID', key: 'id' },
+    { header: 'Status', key: 'status' },
+    { header: 'Type', key: 'type' },
+    { header: 'Disease', key: 'disease' },
+    { header: 'Geography', key: 'geography' },
+    { header: 'Period', key: 'period' },
+    { header: 'Source', key: 'source' },
+    { header: 'Value', key: 'value' },
+    { header: 'Reference', key: 'reference_value' },
+    { header: 'Difference', key: 'difference' },
+    { header: 'Likely cause', key: 'likely_cause' },
+    { header: 'Severity', key: 'severity' },
+    { header: 'Evidence', key: 'evidence' }
+];
+
+function inconsistencyRow(item) {
+    return {
+        ...item,
+        type: item.pattern || item.type,
+        value: item.value ?? '',
+        reference_value: item.reference_value !== undefined ? formatNumber(item.reference_value) : '',
+        difference: typeof item.relative_difference === 'number' ? `${(item.relative_difference * 100).toFixed(1)}%` : ''
+    };
+}
+
+async function inconsistencies(options) {
+    try {
+        const body = {
+            disease: options.disease,
+            regions: parseList(options.regions),
+            tolerance: options.tolerance ? parseFloat(options.tolerance) : undefined,
+            status: options.status,
+            cause: options.cause
+        };
+
+        if (options.sourceData) {
+            if (!fs.existsSync(options.sourceData)) {
+                console.error(chalk.red('✗ File not found:'), options.sourceData);
+                process.exit(1);
+            }
+            body.sourceData = JSON.parse(fs.readFileSync(options.sourceData, 'utf8'));
+        } else if (!options.disease) {
+            console.error(chalk.red('✗ Either --disease or --source-data is required'));
+            process.exit(1);
+        }
+
+        console.log(chalk.blue('⏳ Comparing sources...'));
+
+        const response = await axios.post(`${getServerUrl()}/global/inconsistencies`, body, {
+            headers: getAuthHeaders()
+        });
+
+        const { report } = response.data;
+        const rows = report.items.map(inconsistencyRow);
+
+        if (options.output) {
+            // CSV for spreadsheets, otherwise the full report as JSON
+            if (options.output.toLowerCase().endsWith('.csv')) {
+                const lines = [INCONSISTENCY_COLUMNS.map(col => col.header).join(',')];
+                rows.forEach(row => {
+                    lines.push(INCONSISTENCY_COLUMNS.map(col => `"${String(row[col.key] ?? '').replace(/"/g, '""')}"`).join(','));
+                });
+                fs.writeFileSync(options.output, lines.join('\n') + '\n');
+            } else {
+                fs.writeFileSync(options.output, JSON.stringify(report, null, 2));
+            }
+            console.log(chalk.green(`✓ ${rows.length} items exported to ${options.output}`));
+        }
+
+        console.log(chalk.cyan.bold(`🔎 Cross-source inconsistencies (${report.sources.map(s => s.source).join(', ')})`));
+        console.log(chalk.gray(`Tolerance ${formatNumber(report.tolerance * 100, 0)}% · ` +
+            Object.entries(report.summary.by_status).map(([status, count]) => `${count} ${status}`).join(', ')));
+        console.log(chalk.gray('━'.repeat(50)));
+
+        formatTable(rows, INCONSISTENCY_COLUMNS.filter(col => col.key !== 'evidence'));
+    } catch (error) {
+        if (error.response) {
+            console.error(chalk.red('✗ Error:'), error.response.data.error || error.response.data.message);
+        } else {
+            console.error(chalk.red('✗ Error:'), error.message);
+        }
+        process.exit(1);
+    }
+}
+
+async function resolve(id, options) {
+    try {
+        const response = await axios.patch(`${getServerUrl()}/global/inconsistencies/${encodeURIComponent(id)}`, {
+            status: options.status || 'resolved',
+            note: options.note
+        }, {
+            headers: getAuthHeaders()
+        });
+
+        const { item } = response.data;
+        console.log(chalk.green(`✓ ${item.id} marked ${item.status}`) +
+            chalk.gray(` (${item.type}, ${item.disease} ${item.geography} ${item.period}, ${item.source})`));
+    } catch (error) {
+        if (error.response) {
+            console.error(chalk.red('✗ Error:'), error.response.data.error || error.response.data.message);
+        } else {
+            console.error(chalk.red('✗ Error:'), error.message);
+        }
+        process.exit(1);
+    }
+}
+
+async function wonder(options) {
+    try {
+        const params = new URLSearchParams({ source: 'wonder' });
+        const fields = {
+            group_by: options.groupBy,
+            measures: options.measures,
+            disease: options.disease,
+            year: options.year,
+            state: options.state,
+            age_group: options.ageGroup,
+            race_ethnicity: options.race,
+            sex: options.sex
+        };
+        Object.entries(fields).forEach(([name, value]) => {
+            if (value) params.set(name, value);
+        });
+        if (options.totals) params.set('include_totals', 'true');
+
+        console.log(chalk.blue('⏳ Querying CDC WONDER (one request every 2 minutes)...'));
+
+        const response = await axios.get(`${getServerUrl()}/api/std/data?${params.toString()}`, {
+            headers: getAuthHeaders()
+        });
+
+        const result = response.data;
+        const columns = result.columns.map(key => ({ header: key, key }));
+        const rows = result.data.map(row => ({ ...row, flag: row.flag || '', is_total: row.is_total ? 'yes' : '' }));
+
+        if (options.output) {
+            // Tidy rows as CSV for analysis tools, otherwise the full result as JSON
+            if (options.output.toLowerCase().endsWith('.csv')) {
+                const lines = [result.columns.join(',')];
+                result.data.forEach(row => {
+                    lines.push(result.columns.map(key => `"${String(row[key] ?? '').replace(/"/g, '""')}"`).join(','));
+                });
+                fs.writeFileSync(options.output, lines.join('\n') + '\n');
+            } else {
+                fs.writeFileSync(options.output, JSON.stringify(result, null, 2));
+            }
+            console.log(chalk.green(`✓ ${result.totalRecords} rows exported to ${options.output}`));
+        }
+
+        console.log(chalk.cyan.bold(`🗂  CDC WONDER ${result.database}: ${result.query.measures.join(', ')} by ${result.query.group_by.join(', ') || 'total'}`));
+        const flagged = Object.entries(result.flags || {}).map(([flag, count]) => `${count} ${flag}`);
+        if (flagged.length) {
+            console.log(chalk.yellow(`⚠ Flagged values: ${flagged.join(', ')}`));
+        }
+        if (result.warning) {
+            console.log(chalk.yellow(`⚠ ${result.warning}`));
+        }
+        console.log(chalk.gray('━'.repeat(50)));
+
+        formatTable(rows, columns);
+    } catch (error) {
+        if (error.response) {
+            console.error(chalk.red('✗ Error:'), error.response.data.error || error.response.data.message);
+        } else {
+            console.error(chalk.red('✗ Error:'), error.message);
+        }
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    evaluate,
+    inconsistencies,
+    resolve,
+    wonder
+};
@@ -503,6 +503,194 @@ CREATE TABLE IF NOT EXISTS contact_messages (
     FOREIGN KEY (replied_by_user_id) REFERENCES users(id)
 );
 
+-- Point-in-time snapshots of surveillance series; revisions feed the nowcasting reporting triangle
+CREATE TABLE IF NOT EXISTS surveillance_snapshots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    series_key TEXT NOT NULL, -- e.g. 'std:chlamydia:all:year'
+    reference_date TEXT NOT NULL, -- ISO date of the period the value refers to
+    report_date DATETIME NOT NULL, -- when the value was observed at the source
+    value REAL NOT NULL,
+    source TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Versioned detection baselines; alerts reference the version that produced them
+CREATE TABLE IF NOT EXISTS outbreak_baselines (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    disease TEXT NOT NULL,
+    scope TEXT NOT NULL,
+    algorithm TEXT NOT NULL, -- detection algorithm, or 'default' for a shared baseline
+    version INTEGER NOT NULL,
+    training_start TEXT, -- ISO date of the first observation used
+    training_end TEXT, -- ISO date of the last observation used
+    parameters TEXT, -- JSON: method and algorithm parameters at training time
+    statistics TEXT NOT NULL, -- JSON: mean, std, trend, seasonality
+    fit_statistics TEXT, -- JSON: observations, dispersion, residual spread
+    is_active BOOLEAN DEFAULT 0,
+    is_pinned BOOLEAN DEFAULT 0, -- pinned versions are not replaced by recomputes
+    created_by INTEGER,
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    activated_at DATETIME,
+
+    UNIQUE(disease, scope, algorithm, version),
+    FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+-- Values each data source reported, scored against finalized values or cross-source consensus
+CREATE TABLE IF NOT EXISTS source_reports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL,
+    disease TEXT NOT NULL,
+    geography TEXT NOT NULL, -- canonical geo_id, e.g. 'US-CA' or 'GLOBAL'
+    period TEXT NOT NULL, -- harmonized period label, e.g. '2024-W03'
+    period_end TEXT,
+    field TEXT NOT NULL DEFAULT 'cases',
+    value REAL NOT NULL,
+    is_final BOOLEAN DEFAULT 0, -- the source published this value as final
+    reported_at DATETIME NOT NULL,
+    lag_days REAL, -- reported_at minus period end
+    reference_value REAL,
+    reference_type TEXT CHECK(reference_type IN ('final', 'consensus')),
+    relative_error REAL, -- (value - reference) / reference
+    evaluated_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Cross-source inconsistency findings and their analyst triage
+CREATE TABLE IF NOT EXISTS source_inconsistencies (
+    id TEXT PRIMARY KEY, -- hash of type, pattern, disease, geography, period, field and source
+    type TEXT NOT NULL, -- 'cross_source_inconsistency', 'pattern_anomaly', 'geographic_anomaly', 'duplicate_rows'
+    disease TEXT,
+    geography TEXT,
+    period TEXT,
+    field TEXT,
+    source TEXT,
+    likely_cause TEXT, -- 'reporting_lag', 'definition_difference', 'unit_error', 'duplicate', 'unexplained'
+    severity TEXT,
+    details TEXT NOT NULL, -- JSON of the latest finding
+    status TEXT DEFAULT 'open' CHECK(status IN ('open', 'resolved', 'dismissed')),
+    resolution_note TEXT,
+    resolved_by INTEGER,
+    resolved_at DATETIME,
+    first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (resolved_by) REFERENCES users(id)
+);
+
+-- Normalized observations written by scheduled ingestion; a changed value is a new row, so the
+-- table holds every revision and the current value is the latest row per series point
+CREATE TABLE IF NOT EXISTS surveillance_observations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL, -- ingestion source, e.g. 'cdc_nndss', 'cdc_open_data'
+    disease TEXT NOT NULL,
+    geography TEXT NOT NULL, -- reporting area as the source names it, e.g. 'CALIFORNIA'
+    period TEXT NOT NULL, -- '2024-W07' (MMWR week) or '2024'
+    period_start TEXT NOT NULL, -- ISO date
+    period_end TEXT NOT NULL,
+    measure TEXT NOT NULL DEFAULT 'cases', -- 'cases', 'cases_ytd', 'deaths', 'rate', ...
+    value REAL NOT NULL,
+    unit TEXT NOT NULL, -- 'count', 'per_100000', 'value'
+    retrieved_at DATETIME NOT NULL,
+    ingestion_run_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (ingestion_run_id) REFERENCES ingestion_runs(id)
+);
+
+-- One row per source/disease feed pulled on its own schedule
+CREATE TABLE IF NOT EXISTS ingestion_jobs (
+    id TEXT PRIMARY KEY, -- '<source>:<disease>'
+    source TEXT NOT NULL,
+    disease TEXT NOT NULL,
+    schedule TEXT NOT NULL, -- cron expression
+    watermark TEXT, -- period_start of the latest period ingested
+    enabled BOOLEAN DEFAULT 1,
+    last_run_at DATETIME,
+    last_success_at DATETIME,
+    last_status TEXT,
+    last_error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS ingestion_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_id TEXT NOT NULL,
+    started_at DATETIME NOT NULL,
+    finished_at DATETIME,
+    status TEXT DEFAULT 'running' CHECK(status IN ('running', 'success', 'failed')),
+    watermark_before TEXT,
+    watermark_after TEXT,
+    fetched INTEGER DEFAULT 0,
+    inserted INTEGER DEFAULT 0, -- points seen for the first time
+    revised INTEGER DEFAULT 0, -- points whose value changed since the last run
+    unchanged INTEGER DEFAULT 0,
+    error TEXT,
+    FOREIGN KEY (job_id) REFERENCES ingestion_jobs(id)
+);
+
+-- Lineage records cited by API responses (provenance_id) and resolved by /api/provenance/:id
+CREATE TABLE IF NOT EXISTS provenance_records (
+    id TEXT PRIMARY KEY, -- 'prov_' + hash of kind, source, transformations and inputs; retrieved_at is the latest retrieval
+    kind TEXT NOT NULL, -- 'observed', 'cached', 'reference', 'derived', 'fused', 'placeholder', 'simulated'
+    source TEXT NOT NULL,
+    synthetic BOOLEAN DEFAULT 0,
+    retrieved_at DATETIME,
+    record TEXT NOT NULL, -- JSON of the full record
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Personal herpes episode diary, owned by the user and read only through the diary API
+CREATE TABLE IF NOT EXISTS herpes_episodes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    herpes_type TEXT NOT NULL DEFAULT 'hsv2', -- 'hsv1', 'hsv2', 'shingles'
+    onset_date TEXT NOT NULL, -- ISO date of the first symptom, prodrome included
+    duration_days INTEGER,
+    severity INTEGER, -- 1-10
+    lesion_site TEXT,
+    triggers TEXT, -- JSON array of suspected triggers: 'stress', 'illness', 'menses', 'uv'
+    antiviral TEXT NOT NULL DEFAULT 'none', -- 'none', 'episodic', 'suppressive'
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Trigger exposures and suppressive therapy recorded whether or not an episode followed, so the
+-- recurrence model can compare exposed and unexposed time
+CREATE TABLE IF NOT EXISTS herpes_trigger_exposures (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    factor TEXT NOT NULL, -- 'stress', 'illness', 'menses', 'uv', 'suppressive_antiviral'
+    start_date TEXT NOT NULL,
+    end_date TEXT, -- NULL: the start date only, or ongoing for suppressive_antiviral
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Anonymous partner notices. Partner addresses are never stored: email notices keep only their
+-- delivery status, and link notices keep a hash of the one-time token until it is opened
+CREATE TABLE IF NOT EXISTS partner_notices (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL, -- the sender; never shown to the partner
+    batch_id TEXT NOT NULL,
+    disease TEXT NOT NULL, -- notice template, e.g. 'chlamydia', 'syphilis'
+    channel TEXT NOT NULL, -- 'email', 'link'
+    status TEXT NOT NULL, -- email: 'delivered', 'failed'; link: 'issued', 'opened', 'revoked'
+    token_hash TEXT UNIQUE, -- SHA-256 of the link token; cleared once opened or revoked
+    expires_at DATETIME,
+    opened_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Per-recipient notice limit. recipient_hash is an HMAC of the address under a server-side key,
+-- so rows cannot be matched to an address without that key
+CREATE TABLE IF NOT EXISTS partner_notice_recipients (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    recipient_hash TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_users_uuid ON users(uuid);
@@ -533,4 +721,33 @@ CREATE INDEX IF NOT EXISTS idx_user_medical_history_user_id ON user_medical_hist
 CREATE INDEX IF NOT EXISTS idx_contact_messages_email ON contact_messages(email);
 CREATE INDEX IF NOT EXISTS idx_contact_messages_status ON contact_messages(status);
 CREATE INDEX IF NOT EXISTS idx_contact_messages_created_at ON contact_messages(created_at);
-CREATE INDEX IF NOT EXISTS idx_contact_messages_user_id ON contact_messages(user_id);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_contact_messages_user_id ON contact_messages(user_id);
+
+-- Surveillance Snapshot Indexes
+CREATE INDEX IF NOT EXISTS idx_surveillance_snapshots_series ON surveillance_snapshots(series_key, reference_date, report_date);
+
+-- Outbreak Baseline Indexes
+CREATE INDEX IF NOT EXISTS idx_outbreak_baselines_key ON outbreak_baselines(disease, scope, algorithm, is_active);
+
+-- Source Report Indexes
+CREATE INDEX IF NOT EXISTS idx_source_reports_source ON source_reports(source, disease, geography, reported_at);
+CREATE INDEX IF NOT EXISTS idx_source_reports_period ON source_reports(disease, geography, period, field);
+
+-- Source Inconsistency Indexes
+CREATE INDEX IF NOT EXISTS idx_source_inconsistencies_status ON source_inconsistencies(status, disease, geography);
+
+-- Surveillance Observation Indexes
+CREATE INDEX IF NOT EXISTS idx_surveillance_observations_point ON surveillance_observations(source, disease, geography, period, measure, retrieved_at);
+CREATE INDEX IF NOT EXISTS idx_surveillance_observations_period ON surveillance_observations(disease, period_start);
+CREATE INDEX IF NOT EXISTS idx_ingestion_runs_job ON ingestion_runs(job_id, started_at);
+
+-- Provenance Indexes
+CREATE INDEX IF NOT EXISTS idx_provenance_records_source ON provenance_records(source, kind);
+
+-- Herpes Diary Indexes
+CREATE INDEX IF NOT EXISTS idx_herpes_episodes_user ON herpes_episodes(user_id, herpes_type, onset_date);
+CREATE INDEX IF NOT EXISTS idx_herpes_trigger_exposures_user ON herpes_trigger_exposures(user_id, start_date);
+
+-- Partner Notification Indexes
+CREATE INDEX IF NOT EXISTS idx_partner_notices_user ON partner_notices(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_partner_notice_recipients_hash ON partner_notice_recipients(recipient_hash, created_at);
@@ -275,6 +275,7 @@ class MappingClient {
             <strong>${props.name || props.state}</strong><br>
             ${valueField}: ${props[valueField]}<br>
             Rate: ${props.rate || 'N/A'}
+            ${props.lower != null ? `<br>Range: ${props.lower.toFixed(1)}–${props.upper.toFixed(1)}` : ''}
           `);
         }
       }).addTo(map);
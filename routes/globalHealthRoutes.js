@@ -5,24 +5,50 @@ const router = express.Router();
 const GlobalHealthOrchestrator = require('../services/globalHealthOrchestrator');
 const DataFusionEngine = require('../services/dataFusionEngine');
 const OutbreakDetectionEngine = require('../services/outbreakDetectionEngine');
+const OutbreakEvaluationService = require('../services/outbreakEvaluationService');
 const ErrorHandlingService = require('../services/errorHandlingService');
 const ExtendedHealthApiService = require('../services/extendedHealthApiService');
+const SourceReliabilityService = require('../services/sourceReliabilityService');
+const CrossSourceReportService = require('../services/crossSourceReportService');
+const { httpClient } = require('../utils/httpClient');
+const ResponseHandler = require('../utils/responseHandler');
 
 // Initialize advanced services
 const globalOrchestrator = new GlobalHealthOrchestrator();
 const dataFusion = new DataFusionEngine();
 const outbreakDetection = new OutbreakDetectionEngine();
+const outbreakEvaluation = new OutbreakEvaluationService(outbreakDetection);
 const errorHandler = new ErrorHandlingService();
 const extendedHealthApi = new ExtendedHealthApiService();
+const sourceReliability = new SourceReliabilityService();
+const crossSourceReport = new CrossSourceReportService(dataFusion, globalOrchestrator);
+
+// Fusion weights sources by their learned accuracy and timeliness
+dataFusion.setReliabilityTracker(sourceReliability);
 
 // Middleware for advanced features
 router.use((req, res, next) => {
+  // Persist detection baselines once the database is available
+  if (!outbreakDetection.baselineStore && req.app.locals?.databaseService) {
+    outbreakDetection.setBaselineStore(req.app.locals.databaseService)
+      .catch(error => console.error('Failed to load outbreak baselines:', error));
+  }
+  if (!sourceReliability.databaseService && req.app.locals?.databaseService) {
+    sourceReliability.setDatabaseService(req.app.locals.databaseService);
+  }
+  if (!crossSourceReport.databaseService && req.app.locals?.databaseService) {
+    crossSourceReport.setDatabaseService(req.app.locals.databaseService);
+  }
+
   req.advancedServices = {
     orchestrator: globalOrchestrator,
     fusion: dataFusion,
     outbreakDetection: outbreakDetection,
+    outbreakEvaluation: outbreakEvaluation,
     errorHandler: errorHandler,
-    extendedHealthApi: extendedHealthApi
+    extendedHealthApi: extendedHealthApi,
+    sourceReliability: sourceReliability,
+    crossSourceReport: crossSourceReport
   };
   next();
 });
@@ -58,7 +84,7 @@ router.get('/aggregate', async (req, res) => {
       { operation: 'global_aggregation', ...options }
     );
 
-    res.json(result);
+    await ResponseHandler.sendWithProvenance(req, res, result, { fusionStrategy: fusion_strategy });
 
   } catch (error) {
     req.advancedServices.errorHandler.logError(error, {
@@ -84,7 +110,11 @@ router.post('/fusion', async (req, res) => {
       includeUncertainty = true,
       harmonizeData = true,
       detectAnomalies = true,
-      confidenceLevel = 0.95
+      confidenceLevel = 0.95,
+      harmonization = {},
+      strategyOptions = {},
+      uncertainty = {},
+      overlay = null
     } = req.body;
 
     if (!sourceData || !Array.isArray(sourceData)) {
@@ -94,13 +124,26 @@ router.post('/fusion', async (req, res) => {
       });
     }
 
+    if (!req.advancedServices.fusion.fusionStrategies[strategy]) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown fusion strategy: ${strategy}`,
+        available: Object.keys(req.advancedServices.fusion.fusionStrategies)
+      });
+    }
+
+    // Caller-supplied values are never recorded for reliability scoring
     const fusionConfig = {
       strategy,
       qualityThreshold,
       includeUncertainty,
       harmonizeData,
       detectAnomalies,
-      confidenceLevel
+      confidenceLevel,
+      harmonization,
+      strategyOptions,
+      uncertainty,
+      trackReliability: false
     };
 
     const result = await req.advancedServices.fusion.fuseMultiSourceData(
@@ -108,7 +151,49 @@ router.post('/fusion', async (req, res) => {
       fusionConfig
     );
 
-    res.json(result);
+    // Geographic strategies return located points that render directly as map overlays
+    const mappingService = req.app.locals?.mappingService;
+    if (overlay && result.success && result.fusedData?.overlayPoints?.length && mappingService) {
+      const { type = 'circles', colorScheme = 'red-yellow-green' } = overlay;
+      const metric = result.fusedData.fusionMethod === 'cluster_analysis' ? 'cluster' : result.fusedData.field;
+      result.overlays = {
+        type: type,
+        metric: metric,
+        data: mappingService.generateDiseaseOverlay(result.fusedData.overlayPoints, type, {
+          colorScheme,
+          sizeMetric: metric,
+          intensityMetric: metric,
+          valueField: metric,
+          boundaryField: 'geo_id'
+        })
+      };
+    }
+
+    // Chart series with error bars from the bootstrap intervals
+    const intervals = result.success ? result.fusedData?.confidenceIntervals : null;
+    if (intervals && Object.keys(intervals).length) {
+      result.chart = {
+        type: 'fusion',
+        data: Object.entries(intervals).map(([estimate, interval]) => ({
+          estimate,
+          value: interval.estimate,
+          lower: interval.lower,
+          upper: interval.upper
+        })),
+        metadata: {
+          chartType: 'bar',
+          xAxis: 'estimate',
+          yAxis: 'value',
+          errorBars: { lower: 'lower', upper: 'upper', level: confidenceLevel }
+        }
+      };
+    }
+
+    await ResponseHandler.sendWithProvenance(req, res, result, {
+      kind: 'fused',
+      source: 'request',
+      transformations: [{ step: 'fusion', description: `${strategy} over ${sourceData.length} caller-supplied sources` }]
+    });
 
   } catch (error) {
     req.advancedServices.errorHandler.logError(error, {
@@ -182,7 +267,8 @@ router.post('/outbreak-detection', async (req, res) => {
       geographic_scope = 'global',
       diseases = ['all'],
       include_forecasting = true,
-      real_time = false
+      real_time = false,
+      nowcast = false
     } = req.body;
 
     if (!dataStreams || !Array.isArray(dataStreams)) {
@@ -198,7 +284,8 @@ router.post('/outbreak-detection', async (req, res) => {
       geographic_scope,
       diseases,
       include_forecasting,
-      real_time
+      real_time,
+      nowcasting: nowcast ? req.app.locals.nowcastingService : null
     };
 
     const result = await req.advancedServices.outbreakDetection.detectOutbreaks(
@@ -221,6 +308,61 @@ router.post('/outbreak-detection', async (req, res) => {
   }
 });
 
+router.post('/outbreak-detection/evaluate', async (req, res) => {
+  try {
+    const {
+      series,
+      baseline,
+      disease,
+      algorithms,
+      sensitivities,
+      outbreaks,
+      replicates,
+      evaluation_periods,
+      max_false_alarms_per_year,
+      parameters,
+      seed
+    } = req.body;
+
+    // Validated by the service; the run itself happens in a worker thread
+    const evaluation = await req.advancedServices.outbreakEvaluation.evaluate({
+      series,
+      baseline,
+      disease,
+      algorithms,
+      sensitivities,
+      outbreaks,
+      replicates,
+      evaluation_periods,
+      max_false_alarms_per_year,
+      parameters,
+      seed
+    });
+
+    res.json({
+      success: true,
+      ...evaluation
+    });
+
+  } catch (error) {
+    if (error.code === 'EVALUATION_INVALID') {
+      return res.status(400).json({ success: false, error: error.message, details: error.details, code: error.code });
+    }
+    if (error.code === 'WORKER_TIMEOUT') {
+      return res.status(503).json({ success: false, error: 'Evaluation took too long; use fewer replicates, algorithms or points', code: error.code });
+    }
+    req.advancedServices.errorHandler.logError(error, {
+      endpoint: '/global/outbreak-detection/evaluate',
+      body: { ...req.body, series: req.body.series ? `[${req.body.series.data?.length || 0} points]` : undefined }
+    });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'OUTBREAK_002'
+    });
+  }
+});
+
 router.get('/outbreak-detection/algorithms', (req, res) => {
   try {
     res.json({
@@ -229,7 +371,7 @@ router.get('/outbreak-detection/algorithms', (req, res) => {
         statistical: [
           { name: 'cusum', description: 'Cumulative Sum Control Chart', use_case: 'General outbreak detection' },
           { name: 'ewma', description: 'Exponentially Weighted Moving Average', use_case: 'Smooth trend detection' },
-          { name: 'farrington', description: 'Farrington Outbreak Detection', use_case: 'Seasonal disease surveillance' },
+          { name: 'farrington', description: 'Improved Farrington (Noufaily) Outbreak Detection', use_case: 'Seasonal disease surveillance' },
           { name: 'regression_based', description: 'Regression-based Detection', use_case: 'Trend analysis' }
         ],
         machine_learning: [
@@ -362,11 +504,59 @@ router.get('/sources', async (req, res) => {
   }
 });
 
+// Registered source adapters: capabilities, configuration and contract check results
+router.get('/sources/adapters', (req, res) => {
+  const registry = req.advancedServices.orchestrator.sourceRegistry;
+  const { disease } = req.query;
+
+  const adapters = registry.describe();
+  const ids = disease ? registry.sourcesForDisease(disease) : Object.keys(adapters);
+
+  res.json({
+    success: true,
+    count: ids.length,
+    adapters: ids.map(id => adapters[id]),
+    rejected: registry.rejected
+  });
+});
+
+router.get('/sources/health', async (req, res) => {
+  try {
+    const health = await req.advancedServices.orchestrator.sourceRegistry.probeAll({
+      refresh: req.query.refresh === 'true'
+    });
+
+    res.json({
+      success: true,
+      health: health,
+      summary: Object.values(health).reduce((counts, probe) => {
+        counts[probe.status] = (counts[probe.status] || 0) + 1;
+        return counts;
+      }, {})
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'SOURCES_001'
+    });
+  }
+});
+
 router.get('/sources/:source/status', async (req, res) => {
   try {
     const { source } = req.params;
 
-    // Check individual source status
+    if (!req.advancedServices.orchestrator.sourceRegistry.has(source)) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown source: ${source}`,
+        code: 'SOURCES_002'
+      });
+    }
+
+    // Adapter description plus a fresh health probe
     const sourceStatus = await req.advancedServices.orchestrator.checkSourceStatus(source);
 
     res.json({
@@ -383,6 +573,157 @@ router.get('/sources/:source/status', async (req, res) => {
   }
 });
 
+router.get('/sources/:source/reliability', async (req, res) => {
+  try {
+    const { source } = req.params;
+    const { disease = null, geography = null, limit = 100 } = req.query;
+
+    const reliability = await req.advancedServices.sourceReliability.getReliabilityHistory(source, {
+      disease,
+      geography,
+      limit: Math.min(parseInt(limit) || 100, 1000)
+    });
+
+    res.json({
+      success: true,
+      ...reliability
+    });
+
+  } catch (error) {
+    req.advancedServices.errorHandler.logError(error, {
+      endpoint: '/global/sources/:source/reliability',
+      params: req.params
+    });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'RELIABILITY_001'
+    });
+  }
+});
+
+// Cross-source inconsistency report: the same disease/place/period across sources
+router.post('/inconsistencies', async (req, res) => {
+  try {
+    const {
+      sourceData = null,
+      disease = null,
+      regions = ['global'],
+      timeframe = 'current',
+      tolerance,
+      min_absolute_difference,
+      harmonization = {},
+      status = null,
+      cause = null
+    } = req.body;
+
+    if (!sourceData && !disease) {
+      return res.status(400).json({
+        success: false,
+        error: 'sourceData array or disease is required',
+        code: 'INCONSISTENCY_001'
+      });
+    }
+    if (sourceData && !Array.isArray(sourceData)) {
+      return res.status(400).json({
+        success: false,
+        error: 'sourceData must be an array',
+        code: 'INCONSISTENCY_001'
+      });
+    }
+
+    const report = await req.advancedServices.crossSourceReport.generateReport({
+      sourceData, disease, regions, timeframe, tolerance, min_absolute_difference, harmonization, status, cause
+    });
+
+    res.json({
+      success: true,
+      report: report
+    });
+
+  } catch (error) {
+    req.advancedServices.errorHandler.logError(error, {
+      endpoint: '/global/inconsistencies',
+      disease: req.body?.disease
+    });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'INCONSISTENCY_002'
+    });
+  }
+});
+
+router.get('/inconsistencies', async (req, res) => {
+  try {
+    const { status = 'open', type, disease, geography, source, cause, limit = 500 } = req.query;
+
+    const items = await req.advancedServices.crossSourceReport.listItems({
+      status: status === 'all' ? null : status,
+      type, disease, geography, source,
+      likely_cause: cause,
+      limit: Math.min(parseInt(limit) || 500, 5000)
+    });
+
+    res.json({
+      success: true,
+      count: items.length,
+      items: items
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'INCONSISTENCY_003'
+    });
+  }
+});
+
+router.patch('/inconsistencies/:id', requireRoles(['researcher', 'medical_professional', 'admin']), async (req, res) => {
+  try {
+    const { status = 'resolved', note = null } = req.body;
+
+    if (!req.advancedServices.crossSourceReport.statuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${req.advancedServices.crossSourceReport.statuses.join(', ')}`,
+        code: 'INCONSISTENCY_004'
+      });
+    }
+
+    const item = await req.advancedServices.crossSourceReport.resolveItem(req.params.id, {
+      status,
+      note,
+      userId: req.user?.id || null
+    });
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Inconsistency not found',
+        code: 'INCONSISTENCY_005'
+      });
+    }
+
+    res.json({
+      success: true,
+      item: item
+    });
+
+  } catch (error) {
+    req.advancedServices.errorHandler.logError(error, {
+      endpoint: '/global/inconsistencies/:id',
+      params: req.params
+    });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'INCONSISTENCY_006'
+    });
+  }
+});
+
 // ============ REAL-TIME MONITORING ============
 
 router.post('/monitoring/start', async (req, res) => {
@@ -511,6 +852,77 @@ router.get('/analytics/global-trends', async (req, res) => {
   }
 });
 
+router.post('/analytics/rt', async (req, res) => {
+  try {
+    const {
+      disease,
+      dataStreams,
+      window,
+      serial_interval,
+      reporting_delay,
+      credible_interval
+    } = req.body;
+
+    if (!dataStreams || !Array.isArray(dataStreams)) {
+      return res.status(400).json({
+        success: false,
+        error: 'dataStreams array is required'
+      });
+    }
+
+    const outbreakDetection = req.advancedServices.outbreakDetection;
+    if (serial_interval && !(serial_interval.mean > 0 && serial_interval.sd > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'serial_interval must be { mean, sd } in days, both positive'
+      });
+    }
+    // Every stream is estimated with its own disease's serial interval unless one is given
+    const unsupported = [...new Set(dataStreams.map(stream => stream?.disease || disease || 'unspecified'))]
+      .filter(streamDisease => !outbreakDetection.getDiseaseParamsKey(streamDisease));
+    if (!serial_interval && unsupported.length) {
+      return res.status(400).json({
+        success: false,
+        error: `No serial interval configured for ${unsupported.map(name => `"${name}"`).join(', ')}. Provide serial_interval { mean, sd } in days`,
+        unsupported_diseases: unsupported,
+        supported_diseases: Object.keys(outbreakDetection.diseaseParams)
+      });
+    }
+
+    const options = {
+      ...(window && { window: parseInt(window, 10) }),
+      ...(serial_interval && { serial_interval }),
+      ...(reporting_delay && { reporting_delay }),
+      ...(credible_interval && { credible_interval })
+    };
+
+    const streams = dataStreams.map(stream => ({
+      stream_id: stream.id,
+      disease: stream.disease || disease,
+      frequency: stream.frequency || 'daily',
+      regions: outbreakDetection.estimateRegionalRt({ ...stream, disease: stream.disease || disease }, options)
+    }));
+
+    res.json({
+      success: true,
+      method: 'Cori et al. (2013) renewal equation',
+      streams: streams,
+      generated_at: new Date().toISOString()
+    });
+
+  } catch (error) {
+    req.advancedServices.errorHandler.logError(error, {
+      endpoint: '/global/analytics/rt',
+      disease: req.body.disease
+    });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'RT_001'
+    });
+  }
+});
+
 // ============ SYSTEM ADMINISTRATION ============
 
 router.get('/system/health', async (req, res) => {
@@ -521,6 +933,7 @@ router.get('/system/health', async (req, res) => {
       status: health.errorHandling === 'operational' ? 'healthy' : 'degraded',
       services: {
         orchestrator: await req.advancedServices.orchestrator.getSystemStatus(),
+        http: httpClient.getStatus(),
         fusion_engine: 'operational',
         outbreak_detection: 'operational',
         error_handling: health
@@ -604,6 +1017,201 @@ router.post('/system/cache/clear', async (req, res) => {
   }
 });
 
+// Authenticate, then require one of the given roles
+function requireRoles(roles) {
+  return (req, res, next) => {
+    const auth = req.app.locals?.auth;
+    if (!auth?.authenticateToken || !auth?.requireRole) {
+      return res.status(500).json({ error: 'Authentication service not initialized' });
+    }
+    auth.authenticateToken(req, res, () => auth.requireRole(roles)(req, res, next));
+  };
+}
+
+// Admin-only
+function requireAdmin(req, res, next) {
+  return requireRoles('admin')(req, res, next);
+}
+
+// Baseline versions are positive integers; anything else is rejected before it reaches the store
+function parseBaselineVersion(version) {
+  if (version === undefined || version === null) return null;
+  const parsed = Number(version);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : NaN;
+}
+
+const BASELINE_ERROR_STATUS = { BASELINE_NOT_FOUND: 404, BASELINE_CONFLICT: 409 };
+
+function baselineKeyFrom(source) {
+  return {
+    disease: source.disease,
+    scope: source.scope || 'global',
+    algorithm: source.algorithm || 'default'
+  };
+}
+
+router.get('/admin/baselines', requireAdmin, async (req, res) => {
+  try {
+    const { disease, scope, algorithm } = req.query;
+    const baselines = await req.advancedServices.outbreakDetection.listBaselines({ disease, scope, algorithm });
+
+    res.json({
+      success: true,
+      baselines: baselines,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'BASELINE_001'
+    });
+  }
+});
+
+router.post('/admin/baselines/recompute', requireAdmin, async (req, res) => {
+  try {
+    const { series, series_key, frequency, training_start, training_end, outlier_threshold, notes } = req.body;
+    const key = baselineKeyFrom(req.body);
+
+    if (!key.disease) {
+      return res.status(400).json({
+        success: false,
+        error: 'disease is required'
+      });
+    }
+
+    // Training data: an explicit series, or the stored revision history of a surveillance series
+    let stream;
+    if (series && Array.isArray(series.data)) {
+      stream = { disease: key.disease, frequency, ...series };
+    } else if (series_key) {
+      const rows = await req.app.locals.databaseService.getLatestSurveillanceValues(series_key);
+      stream = {
+        disease: key.disease,
+        frequency: frequency || 'weekly',
+        data: rows.map(row => ({ timestamp: row.reference_date, cases: row.value }))
+      };
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'Either series.data or series_key is required'
+      });
+    }
+
+    const result = await req.advancedServices.outbreakDetection.recomputeBaseline(stream, {
+      ...key,
+      training_start,
+      training_end,
+      ...(outlier_threshold !== undefined && { outlier_threshold }),
+      created_by: req.user?.id,
+      notes
+    });
+
+    res.json({
+      success: true,
+      ...key,
+      baseline: result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    req.advancedServices.errorHandler.logError(error, {
+      endpoint: '/global/admin/baselines/recompute',
+      body: { ...req.body, series: req.body.series ? `[${req.body.series.data?.length || 0} points]` : undefined }
+    });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'BASELINE_002'
+    });
+  }
+});
+
+router.post('/admin/baselines/pin', requireAdmin, async (req, res) => {
+  try {
+    const { pinned = true } = req.body;
+    const key = baselineKeyFrom(req.body);
+    const version = parseBaselineVersion(req.body.version);
+
+    if (!key.disease) {
+      return res.status(400).json({
+        success: false,
+        error: 'disease is required'
+      });
+    }
+    if (Number.isNaN(version)) {
+      return res.status(400).json({
+        success: false,
+        error: 'version must be a positive integer'
+      });
+    }
+
+    const active = await req.advancedServices.outbreakDetection.pinBaseline(
+      key.disease, key.scope, key.algorithm, version, pinned
+    );
+
+    res.json({
+      success: true,
+      ...key,
+      active: active,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (BASELINE_ERROR_STATUS[error.code]) {
+      return res.status(BASELINE_ERROR_STATUS[error.code]).json({ success: false, error: error.message, code: error.code });
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'BASELINE_003'
+    });
+  }
+});
+
+router.post('/admin/baselines/rollback', requireAdmin, async (req, res) => {
+  try {
+    const key = baselineKeyFrom(req.body);
+    const version = parseBaselineVersion(req.body.version);
+
+    if (!key.disease) {
+      return res.status(400).json({
+        success: false,
+        error: 'disease is required'
+      });
+    }
+    if (Number.isNaN(version)) {
+      return res.status(400).json({
+        success: false,
+        error: 'version must be a positive integer'
+      });
+    }
+
+    const result = await req.advancedServices.outbreakDetection.rollbackBaseline(
+      key.disease, key.scope, key.algorithm, version
+    );
+
+    res.json({
+      success: true,
+      ...key,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (BASELINE_ERROR_STATUS[error.code]) {
+      return res.status(BASELINE_ERROR_STATUS[error.code]).json({ success: false, error: error.message, code: error.code });
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'BASELINE_004'
+    });
+  }
+});
+
 // ============ EXTENDED HEALTH API ENDPOINTS ============
 
 // Delphi Epidata API endpoints
@@ -801,15 +1409,23 @@ router.get('/docs', (req, res) => {
     endpoints: {
       aggregation: {
         'GET /global/aggregate': 'Comprehensive multi-source data aggregation',
-        'GET /global/sources': 'Available data sources and capabilities'
+        'GET /global/sources': 'Available data sources and capabilities',
+        'GET /global/sources/adapters': 'Registered source adapters with capabilities and contract check results',
+        'GET /global/sources/health': 'Health probe of every source adapter',
+        'GET /global/sources/:source/status': 'Adapter description and a fresh health probe for one source',
+        'GET /global/sources/:source/reliability': 'Learned accuracy, bias and timeliness of a source by disease and geography',
+        'POST /global/inconsistencies': 'Cross-source inconsistency report with likely causes (lag, definition, unit, duplicate)',
+        'GET /global/inconsistencies': 'Stored inconsistency findings by status, disease, geography, source or cause',
+        'PATCH /global/inconsistencies/:id': 'Mark a finding resolved, dismissed or open again (analysts)'
       },
       data_fusion: {
-        'POST /global/fusion': 'Advanced multi-algorithm data fusion',
+        'POST /global/fusion': 'Advanced multi-algorithm data fusion with bootstrap confidence intervals and per-source variance decomposition',
         'GET /global/fusion/strategies': 'Available fusion strategies'
       },
       outbreak_detection: {
-        'POST /global/outbreak-detection': 'Multi-algorithm outbreak detection',
-        'GET /global/outbreak-detection/algorithms': 'Available detection algorithms'
+        'POST /global/outbreak-detection': 'Multi-algorithm outbreak detection (nowcast: true corrects recent counts for reporting delay)',
+        'GET /global/outbreak-detection/algorithms': 'Available detection algorithms',
+        'POST /global/outbreak-detection/evaluate': 'Backtest algorithms against injected synthetic outbreaks'
       },
       monitoring: {
         'POST /global/monitoring/start': 'Start real-time monitoring',
@@ -818,12 +1434,17 @@ router.get('/docs', (req, res) => {
       },
       analytics: {
         'GET /global/analytics/disease/:disease': 'Disease-specific analytics',
-        'GET /global/analytics/global-trends': 'Global trend analysis'
+        'GET /global/analytics/global-trends': 'Global trend analysis',
+        'POST /global/analytics/rt': 'Per-region effective reproduction number (Rt) time series'
       },
       system: {
         'GET /global/system/health': 'System health check',
         'GET /global/system/metrics': 'System performance metrics',
-        'POST /global/system/cache/clear': 'Clear system caches'
+        'POST /global/system/cache/clear': 'Clear system caches',
+        'GET /global/admin/baselines': 'List stored outbreak detection baseline versions (admin)',
+        'POST /global/admin/baselines/recompute': 'Fit and store a new baseline version (admin)',
+        'POST /global/admin/baselines/pin': 'Pin or unpin the active baseline, optionally activating a version (admin)',
+        'POST /global/admin/baselines/rollback': 'Reactivate a previous baseline version (admin)'
       },
       extended_apis: {
         'GET /global/delphi/covid': 'Delphi COVID-19 surveillance data',
@@ -859,4 +1480,14 @@ router.get('/docs', (req, res) => {
   });
 });
 
+// Background jobs, started once by the server after the database is ready
+router.startSchedules = (databaseService) => {
+  if (databaseService && !sourceReliability.databaseService) {
+    sourceReliability.setDatabaseService(databaseService);
+  }
+  sourceReliability.startEvaluationSchedule();
+  // Re-fit per stream/disease/scope anomaly models nightly
+  outbreakDetection.startModelRefitSchedule();
+};
+
 module.exports = router;
\ No newline at end of file
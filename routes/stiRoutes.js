@@ -9,6 +9,9 @@ const DiseaseApiService = require('../services/diseaseApiService');
 const HPVSurveillanceService = require('../services/hpvSurveillanceService');
 const HerpesHSVService = require('../services/herpesHSVService');
 const ErrorHandlingService = require('../services/errorHandlingService');
+const PopulationService = require('../services/populationService');
+const HPVProjectionService = require('../services/hpvProjectionService');
+const ResponseHandler = require('../utils/responseHandler');
 
 // Initialize services
 const comprehensiveSTI = new ComprehensiveSTIService();
@@ -18,6 +21,8 @@ const diseaseApi = new DiseaseApiService();
 const hpvService = new HPVSurveillanceService();
 const herpesService = new HerpesHSVService();
 const errorHandler = new ErrorHandlingService();
+const populationService = new PopulationService();
+const hpvProjection = new HPVProjectionService(hpvService);
 
 // Middleware for error handling
 router.use((req, res, next) => {
@@ -28,11 +33,33 @@ router.use((req, res, next) => {
     std: stdService,
     diseaseApi: diseaseApi,
     hpv: hpvService,
-    herpes: herpesService
+    herpes: herpesService,
+    population: populationService,
+    hpvProjection: hpvProjection
   };
   next();
 });
 
+// measure/standard apply to every data endpoint; reject bad values before any service call
+router.use((req, res, next) => {
+  if (req.query.measure === undefined && req.query.standard === undefined) return next();
+
+  const error = populationService.validateMeasure(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error, code: 'INVALID_MEASURE' });
+  }
+  next();
+});
+
+// measure=rate|adjusted_rate: annotate case counts and prevalence with population-based rates
+function applyMeasure(req, result, disease = null) {
+  return req.services.population.applyMeasure(result, {
+    measure: req.query.measure,
+    standard: req.query.standard,
+    disease
+  });
+}
+
 // Main comprehensive STI data endpoint
 router.get('/data', async (req, res) => {
   try {
@@ -60,7 +87,7 @@ router.get('/data', async (req, res) => {
       { disease: diseases, ...options }
     );
 
-    res.json(result);
+    await ResponseHandler.sendWithProvenance(req, res, applyMeasure(req, result));
 
   } catch (error) {
     req.errorHandler.logError(error, { endpoint: '/sti/data', query: req.query });
@@ -96,7 +123,7 @@ router.get('/hiv', async (req, res) => {
       { disease: 'hiv', cdcService: req.services.cdc, ...options }
     );
 
-    res.json(result);
+    await ResponseHandler.sendWithProvenance(req, res, applyMeasure(req, result, 'hiv'));
 
   } catch (error) {
     req.errorHandler.logError(error, { endpoint: '/sti/hiv', query: req.query });
@@ -131,7 +158,7 @@ router.get('/aids', async (req, res) => {
       { disease: 'aids', cdcService: req.services.cdc, ...options }
     );
 
-    res.json(result);
+    await ResponseHandler.sendWithProvenance(req, res, applyMeasure(req, result, 'aids'));
 
   } catch (error) {
     req.errorHandler.logError(error, { endpoint: '/sti/aids', query: req.query });
@@ -170,7 +197,7 @@ router.get('/herpes', async (req, res) => {
       { disease: 'herpes', herpesService: req.services.herpes }
     );
 
-    res.json(result);
+    await ResponseHandler.sendWithProvenance(req, res, applyMeasure(req, result, 'herpes'), { source: 'nhanes' });
 
   } catch (error) {
     req.errorHandler.logError(error, { endpoint: '/sti/herpes', query: req.query });
@@ -190,7 +217,7 @@ router.get('/herpes/prevalence', async (req, res) => {
       { disease: 'herpes' }
     );
 
-    res.json(result);
+    await ResponseHandler.sendWithProvenance(req, res, applyMeasure(req, result, 'herpes'), { source: 'nhanes' });
 
   } catch (error) {
     req.errorHandler.logError(error, { endpoint: '/sti/herpes/prevalence' });
@@ -242,7 +269,7 @@ router.get('/hpv', async (req, res) => {
       { disease: 'hpv', hpvService: req.services.hpv }
     );
 
-    res.json(result);
+    await ResponseHandler.sendWithProvenance(req, res, applyMeasure(req, result, 'hpv'), { source: 'hpv-impact' });
 
   } catch (error) {
     req.errorHandler.logError(error, { endpoint: '/sti/hpv', query: req.query });
@@ -273,7 +300,7 @@ router.get('/hpv/vaccination', async (req, res) => {
       { disease: 'hpv' }
     );
 
-    res.json(result);
+    await ResponseHandler.sendWithProvenance(req, res, applyMeasure(req, result, 'hpv'), { source: 'hpv-impact' });
 
   } catch (error) {
     req.errorHandler.logError(error, { endpoint: '/sti/hpv/vaccination', query: req.query });
@@ -315,6 +342,60 @@ router.get('/hpv/types', async (req, res) => {
   }
 });
 
+// GET takes one scenario as flat query parameters; POST takes { ...options, scenarios: [...] }
+function projectionOptionsFromQuery(query) {
+  const scenario = {};
+  if (query.routine_target !== undefined) {
+    scenario.routine_coverage = { target: query.routine_target, from_year: query.routine_from, ramp_years: query.ramp_years };
+  }
+  if (query.single_dose_from !== undefined || query.single_dose_coverage !== undefined) {
+    scenario.single_dose = { from_year: query.single_dose_from, coverage: query.single_dose_coverage, efficacy: query.single_dose_efficacy };
+  }
+  if (query.catch_up_coverage !== undefined) {
+    scenario.catch_up = {
+      coverage: query.catch_up_coverage,
+      year: query.catch_up_year,
+      ages: query.catch_up_ages ? String(query.catch_up_ages).split('-').map(Number) : undefined,
+      sex: query.catch_up_sex,
+      doses: query.catch_up_doses
+    };
+  }
+
+  return {
+    vaccine: query.vaccine,
+    cancers: query.cancers,
+    region: query.region,
+    start_year: query.start_year,
+    horizon: query.horizon,
+    herd_strength: query.herd_strength,
+    baseline_prevalence: query.baseline_prevalence,
+    efficacy: { full: query.efficacy, single_dose: query.single_dose_efficacy },
+    scenarios: Object.keys(scenario).length ? [{ name: 'scenario', ...scenario }] : []
+  };
+}
+
+async function sendProjection(req, res, options) {
+  try {
+    const result = await req.services.hpvProjection.project(options);
+    await ResponseHandler.sendWithProvenance(req, res, result, { source: 'diseasezone' });
+
+  } catch (error) {
+    if (error.code === 'INVALID_PROJECTION') {
+      return res.status(400).json({ success: false, error: error.message, details: error.details, code: error.code });
+    }
+    req.errorHandler.logError(error, { endpoint: '/sti/hpv/projections' });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: error.code || 'HPV_005'
+    });
+  }
+}
+
+router.get('/hpv/projections', (req, res) => sendProjection(req, res, projectionOptionsFromQuery(req.query)));
+
+router.post('/hpv/projections', (req, res) => sendProjection(req, res, req.body || {}));
+
 // Traditional STD endpoints (Syphilis, Gonorrhea, Chlamydia)
 router.get('/std', async (req, res) => {
   try {
@@ -336,7 +417,7 @@ router.get('/std', async (req, res) => {
       { disease, cdcService: req.services.cdc }
     );
 
-    res.json(result);
+    await ResponseHandler.sendWithProvenance(req, res, applyMeasure(req, result, disease === 'all' ? null : disease), { source: 'cdc_nndss' });
 
   } catch (error) {
     req.errorHandler.logError(error, { endpoint: '/sti/std', query: req.query });
@@ -380,7 +461,7 @@ router.get('/global', async (req, res) => {
       throw new Error(`Unsupported global disease: ${disease}`);
     }
 
-    res.json(result);
+    await ResponseHandler.sendWithProvenance(req, res, applyMeasure(req, result, disease), { source: 'disease.sh' });
 
   } catch (error) {
     req.errorHandler.logError(error, { endpoint: '/sti/global', query: req.query });
@@ -392,6 +473,117 @@ router.get('/global', async (req, res) => {
   }
 });
 
+// Population denominators and standardization
+router.get('/rates/standards', (req, res) => {
+  res.json({
+    success: true,
+    standards: req.services.population.getStandards(),
+    default: req.services.population.defaultStandard,
+    denominators: req.services.population.getDetailStatus()
+  });
+});
+
+router.get('/rates/population', (req, res) => {
+  const { geography, age_band: ageBand = null, sex = null } = req.query;
+  const population = req.services.population;
+
+  const entry = population.resolveGeography(geography);
+  if (!entry) {
+    return res.status(404).json({ success: false, error: `No population for geography "${geography}"`, code: 'RATES_001' });
+  }
+  if (sex && !['male', 'female'].includes(sex)) {
+    return res.status(400).json({ success: false, error: 'sex must be male or female', code: 'RATES_002' });
+  }
+
+  if ((ageBand || sex) && !entry.by_age_sex) {
+    return res.status(422).json({
+      success: false,
+      error: `No age/sex population detail for geography "${geography}". Import it with scripts/import-population-data.js`,
+      code: 'RATES_004',
+      denominators: population.getDetailStatus()
+    });
+  }
+
+  const value = population.getPopulation(entry, { ageBand, sex });
+  res.json({
+    success: true,
+    geography: { id: entry.id, name: entry.name, level: entry.level },
+    age_band: ageBand,
+    sex,
+    population: value === null ? null : Math.round(value),
+    age_sex_detail: Boolean(entry.by_age_sex),
+    source: population.denominators.source,
+    vintage: population.denominators.vintage
+  });
+});
+
+/**
+ * Standardize caller-supplied counts.
+ * direct:   { method, strata: [{ age_band, cases, population }], standard }
+ * indirect: { method, observed, geography, disease } using imported age/sex populations and
+ *           reference rates
+ */
+router.post('/rates/standardize', (req, res) => {
+  try {
+    const { method = 'direct', strata, standard = 'us2000', observed, geography, disease } = req.body || {};
+    const population = req.services.population;
+    let result = null;
+
+    if (method === 'direct') {
+      if (!Array.isArray(strata) || !strata.length) {
+        return res.status(400).json({ success: false, error: 'strata must be a non-empty array of { age_band, cases, population }', code: 'RATES_003' });
+      }
+      if (strata.some(stratum => !(Number(stratum?.cases) >= 0) || !(Number(stratum?.population) >= 0))) {
+        return res.status(400).json({ success: false, error: 'each stratum needs a case count and a population of 0 or more', code: 'RATES_003' });
+      }
+      const error = population.validateMeasure({ standard });
+      if (error) {
+        return res.status(400).json({ success: false, error, code: 'INVALID_MEASURE' });
+      }
+      result = population.directStandardize(strata.map(stratum => ({
+        age_band: stratum.age_band,
+        cases: Number(stratum.cases),
+        population: Number(stratum.population)
+      })), standard);
+    } else if (method === 'indirect') {
+      if (!(Number(observed) >= 0)) {
+        return res.status(400).json({ success: false, error: 'observed must be a case count', code: 'RATES_003' });
+      }
+      const strataForGeography = population.getStrata(population.resolveGeography(geography));
+      const reference = population.getReferenceRates(disease);
+      if (!strataForGeography || !reference) {
+        return res.status(422).json({
+          success: false,
+          error: !strataForGeography
+            ? `No age/sex population detail for geography "${geography}"`
+            : `No reference rates for disease "${disease}"`,
+          code: 'RATES_004',
+          denominators: population.getDetailStatus()
+        });
+      }
+      result = population.indirectStandardize(Number(observed), strataForGeography, reference);
+    } else {
+      return res.status(400).json({ success: false, error: 'method must be direct or indirect', code: 'RATES_003' });
+    }
+
+    if (!result) {
+      return res.status(422).json({ success: false, error: 'No strata with a population or expected cases to standardize against', code: 'RATES_004' });
+    }
+    res.json({ success: true, method, result });
+
+  } catch (error) {
+    if (error.code === 'INVALID_STANDARDIZATION') {
+      return res.status(400).json({ success: false, error: error.message, code: error.code });
+    }
+    req.errorHandler.logError(error, { endpoint: '/sti/rates/standardize' });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: error.code || 'RATES_005'
+    });
+  }
+});
+
 // Service status and health endpoints
 router.get('/status', async (req, res) => {
   try {
@@ -529,7 +721,8 @@ router.get('/docs', (req, res) => {
         '/sti/hpv': 'HPV surveillance and cancer data',
         '/sti/hpv/vaccination': 'HPV vaccination coverage',
         '/sti/hpv/guidelines': 'HPV vaccination guidelines',
-        '/sti/hpv/types': 'HPV type classifications'
+        '/sti/hpv/types': 'HPV type classifications',
+        '/sti/hpv/projections': 'Cohort projection of vaccine-type prevalence and HPV-attributable cancer incidence (GET one scenario, POST several)'
       },
       traditional_std: {
         '/sti/std': 'Syphilis, gonorrhea, chlamydia surveillance'
@@ -537,11 +730,20 @@ router.get('/docs', (req, res) => {
       global: {
         '/sti/global': 'Global disease data via disease.sh'
       },
+      rates: {
+        '/sti/rates/standards': 'Standard populations for age adjustment',
+        '/sti/rates/population': 'Population denominator by geography, age band and sex',
+        'POST /sti/rates/standardize': 'Direct or indirect standardization of supplied counts'
+      },
       admin: {
         'POST /sti/reset-circuit-breaker/:service': 'Reset circuit breaker',
         'DELETE /sti/cache': 'Clear all service caches'
       }
     },
+    parameters: {
+      measure: 'count (default), rate (crude per 100,000 with exact Poisson CI) or adjusted_rate (age-standardized), on every data endpoint',
+      standard: 'Standard population for adjusted_rate: us2000 (default), who2000, segi'
+    },
     features: [
       'Multi-source data integration',
       'Automatic fallback mechanisms',
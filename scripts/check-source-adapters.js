@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Source Adapter Contract Check
+ *
+ * Loads every source adapter the GlobalHealthOrchestrator would load (built-in plus
+ * SOURCE_ADAPTER_DIRS), runs each adapter's contract examples through normalize() and
+ * validates the records against the normalized schema. With --probe, also runs the live
+ * health probe of every adapter. Pending adapters without examples are listed as unverified.
+ * Exits non-zero if any adapter fails or was rejected, or with --strict if any is unverified.
+ *
+ * Usage: node scripts/check-source-adapters.js [--probe] [--json] [--strict]
+ */
+
+const chalk = require('chalk');
+const SourceAdapterRegistry = require('../services/sourceAdapterRegistry');
+
+async function main() {
+    const args = process.argv.slice(2);
+    const registry = new SourceAdapterRegistry({ apiKeys: {}, getService: () => null }).loadDefaults();
+    const { adapters, unverified, rejected } = registry.verifyAll();
+    const health = args.includes('--probe') ? await registry.probeAll({ refresh: true }) : null;
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify({ adapters, unverified, rejected, health }, null, 2));
+    } else {
+        console.log(chalk.cyan.bold(`Source adapter contracts (${adapters.length} loaded, ${rejected.length} rejected)`));
+        adapters.forEach(result => {
+            const adapter = registry.get(result.adapter);
+            const examples = result.examples.map(example => `${example.name}: ${example.records}`).join(', ');
+            const label = `${result.adapter} (${adapter.origin}${adapter.pending ? ', pending' : ''})`;
+            const probe = health?.[result.adapter];
+
+            const mark = !result.passed ? chalk.red('✗') : result.verified ? chalk.green('✓') : chalk.yellow('!');
+            console.log(`${mark} ${label}` +
+                chalk.gray(examples ? ` — ${examples}` : '') +
+                (probe ? chalk.gray(` — probe ${probe.status}${probe.latency_ms !== null ? ` ${probe.latency_ms}ms` : ''}`) : ''));
+            result.errors.forEach(error => console.log(chalk.red(`    ${error}`)));
+            result.warnings.forEach(warning => console.log(chalk.yellow(`    ${warning}`)));
+        });
+        rejected.forEach(entry => {
+            console.log(`${chalk.red('✗')} ${entry.adapter || entry.file} (rejected)`);
+            entry.errors.forEach(error => console.log(chalk.red(`    ${error}`)));
+        });
+        if (unverified.length) {
+            console.log(chalk.yellow(`Unverified (pending, no contract examples): ${unverified.join(', ')}`));
+        }
+    }
+
+    const failed = adapters.some(result => !result.passed) || rejected.length > 0 ||
+        (args.includes('--strict') && unverified.length > 0);
+    process.exit(failed ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error(chalk.red('✗ Contract check failed:'), error.message);
+    process.exit(1);
+});
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/**
+ * Population Denominator Import
+ *
+ * Fills data/population/us_population.json with the detail the bundled 2020 Census totals lack:
+ *
+ *   --census <file>         Census Bureau county population estimates by age and sex
+ *                           (cc-est20XX-agesex-all.csv). Adds every county and replaces state and
+ *                           national totals with the estimate, with 5-year age bands by sex.
+ *   --year-code <n>         YEAR code of the estimate to use (default: the latest in the file)
+ *   --vintage <label>       Vintage recorded with the data (default: "<file name> YEAR=<n>")
+ *
+ *   --reference-rates <csv> CDC WONDER rates by age_group and sex for one disease, as exported by
+ *                           `diseasezone surveillance wonder --group-by age_group,sex --measures rate
+ *                           -o <file>.csv`, stored for indirect standardization
+ *   --disease <name>        Disease the reference rates are for (required with --reference-rates)
+ *
+ * Usage: node scripts/import-population-data.js --census cc-est2023-agesex-all.csv
+ *        node scripts/import-population-data.js --reference-rates chlamydia.csv --disease chlamydia
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+
+const DATA_FILE = path.join(__dirname, '..', 'data', 'population', 'us_population.json');
+
+// Census column stems for the 5-year bands -> band labels
+const CENSUS_BANDS = {
+    AGE04: '0-4', AGE59: '5-9', AGE1014: '10-14', AGE1519: '15-19', AGE2024: '20-24',
+    AGE2529: '25-29', AGE3034: '30-34', AGE3539: '35-39', AGE4044: '40-44', AGE4549: '45-49',
+    AGE5054: '50-54', AGE5559: '55-59', AGE6064: '60-64', AGE6569: '65-69', AGE7074: '70-74',
+    AGE7579: '75-79', AGE8084: '80-84', AGE85PLUS: '85+'
+};
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+        }
+    }
+    return args;
+}
+
+// Minimal CSV reader: quoted fields with doubled quotes, no embedded newlines
+function readCSV(file, encoding = 'utf8') {
+    const lines = fs.readFileSync(file, encoding).replace(/^\uFEFF/, '').split(/\r?\n/).filter(Boolean);
+    const split = line => {
+        const fields = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted && char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = !quoted;
+            } else if (char === ',' && !quoted) {
+                fields.push(field);
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        fields.push(field);
+        return fields;
+    };
+
+    const header = split(lines[0]).map(name => name.trim());
+    return lines.slice(1).map(line => Object.fromEntries(split(line).map((value, i) => [header[i], value.trim()])));
+}
+
+function addAgeSex(target, source) {
+    Object.entries(source).forEach(([band, bySex]) => {
+        target[band] = target[band] || { male: 0, female: 0 };
+        target[band].male += bySex.male;
+        target[band].female += bySex.female;
+    });
+}
+
+function importCensus(data, file, options) {
+    // Census releases are Latin-1 encoded (county names such as Doña Ana)
+    const rows = readCSV(file, 'latin1').filter(row => row.SUMLEV === '050');
+    if (!rows.length) throw new Error(`${file} has no county rows (SUMLEV 050)`);
+    const missing = Object.keys(CENSUS_BANDS).flatMap(stem => [`${stem}_MALE`, `${stem}_FEM`]).filter(column => !(column in rows[0]));
+    if (missing.length) throw new Error(`${file} is missing columns: ${missing.join(', ')}`);
+
+    const yearCode = options['year-code'] || String(Math.max(...rows.map(row => parseInt(row.YEAR, 10))));
+    const selected = rows.filter(row => row.YEAR === String(yearCode));
+    if (!selected.length) throw new Error(`No rows with YEAR=${yearCode}`);
+
+    const states = {};
+    selected.forEach(row => {
+        const stateFips = row.STATE.padStart(2, '0');
+        const countyFips = `${stateFips}${row.COUNTY.padStart(3, '0')}`;
+        const byAgeSex = Object.fromEntries(Object.entries(CENSUS_BANDS).map(([stem, band]) => [band, {
+            male: parseInt(row[`${stem}_MALE`], 10) || 0,
+            female: parseInt(row[`${stem}_FEM`], 10) || 0
+        }]));
+
+        data.geographies[countyFips] = {
+            name: row.CTYNAME,
+            level: 'county',
+            state: stateFips,
+            total: parseInt(row.POPESTIMATE, 10) || 0,
+            by_age_sex: byAgeSex
+        };
+
+        states[stateFips] = states[stateFips] || { total: 0, by_age_sex: {} };
+        states[stateFips].total += data.geographies[countyFips].total;
+        addAgeSex(states[stateFips].by_age_sex, byAgeSex);
+    });
+
+    // The U.S. total covers the 50 states and DC, as in the bundled Census counts
+    const nation = { total: 0, by_age_sex: {} };
+    Object.entries(states).forEach(([fips, detail]) => {
+        const entry = data.geographies[fips];
+        if (!entry) return;
+        entry.total = detail.total;
+        entry.by_age_sex = detail.by_age_sex;
+        if (entry.level === 'state' && parseInt(fips, 10) <= 56) {
+            nation.total += detail.total;
+            addAgeSex(nation.by_age_sex, detail.by_age_sex);
+        }
+    });
+    data.geographies.US.total = nation.total;
+    data.geographies.US.by_age_sex = nation.by_age_sex;
+
+    data.age_bands = Object.values(CENSUS_BANDS);
+    data.source = `U.S. Census Bureau, county population estimates by age and sex (${path.basename(file)})`;
+    data.vintage = options.vintage || `${path.basename(file)} YEAR=${yearCode}`;
+
+    return { counties: selected.length, states: Object.keys(states).length, yearCode };
+}
+
+function importReferenceRates(data, file, options) {
+    if (!options.disease) throw new Error('--disease is required with --reference-rates');
+
+    const rows = readCSV(file).filter(row => row.measure === 'rate' && row.age_group && row.sex && row.value !== '' &&
+        row.is_total !== 'true' && row.is_total !== 'yes');
+    const rates = {};
+    rows.forEach(row => {
+        const sex = row.sex.toLowerCase();
+        if (sex !== 'male' && sex !== 'female') return;
+        rates[`${sex}:${row.age_group.replace(/\s*years?$/i, '')}`] = parseFloat(row.value);
+    });
+    if (!Object.keys(rates).length) throw new Error(`${file} has no age_group/sex rate rows`);
+
+    const years = Array.from(new Set(rows.map(row => row.year).filter(Boolean)));
+    data.reference_rates[options.disease.toLowerCase()] = {
+        source: `CDC WONDER (${path.basename(file)})`,
+        year: years.length === 1 ? years[0] : null,
+        per: 100000,
+        rates
+    };
+    return { rates: Object.keys(rates).length };
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.census && !options['reference-rates']) {
+        console.error(chalk.red('✗ Nothing to import. Use --census <file> and/or --reference-rates <file> --disease <name>'));
+        process.exit(1);
+    }
+
+    const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+
+    try {
+        if (options.census) {
+            const result = importCensus(data, options.census, options);
+            console.log(chalk.green(`✓ ${result.counties} counties in ${result.states} states (YEAR=${result.yearCode})`));
+        }
+        if (options['reference-rates']) {
+            const result = importReferenceRates(data, options['reference-rates'], options);
+            console.log(chalk.green(`✓ ${result.rates} ${options.disease} reference rates`));
+        }
+    } catch (error) {
+        console.error(chalk.red('✗ Import failed:'), error.message);
+        process.exit(1);
+    }
+
+    fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2) + '\n');
+    console.log(chalk.gray(`Written to ${path.relative(process.cwd(), DATA_FILE)}`));
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { importCensus, importReferenceRates };
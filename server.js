@@ -32,6 +32,12 @@ try {
     };
 }
 
+// Outbound HTTP to external data APIs: passthrough, record or replay (HTTP_FIXTURE_MODE)
+const { httpClient } = require('./utils/httpClient');
+if (httpClient.mode !== 'passthrough') {
+    console.log(`📼 External API calls in ${httpClient.mode} mode (fixtures: ${httpClient.fixtureDir})`);
+}
+
 // Services
 const STDService = require('./services/stdService');
 const CDCDataService = require('./services/cdcDataService');
@@ -141,6 +147,10 @@ async function initializeServices() {
     // Initialize compliance and security services
     const auditLoggingService = new AuditLoggingService(databaseService);
     const hipaaService = new HIPAAService(databaseService, auditLoggingService);
+
+    // Initialize the herpes episode diary (PHI, logged through the HIPAA service)
+    const HerpesDiaryService = require('./services/herpesDiaryService');
+    const herpesDiaryService = new HerpesDiaryService(databaseService, hipaaService);
     const medicalValidationService = new MedicalValidationService(databaseService, auditLoggingService);
 
     // Initialize authentication and user services
@@ -173,6 +183,37 @@ async function initializeServices() {
     const passwordResetService = new PasswordResetService(databaseService, emailService, config.security?.passwordReset);
     passwordResetService.startPeriodicCleanup();
 
+    // Initialize anonymous partner notification (email and in-app delivery, one-time links)
+    const MessagingService = require('./services/messagingService');
+    const PartnerNotificationService = require('./services/partnerNotificationService');
+    const messagingService = new MessagingService(databaseService, auditLoggingService);
+    const partnerNotificationService = new PartnerNotificationService(
+      databaseService,
+      emailService,
+      messagingService,
+      auditLoggingService,
+      config.partnerNotification
+    );
+
+    // Initialize chronic disease risk calculators
+    const ChronicDiseaseRiskService = require('./services/chronicDiseaseRiskService');
+    const chronicDiseaseRiskService = new ChronicDiseaseRiskService(databaseService);
+
+    // Initialize nowcasting (reporting-delay correction from stored snapshots)
+    const NowcastingService = require('./services/nowcastingService');
+    const nowcastingService = new NowcastingService(databaseService);
+
+    // Initialize provenance (lineage records cited by surveillance responses)
+    const ProvenanceService = require('./services/provenanceService');
+    const provenanceService = new ProvenanceService(databaseService);
+
+    // Initialize scheduled ingestion into the surveillance observation store
+    const SurveillanceIngestionService = require('./services/surveillanceIngestionService');
+    const surveillanceIngestionService = new SurveillanceIngestionService(databaseService, {
+      cdcDataService,
+      enhancedCDCService
+    });
+
     // Initialize metasearch and redirect services
     const metaSearchService = new MetaSearchService();
     const redirectService = new RedirectService();
@@ -197,6 +238,7 @@ async function initializeServices() {
     app.locals.musculoskeletalService = musculoskeletalService;
     app.locals.auditLoggingService = auditLoggingService;
     app.locals.hipaaService = hipaaService;
+    app.locals.herpesDiaryService = herpesDiaryService;
     app.locals.medicalValidationService = medicalValidationService;
     app.locals.aiSymptomAnalysisService = aiSymptomAnalysisService;
     app.locals.fhirService = fhirService;
@@ -205,6 +247,9 @@ async function initializeServices() {
     app.locals.securityMonitor = securityMonitor;
     app.locals.emailService = emailService;
     app.locals.passwordResetService = passwordResetService;
+    app.locals.messagingService = messagingService;
+    app.locals.partnerNotificationService = partnerNotificationService;
+    app.locals.chronicDiseaseRiskService = chronicDiseaseRiskService;
     app.locals.metaSearchService = metaSearchService;
     app.locals.redirectService = redirectService;
     app.locals.neuralSearchService = neuralSearchService;
@@ -215,6 +260,9 @@ async function initializeServices() {
     app.locals.nihRareDiseaseService = nihRareDiseaseService;
     app.locals.drugPricingService = drugPricingService;
     app.locals.outbreakAlertsService = outbreakAlertsService;
+    app.locals.nowcastingService = nowcastingService;
+    app.locals.surveillanceIngestionService = surveillanceIngestionService;
+    app.locals.provenanceService = provenanceService;
     app.locals.socialDeterminantsService = socialDeterminantsService;
     app.locals.medicalImagingService = medicalImagingService;
     app.locals.vaccineTrackingService = vaccineTrackingService;
@@ -229,6 +277,14 @@ async function initializeServices() {
     console.log('⏰ Starting model training scheduler...');
     modelTrainingScheduler.start();
 
+    // Start scheduled surveillance ingestion
+    surveillanceIngestionService.start().catch(error => {
+      console.error('Failed to start surveillance ingestion:', error);
+    });
+
+    // Start the global health background jobs (source report scoring)
+    globalHealthRoutes.startSchedules(databaseService);
+
     console.log('All services initialized successfully');
   } catch (error) {
     console.error('Error initializing services:', error);
@@ -1816,6 +1872,224 @@ app.delete('/api/user/family-diseases/:id',
     }
   });
 
+// Bearer-token check shared by the per-user endpoints below
+const authenticateUser = (req, res, next) => {
+  if (app.locals.auth?.authenticateToken) {
+    return app.locals.auth.authenticateToken(req, res, next);
+  }
+  return res.status(500).json({ error: 'Authentication service not initialized' });
+};
+
+// Herpes episode diary endpoints
+const diaryContext = req => ({ ip_address: req.ip, user_agent: req.get('User-Agent') });
+
+const sendDiaryError = (res, error, label) => {
+  if (error.code === 'DIARY_INVALID') {
+    return res.status(400).json({ success: false, error: error.message, details: error.details, code: error.code });
+  }
+  if (error.code === 'DIARY_NOT_FOUND') {
+    return res.status(404).json({ success: false, error: error.message, code: error.code });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ success: false, error: error.message });
+};
+
+app.get('/api/user/herpes-diary/options', authenticateUser, (req, res) => {
+  res.json({ success: true, ...app.locals.herpesDiaryService.getOptions() });
+});
+
+app.get('/api/user/herpes-diary/episodes', authenticateUser, async (req, res) => {
+  try {
+    const result = await app.locals.herpesDiaryService.listEpisodes(req.user.id, req.query.herpes_type || null, diaryContext(req));
+    res.json(result);
+  } catch (error) {
+    sendDiaryError(res, error, 'List herpes episodes');
+  }
+});
+
+app.post('/api/user/herpes-diary/episodes', authenticateUser, async (req, res) => {
+  try {
+    const result = await app.locals.herpesDiaryService.addEpisode(req.user.id, req.body, diaryContext(req));
+    res.status(201).json(result);
+  } catch (error) {
+    sendDiaryError(res, error, 'Add herpes episode');
+  }
+});
+
+app.put('/api/user/herpes-diary/episodes/:id', authenticateUser, async (req, res) => {
+  try {
+    const result = await app.locals.herpesDiaryService.updateEpisode(req.user.id, parseInt(req.params.id), req.body, diaryContext(req));
+    res.json(result);
+  } catch (error) {
+    sendDiaryError(res, error, 'Update herpes episode');
+  }
+});
+
+app.delete('/api/user/herpes-diary/episodes/:id', authenticateUser, async (req, res) => {
+  try {
+    const result = await app.locals.herpesDiaryService.deleteEpisode(req.user.id, parseInt(req.params.id), diaryContext(req));
+    res.json(result);
+  } catch (error) {
+    sendDiaryError(res, error, 'Delete herpes episode');
+  }
+});
+
+app.get('/api/user/herpes-diary/exposures', authenticateUser, async (req, res) => {
+  try {
+    const result = await app.locals.herpesDiaryService.listExposures(req.user.id, diaryContext(req));
+    res.json(result);
+  } catch (error) {
+    sendDiaryError(res, error, 'List trigger exposures');
+  }
+});
+
+app.post('/api/user/herpes-diary/exposures', authenticateUser, async (req, res) => {
+  try {
+    const result = await app.locals.herpesDiaryService.addExposure(req.user.id, req.body, diaryContext(req));
+    res.status(201).json(result);
+  } catch (error) {
+    sendDiaryError(res, error, 'Add trigger exposure');
+  }
+});
+
+app.delete('/api/user/herpes-diary/exposures/:id', authenticateUser, async (req, res) => {
+  try {
+    const result = await app.locals.herpesDiaryService.deleteExposure(req.user.id, parseInt(req.params.id), diaryContext(req));
+    res.json(result);
+  } catch (error) {
+    sendDiaryError(res, error, 'Delete trigger exposure');
+  }
+});
+
+// Personal hazard curve and trigger attribution from the diary
+app.get('/api/user/herpes-diary/prediction', authenticateUser, async (req, res) => {
+  try {
+    const result = await app.locals.herpesDiaryService.predict(req.user.id, req.query, diaryContext(req));
+    res.json(result);
+  } catch (error) {
+    sendDiaryError(res, error, 'Herpes recurrence prediction');
+  }
+});
+
+// Anonymous partner notification endpoints
+const partnerContext = req => ({ ip_address: req.ip, user_agent: req.get('User-Agent') });
+
+const sendPartnerNoticeError = (res, error, label) => {
+  const statuses = {
+    PARTNER_NOTICE_INVALID: 400,
+    PARTNER_NOTICE_NO_DIAGNOSIS: 403,
+    PARTNER_NOTICE_NOT_FOUND: 404,
+    PARTNER_NOTICE_RATE_LIMITED: 429
+  };
+  if (statuses[error.code]) {
+    return res.status(statuses[error.code]).json({ success: false, error: error.message, details: error.details, code: error.code });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ success: false, error: error.message });
+};
+
+app.get('/api/user/partner-notifications/templates', authenticateUser, (req, res) => {
+  res.json({ success: true, ...app.locals.partnerNotificationService.getTemplates() });
+});
+
+app.get('/api/user/partner-notifications', authenticateUser, async (req, res) => {
+  try {
+    const result = await app.locals.partnerNotificationService.listNotices(req.user.id);
+    res.json(result);
+  } catch (error) {
+    sendPartnerNoticeError(res, error, 'List partner notices');
+  }
+});
+
+app.post('/api/user/partner-notifications',
+  securityValidator.createRateLimit(60 * 60 * 1000, 10, 'Too many partner notification requests'),
+  authenticateUser,
+  async (req, res) => {
+    try {
+      const result = await app.locals.partnerNotificationService.send(req.user.id, req.body, partnerContext(req));
+      res.status(201).json(result);
+    } catch (error) {
+      sendPartnerNoticeError(res, error, 'Send partner notices');
+    }
+  });
+
+app.delete('/api/user/partner-notifications/:id', authenticateUser, async (req, res) => {
+  try {
+    const result = await app.locals.partnerNotificationService.revokeLink(req.user.id, req.params.id, partnerContext(req));
+    res.json(result);
+  } catch (error) {
+    sendPartnerNoticeError(res, error, 'Revoke partner notice link');
+  }
+});
+
+// One-time notice links opened by partners; no account required
+app.get('/notice/:token',
+  securityValidator.createRateLimit(15 * 60 * 1000, 30, 'Too many requests'),
+  async (req, res) => {
+    const service = app.locals.partnerNotificationService;
+    res.set('Cache-Control', 'no-store');
+    res.set('Referrer-Policy', 'no-referrer');
+    try {
+      if (await service.isLinkAvailable(req.params.token)) {
+        return res.send(service.renderLandingPage(req.params.token));
+      }
+      res.status(410).send(service.renderUnavailablePage());
+    } catch (error) {
+      console.error('Partner notice link error:', error);
+      res.status(500).send(service.renderUnavailablePage());
+    }
+  });
+
+app.post('/notice/:token',
+  securityValidator.createRateLimit(15 * 60 * 1000, 30, 'Too many requests'),
+  async (req, res) => {
+    const service = app.locals.partnerNotificationService;
+    res.set('Cache-Control', 'no-store');
+    res.set('Referrer-Policy', 'no-referrer');
+    try {
+      const notice = await service.openLink(req.params.token, partnerContext(req));
+      res.send(service.renderNoticePage(notice));
+    } catch (error) {
+      if (error.code !== 'PARTNER_NOTICE_GONE') console.error('Open partner notice error:', error);
+      res.status(error.code === 'PARTNER_NOTICE_GONE' ? 410 : 500).send(service.renderUnavailablePage());
+    }
+  });
+
+// Chronic disease risk assessment from measurements the user enters
+app.get('/api/user/chronic-risk/calculators', authenticateUser, (req, res) => {
+  res.json({ success: true, calculators: app.locals.chronicDiseaseRiskService.getCalculators() });
+});
+
+app.post('/api/user/chronic-risk', authenticateUser, async (req, res) => {
+  const service = app.locals.chronicDiseaseRiskService;
+  const { conditions = ['cardiovascular', 'diabetes'], calculators, profile, clinical, lifestyle, family_history } = req.body || {};
+  const available = service.getCalculators();
+
+  if (!Array.isArray(conditions) || !conditions.length || conditions.some(condition => !available[condition])) {
+    return res.status(400).json({ success: false, error: `conditions must be a non-empty array of: ${Object.keys(available).join(', ')}`, code: 'RISK_INVALID' });
+  }
+  if (calculators !== undefined && (typeof calculators !== 'object' || Array.isArray(calculators) ||
+    Object.entries(calculators).some(([condition, names]) => !conditions.includes(condition) || !Array.isArray(names)))) {
+    return res.status(400).json({ success: false, error: 'calculators must map requested conditions to arrays of calculator names', code: 'RISK_INVALID' });
+  }
+
+  try {
+    const riskProfile = await service.assessRisk(req.user.id, {
+      userProfile: profile,
+      familyHistory: family_history,
+      clinicalData: clinical,
+      lifestyleData: lifestyle
+    }, conditions, { calculators });
+    res.json({ success: true, riskProfile });
+  } catch (error) {
+    if (error.code === 'RISK_INVALID') {
+      return res.status(400).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('Chronic disease risk error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // AI Symptom Analysis endpoints
 app.post('/api/user/symptom-analysis/start',
   (req, res, next) => {
@@ -2136,11 +2410,19 @@ app.get('/api/diseases/by-location', async (req, res) => {
       .sort((a, b) => b.cases - a.cases)
       .slice(0, parseInt(limit));
     
-    res.json({
+    await ResponseHandler.sendWithProvenance(req, res, {
       success: true,
       diseases: topDiseases,
       location: { lat: parseFloat(lat), lng: parseFloat(lng) },
       count: topDiseases.length
+    }, {
+      kind: 'simulated',
+      source: 'diseasezone',
+      items: topDiseases,
+      transformations: [
+        { step: 'registry_lookup', description: 'disease names and categories from the disease registry' },
+        { step: 'simulate', description: 'random case counts, severity and trend by disease category; not location data' }
+      ]
     });
   } catch (error) {
     console.error('Error fetching location-based diseases:', error);
@@ -2988,7 +3270,42 @@ app.post('/api/user/api-keys',
 app.get('/api/std/data', async (req, res) => {
   try {
     const { disease, year, state, ageGroup } = req.query;
-    
+
+    // CDC WONDER (1996-2014): tidy long-format rows for any group-by, filter and measure selection
+    if (req.query.source === 'wonder') {
+      try {
+        const result = await app.locals.stdService.queryWonder({
+          group_by: req.query.group_by,
+          measures: req.query.measures,
+          filters: {
+            disease,
+            year,
+            state,
+            age_group: req.query.age_group || ageGroup,
+            race_ethnicity: req.query.race_ethnicity,
+            sex: req.query.sex
+          },
+          include_totals: req.query.include_totals === 'true'
+        });
+        return res.json(result);
+      } catch (error) {
+        if (error.code === 'INVALID_WONDER_QUERY') {
+          return res.status(400).json({
+            success: false,
+            error: error.message,
+            code: error.code,
+            details: error.details,
+            catalog: app.locals.stdService.getWonderCatalog()
+          });
+        }
+        if (error.message.includes('Rate limited')) {
+          return res.status(429).json({ success: false, error: error.message, code: 'RATE_LIMITED' });
+        }
+        console.error('Error querying CDC WONDER:', error);
+        return res.status(502).json({ success: false, error: error.message, code: 'WONDER_UNAVAILABLE' });
+      }
+    }
+
     // Initialize STI service if not available
     if (!app.locals.comprehensiveSTIService) {
       const ComprehensiveSTIService = require('./services/comprehensiveSTIService');
@@ -3177,14 +3494,14 @@ app.get('/api/std/status', async (req, res) => {
         realData: "Weekly surveillance reports, may include provisional data"
       },
       endpoints: {
-        "/api/std/data": "STD surveillance data (mock)",
+        "/api/std/data": "STD surveillance data (source=wonder for a tidy CDC WONDER table: group_by, measures, disease, year, state, age_group, race_ethnicity, sex, include_totals)",
         "/api/std/summary": "STD summary statistics (mock)",
-        "/api/std/real-data": "Real CDC surveillance data (2015-present)",
+        "/api/std/real-data": "Real CDC surveillance data (2015-present), served from the ingestion store (as_of for earlier revisions, live=true to bypass)",
         "/api/std/real-summary": "Real CDC summary statistics",
         "/api/std/diseases": "Available diseases, states, years",
         "/api/std/status": "API status and documentation",
         "/api/std/test-wonder": "CDC WONDER integration status",
-        "/api/std/charts/trend": "Multi-year trend analysis for visualization",
+        "/api/std/charts/trend": "Multi-year trend analysis for visualization (nowcast=true corrects recent years for reporting delay)",
         "/api/std/charts/geographic": "State-by-state geographic data for maps",
         "/api/std/charts/comparison": "Disease comparison statistics",
         "/api/std/states": "Available state-level data sources",
@@ -3225,9 +3542,40 @@ app.get('/api/std/status', async (req, res) => {
 });
 
 // Real CDC data.gov API endpoints
+// Served from the ingestion store when it holds the query (as_of=<ISO date, through end of day> for an earlier
+// revision); live=true or an empty store pulls from CDC directly
 app.get('/api/std/real-data', async (req, res) => {
   try {
-    const { disease = 'all', year = '2023', state = 'all', aggregate = 'state' } = req.query;
+    const { disease = 'all', year = '2023', state = 'all', aggregate = 'state', as_of, live = 'false' } = req.query;
+
+    const ingestion = app.locals.surveillanceIngestionService;
+    if (ingestion && live !== 'true') {
+      let stored;
+      try {
+        stored = await ingestion.getSTDData({ disease, year, state, aggregateBy: aggregate, asOf: as_of });
+      } catch (error) {
+        if (error.code === 'INVALID_AS_OF') {
+          return res.status(400).json({ error: error.message, endpoint: "/api/std/real-data" });
+        }
+        throw error;
+      }
+      if (stored) {
+        return ResponseHandler.sendWithProvenance(req, res, stored, {
+          source: 'cdc_nndss',
+          retrieved_at: stored.store.retrieved_at,
+          transformations: [
+            { step: 'ingest', description: 'scheduled pull into the surveillance observation store' },
+            { step: 'aggregate', description: `weekly reports reduced to the largest cumulative count per ${aggregate}` }
+          ]
+        });
+      }
+      if (as_of) {
+        return res.status(404).json({
+          error: `No stored observations for this query as of ${as_of}`,
+          endpoint: "/api/std/real-data"
+        });
+      }
+    }
 
     const data = await app.locals.cdcDataService.querySTDData({
       disease,
@@ -3236,7 +3584,10 @@ app.get('/api/std/real-data', async (req, res) => {
       aggregateBy: aggregate
     });
 
-    res.json(data);
+    await ResponseHandler.sendWithProvenance(req, res, data, {
+      source: 'cdc_nndss',
+      transformations: [{ step: 'aggregate', description: `weekly reports reduced to the largest cumulative count per ${aggregate}` }]
+    });
   } catch (error) {
     console.error('Error fetching real CDC data:', error);
     res.status(500).json({
@@ -3332,10 +3683,27 @@ app.get('/api/std/test-wonder', async (req, res) => {
   });
 });
 
+// US state by name, USPS code or FIPS code, or null
+const geographyCodes = require('./data/geography_codes.json');
+const resolveUSState = value => {
+  const key = String(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return geographyCodes.us_states.find(entry =>
+    [entry.name, entry.usps, entry.fips, ...entry.aliases].some(name => name.toUpperCase().replace(/[^A-Z0-9]/g, '') === key)) || null;
+};
+
 // Data visualization endpoints
 app.get('/api/std/charts/trend', async (req, res) => {
   try {
-    const { disease = 'all', state = 'all', years = '5' } = req.query;
+    const { disease = 'all', state: stateParam = 'all', years = '5', nowcast = 'false' } = req.query;
+
+    if (disease !== 'all' && !app.locals.cdcDataService.endpoints[disease]) {
+      return res.status(400).json({ success: false, error: `Unsupported disease: ${disease}` });
+    }
+    const stateEntry = stateParam === 'all' ? null : resolveUSState(stateParam);
+    if (stateParam !== 'all' && !stateEntry) {
+      return res.status(400).json({ success: false, error: 'state must be "all" or a US state name, USPS code or FIPS code' });
+    }
+    const state = stateEntry ? stateEntry.name : 'all';
 
     // Get multi-year data for trend analysis
     const yearCount = parseInt(years);
@@ -3405,6 +3773,43 @@ app.get('/api/std/charts/trend', async (req, res) => {
       }
     }
 
+    // Keep the revision history of each yearly series (one snapshot a day at most) and optionally
+    // correct recent years for reporting delay
+    const nowcastBands = {};
+    const nowcastingService = app.locals.nowcastingService;
+    if (nowcastingService) {
+      for (const d of [...new Set(trendData.map(item => item.disease))]) {
+        const seriesKey = `std:${d}:${stateEntry ? stateEntry.usps : 'all'}:year`;
+        const points = trendData
+          .filter(item => item.disease === d)
+          .map(item => ({ timestamp: Date.UTC(parseInt(item.year), 0, 1), cases: item.cases }));
+
+        try {
+          await nowcastingService.recordSnapshot(seriesKey, points, { source: 'cdc', minIntervalHours: 24 });
+
+          if (nowcast === 'true') {
+            const result = await nowcastingService.nowcastSeries(seriesKey, { frequency: 'yearly' });
+            result.series.filter(point => point.is_nowcast).forEach(point => {
+              const year = String(new Date(point.timestamp).getUTCFullYear());
+              const item = trendData.find(entry => entry.disease === d && String(entry.year) === year);
+              if (!item) return;
+              item.cases = Math.round(point.nowcast);
+              nowcastBands[d] = nowcastBands[d] || {};
+              nowcastBands[d][year] = {
+                reported: point.reported,
+                nowcast: item.cases,
+                lower: point.lower,
+                upper: point.upper,
+                reported_fraction: point.reported_fraction
+              };
+            });
+          }
+        } catch (error) {
+          console.error(`Error nowcasting trend data for ${d}:`, error);
+        }
+      }
+    }
+
     // Group by year for chart formatting
     const chartData = {};
     trendData.forEach(item => {
@@ -3426,7 +3831,8 @@ app.get('/api/std/charts/trend', async (req, res) => {
         yearRange: `${startYear}-${currentYear}`,
         chartType: 'line',
         xAxis: 'year',
-        yAxis: 'cases'
+        yAxis: 'cases',
+        ...(nowcast === 'true' && { nowcast: nowcastBands })
       },
       timestamp: new Date().toISOString()
     });
@@ -4938,6 +5344,27 @@ app.get('/clinical-trials/:disease', async (req, res) => {
 app.get('/api/enhanced-cdc/:disease', async (req, res) => {
   try {
     const { disease } = req.params;
+    const { as_of, live = 'false' } = req.query;
+
+    const ingestion = app.locals.surveillanceIngestionService;
+    if (ingestion && live !== 'true') {
+      let stored;
+      try {
+        stored = await ingestion.getEnhancedCDCData(disease, { asOf: as_of });
+      } catch (error) {
+        if (error.code === 'INVALID_AS_OF') {
+          return res.status(400).json({ error: error.message });
+        }
+        throw error;
+      }
+      if (stored) {
+        return res.json(stored);
+      }
+      if (as_of) {
+        return res.status(404).json({ error: `No stored observations for ${disease} as of ${as_of}` });
+      }
+    }
+
     const data = await app.locals.enhancedCDCService.getAggregatedDiseaseData(disease, req.query);
     res.json(data);
   } catch (error) {
@@ -4945,6 +5372,121 @@ app.get('/api/enhanced-cdc/:disease', async (req, res) => {
   }
 });
 
+// Provenance lookup: the record behind any provenance_id a response cites, its lineage and a citation
+app.get('/api/provenance/:id', async (req, res) => {
+  try {
+    const provenanceService = app.locals.provenanceService;
+    const record = await provenanceService.get(req.params.id);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'Provenance record not found' });
+    }
+
+    const lineage = await provenanceService.getLineage(record.id);
+    ResponseHandler.sendResponse(req, res, {
+      success: true,
+      provenance: record,
+      citation: provenanceService.cite(record),
+      lineage: lineage.slice(1)
+    }, {
+      title: 'Data Provenance',
+      description: 'Source, retrieval time, transformations and licence of a displayed value',
+      tableName: record.id
+    });
+  } catch (error) {
+    console.error('Error fetching provenance record:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch provenance record' });
+  }
+});
+
+// Surveillance observation store (scheduled ingestion)
+app.use('/api/surveillance', (req, res, next) => {
+  if (!app.locals.surveillanceIngestionService) {
+    return res.status(503).json({ success: false, error: 'Surveillance ingestion service not available' });
+  }
+  next();
+});
+
+app.get('/api/surveillance/observations', async (req, res) => {
+  try {
+    const { source, disease, geography, measure, year, period_from, period_to, as_of, limit = '1000' } = req.query;
+    if (!disease) {
+      return res.status(400).json({ success: false, error: 'disease is required' });
+    }
+
+    const observations = await app.locals.surveillanceIngestionService.getObservations({
+      source, disease, geography, measure, year, period_from, period_to, as_of,
+      limit: Math.min(parseInt(limit) || 1000, 10000)
+    });
+    res.json({ success: true, as_of: as_of || null, count: observations.length, observations });
+  } catch (error) {
+    if (error.code === 'INVALID_AS_OF') {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('Error querying surveillance observations:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Every stored revision of the matching series points, oldest first
+app.get('/api/surveillance/observations/history', async (req, res) => {
+  try {
+    const { source, disease, geography, period, measure, limit = '1000' } = req.query;
+    if (!source || !disease) {
+      return res.status(400).json({ success: false, error: 'source and disease are required' });
+    }
+
+    const revisions = await app.locals.surveillanceIngestionService.getObservationHistory({
+      source, disease, geography, period, measure,
+      limit: Math.min(parseInt(limit) || 1000, 10000)
+    });
+    res.json({ success: true, count: revisions.length, revisions });
+  } catch (error) {
+    console.error('Error querying observation history:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/surveillance/ingestion', async (req, res) => {
+  try {
+    const status = await app.locals.surveillanceIngestionService.getStatus();
+    res.json({ success: true, ingestion: status, timestamp: new Date().toISOString() });
+  } catch (error) {
+    console.error('Error getting ingestion status:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Run one ingestion job now (admin)
+app.post('/api/surveillance/ingestion/:jobId/run',
+  (req, res, next) => {
+    if (app.locals.auth?.authenticateToken) {
+      return app.locals.auth.authenticateToken(req, res, next);
+    }
+    return res.status(500).json({ error: 'Authentication service not initialized' });
+  },
+  (req, res, next) => {
+    if (app.locals.auth?.requireRole) {
+      return app.locals.auth.requireRole(['admin'])(req, res, next);
+    }
+    return res.status(500).json({ error: 'Authentication service not initialized' });
+  },
+  async (req, res) => {
+    try {
+      const ingestion = app.locals.surveillanceIngestionService;
+      const job = await app.locals.databaseService.getIngestionJob(req.params.jobId);
+      if (!job) {
+        return res.status(404).json({ success: false, error: `Unknown ingestion job: ${req.params.jobId}` });
+      }
+
+      const result = await ingestion.enqueue(job.id);
+      res.status(result.status === 'failed' ? 502 : 200).json({ success: result.status !== 'failed', run: result });
+    } catch (error) {
+      console.error('Error running ingestion job:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
 // =============================================================================
 // NEW COMPREHENSIVE HEALTH SERVICES API ENDPOINTS
 // =============================================================================
@@ -93,7 +93,7 @@ class CDCDataService {
 
   async initFetch() {
     if (!this.fetch) {
-      const { default: fetch } = await import('node-fetch');
+      const { fetch } = require('../utils/httpClient');
       this.fetch = fetch;
     }
   }
@@ -6,7 +6,7 @@
  * cancer, and other chronic conditions.
  */
 
-const axios = require('axios');
+const { axios } = require('../utils/httpClient');
 const { performance } = require('perf_hooks');
 
 class ChronicDiseaseApiService {
@@ -9,10 +9,43 @@
 const DatabaseService = require('./databaseService');
 const ChronicDiseaseApiService = require('./chronicDiseaseApiService');
 const { performance } = require('perf_hooks');
+const RISK_EQUATIONS = require('../data/cardiovascular_risk_equations.json');
+
+const MG_DL_TO_MMOL_L = 0.02586;
+
+// Ranges the PREVENT equations were developed and validated over. BMI enters only the heart
+// failure model, so a BMI outside its range leaves total CVD and ASCVD risk in place
+const PREVENT_RANGES = {
+    age: [30, 79],
+    totalChol: [130, 320],
+    hdlChol: [20, 100],
+    systolicBP: [90, 180],
+    egfr: [15, 140]
+};
+const PREVENT_BMI_RANGE = [18.5, 39.9];
+
+const QRISK3_RANGES = {
+    age: [25, 84],
+    bmi: [20, 40],
+    systolicBP: [70, 210],
+    cholesterolRatio: [1, 12],
+    townsend: [-7, 11]
+};
+
+const QRISK3_ETHNICITIES = Object.keys(RISK_EQUATIONS.qrisk3.female.ethnicity);
+
+// FINDRISC total points -> estimated 10-year risk of type 2 diabetes (Lindstrom & Tuomilehto 2003)
+const FINDRISC_CATEGORIES = [
+    { max: 6, level: 'low', percentage: 1, tenYearRisk: '1 in 100', recommendation: 'Continue healthy lifestyle' },
+    { max: 11, level: 'slightly_elevated', percentage: 4, tenYearRisk: '1 in 25', recommendation: 'Lifestyle advice on weight, diet and activity' },
+    { max: 14, level: 'moderate', percentage: 17, tenYearRisk: '1 in 6', recommendation: 'Lifestyle counselling; consider blood glucose testing' },
+    { max: 20, level: 'high', percentage: 33, tenYearRisk: '1 in 3', recommendation: 'Blood glucose testing (fasting glucose, HbA1c or OGTT) recommended' },
+    { max: Infinity, level: 'very_high', percentage: 50, tenYearRisk: '1 in 2', recommendation: 'Blood glucose testing (fasting glucose, HbA1c or OGTT) recommended' }
+];
 
 class ChronicDiseaseRiskService {
-    constructor() {
-        this.db = new DatabaseService();
+    constructor(databaseService = null) {
+        this.db = databaseService || new DatabaseService();
         this.chronicApi = new ChronicDiseaseApiService();
 
         // Clinical risk calculators and algorithms
@@ -20,12 +53,13 @@ class ChronicDiseaseRiskService {
             cardiovascular: {
                 framingham: this.calculateFraminghamRisk.bind(this),
                 ascvd: this.calculateASCVDRisk.bind(this), // American Heart Association/American College of Cardiology
+                prevent: this.calculatePREVENTRisk.bind(this), // AHA PREVENT (race-free, includes eGFR)
                 qrisk3: this.calculateQRisk3.bind(this), // UK-based cardiovascular risk
                 heartscore: this.calculateHeartScore.bind(this) // European Society of Cardiology
             },
             diabetes: {
                 ada: this.calculateADARisk.bind(this), // American Diabetes Association
-                findrisk: this.calculateFindRisk.bind(this), // Finnish Diabetes Risk Score
+                findrisc: this.calculateFINDRISC.bind(this), // Finnish Diabetes Risk Score
                 aric: this.calculateARICRisk.bind(this), // Atherosclerosis Risk in Communities
                 drs: this.calculateDiabetesRiskScore.bind(this)
             },
@@ -83,19 +117,30 @@ class ChronicDiseaseRiskService {
 
     /**
      * Calculate comprehensive chronic disease risk profile
+     * options.calculators limits each condition to named calculators,
+     * e.g. { cardiovascular: ['prevent', 'qrisk3'], diabetes: ['findrisc'] }
      */
-    async calculateComprehensiveRisk(userId, conditions = ['cardiovascular', 'diabetes', 'cancer']) {
+    async calculateComprehensiveRisk(userId, conditions = ['cardiovascular', 'diabetes', 'cancer'], options = {}) {
+        // Gather user data
+        const [userProfile, familyHistory, clinicalData, lifestyleData] = await Promise.all([
+            this.getUserProfile(userId),
+            this.getFamilyHistory(userId),
+            this.getClinicalData(userId),
+            this.getLifestyleData(userId)
+        ]);
+
+        return this.assessRisk(userId, { userProfile, familyHistory, clinicalData, lifestyleData }, conditions, options);
+    }
+
+    /**
+     * Risk profile from data already in hand, e.g. measurements a user entered for a one-off
+     * assessment. Takes the same conditions and options as calculateComprehensiveRisk.
+     */
+    async assessRisk(userId, data, conditions = ['cardiovascular', 'diabetes', 'cancer'], options = {}) {
         const startTime = performance.now();
+        const { userProfile = {}, familyHistory = {}, clinicalData = {}, lifestyleData = {} } = data;
 
         try {
-            // Gather user data
-            const [userProfile, familyHistory, clinicalData, lifestyleData] = await Promise.all([
-                this.getUserProfile(userId),
-                this.getFamilyHistory(userId),
-                this.getClinicalData(userId),
-                this.getLifestyleData(userId)
-            ]);
-
             const riskProfile = {
                 userId,
                 assessmentDate: new Date().toISOString(),
@@ -111,7 +156,8 @@ class ChronicDiseaseRiskService {
             for (const condition of conditions) {
                 if (this.riskCalculators[condition]) {
                     riskProfile.riskScores[condition] = await this.calculateConditionRisk(
-                        condition, userProfile, familyHistory, clinicalData, lifestyleData
+                        condition, userProfile, familyHistory, clinicalData, lifestyleData,
+                        options.calculators?.[condition]
                     );
 
                     riskProfile.riskCategories[condition] = this.categorizeRisk(
@@ -153,8 +199,8 @@ class ChronicDiseaseRiskService {
     /**
      * Calculate cardiovascular disease risk using multiple algorithms
      */
-    async calculateConditionRisk(condition, userProfile, familyHistory, clinicalData, lifestyleData) {
-        const calculators = this.riskCalculators[condition];
+    async calculateConditionRisk(condition, userProfile, familyHistory, clinicalData, lifestyleData, calculatorNames = null) {
+        const calculators = this.selectCalculators(condition, calculatorNames);
         const risks = {};
 
         for (const [calculatorName, calculator] of Object.entries(calculators)) {
@@ -166,8 +212,9 @@ class ChronicDiseaseRiskService {
             }
         }
 
-        // Combine multiple risk scores using weighted average
-        const validRisks = Object.entries(risks).filter(([_, risk]) => risk !== null);
+        // Combine multiple risk scores using weighted average; calculators that could not
+        // score (missing or out-of-range inputs) return score null and are left out
+        const validRisks = Object.entries(risks).filter(([_, risk]) => risk !== null && typeof risk.score === 'number');
 
         if (validRisks.length === 0) {
             return { score: null, confidence: 0 };
@@ -180,7 +227,7 @@ class ChronicDiseaseRiskService {
             score: averageRisk,
             confidence,
             individualScores: risks,
-            primaryCalculator: this.selectPrimaryCalculator(condition, userProfile),
+            primaryCalculator: this.selectPrimaryCalculator(condition, userProfile, Object.keys(calculators)),
             validationCount: validRisks.length
         };
     }
@@ -429,6 +476,307 @@ class ChronicDiseaseRiskService {
         };
     }
 
+    /**
+     * AHA PREVENT equations (Khan et al., Circulation 2024): 10-year total CVD, ASCVD and heart failure risk.
+     * Required: age 30-79, sex, total and HDL cholesterol, systolic BP and eGFR (or serum creatinine,
+     * converted with CKD-EPI 2021). BMI is needed only for heart failure, which is null without it or outside 18.5-39.9.
+     * Diabetes, current smoking and antihypertensive or statin use are treated as absent when not recorded.
+     */
+    async calculatePREVENTRisk(userProfile, familyHistory, clinicalData, lifestyleData) {
+        const age = this.calculateAge(userProfile.dateOfBirth);
+        const egfr = clinicalData.egfr ?? this.ckdEpi2021(clinicalData.creatinine, age, userProfile.sex);
+
+        const result = this.preventEquations({
+            age,
+            sex: userProfile.sex,
+            totalChol: clinicalData.cholesterol?.total,
+            hdlChol: clinicalData.cholesterol?.hdl,
+            systolicBP: clinicalData.bloodPressure?.systolic,
+            egfr,
+            bmi: clinicalData.bmi || this.calculateBMI(clinicalData.height, clinicalData.weight),
+            diabetes: clinicalData.diabetes,
+            smoking: lifestyleData.smoking?.current,
+            onBPMeds: clinicalData.medications?.includes('antihypertensive'),
+            onStatin: clinicalData.medications?.includes('statin')
+        });
+        if (result.score !== null && clinicalData.egfr == null) {
+            result.assumptions.push('eGFR estimated from serum creatinine (CKD-EPI 2021)');
+        }
+        return result;
+    }
+
+    preventEquations(inputs) {
+        const error = this.validateInputs('PREVENT', inputs,
+            ['age', 'sex', 'totalChol', 'hdlChol', 'systolicBP', 'egfr'], PREVENT_RANGES);
+        if (error) return error;
+
+        const assumptions = this.assumeAbsent(inputs, {
+            diabetes: 'diabetes', smoking: 'current smoking',
+            onBPMeds: 'antihypertensive use', onStatin: 'statin use'
+        });
+        const coefficients = RISK_EQUATIONS.prevent[inputs.sex];
+
+        const x = {
+            age: (inputs.age - 55) / 10,
+            non_hdl_c: (inputs.totalChol - inputs.hdlChol) * MG_DL_TO_MMOL_L - 3.5,
+            hdl_c: (inputs.hdlChol * MG_DL_TO_MMOL_L - 1.3) / 0.3,
+            sbp_below_110: (Math.min(inputs.systolicBP, 110) - 110) / 20,
+            sbp_above_110: (Math.max(inputs.systolicBP, 110) - 130) / 20,
+            diabetes: inputs.diabetes ? 1 : 0,
+            smoking: inputs.smoking ? 1 : 0,
+            egfr_below_60: (Math.min(inputs.egfr, 60) - 60) / -15,
+            egfr_above_60: (Math.max(inputs.egfr, 60) - 90) / -15,
+            bp_treatment: inputs.onBPMeds ? 1 : 0,
+            statin: inputs.onStatin ? 1 : 0
+        };
+        if (inputs.bmi != null) {
+            x.bmi_below_30 = (Math.min(inputs.bmi, 30) - 25) / 5;
+            x.bmi_above_30 = (Math.max(inputs.bmi, 30) - 30) / 5;
+            x.age_x_bmi = x.age * x.bmi_above_30;
+        }
+        x.bp_treatment_x_sbp = x.bp_treatment * x.sbp_above_110;
+        x.statin_x_non_hdl_c = x.statin * x.non_hdl_c;
+        x.age_x_non_hdl_c = x.age * x.non_hdl_c;
+        x.age_x_hdl_c = x.age * x.hdl_c;
+        x.age_x_sbp = x.age * x.sbp_above_110;
+        x.age_x_diabetes = x.age * x.diabetes;
+        x.age_x_smoking = x.age * x.smoking;
+        x.age_x_egfr = x.age * x.egfr_below_60;
+
+        const logistic = terms => {
+            const logOdds = Object.entries(terms)
+                .reduce((sum, [term, beta]) => sum + beta * (term === 'intercept' ? 1 : x[term]), 0);
+            return Math.round(1000 / (1 + Math.exp(-logOdds))) / 10;
+        };
+
+        const [bmiMin, bmiMax] = PREVENT_BMI_RANGE;
+        const bmiUsable = inputs.bmi != null && inputs.bmi >= bmiMin && inputs.bmi <= bmiMax;
+        const totalCVD = logistic(coefficients.total_cvd);
+        const ascvd = logistic(coefficients.ascvd);
+        const heartFailure = bmiUsable ? logistic(coefficients.heart_failure) : null;
+        if (inputs.bmi == null) {
+            assumptions.push('BMI not recorded: heart failure risk not calculated');
+        } else if (!bmiUsable) {
+            assumptions.push(`BMI ${inputs.bmi} outside ${bmiMin}-${bmiMax}: heart failure risk not calculated`);
+        }
+
+        return {
+            score: totalCVD,
+            category: this.categorizeASCVDRisk(ascvd),
+            totalCVD,
+            ascvd,
+            heartFailure,
+            horizon: '10-year',
+            assumptions,
+            factors: { ...inputs }
+        };
+    }
+
+    /**
+     * QRISK3-2017 (Hippisley-Cox et al., BMJ 2017): 10-year cardiovascular risk for UK users.
+     * Required: age 25-84, sex, BMI, systolic BP and total/HDL cholesterol ratio. Ethnicity defaults to
+     * white or not stated, Townsend deprivation to 0, SBP variability to the population centre, and
+     * every condition flag to absent; each default is listed in the result's assumptions.
+     */
+    async calculateQRisk3(userProfile, familyHistory, clinicalData, lifestyleData) {
+        const totalChol = clinicalData.cholesterol?.total;
+        const hdlChol = clinicalData.cholesterol?.hdl;
+        const smoking = lifestyleData.smoking || {};
+
+        let smokingCategory;
+        if (smoking.current) {
+            const perDay = smoking.cigarettesPerDay;
+            smokingCategory = perDay == null ? 3 : perDay < 10 ? 2 : perDay < 20 ? 3 : 4;
+        } else if (smoking.former) {
+            smokingCategory = 1;
+        } else if (smoking.current === false) {
+            smokingCategory = 0;
+        }
+
+        const result = this.qrisk3Equation({
+            age: this.calculateAge(userProfile.dateOfBirth),
+            sex: userProfile.sex,
+            ethnicity: userProfile.ethnicity,
+            townsend: userProfile.townsendScore,
+            bmi: clinicalData.bmi || this.calculateBMI(clinicalData.height, clinicalData.weight),
+            systolicBP: clinicalData.bloodPressure?.systolic,
+            systolicSD: clinicalData.bloodPressure?.systolicSD,
+            cholesterolRatio: totalChol && hdlChol ? totalChol / hdlChol : undefined,
+            smokingCategory,
+            diabetesType: clinicalData.diabetesType || (clinicalData.diabetes ? 'type2' : clinicalData.diabetes),
+            atrialFibrillation: clinicalData.atrialFibrillation,
+            atypicalAntipsychotic: clinicalData.medications?.includes('atypical_antipsychotic'),
+            corticosteroids: clinicalData.medications?.includes('corticosteroid'),
+            migraine: clinicalData.migraine,
+            rheumatoidArthritis: clinicalData.rheumatoidArthritis,
+            renal: clinicalData.chronicKidneyDisease,
+            severeMentalIllness: clinicalData.severeMentalIllness,
+            sle: clinicalData.lupus,
+            erectileDysfunction: clinicalData.erectileDysfunction,
+            treatedHypertension: clinicalData.medications?.includes('antihypertensive'),
+            familyHistory: familyHistory.heartDisease?.parent || familyHistory.heartDisease?.sibling
+        });
+        if (result.score !== null && smoking.current && smoking.cigarettesPerDay == null) {
+            result.assumptions.push('cigarettes per day not recorded: scored as a moderate smoker (10-19 a day)');
+        }
+        if (result.score !== null && clinicalData.diabetes && !clinicalData.diabetesType) {
+            result.assumptions.push('diabetes type not recorded: scored as type 2');
+        }
+        return result;
+    }
+
+    qrisk3Equation(inputs) {
+        const error = this.validateInputs('QRISK3', inputs,
+            ['age', 'sex', 'bmi', 'systolicBP', 'cholesterolRatio'], QRISK3_RANGES);
+        if (error) return error;
+        if (inputs.ethnicity != null && !QRISK3_ETHNICITIES.includes(inputs.ethnicity)) {
+            return { score: null, error: `QRISK3 ethnicity must be one of: ${QRISK3_ETHNICITIES.join(', ')}` };
+        }
+
+        const assumptions = this.assumeAbsent(inputs, {
+            smokingCategory: 'smoking', diabetesType: 'diabetes', atrialFibrillation: 'atrial fibrillation',
+            atypicalAntipsychotic: 'atypical antipsychotic use', corticosteroids: 'corticosteroid use', migraine: 'migraine',
+            rheumatoidArthritis: 'rheumatoid arthritis', renal: 'chronic kidney disease (stage 3-5)',
+            severeMentalIllness: 'severe mental illness', sle: 'systemic lupus erythematosus',
+            treatedHypertension: 'treated hypertension', familyHistory: 'family history of angina or heart attack in a first-degree relative under 60',
+            ...(inputs.sex === 'male' ? { erectileDysfunction: 'erectile dysfunction' } : {})
+        });
+        if (inputs.ethnicity == null) assumptions.push('ethnicity not recorded: scored as white or not stated');
+        if (inputs.townsend == null) assumptions.push('Townsend deprivation score not recorded: scored as 0');
+        if (inputs.systolicSD == null) assumptions.push('systolic BP variability not recorded: scored at the population centre');
+
+        const model = RISK_EQUATIONS.qrisk3[inputs.sex];
+        const centre = model.centre;
+        const power = (value, exponent) => exponent === 0 ? Math.log(value) : Math.pow(value, exponent);
+        const dage = inputs.age / 10;
+        const dbmi = inputs.bmi / 10;
+
+        const x = {
+            age_1: power(dage, model.age_powers[0]) - centre.age_1,
+            age_2: power(dage, model.age_powers[1]) - centre.age_2,
+            bmi_1: Math.pow(dbmi, -2) - centre.bmi_1,
+            bmi_2: Math.pow(dbmi, -2) * Math.log(dbmi) - centre.bmi_2,
+            ratio: inputs.cholesterolRatio - centre.ratio,
+            sbp: inputs.systolicBP - centre.sbp,
+            sbp_sd: (inputs.systolicSD ?? centre.sbp_sd) - centre.sbp_sd,
+            townsend: (inputs.townsend ?? 0) - centre.townsend,
+            atrial_fibrillation: inputs.atrialFibrillation ? 1 : 0,
+            atypical_antipsychotic: inputs.atypicalAntipsychotic ? 1 : 0,
+            corticosteroids: inputs.corticosteroids ? 1 : 0,
+            migraine: inputs.migraine ? 1 : 0,
+            rheumatoid_arthritis: inputs.rheumatoidArthritis ? 1 : 0,
+            renal: inputs.renal ? 1 : 0,
+            severe_mental_illness: inputs.severeMentalIllness ? 1 : 0,
+            sle: inputs.sle ? 1 : 0,
+            erectile_dysfunction: inputs.erectileDysfunction ? 1 : 0,
+            treated_hypertension: inputs.treatedHypertension ? 1 : 0,
+            type1_diabetes: inputs.diabetesType === 'type1' ? 1 : 0,
+            type2_diabetes: inputs.diabetesType === 'type2' ? 1 : 0,
+            family_history: inputs.familyHistory ? 1 : 0
+        };
+        const smokingCategory = inputs.smokingCategory || 0;
+        const value = term => term.startsWith('smoking_') ? (Number(term.slice(8)) === smokingCategory ? 1 : 0) : x[term];
+
+        let a = model.ethnicity[inputs.ethnicity || 'white_or_not_stated'] + model.smoking[smokingCategory];
+        Object.entries(model.terms).forEach(([term, beta]) => { a += beta * x[term]; });
+        Object.entries(model.age_1_interactions).forEach(([term, beta]) => { a += beta * x.age_1 * value(term); });
+        Object.entries(model.age_2_interactions).forEach(([term, beta]) => { a += beta * x.age_2 * value(term); });
+
+        const score = Math.round(1000 * (1 - Math.pow(model.baseline_survival, Math.exp(a)))) / 10;
+
+        return {
+            score,
+            // NICE CG181 offers statin treatment at a QRISK3 score of 10% or more
+            category: score >= 10 ? 'high' : 'low',
+            treatmentRecommended: score >= 10,
+            horizon: '10-year',
+            assumptions,
+            factors: { ...inputs, smokingCategory }
+        };
+    }
+
+    /**
+     * Finnish Diabetes Risk Score (Lindstrom & Tuomilehto, Diabetes Care 2003): 10-year type 2 diabetes risk.
+     * Age, sex, BMI and waist circumference are required. Unanswered questions score 0 points, are listed
+     * in unanswered, and maxPoints shows the highest score the answers could reach.
+     */
+    async calculateFINDRISC(userProfile, familyHistory, clinicalData, lifestyleData) {
+        const minutesPerDay = lifestyleData.physicalActivity?.minutesPerDay;
+        const diabetesHistory = familyHistory.diabetes;
+
+        let familyDiabetes;
+        if (diabetesHistory?.parent || diabetesHistory?.sibling || diabetesHistory?.child) {
+            familyDiabetes = 'first_degree';
+        } else if (diabetesHistory?.grandparent || diabetesHistory?.auntUncle || diabetesHistory?.cousin) {
+            familyDiabetes = 'second_degree';
+        } else if (diabetesHistory) {
+            familyDiabetes = 'none';
+        }
+
+        return this.findriscPoints({
+            age: this.calculateAge(userProfile.dateOfBirth),
+            sex: userProfile.sex,
+            bmi: clinicalData.bmi || this.calculateBMI(clinicalData.height, clinicalData.weight),
+            waist: clinicalData.waistCircumference,
+            dailyActivity: minutesPerDay != null ? minutesPerDay >= 30 : undefined,
+            dailyFruitVegetables: lifestyleData.diet?.dailyFruitVegetables,
+            antihypertensive: clinicalData.medications ? clinicalData.medications.includes('antihypertensive') : undefined,
+            highGlucoseHistory: clinicalData.highBloodGlucoseHistory ?? (clinicalData.gestationalDiabetes || undefined),
+            familyDiabetes
+        });
+    }
+
+    findriscPoints(inputs) {
+        const error = this.validateInputs('FINDRISC', inputs, ['age', 'sex', 'bmi', 'waist'], {});
+        if (error) return error;
+
+        const waistCutoffs = inputs.sex === 'male' ? [94, 102] : [80, 88];
+        let points = 0;
+
+        if (inputs.age > 64) points += 4;
+        else if (inputs.age >= 55) points += 3;
+        else if (inputs.age >= 45) points += 2;
+
+        if (inputs.bmi > 30) points += 3;
+        else if (inputs.bmi >= 25) points += 1;
+
+        if (inputs.waist > waistCutoffs[1]) points += 4;
+        else if (inputs.waist >= waistCutoffs[0]) points += 3;
+
+        // [input, points when present, whether the answer scores]
+        const questions = [
+            ['dailyActivity', 2, answer => answer === false],
+            ['dailyFruitVegetables', 1, answer => answer === false],
+            ['antihypertensive', 2, answer => answer === true],
+            ['highGlucoseHistory', 5, answer => answer === true],
+            ['familyDiabetes', 5, answer => answer === 'first_degree']
+        ];
+        const unanswered = [];
+        let unansweredPoints = 0;
+        questions.forEach(([input, value, scores]) => {
+            if (inputs[input] == null) {
+                unanswered.push(input);
+                unansweredPoints += value;
+            } else if (scores(inputs[input])) {
+                points += value;
+            }
+        });
+        if (inputs.familyDiabetes === 'second_degree') points += 3;
+
+        const category = FINDRISC_CATEGORIES.find(level => points <= level.max);
+
+        return {
+            score: category.percentage,
+            category: category.level,
+            points,
+            maxPoints: points + unansweredPoints,
+            tenYearRisk: category.tenYearRisk,
+            recommendation: category.recommendation,
+            unanswered,
+            factors: { ...inputs }
+        };
+    }
+
     // Helper methods for risk calculations
 
     framinghamPointsToRisk(points, sex) {
@@ -597,13 +945,47 @@ class ChronicDiseaseRiskService {
         return weight / (heightInMeters * heightInMeters);
     }
 
+    // CKD-EPI 2021 race-free eGFR (mL/min/1.73m2) from serum creatinine in mg/dL
+    ckdEpi2021(creatinine, age, sex) {
+        if (!creatinine || age == null || !['male', 'female'].includes(sex)) return undefined;
+        const kappa = sex === 'female' ? 0.7 : 0.9;
+        const alpha = sex === 'female' ? -0.241 : -0.302;
+        const ratio = creatinine / kappa;
+        return 142 * Math.pow(Math.min(ratio, 1), alpha) * Math.pow(Math.max(ratio, 1), -1.2) *
+               Math.pow(0.9938, age) * (sex === 'female' ? 1.012 : 1);
+    }
+
+    // Returns a { score: null, error } result when required inputs are missing or out of range
+    validateInputs(model, inputs, required, ranges) {
+        const missing = required.filter(input => inputs[input] == null || Number.isNaN(inputs[input]));
+        if (missing.length) {
+            return { score: null, error: `${model} requires: ${missing.join(', ')}`, missingInputs: missing };
+        }
+        if (!['male', 'female'].includes(inputs.sex)) {
+            return { score: null, error: `${model} requires sex to be male or female` };
+        }
+        const outOfRange = Object.entries(ranges)
+            .filter(([input, [min, max]]) => inputs[input] != null && (inputs[input] < min || inputs[input] > max))
+            .map(([input, [min, max]]) => `${input} ${inputs[input]} (valid ${min}-${max})`);
+        if (outOfRange.length) {
+            return { score: null, error: `${model} inputs out of range: ${outOfRange.join(', ')}` };
+        }
+        return null;
+    }
+
+    assumeAbsent(inputs, labels) {
+        return Object.entries(labels)
+            .filter(([input]) => inputs[input] == null)
+            .map(([, label]) => `${label} not recorded: treated as absent`);
+    }
+
     // Additional helper methods would be implemented here...
     // Including data retrieval, risk categorization, recommendation generation, etc.
 
     async getUserProfile(userId) {
         try {
             const query = 'SELECT * FROM users WHERE id = ?';
-            const users = await this.db.query(query, [userId]);
+            const users = await this.db.all(query, [userId]);
             return users[0] || {};
         } catch (error) {
             return {};
@@ -618,7 +1000,7 @@ class ChronicDiseaseRiskService {
                 JOIN diseases d ON fd.disease_id = d.id
                 WHERE fd.user_id = ?
             `;
-            const records = await this.db.query(query, [userId]);
+            const records = await this.db.all(query, [userId]);
 
             const familyHistory = {};
             records.forEach(record => {
@@ -645,7 +1027,7 @@ class ChronicDiseaseRiskService {
                 ORDER BY measurement_date DESC
                 LIMIT 1
             `;
-            const data = await this.db.query(query, [userId]);
+            const data = await this.db.all(query, [userId]);
             return data[0] || {};
         } catch (error) {
             return {};
@@ -660,7 +1042,7 @@ class ChronicDiseaseRiskService {
                 ORDER BY assessment_date DESC
                 LIMIT 1
             `;
-            const data = await this.db.query(query, [userId]);
+            const data = await this.db.all(query, [userId]);
             return data[0] || {};
         } catch (error) {
             return {};
@@ -827,9 +1209,7 @@ class ChronicDiseaseRiskService {
     }
 
     // Placeholder methods for other risk calculators
-    async calculateQRisk3() { return { score: null }; }
     async calculateHeartScore() { return { score: null }; }
-    async calculateFindRisk() { return { score: null }; }
     async calculateARICRisk() { return { score: null }; }
     async calculateDiabetesRiskScore() { return { score: null }; }
     async calculateTyrerCuzick() { return { score: null }; }
@@ -841,13 +1221,36 @@ class ChronicDiseaseRiskService {
     async calculateNAFLDRisk() { return { score: null }; }
     async calculateCKDRisk() { return { score: null }; }
 
-    selectPrimaryCalculator(condition, userProfile) {
+    // Calculator names by condition, as accepted by options.calculators
+    getCalculators() {
+        return Object.fromEntries(Object.entries(this.riskCalculators).map(([condition, calculators]) => [condition, Object.keys(calculators)]));
+    }
+
+    // Restricts a condition's calculators to the requested names; unknown names are an error
+    selectCalculators(condition, calculatorNames) {
+        const calculators = this.riskCalculators[condition];
+        if (!calculatorNames || calculatorNames.length === 0) return calculators;
+
+        const names = Array.isArray(calculatorNames) ? calculatorNames : [calculatorNames];
+        const unknown = names.filter(name => !calculators[name]);
+        if (unknown.length) {
+            const error = new Error(`Unknown ${condition} calculator(s): ${unknown.join(', ')}. Available: ${Object.keys(calculators).join(', ')}`);
+            error.code = 'RISK_INVALID';
+            throw error;
+        }
+        return Object.fromEntries(names.map(name => [name, calculators[name]]));
+    }
+
+    selectPrimaryCalculator(condition, userProfile, available = null) {
+        const ukUser = ['gb', 'uk'].includes(String(userProfile.country || '').toLowerCase());
         const primaryCalculators = {
-            cardiovascular: 'ascvd',
+            cardiovascular: ukUser ? 'qrisk3' : 'ascvd',
             diabetes: 'ada',
             cancer: 'gail'
         };
-        return primaryCalculators[condition] || 'framingham';
+        const primary = primaryCalculators[condition] || 'framingham';
+        if (available && !available.includes(primary)) return available[0];
+        return primary;
     }
 }
 
@@ -4,6 +4,8 @@
  * Provides alerts, search, and formatted trial information
  */
 
+const { fetch } = require('../utils/httpClient');
+
 class ClinicalTrialsService {
     constructor() {
         this.baseURL = 'https://clinicaltrials.gov/api/v2/studies';
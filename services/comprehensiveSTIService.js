@@ -114,7 +114,7 @@ class ComprehensiveSTIService {
 
   async initFetch() {
     if (!this.fetch) {
-      const { default: fetch } = await import('node-fetch');
+      const { fetch } = require('../utils/httpClient');
       this.fetch = fetch;
     }
   }
@@ -3,7 +3,7 @@
  * Integrates with multiple government health APIs for country/region-specific disease surveillance
  */
 
-const axios = require('axios');
+const { axios } = require('../utils/httpClient');
 
 class CountryHealthService {
     constructor() {
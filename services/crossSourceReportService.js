@@ -0,0 +1,232 @@
+/**
+ * Cross-Source Inconsistency Report
+ * Lines up what CDC, WHO, state portals, disease.sh and other sources report for the same
+ * disease, place and period, flags disagreements and series problems with their likely
+ * cause, and keeps analyst triage (resolved / dismissed) across report runs.
+ */
+
+const crypto = require('crypto');
+
+class CrossSourceReportService {
+  constructor(fusionEngine, orchestrator = null, databaseService = null) {
+    this.fusionEngine = fusionEngine;
+    this.orchestrator = orchestrator;
+    this.databaseService = databaseService;
+
+    this.statuses = ['open', 'resolved', 'dismissed'];
+  }
+
+  setDatabaseService(databaseService) {
+    this.databaseService = databaseService;
+  }
+
+  // Raw shapes of the fetched sources mapped onto the field names harmonization understands
+  normalizeRecord(record) {
+    if (record.SpatialDim !== undefined && record.NumericValue !== undefined) {
+      // WHO Global Health Observatory
+      return {
+        country: record.SpatialDim,
+        year: record.TimeDim,
+        value: record.NumericValue,
+        ...(record.Low !== undefined && record.High !== undefined && { value_lower: record.Low, value_upper: record.High })
+      };
+    }
+    if (record.updated !== undefined && record.country !== undefined && typeof record.cases === 'number') {
+      // disease.sh
+      return { country: record.country, cases: record.cases, deaths: record.deaths, date: new Date(record.updated).toISOString() };
+    }
+    return record;
+  }
+
+  async loadSources(options = {}) {
+    const { sourceData = null, disease = null, regions = ['global'], timeframe = 'current' } = options;
+
+    let sources = sourceData;
+    if (!sources) {
+      if (!disease || !this.orchestrator) {
+        throw new Error('sourceData or a disease to fetch is required');
+      }
+      const fetched = await this.orchestrator.processDiseaseData(disease, regions, timeframe, 'low');
+      sources = fetched.sources.map(source => ({ ...source, disease: source.disease || disease }));
+    }
+
+    return sources.map((source, index) => {
+      const sourceId = source.sourceId || source.source || `source_${index}`;
+      if (Array.isArray(source.data)) {
+        return { ...source, sourceId, data: source.data.map(record => this.normalizeRecord(record)) };
+      }
+      return { ...source, sourceId };
+    });
+  }
+
+  /**
+   * Rows a source repeats verbatim (same disease, place, date and values), keyed
+   * source|disease|geo_id so the classifier can attribute a 2x disagreement to them.
+   */
+  findDuplicateRows(sources) {
+    const engine = this.fusionEngine;
+    const keys = new Set();
+    const items = [];
+
+    sources.forEach(source => {
+      if (!Array.isArray(source.data)) return;
+      const seen = new Map();
+
+      source.data.forEach(record => {
+        const signature = JSON.stringify(Object.keys(record).sort().map(key => [key, record[key]]));
+        seen.set(signature, (seen.get(signature) || 0) + 1);
+      });
+
+      seen.forEach((count, signature) => {
+        if (count < 2) return;
+        const record = Object.fromEntries(JSON.parse(signature));
+        const disease = engine.classifyDisease(record.disease ?? source.disease, record.icd10)?.disease ||
+          record.disease || source.disease || 'unknown';
+        const geo = engine.resolveGeography(record.location ?? record.state ?? record.country ?? source.location);
+        const geography = geo?.geo_id || record.location || record.state || record.country || 'GLOBAL';
+        const date = engine.getRecordDate(record);
+
+        keys.add(`${source.sourceId}|${disease}|${geography}`);
+        items.push({
+          type: 'duplicate_rows',
+          disease,
+          geography,
+          period: date ? date.toISOString().slice(0, 10) : String(record.year ?? record.week ?? 'undated'),
+          field: null,
+          source: source.sourceId,
+          value: count,
+          likely_cause: 'duplicate',
+          evidence: `Identical row appears ${count} times`,
+          severity: 'medium'
+        });
+      });
+    });
+
+    return { keys, items };
+  }
+
+  itemId(item) {
+    const key = [item.type, item.pattern, item.disease, item.geography, item.period, item.field, item.source].join('|');
+    return crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Harmonize the sources, run the cross-source, pattern and geographic checks, and merge
+   * the findings with stored triage. A resolved item whose values changed is reopened.
+   */
+  async generateReport(options = {}) {
+    const engine = this.fusionEngine;
+    const checks = {
+      ...(options.tolerance !== undefined && { tolerance: Number(options.tolerance) }),
+      ...(options.min_absolute_difference !== undefined && { min_absolute_difference: Number(options.min_absolute_difference) })
+    };
+
+    const sources = await this.loadSources(options);
+    if (sources.length === 0) {
+      throw new Error('No source data to compare');
+    }
+
+    const duplicates = this.findDuplicateRows(sources);
+    const settings = engine.resolveHarmonizationSettings(sources, options.harmonization || {});
+    const harmonized = await engine.harmonizeData(sources, settings);
+
+    // Values fetched here (never caller-supplied ones) feed source reliability scoring
+    const tracker = engine.reliabilityTracker;
+    if (!options.sourceData && tracker?.databaseService) {
+      await tracker.recordReports(harmonized)
+        .catch(error => console.warn('Source reliability tracking failed:', error.message));
+    }
+
+    const findings = [
+      ...await engine.detectCrossSourceInconsistencies(harmonized, { ...checks, duplicates: duplicates.keys }),
+      ...await engine.detectPatternAnomalies(harmonized, checks),
+      ...await engine.detectGeographicAnomalies(harmonized, checks),
+      ...duplicates.items
+    ].map(item => ({ id: this.itemId(item), ...item }));
+
+    // Only findings from data fetched here are stored: caller-supplied values could otherwise
+    // reopen items an analyst already resolved. Caller reports still show the stored triage.
+    const persisted = Boolean(this.databaseService) && !options.sourceData;
+    const items = this.databaseService
+      ? await this.saveItems(findings, { persist: persisted })
+      : findings.map(item => ({ ...item, status: 'open' }));
+    const filtered = items.filter(item =>
+      (!options.status || item.status === options.status) &&
+      (!options.cause || item.likely_cause === options.cause));
+
+    const count = (list, key) => list.reduce((counts, item) => {
+      counts[item[key]] = (counts[item[key]] || 0) + 1;
+      return counts;
+    }, {});
+
+    return {
+      generated_at: new Date().toISOString(),
+      temporal_grid: settings.temporal_grid,
+      persisted: persisted,
+      tolerance: checks.tolerance ?? engine.consistencySettings.tolerance,
+      sources: harmonized.map(source => ({
+        source: source.sourceId,
+        records: Array.isArray(source.data) ? source.data.length : 1
+      })),
+      summary: {
+        total: items.length,
+        by_status: count(items, 'status'),
+        by_cause: count(items, 'likely_cause'),
+        by_type: count(items, 'type'),
+        by_source: count(items, 'source')
+      },
+      items: filtered
+    };
+  }
+
+  async saveItems(findings, options = {}) {
+    const { persist = true } = options;
+    const saved = [];
+    for (const finding of findings) {
+      const stored = await this.databaseService.getSourceInconsistency(finding.id);
+      let status = stored?.status || 'open';
+      let note = stored?.resolution_note || null;
+
+      if (persist && stored && status !== 'open' && JSON.stringify(stored.details.values ?? stored.details.value) !==
+          JSON.stringify(finding.values ?? finding.value)) {
+        status = 'open';
+        note = `Reopened: values changed since ${stored.status} on ${stored.resolved_at}`;
+      }
+
+      if (persist) {
+        await this.databaseService.upsertSourceInconsistency({ ...finding, status, resolution_note: note });
+      }
+      saved.push({
+        ...finding,
+        status,
+        resolution_note: note,
+        first_seen: stored?.first_seen || new Date().toISOString(),
+        ...(status !== 'open' && { resolved_by: stored.resolved_by, resolved_at: stored.resolved_at })
+      });
+    }
+    return saved;
+  }
+
+  async resolveItem(id, resolution = {}) {
+    const { status = 'resolved', note = null, userId = null } = resolution;
+    if (!this.statuses.includes(status)) {
+      throw new Error(`Status must be one of: ${this.statuses.join(', ')}`);
+    }
+    if (!this.databaseService) {
+      throw new Error('Resolving inconsistencies requires a database service');
+    }
+
+    const stored = await this.databaseService.getSourceInconsistency(id);
+    if (!stored) return null;
+
+    await this.databaseService.updateSourceInconsistencyStatus(id, { status, resolution_note: note, resolved_by: userId });
+    return this.databaseService.getSourceInconsistency(id);
+  }
+
+  async listItems(filters = {}) {
+    if (!this.databaseService) return [];
+    return this.databaseService.getSourceInconsistencies(filters);
+  }
+}
+
+module.exports = CrossSourceReportService;
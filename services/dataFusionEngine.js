@@ -1,3 +1,9 @@
+const Statistics = require('../utils/statistics');
+const diseaseVocabulary = require('../data/outbreak_disease_vocabulary.json');
+const icd10DiseaseCodes = require('../data/icd10_disease_codes.json');
+const gazetteer = require('../data/outbreak_gazetteer.json');
+const geographyCodes = require('../data/geography_codes.json');
+
 class DataFusionEngine {
   constructor() {
     // Advanced data fusion algorithms and strategies
@@ -48,13 +54,48 @@ class DataFusionEngine {
       'cross_source_inconsistencies': this.detectCrossSourceInconsistencies.bind(this)
     };
 
-    // Data harmonization rules
+    // Data harmonization rules, applied in this order
     this.harmonizationRules = {
-      'temporal_alignment': this.alignTemporalData.bind(this),
-      'geographic_standardization': this.standardizeGeographicData.bind(this),
-      'unit_conversion': this.convertUnits.bind(this),
       'classification_mapping': this.mapClassifications.bind(this),
-      'demographic_standardization': this.standardizeDemographics.bind(this)
+      'geographic_standardization': this.standardizeGeographicData.bind(this),
+      'demographic_standardization': this.standardizeDemographics.bind(this),
+      'temporal_alignment': this.alignTemporalData.bind(this),
+      'unit_conversion': this.convertUnits.bind(this)
+    };
+
+    this.harmonizationSettings = {
+      temporal_grid: 'auto', // 'epi_week', 'month', or 'auto' (month when any source is monthly or coarser)
+      rate_multiplier: 100000,
+      age_bands: ['0-4', '5-17', '18-49', '50-64', '65+'],
+      max_age: 100,
+      count_fields: ['cases', 'deaths', 'hospitalizations', 'tests', 'count', 'value'],
+      rate_fields: ['rate'] // incidence per period: additive over time, unchanged by age apportioning
+    };
+    this.classificationIndex = null;
+    this.geographyIndex = null;
+
+    // Bootstrap uncertainty: replicates of the joint resampling, and per source for the variance split
+    this.uncertaintySettings = {
+      replicates: 200,
+      decomposition_replicates: 50,
+      reported_ci_level: 0.95, // level assumed for source intervals that do not state one
+      seed: 42,
+      excluded_fields: [/_agreement$/, /_range$/, /^agreementThreshold$/, /^bandwidth_km$/, /^cross_validation_rmse$/, /^silhouette$/]
+    };
+
+    // Cross-source, pattern and geographic consistency checks
+    this.consistencySettings = {
+      fields: ['cases', 'deaths', 'rate', 'value'],
+      tolerance: 0.15, // relative disagreement allowed between sources
+      min_absolute_difference: 5, // ignore disagreements smaller than this many cases
+      lag_window_days: 42, // periods this recent may still be filling in
+      min_stable_periods: 3,
+      stable_ratio_cv: 0.15, // ratio spread (log scale) below which an offset counts as systematic
+      stale_run: 4,
+      level_change_ratio: 8,
+      min_places: 6,
+      neighbours: 5,
+      spatial_z_threshold: 3.5
     };
 
     // Confidence calculation parameters
@@ -74,6 +115,16 @@ class DataFusionEngine {
     // Historical data for baseline calculations
     this.baselines = new Map();
     this.trendModels = new Map();
+
+    // Learned per-source accuracy, bias and timeliness (SourceReliabilityService)
+    this.reliabilityTracker = null;
+
+    // Strategy failures already logged; bootstrap replicates repeat the same failure
+    this.reportedFailures = new Set();
+  }
+
+  setReliabilityTracker(tracker) {
+    this.reliabilityTracker = tracker;
   }
 
   async fuseMultiSourceData(sourceData, fusionConfig = {}) {
@@ -83,7 +134,13 @@ class DataFusionEngine {
       includeUncertainty = true,
       harmonizeData = true,
       detectAnomalies = true,
-      confidenceLevel = 0.95
+      confidenceLevel = 0.95,
+      harmonization = {},
+      strategyOptions = {},
+      uncertainty: uncertaintyOptions = {},
+      // Only for data the server fetched itself: recorded values become the reference
+      // other sources are scored against
+      trackReliability = false
     } = fusionConfig;
 
     try {
@@ -101,8 +158,23 @@ class DataFusionEngine {
 
       // Step 3: Data harmonization
       let harmonizedData = qualifiedSources;
+      let harmonizationSettings = null;
       if (harmonizeData) {
-        harmonizedData = await this.harmonizeData(qualifiedSources);
+        harmonizationSettings = this.resolveHarmonizationSettings(qualifiedSources, harmonization);
+        harmonizedData = await this.harmonizeData(qualifiedSources, harmonizationSettings);
+      }
+
+      // Step 3b: Record what each source reported and load its learned reliability profile
+      let reliability = {};
+      if (this.reliabilityTracker) {
+        try {
+          if (trackReliability && this.reliabilityTracker.databaseService) {
+            await this.reliabilityTracker.recordReports(harmonizedData, { trustFinality: fusionConfig.trustFinality === true });
+          }
+          reliability = await this.reliabilityTracker.getProfilesForSources(harmonizedData);
+        } catch (error) {
+          console.warn('Source reliability tracking failed:', error.message);
+        }
       }
 
       // Step 4: Anomaly detection
@@ -112,10 +184,11 @@ class DataFusionEngine {
       }
 
       // Step 5: Apply fusion strategy
-      const fusedData = await this.fusionStrategies[strategy](
-        harmonizedData,
-        { qualityAssessment, anomalies, confidenceLevel }
-      );
+      if (!this.fusionStrategies[strategy]) {
+        throw new Error(`Unknown fusion strategy: ${strategy}`);
+      }
+      const fusionOptions = { ...strategyOptions, qualityAssessment, anomalies, confidenceLevel, reliability };
+      const fusedData = await this.fusionStrategies[strategy](harmonizedData, fusionOptions);
 
       // Step 6: Calculate overall confidence
       const confidence = await this.calculateOverallConfidence(
@@ -127,7 +200,16 @@ class DataFusionEngine {
       // Step 7: Uncertainty quantification
       let uncertainty = null;
       if (includeUncertainty) {
-        uncertainty = await this.quantifyUncertainty(harmonizedData, fusedData);
+        // Replicates start from the raw qualified sources so observations and reported
+        // intervals are perturbed before harmonization regroups them
+        const report = fusedData.uncertainty || await this.quantifyUncertainty(qualifiedSources, fusedData, {
+          ...uncertaintyOptions,
+          strategy,
+          strategyOptions: fusionOptions,
+          confidenceLevel,
+          prepare: harmonizeData ? sources => this.harmonizeData(sources, harmonizationSettings) : null
+        });
+        uncertainty = this.attachUncertainty(fusedData, report);
       }
 
       return {
@@ -141,6 +223,20 @@ class DataFusionEngine {
           anomalies: anomalies,
           confidence: confidence,
           uncertainty: uncertainty,
+          reliability: Object.fromEntries(Object.entries(reliability).map(([sourceId, profile]) => [sourceId, {
+            score: profile.score,
+            accuracy: profile.accuracy,
+            bias: profile.bias,
+            timeliness: profile.timeliness,
+            evaluations: profile.evaluations,
+            level: profile.level
+          }])),
+          harmonization: harmonizationSettings ? {
+            temporal_grid: harmonizationSettings.temporal_grid,
+            rate_multiplier: harmonizationSettings.rate_multiplier,
+            age_bands: harmonizationSettings.age_bands,
+            transformations: harmonizedData.flatMap(source => source.harmonization || [])
+          } : null,
           processingTime: Date.now(),
           version: '1.0.0'
         }
@@ -170,160 +266,1850 @@ class DataFusionEngine {
     const aggregated = {};
     const fields = this.extractNumericFields(sources);
 
-    fields.forEach(field => {
-      let weightedSum = 0;
-      let totalWeight = 0;
+    fields.forEach(field => {
+      let weightedSum = 0;
+      let totalWeight = 0;
+
+      sources.forEach((source, index) => {
+        const value = this.extractFieldValue(source, field);
+        if (value !== null && !isNaN(value)) {
+          weightedSum += value * normalizedWeights[index];
+          totalWeight += normalizedWeights[index];
+        }
+      });
+
+      if (totalWeight > 0) {
+        aggregated[field] = weightedSum / totalWeight;
+      }
+    });
+
+    return {
+      ...aggregated,
+      fusionMethod: 'weighted_average',
+      weights: normalizedWeights,
+      sourceContributions: this.calculateSourceContributions(sources, normalizedWeights)
+    };
+  }
+
+  async bayesianFusion(sources, options = {}) {
+    // Bayesian data fusion with prior knowledge
+    const priors = await this.calculateBayesianPriors(sources);
+    const likelihoods = await this.calculateLikelihoods(sources, options);
+
+    const posterior = {};
+    const fields = this.extractNumericFields(sources);
+
+    fields.forEach(field => {
+      const prior = priors[field] || { mean: 0, variance: 1000 };
+      const reported = sources
+        .map((source, index) => ({
+          value: this.extractFieldValue(source, field),
+          relativeVariance: likelihoods[field]?.[index] ?? null
+        }))
+        .filter(item => item.value !== null && !isNaN(item.value));
+      const observations = reported.map(item => item.value);
+
+      if (observations.length > 0) {
+        // Bayesian update
+        let observationMean = observations.reduce((sum, val) => sum + val, 0) / observations.length;
+        const observationVariance = this.calculateVariance(observations);
+        let observationPrecision = observations.length / observationVariance;
+
+        // Sources with a reliability history contribute with their learned error variance;
+        // the others keep the pooled sample variance
+        const learned = reported.filter(item => item.relativeVariance !== null);
+        if (learned.length > 0) {
+          const fallbackRelative = Statistics.median(learned.map(item => item.relativeVariance));
+          const precisions = reported.map(item => {
+            const variance = item.relativeVariance !== null || !(observationVariance > 0)
+              ? (item.relativeVariance ?? fallbackRelative) * Math.max(item.value * item.value, 1)
+              : observationVariance;
+            return 1 / variance;
+          });
+          observationPrecision = precisions.reduce((sum, p) => sum + p, 0);
+          observationMean = reported.reduce((sum, item, i) => sum + item.value * precisions[i], 0) / observationPrecision;
+        }
+
+        // Posterior calculation
+        const priorPrecision = 1 / prior.variance;
+
+        const posteriorPrecision = priorPrecision + observationPrecision;
+        const posteriorMean = (priorPrecision * prior.mean + observationPrecision * observationMean) / posteriorPrecision;
+        const posteriorVariance = 1 / posteriorPrecision;
+
+        posterior[field] = {
+          mean: posteriorMean,
+          variance: posteriorVariance,
+          confidence: Math.min(0.99, 1 - posteriorVariance / prior.variance)
+        };
+      }
+    });
+
+    return {
+      ...Object.fromEntries(Object.entries(posterior).map(([key, val]) => [key, val.mean])),
+      fusionMethod: 'bayesian',
+      posteriorDistributions: posterior,
+      priors: priors
+    };
+  }
+
+  async ensembleFusion(sources, options = {}) {
+    // Ensemble of multiple fusion methods
+    const strategies = ['weighted_average', 'bayesian_fusion', 'consensus_fusion'];
+    const results = {};
+
+    for (const strategy of strategies) {
+      if (this.fusionStrategies[strategy] && strategy !== 'ensemble_fusion') {
+        try {
+          const result = await this.fusionStrategies[strategy](sources, options);
+          results[strategy] = result;
+        } catch (error) {
+          console.warn(`Ensemble strategy ${strategy} failed:`, error.message);
+        }
+      }
+    }
+
+    // Combine results using meta-learning approach
+    const ensembleResult = await this.combineEnsembleResults(results, sources);
+
+    return {
+      ...ensembleResult,
+      fusionMethod: 'ensemble',
+      memberResults: results,
+      ensembleWeights: this.calculateEnsembleWeights(results, sources)
+    };
+  }
+
+  async consensusFusion(sources, options = {}) {
+    // Consensus-based fusion using agreement analysis
+    const fields = this.extractNumericFields(sources);
+    const consensus = {};
+
+    fields.forEach(field => {
+      const values = sources
+        .map(source => this.extractFieldValue(source, field))
+        .filter(value => value !== null && !isNaN(value));
+
+      if (values.length >= 2) {
+        // Calculate consensus metrics
+        const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
+        const median = this.calculateMedian(values);
+        const agreement = this.calculateAgreement(values);
+
+        // Choose consensus value based on agreement
+        consensus[field] = agreement > 0.8 ? mean : median;
+        consensus[`${field}_agreement`] = agreement;
+        consensus[`${field}_range`] = Math.max(...values) - Math.min(...values);
+      }
+    });
+
+    return {
+      ...consensus,
+      fusionMethod: 'consensus',
+      agreementThreshold: 0.8,
+      consensusMetrics: this.calculateConsensusMetrics(sources)
+    };
+  }
+
+  async timeSeriesFusion(sources, options = {}) {
+    // Time series-aware fusion with temporal weighting
+    const timeWeights = sources.map(source => this.calculateTemporalWeight(source));
+    const trendAdjustments = await this.calculateTrendAdjustments(sources);
+
+    const fusedTimeSeries = {};
+    const fields = this.extractNumericFields(sources);
+
+    fields.forEach(field => {
+      const timeSeriesData = sources.map((source, index) => ({
+        value: this.extractFieldValue(source, field),
+        timestamp: source.timestamp,
+        weight: timeWeights[index],
+        trendAdjustment: trendAdjustments[index]
+      })).filter(item => item.value !== null);
+
+      if (timeSeriesData.length > 0) {
+        // Apply temporal fusion algorithm
+        fusedTimeSeries[field] = this.fuseTemporalData(timeSeriesData);
+      }
+    });
+
+    return {
+      ...fusedTimeSeries,
+      fusionMethod: 'time_series',
+      temporalWeights: timeWeights,
+      trendAdjustments: trendAdjustments
+    };
+  }
+
+  // ============ GEOGRAPHIC FUSION ============
+
+  resolveSpatialField(sources, options = {}) {
+    if (options.field) return options.field;
+    const records = sources.flatMap(source => (Array.isArray(source.data) ? source.data : [source]));
+    return ['rate', 'cases', 'value'].find(field => records.some(record => typeof record[field] === 'number')) || 'cases';
+  }
+
+  /**
+   * One located observation per source and place, taken from the latest period unless
+   * options.period is set. Coordinates come from the record or the canonical geography.
+   */
+  extractSpatialPoints(sources, options = {}) {
+    const field = this.resolveSpatialField(sources, options);
+    const points = [];
+
+    sources.forEach((source, index) => {
+      const records = Array.isArray(source.data) ? source.data : [source];
+      const latest = new Map();
+
+      records.forEach(record => {
+        if (options.disease && (record.disease ?? source.disease) !== options.disease) return;
+        if (options.period && record.period !== options.period) return;
+
+        const value = record[field];
+        if (typeof value !== 'number' || isNaN(value)) return;
+
+        const geo = record.geo_id
+          ? record
+          : this.resolveGeography(record.location ?? record.state ?? record.country ?? source.location) || {};
+        const latitude = record.latitude ?? geo.latitude;
+        const longitude = record.longitude ?? geo.longitude;
+        if (typeof latitude !== 'number' || typeof longitude !== 'number') return;
+
+        const key = geo.geo_id || `${latitude.toFixed(4)},${longitude.toFixed(4)}`;
+        const current = latest.get(key);
+        if (current && (current.period || '') >= (record.period || '')) return;
+
+        latest.set(key, {
+          key: key,
+          sourceId: source.sourceId || source.source || `source_${index}`,
+          geo_id: geo.geo_id || null,
+          geo_name: geo.geo_name || record.location || null,
+          geo_level: geo.geo_level || null,
+          country_code: geo.country_code || null,
+          latitude: latitude,
+          longitude: longitude,
+          value: value,
+          period: record.period || null,
+          weight: source.metadata?.reliability ?? 1
+        });
+      });
+
+      points.push(...latest.values());
+    });
+
+    return { field, points };
+  }
+
+  // Reliability-weighted mean of observations reported for the same place by several sources
+  mergeColocatedPoints(points) {
+    const merged = new Map();
+    points.forEach(point => {
+      if (!merged.has(point.key)) merged.set(point.key, { ...point, sources: [], totalWeight: 0, weightedValue: 0 });
+      const entry = merged.get(point.key);
+      entry.sources.push(point.sourceId);
+      entry.totalWeight += point.weight;
+      entry.weightedValue += point.value * point.weight;
+    });
+
+    return Array.from(merged.values()).map(({ totalWeight, weightedValue, sourceId, ...entry }) => ({
+      ...entry,
+      value: totalWeight > 0 ? weightedValue / totalWeight : entry.value,
+      weight: totalWeight
+    }));
+  }
+
+  pointDistance(a, b) {
+    return Statistics.haversineDistance(a.latitude, a.longitude, b.latitude, b.longitude);
+  }
+
+  /**
+   * Places to estimate: explicit options.targets (names, codes or {latitude, longitude}), or
+   * every canonical place at the observations' level (same country for subnational data)
+   * that has no report.
+   */
+  getInterpolationTargets(points, options = {}) {
+    if (Array.isArray(options.targets)) {
+      return options.targets.map(target => {
+        if (typeof target === 'object' && typeof target.latitude === 'number') {
+          return { geo_id: target.geo_id || null, geo_name: target.name || target.geo_name || null, ...target };
+        }
+        return this.resolveGeography(target);
+      }).filter(target => target && typeof target.latitude === 'number');
+    }
+
+    const levels = points.map(point => point.geo_level).filter(Boolean);
+    if (!levels.length) return [];
+    const level = levels.sort((a, b) => levels.filter(l => l === b).length - levels.filter(l => l === a).length)[0];
+    const countries = new Set(points.map(point => point.country_code));
+    const reported = new Set(points.map(point => point.geo_id));
+
+    return this.getGeographyIndex().all.filter(geo =>
+      geo.geo_level === level &&
+      !reported.has(geo.geo_id) &&
+      (level === 'country' || countries.has(geo.country_code)) &&
+      typeof geo.latitude === 'number'
+    );
+  }
+
+  inverseDistanceWeighting(points, target, options = {}) {
+    const { power = 2, neighbours = null, max_distance_km = null } = options;
+
+    let candidates = points
+      .map(point => ({ point, distance: this.pointDistance(point, target) }))
+      .filter(candidate => !max_distance_km || candidate.distance <= max_distance_km)
+      .sort((a, b) => a.distance - b.distance);
+    if (neighbours) candidates = candidates.slice(0, neighbours);
+    if (!candidates.length) return null;
+
+    if (candidates[0].distance < 1e-6) {
+      return { value: candidates[0].point.value, neighbours: 1, nearest_km: 0 };
+    }
+
+    let weightSum = 0;
+    let valueSum = 0;
+    candidates.forEach(({ point, distance }) => {
+      const weight = 1 / Math.pow(distance, power);
+      weightSum += weight;
+      valueSum += weight * point.value;
+    });
+
+    return { value: valueSum / weightSum, neighbours: candidates.length, nearest_km: candidates[0].distance };
+  }
+
+  variogramValue(variogram, h) {
+    if (h <= 0) return 0;
+    const { model, nugget, partial_sill: psill, range } = variogram;
+    return nugget + psill * this.variogramShape(model, h, range);
+  }
+
+  variogramShape(model, h, range) {
+    switch (model) {
+      case 'spherical':
+        return h >= range ? 1 : 1.5 * h / range - 0.5 * Math.pow(h / range, 3);
+      case 'gaussian':
+        return 1 - Math.exp(-3 * Math.pow(h / range, 2));
+      default: // exponential, with range as the practical range
+        return 1 - Math.exp(-3 * h / range);
+    }
+  }
+
+  /**
+   * Empirical semivariogram in distance bins, then spherical, exponential and Gaussian models
+   * fitted by weighted least squares (weights N_h / h^2); the best-fitting model is kept.
+   */
+  fitVariogram(points, options = {}) {
+    const pairs = [];
+    for (let i = 0; i < points.length; i++) {
+      for (let j = i + 1; j < points.length; j++) {
+        pairs.push({ distance: this.pointDistance(points[i], points[j]), semivariance: Math.pow(points[i].value - points[j].value, 2) / 2 });
+      }
+    }
+
+    const maxDistance = Math.max(...pairs.map(pair => pair.distance));
+    const maxLag = options.max_lag_km || maxDistance / 2;
+    const lagCount = options.lags || 10;
+    const width = maxLag / lagCount;
+
+    const empirical = Array.from({ length: lagCount }, () => ({ distance: 0, semivariance: 0, pairs: 0 }));
+    pairs.forEach(pair => {
+      const bin = Math.floor(pair.distance / width);
+      if (bin >= lagCount) return;
+      empirical[bin].distance += pair.distance;
+      empirical[bin].semivariance += pair.semivariance;
+      empirical[bin].pairs++;
+    });
+    const lags = empirical.filter(bin => bin.pairs > 0).map(bin => ({
+      distance: bin.distance / bin.pairs,
+      semivariance: bin.semivariance / bin.pairs,
+      pairs: bin.pairs
+    }));
+
+    if (lags.length < 2) {
+      throw new Error('Not enough point pairs to fit a variogram');
+    }
+
+    const variance = this.calculateVariance(points.map(point => point.value));
+    let best = null;
+
+    ['spherical', 'exponential', 'gaussian'].forEach(model => {
+      for (let step = 1; step <= 30; step++) {
+        const range = maxLag * 1.5 * step / 30;
+        const w = lags.map(lag => lag.pairs / Math.pow(lag.distance || width, 2));
+        const f = lags.map(lag => this.variogramShape(model, lag.distance, range));
+        const g = lags.map(lag => lag.semivariance);
+
+        // Weighted least squares for gamma = nugget + psill * f, both constrained >= 0
+        const sw = w.reduce((s, wi) => s + wi, 0);
+        const swf = w.reduce((s, wi, i) => s + wi * f[i], 0);
+        const swff = w.reduce((s, wi, i) => s + wi * f[i] * f[i], 0);
+        const swg = w.reduce((s, wi, i) => s + wi * g[i], 0);
+        const swfg = w.reduce((s, wi, i) => s + wi * f[i] * g[i], 0);
+        const det = sw * swff - swf * swf;
+
+        let nugget = det !== 0 ? (swg * swff - swf * swfg) / det : 0;
+        let psill = det !== 0 ? (sw * swfg - swf * swg) / det : 0;
+        if (nugget < 0) {
+          nugget = 0;
+          psill = swff > 0 ? swfg / swff : 0;
+        }
+        if (psill <= 0) {
+          psill = variance * 1e-6 || 1e-6;
+          nugget = Math.max(0, (swg - psill * swf) / sw);
+        }
+
+        const sse = w.reduce((s, wi, i) => s + wi * Math.pow(g[i] - nugget - psill * f[i], 2), 0);
+        if (!best || sse < best.sse) {
+          best = { model, nugget, partial_sill: psill, sill: nugget + psill, range, sse };
+        }
+      }
+    });
+
+    return { ...best, empirical: lags, max_lag_km: maxLag };
+  }
+
+  /**
+   * Ordinary kriging with a fitted variogram. Returns estimates with kriging variances and
+   * leave-one-out residuals from the inverse of the full system (Dubrule, 1983).
+   */
+  krige(points, targets, options = {}) {
+    const variogram = options.variogram || this.fitVariogram(points, options);
+    const n = points.length;
+
+    const matrix = Array.from({ length: n + 1 }, (_, i) => Array.from({ length: n + 1 }, (_, j) => {
+      if (i === n && j === n) return 0;
+      if (i === n || j === n) return 1;
+      return this.variogramValue(variogram, this.pointDistance(points[i], points[j]));
+    }));
+    const inverse = Statistics.invertMatrix(matrix);
+    if (!inverse) {
+      throw new Error('Kriging system is singular; check for duplicate locations');
+    }
+
+    const z = Statistics.normalQuantile(1 - (1 - (options.confidenceLevel || 0.95)) / 2);
+    const estimates = targets.map(target => {
+      const rhs = [...points.map(point => this.variogramValue(variogram, this.pointDistance(point, target))), 1];
+      const solution = inverse.map(row => row.reduce((sum, value, j) => sum + value * rhs[j], 0));
+      const weights = solution.slice(0, n);
+      const value = weights.reduce((sum, weight, i) => sum + weight * points[i].value, 0);
+      const variance = Math.max(0, weights.reduce((sum, weight, i) => sum + weight * rhs[i], 0) + solution[n]);
+
+      return { value, variance, lower: value - z * Math.sqrt(variance), upper: value + z * Math.sqrt(variance) };
+    });
+
+    const augmented = [...points.map(point => point.value), 0];
+    const residuals = points.map((_, i) => inverse[i].reduce((sum, value, j) => sum + value * augmented[j], 0) / inverse[i][i]);
+
+    return { variogram, estimates, residuals };
+  }
+
+  summarizeResiduals(residuals) {
+    const finite = residuals.filter(value => Number.isFinite(value));
+    if (!finite.length) return null;
+    return {
+      n: finite.length,
+      rmse: Math.sqrt(finite.reduce((sum, r) => sum + r * r, 0) / finite.length),
+      mae: finite.reduce((sum, r) => sum + Math.abs(r), 0) / finite.length
+    };
+  }
+
+  toOverlayPoint(location, field, value, extra = {}) {
+    return {
+      location: location.geo_name || location.geo_id,
+      geo_id: location.geo_id || null,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      [field]: value,
+      ...extra
+    };
+  }
+
+  async spatialInterpolation(sources, options = {}) {
+    const { method = 'kriging', confidenceLevel = 0.95, min_kriging_points = 6 } = options;
+    const extracted = this.extractSpatialPoints(sources, options);
+    const field = extracted.field;
+    const points = this.mergeColocatedPoints(extracted.points);
+
+    if (points.length < 3) {
+      throw new Error('Spatial interpolation needs at least 3 located observations');
+    }
+
+    const targets = this.getInterpolationTargets(points, options);
+    // Kriging needs enough pairs for a variogram; fall back to IDW for sparse data
+    const applied = method === 'kriging' && points.length >= min_kriging_points ? 'kriging' : 'idw';
+
+    let estimates;
+    let residuals;
+    let variogram = null;
+
+    if (applied === 'kriging') {
+      const result = this.krige(points, targets, { ...options, confidenceLevel });
+      variogram = result.variogram;
+      residuals = result.residuals;
+      estimates = targets.map((target, i) => ({ ...target, ...result.estimates[i] }));
+    } else {
+      estimates = targets
+        .map(target => ({ ...target, ...this.inverseDistanceWeighting(points, target, options) }))
+        .filter(estimate => estimate.value !== undefined);
+      residuals = points.map((point, i) => {
+        const others = points.filter((_, j) => j !== i);
+        const loo = this.inverseDistanceWeighting(others, point, options);
+        return loo ? point.value - loo.value : NaN;
+      });
+    }
+
+    return {
+      fusionMethod: 'spatial_interpolation',
+      method: applied,
+      field: field,
+      observations: points.map(({ key, ...point }) => point),
+      estimates: estimates.map(estimate => ({ ...estimate, interpolated: true })),
+      variogram: variogram,
+      cross_validation: this.summarizeResiduals(residuals),
+      overlayPoints: [
+        ...points.map(point => this.toOverlayPoint(point, field, point.value, { interpolated: false })),
+        ...estimates.map(estimate => this.toOverlayPoint(estimate, field, estimate.value, {
+          interpolated: true,
+          ...(estimate.lower !== undefined && { lower: estimate.lower, upper: estimate.upper })
+        }))
+      ]
+    };
+  }
+
+  kernelWeight(kernel, distance, bandwidth) {
+    const u = distance / bandwidth;
+    if (kernel === 'bisquare') return u < 1 ? Math.pow(1 - u * u, 2) : 0;
+    return Math.exp(-0.5 * u * u);
+  }
+
+  /**
+   * Geographically weighted average: each place's estimate pools every source's observation
+   * with a distance kernel times the source's reliability. Without a bandwidth, the fixed
+   * bandwidth minimizing the leave-one-location-out error is chosen.
+   */
+  async geographicWeighting(sources, options = {}) {
+    const { kernel = 'gaussian', bandwidth_km = null, neighbours = null } = options;
+    const { field, points } = this.extractSpatialPoints(sources, options);
+    const locations = this.mergeColocatedPoints(points);
+
+    if (locations.length < 2) {
+      throw new Error('Geographic weighting needs observations from at least 2 places');
+    }
+
+    const estimateAt = (location, bandwidth, excludeOwn = false) => {
+      let weightSum = 0;
+      let weightSquares = 0;
+      let valueSum = 0;
+      const contributions = [];
+
+      points.forEach(point => {
+        if (excludeOwn && point.key === location.key) return;
+        const weight = this.kernelWeight(kernel, this.pointDistance(point, location), bandwidth) * point.weight;
+        if (weight <= 0) return;
+        weightSum += weight;
+        weightSquares += weight * weight;
+        valueSum += weight * point.value;
+        contributions.push({ sourceId: point.sourceId, geo_id: point.geo_id, value: point.value, weight });
+      });
+
+      if (weightSum === 0) return null;
+      const value = valueSum / weightSum;
+      const spread = contributions.reduce((sum, c) => sum + c.weight * Math.pow(c.value - value, 2), 0) / weightSum;
+
+      return {
+        value,
+        effective_n: weightSum * weightSum / weightSquares,
+        local_sd: Math.sqrt(spread),
+        contributions: contributions
+          .sort((a, b) => b.weight - a.weight)
+          .slice(0, 5)
+          .map(({ value: contributed, ...c }) => ({ ...c, share: c.weight / weightSum }))
+      };
+    };
+
+    // Adaptive bandwidths reach the k-th nearest other place
+    const adaptiveBandwidth = location => {
+      const distances = locations.filter(other => other.key !== location.key)
+        .map(other => this.pointDistance(other, location))
+        .sort((a, b) => a - b);
+      return distances[Math.min(neighbours, distances.length) - 1] || 1;
+    };
+
+    let bandwidth = bandwidth_km;
+    let selection = bandwidth_km ? 'fixed' : neighbours ? 'adaptive' : 'cross_validation';
+    let cvScore = null;
+
+    if (!bandwidth && !neighbours) {
+      const distances = [];
+      for (let i = 0; i < locations.length; i++) {
+        for (let j = i + 1; j < locations.length; j++) distances.push(this.pointDistance(locations[i], locations[j]));
+      }
+      const candidates = [0.05, 0.1, 0.2, 0.3, 0.4, 0.5, 0.75, 1].map(p => Statistics.quantile(distances, p)).filter(d => d > 0);
+
+      candidates.forEach(candidate => {
+        const errors = locations.map(location => {
+          const estimate = estimateAt(location, candidate, true);
+          return estimate ? Math.pow(location.value - estimate.value, 2) : null;
+        }).filter(error => error !== null);
+        if (errors.length < locations.length / 2) return;
+
+        const score = Math.sqrt(errors.reduce((sum, e) => sum + e, 0) / errors.length);
+        if (cvScore === null || score < cvScore) {
+          cvScore = score;
+          bandwidth = candidate;
+        }
+      });
+
+      if (!bandwidth) {
+        bandwidth = Math.max(...distances);
+      }
+    }
+
+    const estimates = locations.map(location => {
+      const estimate = estimateAt(location, bandwidth || adaptiveBandwidth(location));
+      return {
+        geo_id: location.geo_id,
+        geo_name: location.geo_name,
+        latitude: location.latitude,
+        longitude: location.longitude,
+        observed: location.value,
+        reporting_sources: location.sources,
+        bandwidth_km: bandwidth || adaptiveBandwidth(location),
+        ...estimate
+      };
+    });
+
+    return {
+      fusionMethod: 'geographic_weighting',
+      field: field,
+      kernel: kernel,
+      bandwidth_km: bandwidth,
+      bandwidth_selection: selection,
+      cross_validation_rmse: cvScore,
+      estimates: estimates,
+      overlayPoints: estimates.map(estimate => this.toOverlayPoint(estimate, field, estimate.value, {
+        observed: estimate.observed,
+        local_sd: estimate.local_sd
+      }))
+    };
+  }
+
+  /**
+   * Cluster regions by their disease profile (mean value per disease, standardized).
+   * k-means picks k by silhouette when not given; DBSCAN derives eps from the k-distance knee.
+   */
+  async clusterAnalysis(sources, options = {}) {
+    const { method = 'kmeans', min_points = 3, seed = 42 } = options;
+    const field = this.resolveSpatialField(sources, options);
+
+    const regions = new Map();
+    const diseases = new Set();
+    sources.forEach(source => {
+      (Array.isArray(source.data) ? source.data : [source]).forEach(record => {
+        const value = record[field];
+        const disease = record.disease ?? source.disease;
+        if (typeof value !== 'number' || isNaN(value) || !disease) return;
+
+        const geo = record.geo_id ? record : this.resolveGeography(record.location ?? record.state ?? record.country ?? source.location);
+        if (!geo?.geo_id) return;
+
+        if (!regions.has(geo.geo_id)) {
+          regions.set(geo.geo_id, {
+            geo_id: geo.geo_id,
+            geo_name: geo.geo_name,
+            latitude: record.latitude ?? geo.latitude,
+            longitude: record.longitude ?? geo.longitude,
+            values: {}
+          });
+        }
+        const region = regions.get(geo.geo_id);
+        (region.values[disease] = region.values[disease] || []).push(value);
+        diseases.add(disease);
+      });
+    });
+
+    const regionList = Array.from(regions.values());
+    const features = Array.from(diseases).sort();
+    if (regionList.length < 3) {
+      throw new Error('Cluster analysis needs at least 3 regions');
+    }
+
+    // Mean per disease; missing diseases take the column mean before standardizing
+    const raw = regionList.map(region => features.map(disease =>
+      region.values[disease] ? Statistics.mean(region.values[disease]) : null));
+    const columns = features.map((_, c) => {
+      const present = raw.map(row => row[c]).filter(value => value !== null);
+      const mean = Statistics.mean(present);
+      const sd = Math.sqrt(this.calculateVariance(present)) || 1;
+      return { mean, sd };
+    });
+    const matrix = raw.map(row => row.map((value, c) => ((value ?? columns[c].mean) - columns[c].mean) / columns[c].sd));
+
+    const result = method === 'dbscan'
+      ? this.dbscan(matrix, { eps: options.eps, min_points })
+      : this.kMeans(matrix, { k: options.k, seed, max_k: options.max_k });
+    const labels = result.labels;
+
+    const clusterIds = [...new Set(labels.filter(label => label >= 0))].sort((a, b) => a - b);
+    const clusters = clusterIds.map(id => {
+      const members = regionList.filter((_, i) => labels[i] === id);
+      return {
+        cluster: id,
+        size: members.length,
+        members: members.map(region => region.geo_id),
+        profile: Object.fromEntries(features.map((disease, c) => [
+          disease,
+          Statistics.mean(raw.filter((_, i) => labels[i] === id).map(row => row[c]).filter(value => value !== null))
+        ]))
+      };
+    });
+
+    const assignments = regionList.map((region, i) => ({
+      geo_id: region.geo_id,
+      geo_name: region.geo_name,
+      latitude: region.latitude,
+      longitude: region.longitude,
+      cluster: labels[i]
+    }));
+
+    return {
+      fusionMethod: 'cluster_analysis',
+      method: method === 'dbscan' ? 'dbscan' : 'kmeans',
+      field: field,
+      features: features,
+      clusters: clusters,
+      noise: assignments.filter(a => a.cluster === -1).map(a => a.geo_id),
+      assignments: assignments,
+      silhouette: this.silhouetteScore(matrix, labels),
+      parameters: result.parameters,
+      overlayPoints: assignments
+        .filter(a => typeof a.latitude === 'number' && typeof a.longitude === 'number')
+        .map(a => this.toOverlayPoint(a, 'cluster', a.cluster))
+    };
+  }
+
+  euclideanDistance(a, b) {
+    return Math.sqrt(a.reduce((sum, value, i) => sum + Math.pow(value - b[i], 2), 0));
+  }
+
+  kMeans(matrix, options = {}) {
+    const random = Statistics.createRandom(options.seed);
+    const maxK = Math.min(options.max_k || 8, matrix.length - 1);
+
+    const run = k => {
+      let best = null;
+      for (let restart = 0; restart < 5; restart++) {
+        // k-means++ seeding
+        const centroids = [matrix[Math.floor(random() * matrix.length)]];
+        while (centroids.length < k) {
+          const d2 = matrix.map(row => Math.min(...centroids.map(c => Math.pow(this.euclideanDistance(row, c), 2))));
+          const total = d2.reduce((sum, d) => sum + d, 0);
+          let threshold = random() * total;
+          const next = d2.findIndex(d => (threshold -= d) <= 0);
+          centroids.push(matrix[next === -1 ? matrix.length - 1 : next]);
+        }
+
+        let labels = new Array(matrix.length).fill(-1);
+        for (let iteration = 0; iteration < 100; iteration++) {
+          const updated = matrix.map(row => {
+            const distances = centroids.map(c => this.euclideanDistance(row, c));
+            return distances.indexOf(Math.min(...distances));
+          });
+          const changed = updated.some((label, i) => label !== labels[i]);
+          labels = updated;
+          if (!changed) break;
+
+          for (let c = 0; c < k; c++) {
+            const members = matrix.filter((_, i) => labels[i] === c);
+            if (members.length) {
+              centroids[c] = members[0].map((_, f) => Statistics.mean(members.map(row => row[f])));
+            }
+          }
+        }
+
+        const inertia = matrix.reduce((sum, row, i) => sum + Math.pow(this.euclideanDistance(row, centroids[labels[i]]), 2), 0);
+        if (!best || inertia < best.inertia) best = { labels, inertia };
+      }
+      return best;
+    };
+
+    if (options.k) {
+      const k = Math.max(1, Math.min(options.k, matrix.length));
+      return { labels: run(k).labels, parameters: { k, selection: 'fixed' } };
+    }
+
+    let best = null;
+    for (let k = 2; k <= Math.max(2, maxK); k++) {
+      const result = run(k);
+      const silhouette = this.silhouetteScore(matrix, result.labels);
+      if (!best || silhouette > best.silhouette) best = { k, silhouette, labels: result.labels };
+    }
+    return { labels: best.labels, parameters: { k: best.k, selection: 'silhouette' } };
+  }
+
+  dbscan(matrix, options = {}) {
+    const minPoints = options.min_points || 3;
+    let eps = options.eps;
+
+    // eps at the knee of the sorted k-distance curve: the point farthest from the chord
+    if (!eps) {
+      const kDistances = matrix.map(row => {
+        const distances = matrix.map(other => this.euclideanDistance(row, other)).sort((a, b) => a - b);
+        return distances[Math.min(minPoints, distances.length - 1)];
+      }).sort((a, b) => a - b);
+      const last = kDistances.length - 1;
+      let knee = last;
+      let bestGap = -Infinity;
+      kDistances.forEach((distance, i) => {
+        const chord = kDistances[0] + (kDistances[last] - kDistances[0]) * (last ? i / last : 0);
+        if (chord - distance > bestGap) {
+          bestGap = chord - distance;
+          knee = i;
+        }
+      });
+      eps = kDistances[knee] || kDistances[last] || 1;
+    }
+
+    const labels = new Array(matrix.length).fill(undefined);
+    const neighboursOf = i => matrix.map((row, j) => j).filter(j => this.euclideanDistance(matrix[i], matrix[j]) <= eps);
+    let cluster = -1;
+
+    matrix.forEach((_, i) => {
+      if (labels[i] !== undefined) return;
+      const neighbours = neighboursOf(i);
+      if (neighbours.length < minPoints) {
+        labels[i] = -1; // noise, unless later reached from a core point
+        return;
+      }
+
+      cluster++;
+      labels[i] = cluster;
+      const queue = neighbours.filter(j => j !== i);
+      while (queue.length) {
+        const j = queue.shift();
+        if (labels[j] === -1) labels[j] = cluster;
+        if (labels[j] !== undefined) continue;
+        labels[j] = cluster;
+        const expansion = neighboursOf(j);
+        if (expansion.length >= minPoints) queue.push(...expansion);
+      }
+    });
+
+    return { labels, parameters: { eps, min_points: minPoints } };
+  }
+
+  silhouetteScore(matrix, labels) {
+    const clustered = labels.map((label, i) => i).filter(i => labels[i] >= 0);
+    const clusterIds = [...new Set(clustered.map(i => labels[i]))];
+    if (clusterIds.length < 2) return null;
+
+    const scores = clustered.map(i => {
+      const meanDistance = id => {
+        const members = clustered.filter(j => labels[j] === id && j !== i);
+        return members.length ? Statistics.mean(members.map(j => this.euclideanDistance(matrix[i], matrix[j]))) : 0;
+      };
+      const a = meanDistance(labels[i]);
+      const b = Math.min(...clusterIds.filter(id => id !== labels[i]).map(meanDistance));
+      return Math.max(a, b) > 0 ? (b - a) / Math.max(a, b) : 0;
+    });
+
+    return Statistics.mean(scores);
+  }
+
+  // ============ UNCERTAINTY QUANTIFICATION ============
+
+  /**
+   * Relative standard errors a record (or single-value source) reports, from `<field>_se`,
+   * `<field>_lower`/`<field>_upper` or a `confidence_interval`/`ci` of {lower, upper, level, field}
+   * or [lower, upper] for its primary field. Relative errors survive unit conversion and regrouping.
+   */
+  reportedRelativeErrors(record) {
+    const zFor = level => {
+      const confidence = level > 1 ? level / 100 : level;
+      return Statistics.normalQuantile(1 - (1 - confidence) / 2);
+    };
+    const relative = (value, se) => (typeof value === 'number' && value !== 0 && se > 0 ? se / Math.abs(value) : null);
+    const z = zFor(record.ci_level ?? record.confidence_level ?? this.uncertaintySettings.reported_ci_level);
+    const errors = {};
+
+    Object.entries(record).forEach(([key, value]) => {
+      if (typeof value !== 'number' || isNaN(value)) return;
+      let match = key.match(/^(.+)_se$/);
+      if (match) {
+        const error = relative(record[match[1]], value);
+        if (error !== null) errors[match[1]] = error;
+        return;
+      }
+      match = key.match(/^(.+)_lower$/);
+      if (match && typeof record[`${match[1]}_upper`] === 'number') {
+        const error = relative(record[match[1]], (record[`${match[1]}_upper`] - value) / (2 * z));
+        if (error !== null) errors[match[1]] = error;
+      }
+    });
+
+    const interval = record.confidence_interval ?? record.ci;
+    if (interval && typeof interval === 'object') {
+      const [lower, upper] = Array.isArray(interval) ? interval : [interval.lower, interval.upper];
+      const field = interval.field || ['rate', 'cases', 'value'].find(name => typeof record[name] === 'number');
+      const intervalZ = interval.level ? zFor(interval.level) : z;
+      if (field && typeof lower === 'number' && typeof upper === 'number' && errors[field] === undefined) {
+        const error = relative(record[field], (upper - lower) / (2 * intervalZ));
+        if (error !== null) errors[field] = error;
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Resample records with replacement within each place, disease, demographic group and
+   * period, so places with several reports (facilities, labs) vary while the design is kept.
+   */
+  resampleRecords(records, random) {
+    const strata = new Map();
+    records.forEach(record => {
+      const key = [
+        record.disease,
+        record.geo_id ?? record.location ?? record.state ?? record.country,
+        record.age_band ?? record.age_group,
+        record.sex,
+        record.period ?? record.date ?? record.week_start ?? record.week ?? record.month ?? record.year ?? record.timestamp
+      ].join('|');
+      if (!strata.has(key)) strata.set(key, []);
+      strata.get(key).push(record);
+    });
+
+    return Array.from(strata.values()).flatMap(group => (group.length === 1
+      ? group
+      : group.map(() => group[Math.floor(random() * group.length)])));
+  }
+
+  /**
+   * One perturbed copy of a source: records resampled, then each record's counts and rates
+   * scaled by a single normal draw on its reported relative error (the source's own when the
+   * record has none; count and rate fields without their own interval use the mean error).
+   */
+  perturbSource(source, random, options = {}) {
+    const { resample = true, propagate = true } = options;
+    const additive = [...this.harmonizationSettings.count_fields, ...this.harmonizationSettings.rate_fields];
+    const sourceErrors = this.reportedRelativeErrors(source);
+
+    const perturb = record => {
+      const errors = { ...sourceErrors, ...this.reportedRelativeErrors(record) };
+      const reported = Object.values(errors);
+      if (!propagate || !reported.length) return record;
+
+      const fallback = Statistics.mean(reported);
+      const z = Statistics.sampleNormal(random);
+      const perturbed = { ...record };
+      Object.entries(record).forEach(([field, value]) => {
+        if (typeof value !== 'number' || isNaN(value)) return;
+        if (errors[field] === undefined && !additive.includes(field)) return;
+        const scaled = value * (1 + (errors[field] ?? fallback) * z);
+        perturbed[field] = value >= 0 ? Math.max(0, scaled) : scaled;
+      });
+      return perturbed;
+    };
+
+    if (!Array.isArray(source.data)) return perturb(source);
+    const records = resample ? this.resampleRecords(source.data, random) : source.data;
+    return { ...source, data: records.map(perturb) };
+  }
+
+  estimateKey(field, location) {
+    const place = location.geo_id || `${location.latitude.toFixed(4)},${location.longitude.toFixed(4)}`;
+    return `${field}@${place}`;
+  }
+
+  /**
+   * Flatten a strategy result into named estimates: top-level numbers, located estimates as
+   * `<field>@<place>`, and cluster profiles matched to the reference clusters by member overlap.
+   */
+  extractEstimates(result, reference = result) {
+    const estimates = {};
+
+    Object.entries(result).forEach(([key, value]) => {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return;
+      if (this.uncertaintySettings.excluded_fields.some(pattern => pattern.test(key))) return;
+      estimates[key] = value;
+    });
+
+    if (Array.isArray(result.estimates)) {
+      result.estimates.forEach(estimate => {
+        if (typeof estimate.value !== 'number' || !Number.isFinite(estimate.value)) return;
+        if (typeof estimate.latitude !== 'number' && !estimate.geo_id) return;
+        estimates[this.estimateKey(result.field, estimate)] = estimate.value;
+      });
+    }
+
+    if (Array.isArray(result.clusters) && Array.isArray(reference.clusters)) {
+      reference.clusters.forEach(target => {
+        let best = null;
+        let bestOverlap = 0;
+        result.clusters.forEach(cluster => {
+          const shared = cluster.members.filter(member => target.members.includes(member)).length;
+          const overlap = shared / new Set([...cluster.members, ...target.members]).size;
+          if (overlap > bestOverlap) {
+            best = cluster;
+            bestOverlap = overlap;
+          }
+        });
+
+        estimates[`cluster_${target.cluster}.stability`] = bestOverlap;
+        if (!best) return;
+        Object.entries(best.profile).forEach(([disease, value]) => {
+          if (Number.isFinite(value)) estimates[`cluster_${target.cluster}.${disease}`] = value;
+        });
+      });
+    }
+
+    return estimates;
+  }
+
+  /**
+   * Bootstrap uncertainty for any strategy. Each joint replicate resamples sources with
+   * replacement, resamples observations within each, draws values from the sources' reported
+   * intervals, then re-harmonizes (options.prepare) and re-runs the strategy. Percentile
+   * intervals come from the joint replicates.
+   *
+   * Variance is split by source into a between-source part (the source's jackknife term:
+   * the jackknife variance is the sum of these) and a within-source part (variance when only
+   * that source's observations and reported interval are perturbed).
+   */
+  async quantifyUncertainty(sources, fusedData, options = {}) {
+    const settings = { ...this.uncertaintySettings, ...options };
+    const { strategy, strategyOptions = {}, confidenceLevel = 0.95, prepare = null } = settings;
+    const fuse = this.fusionStrategies[strategy];
+    if (!fuse) {
+      throw new Error(`Unknown fusion strategy: ${strategy}`);
+    }
+
+    const random = Statistics.createRandom(settings.seed);
+    const reference = this.extractEstimates(fusedData);
+    const keys = Object.keys(reference);
+    const sourceIds = sources.map((source, index) => source.sourceId || source.source || `source_${index}`);
+    let failed = 0;
+    let succeeded = 0;
+    let firstError = null;
+
+    const run = async replicate => {
+      try {
+        const prepared = prepare ? await prepare(replicate) : replicate;
+        const estimates = this.extractEstimates(await fuse(prepared, strategyOptions), fusedData);
+        succeeded++;
+        return estimates;
+      } catch (error) {
+        failed++;
+        firstError = firstError || error.message;
+        return null;
+      }
+    };
+
+    // A strategy that fails before any replicate succeeds fails on every replicate: stop there
+    const collect = async (count, draw) => {
+      const draws = Object.fromEntries(keys.map(key => [key, []]));
+      for (let r = 0; r < count; r++) {
+        const estimates = await run(draw());
+        if (!estimates && !succeeded) break;
+        if (!estimates) continue;
+        keys.forEach(key => {
+          if (Number.isFinite(estimates[key])) draws[key].push(estimates[key]);
+        });
+      }
+      return draws;
+    };
+
+    const joint = await collect(settings.replicates, () => {
+      const picked = sources.length > 1
+        ? sources.map(() => sources[Math.floor(random() * sources.length)])
+        : sources;
+      return picked.map(source => this.perturbSource(source, random));
+    });
+
+    const tail = (1 - confidenceLevel) / 2;
+    const intervals = {};
+    keys.forEach(key => {
+      const draws = joint[key];
+      if (draws.length < 2) return;
+      intervals[key] = {
+        estimate: reference[key],
+        lower: Statistics.quantile(draws, tail),
+        upper: Statistics.quantile(draws, 1 - tail),
+        standard_error: Math.sqrt(this.calculateVariance(draws)),
+        replicates: draws.length
+      };
+    });
+
+    // Between sources: jackknife terms (n - 1) / n * (theta_-i - mean)^2
+    const leaveOneOut = [];
+    if (sources.length > 1) {
+      for (let i = 0; i < sources.length; i++) {
+        leaveOneOut.push(await run(sources.filter((_, j) => j !== i)));
+      }
+    }
+
+    // Within each source: only that source is perturbed
+    const within = [];
+    for (let i = 0; i < sources.length; i++) {
+      within.push(await collect(settings.decomposition_replicates, () =>
+        sources.map((source, j) => (j === i ? this.perturbSource(source, random) : source))));
+    }
+
+    const byEstimate = {};
+    keys.forEach(key => {
+      const jackknife = leaveOneOut.map(estimates => estimates?.[key]).filter(value => Number.isFinite(value));
+      const jackknifeMean = jackknife.length ? Statistics.mean(jackknife) : null;
+      const n = jackknife.length;
+
+      const parts = sourceIds.map((sourceId, i) => {
+        const omitted = leaveOneOut[i]?.[key];
+        const between = Number.isFinite(omitted) && n > 1 ? (n - 1) / n * Math.pow(omitted - jackknifeMean, 2) : 0;
+        const withinVariance = within[i][key].length > 1 ? this.calculateVariance(within[i][key]) : 0;
+        return { sourceId, between, within: withinVariance, total: between + withinVariance };
+      });
+
+      const total = parts.reduce((sum, part) => sum + part.total, 0);
+      byEstimate[key] = {
+        total_variance: total,
+        sources: parts.map(part => ({ ...part, share: total > 0 ? part.total / total : null }))
+      };
+    });
+
+    const bySource = sourceIds.map((sourceId, i) => {
+      const shares = keys.map(key => byEstimate[key].sources[i].share).filter(share => share !== null);
+      return {
+        sourceId,
+        mean_share: shares.length ? Statistics.mean(shares) : null,
+        max_share: shares.length ? Math.max(...shares) : null,
+        reported_interval: Object.keys(this.reportedRelativeErrors(sources[i])).length > 0 ||
+          (Array.isArray(sources[i].data) && sources[i].data.some(record => Object.keys(this.reportedRelativeErrors(record)).length > 0))
+      };
+    });
+
+    return {
+      method: 'bootstrap',
+      confidence_level: confidenceLevel,
+      replicates: settings.replicates,
+      decomposition_replicates: settings.decomposition_replicates,
+      failed_replicates: failed,
+      first_error: firstError,
+      seed: settings.seed,
+      resampled: {
+        sources: sources.length > 1,
+        observations: sources.some(source => Array.isArray(source.data)),
+        reported_intervals: bySource.filter(source => source.reported_interval).length
+      },
+      confidence_intervals: intervals,
+      variance_decomposition: {
+        by_source: bySource,
+        by_estimate: byEstimate
+      }
+    };
+  }
+
+  // Move the intervals and decomposition onto the fused result; returns the remaining summary
+  attachUncertainty(fusedData, report) {
+    const { confidence_intervals: intervals, variance_decomposition: decomposition, ...summary } = report;
+    delete fusedData.uncertainty;
+    fusedData.confidenceIntervals = intervals;
+    fusedData.varianceDecomposition = decomposition;
+
+    // Located estimates carry their interval so overlays and popups can show it
+    const level = summary.confidence_level;
+    const intervalFor = item => (typeof item.latitude === 'number' || item.geo_id)
+      ? intervals[this.estimateKey(fusedData.field, item)]
+      : null;
+
+    // Strategies such as kalman_filter key their estimates by field rather than listing places
+    (Array.isArray(fusedData.estimates) ? fusedData.estimates : []).forEach(estimate => {
+      const interval = intervalFor(estimate);
+      if (interval) estimate.confidence_interval = { lower: interval.lower, upper: interval.upper, level };
+    });
+    (fusedData.overlayPoints || []).forEach(point => {
+      const interval = point.interpolated === false ? null : intervalFor(point);
+      if (!interval || point.lower != null) return;
+      point.lower = interval.lower;
+      point.upper = interval.upper;
+    });
+
+    return summary;
+  }
+
+  // ============ DATA HARMONIZATION ============
+
+  resolveHarmonizationSettings(sources, options = {}) {
+    const settings = { ...this.harmonizationSettings, ...options };
+
+    // 'auto' keeps sub-weekly and weekly sources on epi weeks, but avoids splitting
+    // monthly or annual totals into weeks when any source is that coarse
+    if (settings.temporal_grid === 'auto') {
+      const coarse = sources.some(source => {
+        const records = Array.isArray(source.data) ? source.data : [];
+        return ['monthly', 'annual'].includes(this.getSourceFrequency(source, records));
+      });
+      settings.temporal_grid = coarse ? 'month' : 'epi_week';
+    }
+
+    return settings;
+  }
+
+  async harmonizeData(sources, settings = null) {
+    const resolved = settings || this.resolveHarmonizationSettings(sources);
+    let harmonized = sources.map(source => ({
+      ...source,
+      harmonization: [...(source.harmonization || [])]
+    }));
+
+    // Rules run in declaration order: labels and places are canonical before records are regrouped
+    for (const rule of Object.values(this.harmonizationRules)) {
+      harmonized = await rule(harmonized, resolved);
+    }
+
+    return harmonized;
+  }
+
+  logTransformation(source, step, operation, details = {}) {
+    source.harmonization.push({
+      step: step,
+      source: source.sourceId || source.source || 'unknown',
+      operation: operation,
+      ...details
+    });
+  }
+
+  // Apply a per-record mapping to array data, or to the source itself for single-value sources
+  mapSourceRecords(source, mapper) {
+    if (Array.isArray(source.data)) {
+      return { ...source, data: source.data.map(record => mapper(record, source)) };
+    }
+    return { ...source, ...mapper(source, source) };
+  }
+
+  normalizeLabel(value) {
+    return String(value)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[_\s]+/g, ' ')
+      .replace(/^the /, '')
+      .trim();
+  }
+
+  // Disease classification (ICD-10)
+
+  getClassificationIndex() {
+    if (this.classificationIndex) return this.classificationIndex;
+
+    const labels = new Map();
+    const addLabel = (label, canonical) => {
+      const key = this.normalizeLabel(label);
+      if (!labels.has(key)) labels.set(key, canonical);
+    };
+
+    Object.entries(icd10DiseaseCodes.diseases).forEach(([canonical, entry]) => {
+      addLabel(canonical, canonical);
+      (diseaseVocabulary.diseases[canonical] || []).forEach(label => addLabel(label, canonical));
+      (entry.synonyms || []).forEach(label => addLabel(label, canonical));
+    });
+
+    // Longest prefix wins when mapping codes back, so A92.3 resolves before A92
+    const codes = [];
+    Object.entries(icd10DiseaseCodes.diseases).forEach(([canonical, entry]) => {
+      entry.codes.forEach(prefix => codes.push({ prefix, canonical }));
+    });
+    codes.sort((a, b) => b.prefix.length - a.prefix.length);
+
+    this.classificationIndex = { labels, codes };
+    return this.classificationIndex;
+  }
+
+  normalizeIcd10(code) {
+    const compact = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (!/^[A-Z]\d{2}/.test(compact)) return null;
+    return compact.length > 3 ? `${compact.slice(0, 3)}.${compact.slice(3)}` : compact;
+  }
+
+  classifyDisease(label, code) {
+    const { labels, codes } = this.getClassificationIndex();
+    // Sources that put the code in the disease field ("J11.1") are treated as coded
+    const looksCoded = !code && label && /^[A-Z]\d{2}(\.?[A-Z0-9]{1,4})?$/i.test(String(label).trim());
+    const icd10 = code || looksCoded ? this.normalizeIcd10(code || label) : null;
+
+    if (icd10) {
+      const match = codes.find(entry => icd10.startsWith(entry.prefix));
+      return { disease: match ? match.canonical : null, icd10 };
+    }
+
+    if (label === undefined || label === null || label === '') return null;
+    const normalized = this.normalizeLabel(label);
+    let canonical = labels.get(normalized);
+
+    if (!canonical) {
+      // Fall back to the longest known term contained in the label, e.g. "Influenza A (H1N1)"
+      let bestLength = 0;
+      labels.forEach((candidate, term) => {
+        if (term.length > bestLength && new RegExp(`(^|[^a-z0-9])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^a-z0-9])`).test(normalized)) {
+          canonical = candidate;
+          bestLength = term.length;
+        }
+      });
+    }
+
+    if (!canonical) return null;
+    return { disease: canonical, icd10: icd10DiseaseCodes.diseases[canonical]?.icd10 || null };
+  }
+
+  async mapClassifications(sources, settings = {}) {
+    return sources.map(source => {
+      const mappings = new Map();
+      const unmatched = new Set();
+
+      const result = this.mapSourceRecords(source, record => {
+        const label = record.disease ?? source.disease;
+        const code = record.icd10 ?? record.icd10_code ?? source.icd10;
+        const classification = this.classifyDisease(label, code);
+
+        if (!classification || !classification.disease) {
+          if (label || code) unmatched.add(String(label || code));
+          return classification ? { ...record, icd10: classification.icd10 } : record;
+        }
+
+        mappings.set(`${label}|${classification.icd10}`, { label: label ?? null, disease: classification.disease, icd10: classification.icd10 });
+        return {
+          ...record,
+          disease: classification.disease,
+          ...(label && label !== classification.disease && { disease_label: label }),
+          icd10: classification.icd10
+        };
+      });
+
+      this.logTransformation(result, 'classification_mapping', 'map_to_icd10', {
+        mappings: Array.from(mappings.values()),
+        unmatched: Array.from(unmatched)
+      });
+      return result;
+    });
+  }
+
+  // Geography
+
+  getGeographyIndex() {
+    if (this.geographyIndex) return this.geographyIndex;
+
+    const index = {
+      all: [],
+      names: new Map(),
+      stateNames: new Map(),
+      iso2: new Map(),
+      iso3: new Map(),
+      usps: new Map(),
+      fips: new Map()
+    };
+
+    gazetteer.places.forEach(place => {
+      // US states come from the FIPS table below
+      if (place.country_code === 'US' && place.type !== 'country') return;
+
+      const geo = place.type === 'country'
+        ? {
+          geo_id: place.country_code,
+          geo_name: place.name,
+          geo_level: 'country',
+          country_code: place.country_code,
+          iso3: geographyCodes.countries[place.country_code] || null,
+          latitude: place.latitude,
+          longitude: place.longitude
+        }
+        : {
+          geo_id: `${place.country_code}:${this.normalizeLabel(place.name).replace(/ /g, '_')}`,
+          geo_name: place.name,
+          geo_level: place.type,
+          country_code: place.country_code,
+          latitude: place.latitude,
+          longitude: place.longitude
+        };
+      index.all.push(geo);
+
+      [place.name, ...place.aliases].forEach(name => {
+        const key = this.normalizeLabel(name);
+        if (!index.names.has(key)) index.names.set(key, geo);
+      });
+      if (place.type === 'country') {
+        index.iso2.set(place.country_code, geo);
+        if (geo.iso3) index.iso3.set(geo.iso3, geo);
+      }
+    });
+
+    geographyCodes.us_states.forEach(state => {
+      const geo = {
+        geo_id: `US-${state.usps}`,
+        geo_name: state.name,
+        geo_level: 'state',
+        country_code: 'US',
+        fips: state.fips,
+        latitude: state.latitude,
+        longitude: state.longitude
+      };
+      index.all.push(geo);
+      index.usps.set(state.usps, geo);
+      index.fips.set(state.fips, geo);
+      [state.name, ...state.aliases].forEach(name => {
+        const key = this.normalizeLabel(name);
+        index.stateNames.set(key, geo);
+        if (!index.names.has(key)) index.names.set(key, geo);
+      });
+    });
+
+    this.geographyIndex = index;
+    return index;
+  }
+
+  /**
+   * Resolve a place name, ISO 3166 (alpha-2, alpha-3, US-XX) or FIPS code to a canonical geography.
+   * Two-letter codes and names that are both a country and a US state ("CA", "Georgia") resolve
+   * to the state only when the record's country is the US.
+   */
+  resolveGeography(value, countryCode = null) {
+    if (value === undefined || value === null || value === '') return null;
+    const index = this.getGeographyIndex();
+    const raw = String(value).trim();
+    const inUS = countryCode === 'US';
+
+    if (/^(global|world|worldwide)$/i.test(raw)) {
+      return { geo_id: 'GLOBAL', geo_name: 'Global', geo_level: 'global', country_code: null };
+    }
+
+    if (/^\d{1,2}$/.test(raw)) return index.fips.get(raw.padStart(2, '0')) || null;
+
+    if (/^\d{5}$/.test(raw)) {
+      const state = index.fips.get(raw.slice(0, 2));
+      return state ? { geo_id: `US-${raw}`, geo_name: raw, geo_level: 'county', country_code: 'US', fips: raw, parent_geo_id: state.geo_id } : null;
+    }
+
+    const subdivision = raw.match(/^US-([A-Za-z]{2})$/);
+    if (subdivision) return index.usps.get(subdivision[1].toUpperCase()) || null;
+
+    if (/^[A-Z]{3}$/.test(raw) && index.iso3.has(raw)) return index.iso3.get(raw);
+
+    if (/^[A-Z]{2}$/.test(raw)) {
+      if (inUS && index.usps.has(raw)) return index.usps.get(raw);
+      return index.iso2.get(raw) || index.usps.get(raw) || null;
+    }
+
+    const key = this.normalizeLabel(raw);
+    if (inUS && index.stateNames.has(key)) return index.stateNames.get(key);
+    return index.names.get(key) || null;
+  }
+
+  async standardizeGeographicData(sources, settings = {}) {
+    return sources.map(source => {
+      const mappings = new Map();
+      const unmatched = new Set();
+
+      const result = this.mapSourceRecords(source, record => {
+        const countryValue = record.country_code ?? record.country ?? source.country_code ?? source.country;
+        const country = this.resolveGeography(countryValue);
+        const countryCode = country?.geo_level === 'country' ? country.country_code : null;
+
+        // Most specific field first; a bare country field is the fallback
+        const value = [record.fips, record.state, record.location, record.region, record.iso_code, source.location, source.region]
+          .find(candidate => candidate !== undefined && candidate !== null && candidate !== '');
+        const geo = value !== undefined ? this.resolveGeography(value, countryCode) : country;
+
+        if (!geo) {
+          if (value !== undefined || countryValue !== undefined) unmatched.add(String(value ?? countryValue));
+          return record;
+        }
+
+        mappings.set(String(value ?? countryValue), geo.geo_id);
+        // Reported coordinates take precedence over the canonical centroid
+        return {
+          ...record,
+          ...geo,
+          ...(typeof record.latitude === 'number' && { latitude: record.latitude }),
+          ...(typeof record.longitude === 'number' && { longitude: record.longitude })
+        };
+      });
+
+      this.logTransformation(result, 'geographic_standardization', 'map_to_canonical_geography', {
+        mappings: Array.from(mappings.entries()).map(([from, to]) => ({ from, to })),
+        unmatched: Array.from(unmatched)
+      });
+      return result;
+    });
+  }
+
+  // Demographics
+
+  /**
+   * Parse an age-group label into [min, max) years. Returns 'all' for totals and null
+   * for labels that cannot be read.
+   */
+  parseAgeBand(label, maxAge) {
+    if (label === undefined || label === null || label === '') return 'all';
+    if (/^(all|all ages|total|overall)$/.test(this.normalizeLabel(label))) return 'all';
+    const text = this.normalizeLabel(label).replace(/\b(years?|yrs?|y\/o|aged?)\b/g, '').replace(/\s+/g, ' ').trim();
+
+    let match;
+    if ((match = text.match(/^(?:<|under|less than)\s*(\d+)$/))) return { min: 0, max: Number(match[1]) };
+    if ((match = text.match(/^(\d+)\s*(?:\+|and (?:over|older|above)|or (?:over|older))$/)) ||
+        (match = text.match(/^(?:>=|≥|over)\s*(\d+)$/))) {
+      return { min: Number(match[1]), max: maxAge };
+    }
+    if ((match = text.match(/^>\s*(\d+)$/))) return { min: Number(match[1]) + 1, max: maxAge };
+    if ((match = text.match(/^(\d+)\s*(?:-|–|to)\s*(\d+)$/))) return { min: Number(match[1]), max: Number(match[2]) + 1 };
+    if ((match = text.match(/^(\d+)$/))) return { min: Number(match[1]), max: Number(match[1]) + 1 };
+
+    return null;
+  }
+
+  normalizeSex(value) {
+    if (value === undefined || value === null || value === '') return 'all';
+    const text = this.normalizeLabel(value);
+    if (['m', 'male', 'males', 'men', 'man'].includes(text)) return 'male';
+    if (['f', 'female', 'females', 'women', 'woman'].includes(text)) return 'female';
+    if (['all', 'total', 'both', 'both sexes', 'persons', 'overall'].includes(text)) return 'all';
+    return text;
+  }
+
+  async standardizeDemographics(sources, settings = {}) {
+    const maxAge = settings.max_age || 100;
+    const targets = (settings.age_bands || []).map(label => ({ label, ...this.parseAgeBand(label, maxAge) }));
+
+    return sources.map(source => {
+      if (!Array.isArray(source.data)) return source;
+
+      const apportioned = new Map();
+      const unmatched = new Set();
+      const data = [];
+
+      source.data.forEach(record => {
+        const label = record.age_group ?? record.age_band ?? record.age;
+        const sex = this.normalizeSex(record.sex ?? record.gender);
+        const band = this.parseAgeBand(label, maxAge);
+
+        if (band === 'all' || band === null) {
+          if (band === null) unmatched.add(String(label));
+          data.push({ ...record, age_band: band === 'all' ? 'all' : String(label), sex });
+          return;
+        }
+
+        const exact = targets.find(target => target.min === band.min && target.max === band.max);
+        if (exact) {
+          data.push({ ...record, age_band: exact.label, sex });
+          return;
+        }
 
-      sources.forEach((source, index) => {
-        const value = this.extractFieldValue(source, field);
-        if (value !== null && !isNaN(value)) {
-          weightedSum += value * normalizedWeights[index];
-          totalWeight += normalizedWeights[index];
+        // Uniform-within-band assumption: counts and population split by overlapping years
+        const width = band.max - band.min;
+        const shares = targets
+          .map(target => ({ label: target.label, fraction: Math.max(0, Math.min(band.max, target.max) - Math.max(band.min, target.min)) / width }))
+          .filter(share => share.fraction > 0);
+
+        if (!shares.length) {
+          unmatched.add(String(label));
+          data.push({ ...record, age_band: String(label), sex });
+          return;
         }
+
+        apportioned.set(String(label), shares);
+        shares.forEach(share => {
+          data.push({
+            ...this.scaleCountFields(record, share.fraction, settings, ['population']),
+            age_band: share.label,
+            age_apportioned: share.fraction < 1,
+            sex
+          });
+        });
       });
 
-      if (totalWeight > 0) {
-        aggregated[field] = weightedSum / totalWeight;
-      }
+      const result = { ...source, data };
+      this.logTransformation(result, 'demographic_standardization', 'align_age_bands', {
+        target_bands: settings.age_bands,
+        apportioned: Array.from(apportioned.entries()).map(([from, to]) => ({ from, to })),
+        unmatched: Array.from(unmatched)
+      });
+      return result;
     });
+  }
 
-    return {
-      ...aggregated,
-      fusionMethod: 'weighted_average',
-      weights: normalizedWeights,
-      sourceContributions: this.calculateSourceContributions(sources, normalizedWeights)
+  scaleCountFields(record, fraction, settings, extraFields = []) {
+    const scaled = { ...record };
+    [...settings.count_fields, ...extraFields].forEach(field => {
+      if (typeof scaled[field] === 'number') scaled[field] = scaled[field] * fraction;
+    });
+    return scaled;
+  }
+
+  // Temporal alignment
+
+  normalizeFrequency(frequency) {
+    const aliases = {
+      day: 'daily', daily: 'daily',
+      week: 'weekly', weekly: 'weekly', epi_week: 'weekly',
+      month: 'monthly', monthly: 'monthly',
+      year: 'annual', yearly: 'annual', annual: 'annual'
     };
+    return frequency ? aliases[String(frequency).toLowerCase()] || null : null;
   }
 
-  async bayesianFusion(sources, options = {}) {
-    // Bayesian data fusion with prior knowledge
-    const priors = await this.calculateBayesianPriors(sources);
-    const likelihoods = await this.calculateLikelihoods(sources, options);
+  getSourceFrequency(source, records) {
+    const declared = this.normalizeFrequency(source.frequency || source.metadata?.frequency);
+    if (declared) return declared;
 
-    const posterior = {};
-    const fields = this.extractNumericFields(sources);
+    if (records.length && records.every(record => record.year !== undefined && record.week === undefined &&
+        record.month === undefined && !this.getRecordDate(record))) {
+      return 'annual';
+    }
 
-    fields.forEach(field => {
-      const prior = priors[field] || { mean: 0, variance: 1000 };
-      const observations = sources
-        .map(source => this.extractFieldValue(source, field))
-        .filter(value => value !== null && !isNaN(value));
+    const starts = [...new Set(records.map(record => this.getRecordDate(record)).filter(Boolean).map(date => date.getTime()))]
+      .sort((a, b) => a - b);
+    if (starts.length < 2) return 'weekly';
 
-      if (observations.length > 0) {
-        // Bayesian update
-        const observationMean = observations.reduce((sum, val) => sum + val, 0) / observations.length;
-        const observationVariance = this.calculateVariance(observations);
+    const gapDays = this.calculateMedian(starts.slice(1).map((time, i) => (time - starts[i]) / 86400000));
+    if (gapDays <= 1.5) return 'daily';
+    if (gapDays <= 10) return 'weekly';
+    if (gapDays <= 45) return 'monthly';
+    return 'annual';
+  }
 
-        // Posterior calculation
-        const priorPrecision = 1 / prior.variance;
-        const observationPrecision = observations.length / observationVariance;
+  getRecordDate(record) {
+    const value = record.period_start ?? record.date ?? record.week_start ?? record.timestamp ?? record.lastUpdated;
+    if (value === undefined || value === null) return null;
+    const date = new Date(value);
+    if (isNaN(date)) return null;
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
 
-        const posteriorPrecision = priorPrecision + observationPrecision;
-        const posteriorMean = (priorPrecision * prior.mean + observationPrecision * observationMean) / posteriorPrecision;
-        const posteriorVariance = 1 / posteriorPrecision;
+  // MMWR week 1 is the Sunday-to-Saturday week containing January 4
+  epiWeekYearStart(year) {
+    const jan4 = Date.UTC(year, 0, 4);
+    return jan4 - new Date(jan4).getUTCDay() * 86400000;
+  }
 
-        posterior[field] = {
-          mean: posteriorMean,
-          variance: posteriorVariance,
-          confidence: Math.min(0.99, 1 - posteriorVariance / prior.variance)
-        };
-      }
-    });
+  getEpiWeek(time) {
+    const year = new Date(time).getUTCFullYear();
+    let epiYear = year;
+    if (time < this.epiWeekYearStart(year)) epiYear = year - 1;
+    else if (time >= this.epiWeekYearStart(year + 1)) epiYear = year + 1;
 
-    return {
-      ...Object.fromEntries(Object.entries(posterior).map(([key, val]) => [key, val.mean])),
-      fusionMethod: 'bayesian',
-      posteriorDistributions: posterior,
-      priors: priors
-    };
+    const start = this.epiWeekYearStart(epiYear);
+    const week = Math.floor((time - start) / (7 * 86400000)) + 1;
+    return { year: epiYear, week, start: start + (week - 1) * 7 * 86400000 };
   }
 
-  async ensembleFusion(sources, options = {}) {
-    // Ensemble of multiple fusion methods
-    const strategies = ['weighted_average', 'bayesian_fusion', 'consensus_fusion'];
-    const results = {};
+  getRecordInterval(record, frequency) {
+    const day = 86400000;
+    if (record.year !== undefined && record.week !== undefined) {
+      const start = this.epiWeekYearStart(Number(record.year)) + (Number(record.week) - 1) * 7 * day;
+      return { start, end: start + 7 * day };
+    }
+    if (record.year !== undefined && record.month !== undefined) {
+      const year = Number(record.year);
+      const month = Number(record.month) - 1;
+      return { start: Date.UTC(year, month, 1), end: Date.UTC(year, month + 1, 1) };
+    }
 
-    for (const strategy of strategies) {
-      if (this.fusionStrategies[strategy] && strategy !== 'ensemble_fusion') {
-        try {
-          const result = await this.fusionStrategies[strategy](sources, options);
-          results[strategy] = result;
-        } catch (error) {
-          console.warn(`Ensemble strategy ${strategy} failed:`, error.message);
-        }
-      }
+    const date = this.getRecordDate(record);
+    if (!date) {
+      if (record.year === undefined) return null;
+      const year = Number(record.year);
+      return { start: Date.UTC(year, 0, 1), end: Date.UTC(year + 1, 0, 1) };
     }
 
-    // Combine results using meta-learning approach
-    const ensembleResult = await this.combineEnsembleResults(results, sources);
+    const start = date.getTime();
+    const y = date.getUTCFullYear();
+    const m = date.getUTCMonth();
+    const d = date.getUTCDate();
+    const ends = {
+      daily: start + day,
+      weekly: start + 7 * day,
+      monthly: Date.UTC(y, m + 1, d),
+      annual: Date.UTC(y + 1, m, d)
+    };
+    return { start, end: ends[frequency] || ends.weekly };
+  }
+
+  getGridPeriod(time, grid) {
+    if (grid === 'month') {
+      const date = new Date(time);
+      const y = date.getUTCFullYear();
+      const m = date.getUTCMonth();
+      return {
+        label: `${y}-${String(m + 1).padStart(2, '0')}`,
+        start: Date.UTC(y, m, 1),
+        end: Date.UTC(y, m + 1, 1)
+      };
+    }
 
+    const { year, week, start } = this.getEpiWeek(time);
     return {
-      ...ensembleResult,
-      fusionMethod: 'ensemble',
-      memberResults: results,
-      ensembleWeights: this.calculateEnsembleWeights(results, sources)
+      label: `${year}-W${String(week).padStart(2, '0')}`,
+      start: start,
+      end: start + 7 * 86400000
     };
   }
 
-  async consensusFusion(sources, options = {}) {
-    // Consensus-based fusion using agreement analysis
-    const fields = this.extractNumericFields(sources);
-    const consensus = {};
+  /**
+   * Resample each source onto the common grid. Every record's counts are spread over the
+   * grid periods it overlaps in proportion to the days of overlap: finer data is summed,
+   * coarser data is disaggregated uniformly. Incidence rates are additive in the same way;
+   * other numeric fields (population) are overlap-weighted means.
+   */
+  async alignTemporalData(sources, settings = {}) {
+    const grid = settings.temporal_grid;
+    const dateFields = ['period_start', 'period_end', 'date', 'week_start', 'timestamp', 'lastUpdated', 'year', 'week', 'month'];
+
+    return sources.map(source => {
+      if (!Array.isArray(source.data)) return source;
+
+      const frequency = this.getSourceFrequency(source, source.data);
+      const groups = new Map();
+      const undated = [];
+      let disaggregated = 0;
+
+      source.data.forEach(record => {
+        const interval = this.getRecordInterval(record, frequency);
+        if (!interval) {
+          undated.push(record);
+          return;
+        }
 
-    fields.forEach(field => {
-      const values = sources
-        .map(source => this.extractFieldValue(source, field))
-        .filter(value => value !== null && !isNaN(value));
+        const key = [record.disease, record.geo_id ?? record.location, record.age_band, record.sex].join('|');
+        if (!groups.has(key)) groups.set(key, { template: record, periods: new Map() });
+        const group = groups.get(key);
+        const length = interval.end - interval.start;
+        let periods = 0;
+
+        for (let cursor = interval.start; cursor < interval.end;) {
+          const period = this.getGridPeriod(cursor, grid);
+          const overlap = Math.min(interval.end, period.end) - Math.max(interval.start, period.start);
+          cursor = period.end;
+          if (overlap <= 0) continue;
+          periods++;
+
+          if (!group.periods.has(period.label)) {
+            group.periods.set(period.label, { period, covered: 0, totals: {}, weighted: {}, weights: {}, disaggregated: false });
+          }
+          const bin = group.periods.get(period.label);
+          bin.covered += overlap;
+          if (length > period.end - period.start) bin.disaggregated = true;
+
+          Object.entries(record).forEach(([field, value]) => {
+            if (typeof value !== 'number' || isNaN(value) || dateFields.includes(field)) return;
+            if (settings.count_fields.includes(field) || settings.rate_fields.includes(field)) {
+              bin.totals[field] = (bin.totals[field] || 0) + value * overlap / length;
+            } else {
+              bin.weighted[field] = (bin.weighted[field] || 0) + value * overlap;
+              bin.weights[field] = (bin.weights[field] || 0) + overlap;
+            }
+          });
+        }
+        if (periods > 1) disaggregated++;
+      });
 
-      if (values.length >= 2) {
-        // Calculate consensus metrics
-        const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
-        const median = this.calculateMedian(values);
-        const agreement = this.calculateAgreement(values);
+      const data = [];
+      groups.forEach(({ template, periods }) => {
+        const descriptors = Object.fromEntries(Object.entries(template)
+          .filter(([field, value]) => typeof value !== 'number' && !dateFields.includes(field)));
+
+        Array.from(periods.values())
+          .sort((a, b) => a.period.start - b.period.start)
+          .forEach(bin => {
+            const means = Object.fromEntries(Object.keys(bin.weighted).map(field => [field, bin.weighted[field] / bin.weights[field]]));
+            data.push({
+              ...descriptors,
+              ...means,
+              ...bin.totals,
+              period: bin.period.label,
+              period_start: new Date(bin.period.start).toISOString().slice(0, 10),
+              period_end: new Date(bin.period.end - 86400000).toISOString().slice(0, 10),
+              coverage: Math.min(1, bin.covered / (bin.period.end - bin.period.start)),
+              ...(bin.disaggregated && { disaggregated: true })
+            });
+          });
+      });
 
-        // Choose consensus value based on agreement
-        consensus[field] = agreement > 0.8 ? mean : median;
-        consensus[`${field}_agreement`] = agreement;
-        consensus[`${field}_range`] = Math.max(...values) - Math.min(...values);
-      }
+      const result = { ...source, frequency: grid, data: [...data, ...undated] };
+      this.logTransformation(result, 'temporal_alignment', 'resample', {
+        from: frequency,
+        to: grid,
+        method: 'overlap_weighted',
+        input_records: source.data.length,
+        output_records: data.length,
+        disaggregated_records: disaggregated,
+        partial_periods: data.filter(record => record.coverage < 1).length,
+        undated_records: undated.length
+      });
+      return result;
     });
-
-    return {
-      ...consensus,
-      fusionMethod: 'consensus',
-      agreementThreshold: 0.8,
-      consensusMetrics: this.calculateConsensusMetrics(sources)
-    };
   }
 
-  async timeSeriesFusion(sources, options = {}) {
-    // Time series-aware fusion with temporal weighting
-    const timeWeights = sources.map(source => this.calculateTemporalWeight(source));
-    const trendAdjustments = await this.calculateTrendAdjustments(sources);
+  // Units and denominators
 
-    const fusedTimeSeries = {};
-    const fields = this.extractNumericFields(sources);
+  getRateMultiplier(unit) {
+    if (!unit) return null;
+    const text = this.normalizeLabel(unit).replace(/[, ]/g, '');
+    const multipliers = {
+      percent: 100, '%': 100,
+      per100: 100, per1000: 1000, per1k: 1000,
+      per10000: 10000, per10k: 10000,
+      per100000: 100000, per100k: 100000,
+      per1000000: 1000000, per1m: 1000000, permillion: 1000000
+    };
+    return multipliers[text] || null;
+  }
+
+  async convertUnits(sources, settings = {}) {
+    const multiplier = settings.rate_multiplier;
+    const basis = `per_${multiplier}_per_${settings.temporal_grid}`;
+
+    return sources.map(source => {
+      const counts = { computed: 0, rescaled: 0, derived_counts: 0, missing_denominator: 0 };
+      const sourceUnit = source.unit ?? source.metadata?.unit;
+
+      const result = this.mapSourceRecords(source, record => {
+        const population = record.population ?? source.population ?? source.metadata?.population;
+        const cases = record.cases ?? record.count ?? record.value;
+        const reportedRate = record.rate;
+        const unitMultiplier = this.getRateMultiplier(record.unit ?? sourceUnit);
+        const converted = { ...record };
+
+        // Reported rates are rescaled to the common multiplier
+        if (typeof reportedRate === 'number' && unitMultiplier) {
+          converted.rate = reportedRate * multiplier / unitMultiplier;
+          converted.rate_source = 'reported';
+          delete converted.unit;
+          counts.rescaled++;
+        }
 
-    fields.forEach(field => {
-      const timeSeriesData = sources.map((source, index) => ({
-        value: this.extractFieldValue(source, field),
-        timestamp: source.timestamp,
-        weight: timeWeights[index],
-        trendAdjustment: trendAdjustments[index]
-      })).filter(item => item.value !== null);
+        if (typeof population === 'number' && population > 0) {
+          converted.population = population;
+          if (typeof cases === 'number') {
+            converted.rate = cases / population * multiplier;
+            converted.rate_source = 'computed';
+            counts.computed++;
+          } else if (typeof converted.rate === 'number') {
+            converted.cases = converted.rate * population / multiplier;
+            counts.derived_counts++;
+          }
+        } else if (typeof cases === 'number') {
+          counts.missing_denominator++;
+        }
 
-      if (timeSeriesData.length > 0) {
-        // Apply temporal fusion algorithm
-        fusedTimeSeries[field] = this.fuseTemporalData(timeSeriesData);
-      }
-    });
+        if (typeof converted.rate === 'number') converted.rate_basis = basis;
+        return converted;
+      });
 
-    return {
-      ...fusedTimeSeries,
-      fusionMethod: 'time_series',
-      temporalWeights: timeWeights,
-      trendAdjustments: trendAdjustments
-    };
+      this.logTransformation(result, 'unit_conversion', 'counts_to_rates', {
+        rate_basis: basis,
+        computed_rates: counts.computed,
+        rescaled_rates: counts.rescaled,
+        derived_counts: counts.derived_counts,
+        missing_denominator: counts.missing_denominator,
+        ...(sourceUnit && { source_unit: sourceUnit })
+      });
+      return result;
+    });
   }
 
   // ============ QUALITY ASSESSMENT ============
@@ -373,12 +2159,12 @@ class DataFusionEngine {
   }
 
   async calculateAccuracy(source) {
-    // Placeholder for accuracy calculation
-    // Would compare against ground truth or cross-validate
-    return 0.85; // Default placeholder
+    // Learned accuracy against finalized values or consensus, when the source has a history
+    const profile = await this.getReliabilityProfile(source.sourceId || source.source);
+    return profile?.evaluations > 0 ? profile.accuracy : 0.85;
   }
 
-  async calculateTimeliness(source) {
+  calculateTimeliness(source) {
     // Calculate data freshness
     const timestamp = new Date(source.timestamp || source.lastUpdated || Date.now());
     const now = new Date();
@@ -401,9 +2187,9 @@ class DataFusionEngine {
   async calculateReliability(source) {
     // Calculate source reliability based on historical performance
     const sourceId = source.sourceId || source.source;
-    const historicalReliability = this.getHistoricalReliability(sourceId);
+    const historicalReliability = await this.getHistoricalReliability(sourceId);
 
-    return historicalReliability || 0.8; // Default for new sources
+    return historicalReliability ?? 0.8; // Default for new sources
   }
 
   async calculateRelevance(source) {
@@ -472,28 +2258,354 @@ class DataFusionEngine {
     return []; // Placeholder
   }
 
-  async detectPatternAnomalies(sources) {
-    // Pattern-based anomaly detection
-    return []; // Placeholder
+  /**
+   * Values reported per source, disease, place, period and field from harmonized sources.
+   * Rates the harmonizer computed from counts are skipped so a count problem is flagged once.
+   */
+  collectReportedValues(sources) {
+    const settings = this.consistencySettings;
+    const entries = [];
+
+    sources.forEach((source, index) => {
+      const sourceId = source.sourceId || source.source || `source_${index}`;
+      const records = Array.isArray(source.data) ? source.data : [source];
+
+      records.forEach(record => {
+        const disease = record.disease ?? source.disease;
+        const period = record.period ?? source.period ?? this.getRecordDate(record)?.toISOString().slice(0, 10);
+        if (!disease || !period) return;
+        if (record.age_band && record.age_band !== 'all') return;
+        if (record.sex && record.sex !== 'all') return;
+
+        settings.fields.forEach(field => {
+          const value = record[field];
+          if (typeof value !== 'number' || isNaN(value)) return;
+          if (field === 'rate' && record.rate_source === 'computed') return;
+
+          entries.push({
+            sourceId,
+            priority: source.metadata?.priority ?? null,
+            reliability: source.metadata?.reliability ?? null,
+            disease: String(disease),
+            geography: record.geo_id ?? source.geo_id ?? record.location ?? source.location ?? 'GLOBAL',
+            geo_level: record.geo_level ?? source.geo_level ?? null,
+            country_code: record.country_code ?? source.country_code ?? null,
+            latitude: record.latitude ?? source.latitude,
+            longitude: record.longitude ?? source.longitude,
+            period: String(period),
+            period_end: record.period_end ?? null,
+            coverage: record.coverage ?? 1,
+            case_definition: record.case_definition ?? record.case_status ?? source.metadata?.case_definition ?? null,
+            field,
+            value
+          });
+        });
+      });
+    });
+
+    return entries;
   }
 
-  async detectGeographicAnomalies(sources) {
-    // Geographic anomaly detection
-    return []; // Placeholder
+  groupBy(items, keyOf) {
+    const groups = new Map();
+    items.forEach(item => {
+      const key = keyOf(item);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    });
+    return groups;
+  }
+
+  // Ratios within 10% of a power of ten (other than 1) suggest a unit or denominator mix-up
+  powerOfTenFactor(ratio) {
+    if (!(ratio > 0)) return null;
+    const exponent = Math.log10(ratio);
+    const rounded = Math.round(exponent);
+    return rounded !== 0 && Math.abs(exponent - rounded) < Math.log10(1.1) ? Math.pow(10, rounded) : null;
+  }
+
+  inconsistencySeverity(relativeDifference) {
+    const size = Math.abs(relativeDifference);
+    if (size > 1) return 'high';
+    if (size > 0.5) return 'medium';
+    return 'low';
+  }
+
+  /**
+   * Likely cause of a disagreement, checked in order: duplicate counting (a whole multiple
+   * backed by duplicate rows in the source), unit error (a power of ten), reporting lag (low and
+   * recent or partial), definition difference (a stable ratio across periods or differing
+   * case definitions), else unexplained.
+   */
+  classifyInconsistency(flag, context = {}) {
+    const settings = this.consistencySettings;
+    const { ratio, entry, others } = flag;
+    const multiple = Math.round(ratio);
+    const duplicateRows = context.duplicates?.has(`${entry.sourceId}|${entry.disease}|${entry.geography}`);
+
+    // A whole multiple alone is not evidence: the source must actually repeat rows
+    if (duplicateRows && multiple >= 2 && Math.abs(ratio - multiple) < 0.05 * multiple) {
+      return {
+        cause: 'duplicate',
+        evidence: `Value is ${multiple}x the other sources and the source has duplicate rows for this place`
+      };
+    }
+
+    const factor = this.powerOfTenFactor(ratio);
+    if (factor) {
+      return { cause: 'unit_error', evidence: `Value differs from the other sources by a factor of ${factor >= 1 ? factor : `1/${1 / factor}`}` };
+    }
+
+    const now = context.now ? new Date(context.now) : new Date();
+    const periodEnd = entry.period_end ? new Date(entry.period_end) : null;
+    const recent = periodEnd && (now - periodEnd) / 86400000 <= settings.lag_window_days;
+    if (ratio < 1 && (recent || entry.coverage < 1)) {
+      return {
+        cause: 'reporting_lag',
+        evidence: entry.coverage < 1
+          ? `Source covers ${(entry.coverage * 100).toFixed(0)}% of the period`
+          : `Period ended within ${settings.lag_window_days} days and the source is below the others`
+      };
+    }
+
+    const definitions = new Set([entry, ...others].map(item => item.case_definition).filter(Boolean));
+    if (definitions.size > 1) {
+      return { cause: 'definition_difference', evidence: `Case definitions differ: ${Array.from(definitions).join(', ')}` };
+    }
+
+    const ratios = context.ratiosBySeries?.get(`${entry.sourceId}|${entry.disease}|${entry.geography}|${entry.field}`) || [];
+    if (ratios.length >= settings.min_stable_periods) {
+      const logs = ratios.map(r => Math.log(r));
+      if (Math.sqrt(this.calculateVariance(logs)) < settings.stable_ratio_cv) {
+        const typical = Math.exp(Statistics.mean(logs));
+        return {
+          cause: 'definition_difference',
+          evidence: `Source runs a steady ${typical.toFixed(2)}x the others over ${ratios.length} periods`
+        };
+      }
+    }
+
+    return { cause: 'unexplained', evidence: 'No lag, unit, duplicate or definition pattern matched' };
+  }
+
+  /**
+   * Sources disagreeing on the same disease, place, period and field beyond tolerance. With
+   * three or more sources each is compared with the median of all of them, so one outlier
+   * does not drag the reference; with two, only the lower-priority source is flagged.
+   */
+  async detectCrossSourceInconsistencies(sources, options = {}) {
+    const settings = { ...this.consistencySettings, ...options };
+    const entries = this.collectReportedValues(sources);
+    const groups = this.groupBy(entries, entry => [entry.disease, entry.geography, entry.period, entry.field].join('|'));
+    const flags = [];
+
+    groups.forEach(group => {
+      // Latest value per source
+      const bySource = new Map(group.map(entry => [entry.sourceId, entry]));
+      if (bySource.size < 2) return;
+      const reported = Array.from(bySource.values());
+
+      let candidates = reported;
+      if (reported.length === 2) {
+        // Two sources: flag the lower-priority (or less reliable) one only
+        const rank = entry => [entry.priority ?? Infinity, -(entry.reliability ?? 0)];
+        const [a, b] = reported;
+        const [ra, rb] = [rank(a), rank(b)];
+        candidates = [ra[0] > rb[0] || (ra[0] === rb[0] && ra[1] >= rb[1]) ? a : b];
+      }
+
+      const groupMedian = Statistics.median(reported.map(entry => entry.value));
+      candidates.forEach(entry => {
+        const others = reported.filter(other => other !== entry);
+        const reference = reported.length === 2 ? others[0].value : groupMedian;
+        const difference = entry.value - reference;
+        const relative = difference / Math.max(Math.abs(reference), 1);
+        if (Math.abs(relative) <= settings.tolerance || Math.abs(difference) < settings.min_absolute_difference) return;
+
+        flags.push({ entry, others, reference, difference, relative, ratio: reference > 0 ? entry.value / reference : null });
+      });
+    });
+
+    // Ratios of each flagged series across periods, for the stable-offset check
+    const ratiosBySeries = new Map();
+    flags.filter(flag => flag.ratio > 0).forEach(flag => {
+      const key = `${flag.entry.sourceId}|${flag.entry.disease}|${flag.entry.geography}|${flag.entry.field}`;
+      if (!ratiosBySeries.has(key)) ratiosBySeries.set(key, []);
+      ratiosBySeries.get(key).push(flag.ratio);
+    });
+
+    return flags.map(flag => {
+      const { entry, others } = flag;
+      const classification = flag.ratio > 0
+        ? this.classifyInconsistency(flag, { ...options, ratiosBySeries })
+        : { cause: 'unexplained', evidence: 'Other sources report zero' };
+
+      return {
+        type: 'cross_source_inconsistency',
+        disease: entry.disease,
+        geography: entry.geography,
+        period: entry.period,
+        field: entry.field,
+        source: entry.sourceId,
+        value: entry.value,
+        reference_value: flag.reference,
+        relative_difference: flag.relative,
+        ratio: flag.ratio,
+        values: Object.fromEntries([entry, ...others].map(item => [item.sourceId, item.value])),
+        likely_cause: classification.cause,
+        evidence: classification.evidence,
+        severity: this.inconsistencySeverity(flag.relative)
+      };
+    });
   }
 
-  async detectCrossSourceInconsistencies(sources) {
-    // Cross-source inconsistency detection
-    return []; // Placeholder
+  /**
+   * Within-source series problems: negative values, a value repeated for stale_run periods,
+   * and abrupt level changes against the previous periods' median.
+   */
+  async detectPatternAnomalies(sources, options = {}) {
+    const settings = { ...this.consistencySettings, ...options };
+    const entries = this.collectReportedValues(sources);
+    const series = this.groupBy(entries, entry => [entry.sourceId, entry.disease, entry.geography, entry.field].join('|'));
+    const anomalies = [];
+
+    series.forEach(points => {
+      const sorted = points.slice().sort((a, b) => (a.period < b.period ? -1 : a.period > b.period ? 1 : 0));
+      const flag = (point, pattern, cause, evidence, severity) => anomalies.push({
+        type: 'pattern_anomaly',
+        pattern,
+        disease: point.disease,
+        geography: point.geography,
+        period: point.period,
+        field: point.field,
+        source: point.sourceId,
+        value: point.value,
+        likely_cause: cause,
+        evidence,
+        severity
+      });
+
+      let run = 1;
+      sorted.forEach((point, i) => {
+        if (point.value < 0) {
+          flag(point, 'negative_value', 'unexplained', 'Negative count or rate reported', 'high');
+        }
+
+        run = i > 0 && point.value === sorted[i - 1].value && point.value !== 0 ? run + 1 : 1;
+        if (run === settings.stale_run) {
+          flag(point, 'stale_values', 'reporting_lag', `Same value reported for ${run} consecutive periods`, 'medium');
+        }
+
+        const previous = sorted.slice(Math.max(0, i - 4), i).map(p => p.value);
+        if (previous.length >= 3) {
+          const level = Statistics.median(previous);
+          if (level >= settings.min_absolute_difference && point.value > 0) {
+            const ratio = point.value / level;
+            if (ratio >= settings.level_change_ratio || ratio <= 1 / settings.level_change_ratio) {
+              const factor = this.powerOfTenFactor(ratio);
+              flag(point, 'abrupt_level_change', factor ? 'unit_error' : 'unexplained',
+                `Value is ${ratio.toFixed(2)}x the median of the previous ${previous.length} periods`,
+                factor ? 'high' : 'medium');
+            }
+          }
+        }
+      });
+    });
+
+    return anomalies;
+  }
+
+  /**
+   * Place-level problems within a source and period: subnational counts adding up to more
+   * than the national figure, and rates far from their nearest neighbours (robust z on logs).
+   */
+  async detectGeographicAnomalies(sources, options = {}) {
+    const settings = { ...this.consistencySettings, ...options };
+    const entries = this.collectReportedValues(sources);
+    const anomalies = [];
+    const slices = this.groupBy(entries, entry => [entry.sourceId, entry.disease, entry.period, entry.field].join('|'));
+
+    slices.forEach(slice => {
+      const { sourceId, disease, period, field } = slice[0];
+
+      // Hierarchy: states cannot add up to more than their country
+      if (field !== 'rate') {
+        const nations = slice.filter(entry => entry.geo_level === 'country');
+        nations.forEach(nation => {
+          const parts = slice.filter(entry => entry.geo_level === 'state' && entry.country_code === nation.geography);
+          if (parts.length < 2) return;
+          const total = parts.reduce((sum, part) => sum + part.value, 0);
+          const excess = (total - nation.value) / Math.max(nation.value, 1);
+          if (excess <= settings.tolerance || total - nation.value < settings.min_absolute_difference) return;
+
+          const multiple = Math.round(total / Math.max(nation.value, 1));
+          anomalies.push({
+            type: 'geographic_anomaly',
+            pattern: 'subnational_exceeds_national',
+            disease, period, field,
+            geography: nation.geography,
+            source: sourceId,
+            value: nation.value,
+            subnational_total: total,
+            relative_difference: excess,
+            likely_cause: multiple >= 2 && Math.abs(total / nation.value - multiple) < 0.05 * multiple ? 'duplicate' : 'definition_difference',
+            evidence: `${parts.length} subnational areas sum to ${Math.round(total)} against a national ${Math.round(nation.value)}`,
+            severity: this.inconsistencySeverity(excess)
+          });
+        });
+      }
+
+      // Spatial outliers: rates only, since counts scale with population
+      if (field !== 'rate') return;
+      const located = slice.filter(entry => typeof entry.latitude === 'number' && typeof entry.longitude === 'number' && entry.value >= 0);
+      if (located.length < settings.min_places) return;
+
+      const deviations = located.map(entry => {
+        const neighbours = located
+          .filter(other => other !== entry)
+          .map(other => ({ other, distance: this.pointDistance(entry, other) }))
+          .sort((a, b) => a.distance - b.distance)
+          .slice(0, settings.neighbours)
+          .map(({ other }) => Math.log1p(other.value));
+        return { entry, deviation: Math.log1p(entry.value) - Statistics.median(neighbours) };
+      });
+
+      const scale = 1.4826 * Statistics.mad(deviations.map(d => d.deviation));
+      if (!(scale > 0)) return;
+
+      deviations.forEach(({ entry, deviation }) => {
+        const z = deviation / scale;
+        if (Math.abs(z) <= settings.spatial_z_threshold) return;
+        const ratio = Math.exp(deviation);
+        const factor = this.powerOfTenFactor(ratio);
+
+        anomalies.push({
+          type: 'geographic_anomaly',
+          pattern: 'spatial_outlier',
+          disease, period, field,
+          geography: entry.geography,
+          source: sourceId,
+          value: entry.value,
+          robust_z: z,
+          likely_cause: factor ? 'unit_error' : 'unexplained',
+          evidence: `Rate is ${ratio.toFixed(2)}x the median of its ${settings.neighbours} nearest neighbours`,
+          severity: Math.abs(z) > 2 * settings.spatial_z_threshold ? 'high' : 'medium'
+        });
+      });
+    });
+
+    return anomalies;
   }
 
   // ============ UTILITY METHODS ============
 
-  calculateSourceWeight(source, options) {
+  calculateSourceWeight(source, options = {}) {
+    const profile = options.reliability?.[source.sourceId || source.source];
     const qualityWeight = this.getQualityScore(source.metadata?.quality || 'medium');
     const recencyWeight = this.calculateTimeliness({ timestamp: source.timestamp });
-    const reliabilityWeight = source.metadata?.reliability || 0.8;
+    const reliabilityWeight = profile?.evaluations > 0 ? profile.score : (source.metadata?.reliability || 0.8);
 
+    if (options.weighting === 'reliability') return reliabilityWeight;
     return (qualityWeight * 0.4) + (recencyWeight * 0.3) + (reliabilityWeight * 0.3);
   }
 
@@ -670,12 +2782,22 @@ class DataFusionEngine {
       return await this.weightedAverageFusion(sources, options);
 
     } catch (error) {
-      console.error('Neural network fusion failed:', error);
+      this.reportStrategyFailure('Neural network', error);
       // Fallback to weighted average fusion
       return await this.weightedAverageFusion(sources, options);
     }
   }
 
+  // Log each distinct failure once: the fallback result is returned either way, and the
+  // bootstrap would otherwise log the same stack trace for every replicate
+  reportStrategyFailure(strategy, error) {
+    const key = `${strategy}:${error.message}`;
+    if (this.reportedFailures.has(key)) return;
+    if (this.reportedFailures.size >= 100) this.reportedFailures.clear();
+    this.reportedFailures.add(key);
+    console.error(`${strategy} fusion failed:`, error);
+  }
+
   averageEmbeddings(embeddings) {
     if (embeddings.length === 0) return [];
 
@@ -742,7 +2864,7 @@ class DataFusionEngine {
       };
 
     } catch (error) {
-      console.error('Decision tree fusion failed:', error);
+      this.reportStrategyFailure('Decision tree', error);
       return await this.consensusFusion(sources, options);
     }
   }
@@ -787,7 +2909,7 @@ class DataFusionEngine {
       };
 
     } catch (error) {
-      console.error('Random forest fusion failed:', error);
+      this.reportStrategyFailure('Random forest', error);
       return await this.ensembleFusion(sources, options);
     }
   }
@@ -802,59 +2924,59 @@ class DataFusionEngine {
     return await this.timeSeriesFusion(sources, options);
   }
 
-  async spatialInterpolation(sources, options = {}) {
-    // Placeholder spatial interpolation
-    return await this.weightedAverageFusion(sources, options);
-  }
-
-  async geographicWeighting(sources, options = {}) {
-    // Placeholder geographic weighting
-    return await this.weightedAverageFusion(sources, options);
-  }
-
-  async clusterAnalysis(sources, options = {}) {
-    // Placeholder cluster analysis
-    return await this.consensusFusion(sources, options);
-  }
-
   async reliabilityWeighted(sources, options = {}) {
-    // Reliability-weighted fusion
-    return await this.weightedAverageFusion(sources, options);
+    // Weighted average with weights from learned reliability alone
+    const result = await this.weightedAverageFusion(sources, { ...options, weighting: 'reliability' });
+    return { ...result, fusionMethod: 'reliability_weighted' };
   }
 
   async uncertaintyQuantification(sources, options = {}) {
-    // Uncertainty quantification
-    const result = await this.bayesianFusion(sources, options);
+    // Base strategy with its bootstrap report, for callers that use the strategy directly
+    const { base_strategy = 'bayesian_fusion', uncertainty = {} } = options;
+    if (base_strategy === 'uncertainty_quantification' || !this.fusionStrategies[base_strategy]) {
+      throw new Error(`Unknown base strategy: ${base_strategy}`);
+    }
+
+    const result = await this.fusionStrategies[base_strategy](sources, options);
     return {
       ...result,
       fusionMethod: 'uncertainty_quantification',
-      uncertaintyMetrics: this.calculateUncertaintyMetrics(sources)
+      baseStrategy: base_strategy,
+      uncertainty: await this.quantifyUncertainty(sources, result, {
+        ...uncertainty,
+        strategy: base_strategy,
+        strategyOptions: options,
+        confidenceLevel: options.confidenceLevel
+      })
     };
   }
 
   // ============ ADDITIONAL HELPER METHODS ============
 
-  calculateUncertaintyMetrics(sources) {
-    return {
-      sourceCount: sources.length,
-      varianceMetric: 0.1,
-      confidenceInterval: 0.95
-    };
-  }
+  async calculateBayesianPriors(sources) {
+    // Vague empirical prior centred on the median report, so the posterior follows the reports
+    const priors = {};
+    this.extractNumericFields(sources).forEach(field => {
+      const values = sources
+        .map(source => this.extractFieldValue(source, field))
+        .filter(value => value !== null && !isNaN(value));
+      if (!values.length) return;
 
-  async harmonizeData(sources) {
-    // Placeholder data harmonization
-    return sources;
+      const median = Statistics.median(values);
+      priors[field] = { mean: median, variance: Math.max(100 * this.calculateVariance(values), median * median, 1) };
+    });
+    return priors;
   }
 
-  async calculateBayesianPriors(sources) {
-    // Calculate Bayesian priors
-    return {};
-  }
+  async calculateLikelihoods(sources, options = {}) {
+    // Relative error variance per field and source from learned reliability (rmse^2, floored at 1%)
+    const reliability = options.reliability || {};
+    const relativeVariances = sources.map((source, index) => {
+      const profile = reliability[source.sourceId || source.source || `source_${index}`];
+      return profile?.evaluations > 0 && profile.rmse !== null ? Math.max(profile.rmse * profile.rmse, 1e-4) : null;
+    });
 
-  async calculateLikelihoods(sources, options) {
-    // Calculate likelihoods
-    return {};
+    return Object.fromEntries(this.extractNumericFields(sources).map(field => [field, relativeVariances]));
   }
 
   async combineEnsembleResults(results, sources) {
@@ -1007,20 +3129,18 @@ class DataFusionEngine {
     return 0.9; // Placeholder
   }
 
-  getHistoricalReliability(sourceId) {
-    // Get historical reliability for source
-    return 0.85; // Placeholder
+  async getReliabilityProfile(sourceId) {
+    if (!this.reliabilityTracker || !sourceId) return null;
+    return this.reliabilityTracker.getProfile(sourceId);
   }
 
-  async calculateOverallConfidence(harmonizedData, fusedData, qualityAssessment) {
-    return 0.85; // Placeholder
+  async getHistoricalReliability(sourceId) {
+    const profile = await this.getReliabilityProfile(sourceId);
+    return profile?.evaluations > 0 ? profile.score : null;
   }
 
-  async quantifyUncertainty(harmonizedData, fusedData) {
-    return {
-      standardError: 0.1,
-      confidenceInterval: [0.8, 0.9]
-    };
+  async calculateOverallConfidence(harmonizedData, fusedData, qualityAssessment) {
+    return 0.85; // Placeholder
   }
 
   getQualityGrade(overallQuality) {
@@ -1031,12 +3151,6 @@ class DataFusionEngine {
     return 'F';
   }
 
-  // Harmonization rule implementations
-  async alignTemporalData(sources) { return sources; }
-  async standardizeGeographicData(sources) { return sources; }
-  async convertUnits(sources) { return sources; }
-  async mapClassifications(sources) { return sources; }
-  async standardizeDemographics(sources) { return sources; }
   // Add missing helper methods that were referenced but not implemented
 
   extractNumericFields(sources) {
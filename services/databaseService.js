@@ -325,6 +325,22 @@ class DatabaseService {
     return await this.run(sql, [user_id, action, resource_type, resource_id, JSON.stringify(details), ip_address, user_agent]);
   }
 
+  // Compliance records from AuditLoggingService, stored in audit_log with the record's own
+  // metadata (audit id, outcome, hash, encrypted details) kept in the details column
+  async insertAuditLog(auditRecord) {
+    const { user_id, event_type, resource_type, resource_id, ip_address, user_agent, ...record } = auditRecord;
+
+    return await this.logAudit({
+      user_id,
+      action: event_type,
+      resource_type: resource_type || 'system',
+      resource_id: resource_id || null,
+      details: record,
+      ip_address: ip_address ? JSON.stringify(ip_address) : null,
+      user_agent: user_agent ? JSON.stringify(user_agent) : null
+    });
+  }
+
   // Ticket Types Management
   async getAllTicketTypes() {
     return await this.all('SELECT * FROM ticket_types WHERE active = TRUE ORDER BY name');
@@ -606,6 +622,555 @@ class DatabaseService {
     return await this.run(sql, [user_id, action, resource_type, resource_id, phi_fields_accessed, user_ip, user_agent, access_granted, denial_reason, access_timestamp]);
   }
 
+  // Surveillance snapshots (nowcasting revision history)
+  async createSurveillanceSnapshot(snapshotData) {
+    const { series_key, reference_date, report_date, value, source } = snapshotData;
+    const sql = `
+      INSERT INTO surveillance_snapshots (series_key, reference_date, report_date, value, source)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+    return await this.run(sql, [series_key, reference_date, report_date, value, source]);
+  }
+
+  async getSurveillanceSnapshots(series_key) {
+    const sql = `
+      SELECT reference_date, report_date, value, source
+      FROM surveillance_snapshots
+      WHERE series_key = ?
+      ORDER BY reference_date, report_date
+    `;
+    return await this.all(sql, [series_key]);
+  }
+
+  async getLatestSurveillanceValues(series_key) {
+    const sql = `
+      SELECT s.reference_date, s.value, s.report_date
+      FROM surveillance_snapshots s
+      WHERE s.series_key = ?
+        AND s.report_date = (
+          SELECT MAX(report_date) FROM surveillance_snapshots
+          WHERE series_key = s.series_key AND reference_date = s.reference_date
+        )
+    `;
+    return await this.all(sql, [series_key]);
+  }
+
+  // Outbreak detection baselines (versioned per disease/scope/algorithm)
+  async createOutbreakBaseline(baselineData) {
+    const { disease, scope, algorithm, training_start, training_end, parameters, statistics, fit_statistics, created_by, notes } = baselineData;
+    const latest = await this.get(
+      'SELECT MAX(version) as version FROM outbreak_baselines WHERE disease = ? AND scope = ? AND algorithm = ?',
+      [disease, scope, algorithm]
+    );
+    const version = (latest?.version || 0) + 1;
+    const sql = `
+      INSERT INTO outbreak_baselines (disease, scope, algorithm, version, training_start, training_end, parameters, statistics, fit_statistics, created_by, notes)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    const result = await this.run(sql, [
+      disease, scope, algorithm, version, training_start, training_end,
+      JSON.stringify(parameters || {}), JSON.stringify(statistics), JSON.stringify(fit_statistics || {}),
+      created_by || null, notes || null
+    ]);
+    return { id: result.id, version };
+  }
+
+  parseOutbreakBaseline(row) {
+    if (!row) return null;
+    return {
+      ...row,
+      parameters: JSON.parse(row.parameters || '{}'),
+      statistics: JSON.parse(row.statistics),
+      fit_statistics: JSON.parse(row.fit_statistics || '{}'),
+      is_active: Boolean(row.is_active),
+      is_pinned: Boolean(row.is_pinned)
+    };
+  }
+
+  async getActiveOutbreakBaseline(disease, scope, algorithm) {
+    const sql = 'SELECT * FROM outbreak_baselines WHERE disease = ? AND scope = ? AND algorithm = ? AND is_active = 1';
+    return this.parseOutbreakBaseline(await this.get(sql, [disease, scope, algorithm]));
+  }
+
+  async getOutbreakBaseline(disease, scope, algorithm, version) {
+    const sql = 'SELECT * FROM outbreak_baselines WHERE disease = ? AND scope = ? AND algorithm = ? AND version = ?';
+    return this.parseOutbreakBaseline(await this.get(sql, [disease, scope, algorithm, version]));
+  }
+
+  async getOutbreakBaselineVersions(filters = {}) {
+    const conditions = [];
+    const values = [];
+    ['disease', 'scope', 'algorithm'].forEach(key => {
+      if (filters[key]) {
+        conditions.push(`${key} = ?`);
+        values.push(filters[key]);
+      }
+    });
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const sql = `SELECT * FROM outbreak_baselines ${where} ORDER BY disease, scope, algorithm, version DESC`;
+    return (await this.all(sql, values)).map(row => this.parseOutbreakBaseline(row));
+  }
+
+  async activateOutbreakBaseline(disease, scope, algorithm, version, pinned = false) {
+    await this.run(
+      'UPDATE outbreak_baselines SET is_active = 0, is_pinned = 0 WHERE disease = ? AND scope = ? AND algorithm = ?',
+      [disease, scope, algorithm]
+    );
+    return await this.run(
+      'UPDATE outbreak_baselines SET is_active = 1, is_pinned = ?, activated_at = CURRENT_TIMESTAMP WHERE disease = ? AND scope = ? AND algorithm = ? AND version = ?',
+      [pinned ? 1 : 0, disease, scope, algorithm, version]
+    );
+  }
+
+  async setOutbreakBaselinePinned(disease, scope, algorithm, pinned) {
+    const sql = 'UPDATE outbreak_baselines SET is_pinned = ? WHERE disease = ? AND scope = ? AND algorithm = ? AND is_active = 1';
+    return await this.run(sql, [pinned ? 1 : 0, disease, scope, algorithm]);
+  }
+
+  // Source reports (reliability tracking)
+  async createSourceReport(reportData) {
+    const { source, disease, geography, period, period_end, field, value, is_final, reported_at, lag_days } = reportData;
+    const sql = `
+      INSERT INTO source_reports (source, disease, geography, period, period_end, field, value, is_final, reported_at, lag_days)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    return await this.run(sql, [source, disease, geography, period, period_end || null, field, value, is_final ? 1 : 0, reported_at, lag_days ?? null]);
+  }
+
+  async getLatestSourceReports(source) {
+    const sql = `
+      SELECT r.disease, r.geography, r.period, r.field, r.value, r.is_final
+      FROM source_reports r
+      WHERE r.source = ?
+        AND r.id = (
+          SELECT MAX(id) FROM source_reports
+          WHERE source = r.source AND disease = r.disease AND geography = r.geography
+            AND period = r.period AND field = r.field
+        )
+    `;
+    return await this.all(sql, [source]);
+  }
+
+  async getPendingSourceReports(limit = 1000, afterId = 0, since = null) {
+    const sql = `
+      SELECT * FROM source_reports
+      WHERE evaluated_at IS NULL AND is_final = 0 AND id > ?
+        ${since ? 'AND reported_at >= ?' : ''}
+      ORDER BY id
+      LIMIT ?
+    `;
+    return await this.all(sql, since ? [afterId, since, limit] : [afterId, limit]);
+  }
+
+  async getFinalSourceValue(disease, geography, period, field) {
+    const sql = `
+      SELECT value, source, reported_at FROM source_reports
+      WHERE disease = ? AND geography = ? AND period = ? AND field = ? AND is_final = 1
+      ORDER BY reported_at DESC, id DESC
+      LIMIT 1
+    `;
+    return await this.get(sql, [disease, geography, period, field]);
+  }
+
+  async getLatestReportsForPeriod(disease, geography, period, field) {
+    const sql = `
+      SELECT r.source, r.value, r.reported_at
+      FROM source_reports r
+      WHERE r.disease = ? AND r.geography = ? AND r.period = ? AND r.field = ?
+        AND r.id = (
+          SELECT MAX(id) FROM source_reports
+          WHERE source = r.source AND disease = r.disease AND geography = r.geography
+            AND period = r.period AND field = r.field
+        )
+    `;
+    return await this.all(sql, [disease, geography, period, field]);
+  }
+
+  async updateSourceReportEvaluation(id, evaluation) {
+    const { reference_value, reference_type, relative_error } = evaluation;
+    const sql = `
+      UPDATE source_reports
+      SET reference_value = ?, reference_type = ?, relative_error = ?, evaluated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+    return await this.run(sql, [reference_value, reference_type, relative_error, id]);
+  }
+
+  async getSourceReports(filters = {}) {
+    const conditions = [];
+    const values = [];
+    ['source', 'disease', 'geography', 'field'].forEach(key => {
+      if (filters[key]) {
+        conditions.push(`${key} = ?`);
+        values.push(filters[key]);
+      }
+    });
+    if (filters.since) {
+      conditions.push('reported_at >= ?');
+      values.push(filters.since);
+    }
+    if (filters.evaluated) {
+      conditions.push('evaluated_at IS NOT NULL');
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const limit = filters.limit ? `LIMIT ${parseInt(filters.limit)}` : '';
+    const sql = `SELECT * FROM source_reports ${where} ORDER BY reported_at DESC, id DESC ${limit}`;
+    return await this.all(sql, values);
+  }
+
+  // Cross-source inconsistencies
+  async upsertSourceInconsistency(item) {
+    const { id, type, disease, geography, period, field, source, likely_cause, severity, status, resolution_note } = item;
+    const sql = `
+      INSERT INTO source_inconsistencies (id, type, disease, geography, period, field, source, likely_cause, severity, details, status, resolution_note)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        likely_cause = excluded.likely_cause,
+        severity = excluded.severity,
+        details = excluded.details,
+        status = excluded.status,
+        resolution_note = excluded.resolution_note,
+        last_seen = CURRENT_TIMESTAMP
+    `;
+    return await this.run(sql, [
+      id, type, disease, geography, period, field, source, likely_cause, severity,
+      JSON.stringify(item), status || 'open', resolution_note || null
+    ]);
+  }
+
+  parseSourceInconsistency(row) {
+    if (!row) return null;
+    return { ...row, details: JSON.parse(row.details || '{}') };
+  }
+
+  async getSourceInconsistency(id) {
+    const sql = 'SELECT * FROM source_inconsistencies WHERE id = ?';
+    return this.parseSourceInconsistency(await this.get(sql, [id]));
+  }
+
+  async getSourceInconsistencies(filters = {}) {
+    const conditions = [];
+    const values = [];
+    ['status', 'type', 'disease', 'geography', 'source', 'likely_cause'].forEach(key => {
+      if (filters[key]) {
+        conditions.push(`${key} = ?`);
+        values.push(filters[key]);
+      }
+    });
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const limit = filters.limit ? `LIMIT ${parseInt(filters.limit)}` : '';
+    const sql = `SELECT * FROM source_inconsistencies ${where} ORDER BY last_seen DESC, period DESC ${limit}`;
+    return (await this.all(sql, values)).map(row => this.parseSourceInconsistency(row));
+  }
+
+  async updateSourceInconsistencyStatus(id, resolution) {
+    const { status, resolution_note, resolved_by } = resolution;
+    const sql = `
+      UPDATE source_inconsistencies
+      SET status = ?, resolution_note = ?, resolved_by = ?,
+          resolved_at = CASE WHEN ? = 'open' THEN NULL ELSE CURRENT_TIMESTAMP END
+      WHERE id = ?
+    `;
+    return await this.run(sql, [status, resolution_note || null, status === 'open' ? null : resolved_by || null, status, id]);
+  }
+
+  // Surveillance observations (scheduled ingestion store)
+  async createSurveillanceObservation(observation) {
+    const { source, disease, geography, period, period_start, period_end, measure, value, unit, retrieved_at, ingestion_run_id } = observation;
+    const sql = `
+      INSERT INTO surveillance_observations (source, disease, geography, period, period_start, period_end, measure, value, unit, retrieved_at, ingestion_run_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    return await this.run(sql, [
+      source, disease, geography, period, period_start, period_end, measure || 'cases', value, unit,
+      retrieved_at, ingestion_run_id || null
+    ]);
+  }
+
+  observationConditions(filters, alias = '') {
+    const conditions = [];
+    const values = [];
+    ['source', 'disease', 'geography', 'measure', 'period'].forEach(key => {
+      const filter = filters[key];
+      if (Array.isArray(filter) && filter.length) {
+        conditions.push(`${alias}${key} IN (${filter.map(() => '?').join(', ')})`);
+        values.push(...filter);
+      } else if (filter && !Array.isArray(filter)) {
+        conditions.push(`${alias}${key} = ?`);
+        values.push(filter);
+      }
+    });
+    if (filters.year) {
+      conditions.push(`substr(${alias}period, 1, 4) = ?`);
+      values.push(String(filters.year));
+    }
+    if (filters.period_from) {
+      conditions.push(`${alias}period_start >= ?`);
+      values.push(filters.period_from);
+    }
+    if (filters.period_to) {
+      conditions.push(`${alias}period_start <= ?`);
+      values.push(filters.period_to);
+    }
+    return { conditions, values };
+  }
+
+  /**
+   * Latest revision of each series point, or the revision that was current at filters.as_of
+   */
+  async getSurveillanceObservations(filters = {}) {
+    const { conditions, values } = this.observationConditions(filters, 'o.');
+    const asOf = filters.as_of ? 'AND retrieved_at <= ?' : '';
+    const sql = `
+      SELECT o.* FROM surveillance_observations o
+      WHERE o.id = (
+          SELECT MAX(id) FROM surveillance_observations
+          WHERE source = o.source AND disease = o.disease AND geography = o.geography
+            AND period = o.period AND measure = o.measure ${asOf}
+        )
+        ${conditions.length ? `AND ${conditions.join(' AND ')}` : ''}
+      ORDER BY o.disease, o.geography, o.period_start, o.measure
+      ${filters.limit ? `LIMIT ${parseInt(filters.limit)}` : ''}
+    `;
+    return await this.all(sql, [...(filters.as_of ? [filters.as_of] : []), ...values]);
+  }
+
+  async getSurveillanceObservationHistory(filters = {}) {
+    const { conditions, values } = this.observationConditions(filters);
+    const sql = `
+      SELECT * FROM surveillance_observations
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY geography, period_start, measure, retrieved_at, id
+      ${filters.limit ? `LIMIT ${parseInt(filters.limit)}` : ''}
+    `;
+    return await this.all(sql, values);
+  }
+
+  // Ingestion jobs keep their watermark and run state when the schedule is re-registered
+  async upsertIngestionJob(job) {
+    const { id, source, disease, schedule } = job;
+    const sql = `
+      INSERT INTO ingestion_jobs (id, source, disease, schedule)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET schedule = excluded.schedule
+    `;
+    return await this.run(sql, [id, source, disease, schedule]);
+  }
+
+  async getIngestionJob(id) {
+    return await this.get('SELECT * FROM ingestion_jobs WHERE id = ?', [id]);
+  }
+
+  async getIngestionJobs() {
+    return await this.all('SELECT * FROM ingestion_jobs ORDER BY source, disease');
+  }
+
+  async updateIngestionJob(id, updates) {
+    const fields = ['watermark', 'enabled', 'last_run_at', 'last_success_at', 'last_status', 'last_error']
+      .filter(field => updates[field] !== undefined);
+    if (!fields.length) return { changes: 0 };
+    const sql = `UPDATE ingestion_jobs SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`;
+    return await this.run(sql, [...fields.map(field => updates[field]), id]);
+  }
+
+  async createIngestionRun(job_id, watermark_before) {
+    const sql = 'INSERT INTO ingestion_runs (job_id, started_at, watermark_before) VALUES (?, ?, ?)';
+    return await this.run(sql, [job_id, new Date().toISOString(), watermark_before || null]);
+  }
+
+  async finishIngestionRun(id, result) {
+    const { status, watermark_after, fetched, inserted, revised, unchanged, error } = result;
+    const sql = `
+      UPDATE ingestion_runs
+      SET finished_at = ?, status = ?, watermark_after = ?, fetched = ?, inserted = ?, revised = ?, unchanged = ?, error = ?
+      WHERE id = ?
+    `;
+    return await this.run(sql, [
+      new Date().toISOString(), status, watermark_after || null,
+      fetched || 0, inserted || 0, revised || 0, unchanged || 0, error || null, id
+    ]);
+  }
+
+  async getIngestionRuns(job_id = null, limit = 20) {
+    const sql = `
+      SELECT * FROM ingestion_runs
+      ${job_id ? 'WHERE job_id = ?' : ''}
+      ORDER BY started_at DESC, id DESC
+      LIMIT ?
+    `;
+    return await this.all(sql, job_id ? [job_id, limit] : [limit]);
+  }
+
+  // Provenance records (content-addressed, written once)
+  async saveProvenanceRecord(record) {
+    const sql = `
+      INSERT INTO provenance_records (id, kind, source, synthetic, retrieved_at, record)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET retrieved_at = excluded.retrieved_at, record = excluded.record
+    `;
+    return await this.run(sql, [record.id, record.kind, record.source.id, record.synthetic ? 1 : 0, record.retrieved_at, JSON.stringify(record)]);
+  }
+
+  async getProvenanceRecord(id) {
+    const row = await this.get('SELECT record FROM provenance_records WHERE id = ?', [id]);
+    return row ? JSON.parse(row.record) : null;
+  }
+
+  // Herpes episode diary (always scoped to the owning user)
+  parseHerpesEpisode(row) {
+    return row ? { ...row, triggers: JSON.parse(row.triggers || '[]') } : row;
+  }
+
+  async createHerpesEpisode(episode) {
+    const { user_id, herpes_type, onset_date, duration_days, severity, lesion_site, triggers, antiviral } = episode;
+    const sql = `
+      INSERT INTO herpes_episodes (user_id, herpes_type, onset_date, duration_days, severity, lesion_site, triggers, antiviral)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    return await this.run(sql, [
+      user_id, herpes_type, onset_date, duration_days ?? null, severity ?? null,
+      lesion_site || null, JSON.stringify(triggers || []), antiviral || 'none'
+    ]);
+  }
+
+  async getHerpesEpisodes(user_id, herpes_type = null) {
+    const sql = `
+      SELECT * FROM herpes_episodes
+      WHERE user_id = ? ${herpes_type ? 'AND herpes_type = ?' : ''}
+      ORDER BY onset_date DESC, id DESC
+    `;
+    const rows = await this.all(sql, herpes_type ? [user_id, herpes_type] : [user_id]);
+    return rows.map(row => this.parseHerpesEpisode(row));
+  }
+
+  async getHerpesEpisode(id, user_id) {
+    const row = await this.get('SELECT * FROM herpes_episodes WHERE id = ? AND user_id = ?', [id, user_id]);
+    return this.parseHerpesEpisode(row);
+  }
+
+  async updateHerpesEpisode(id, user_id, updates) {
+    const allowedFields = ['herpes_type', 'onset_date', 'duration_days', 'severity', 'lesion_site', 'triggers', 'antiviral'];
+    const fields = Object.keys(updates).filter(field => allowedFields.includes(field));
+    if (fields.length === 0) return { changes: 0 };
+
+    const values = fields.map(field => field === 'triggers' ? JSON.stringify(updates.triggers || []) : updates[field]);
+    const sql = `
+      UPDATE herpes_episodes SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND user_id = ?
+    `;
+    return await this.run(sql, [...values, id, user_id]);
+  }
+
+  async deleteHerpesEpisode(id, user_id) {
+    return await this.run('DELETE FROM herpes_episodes WHERE id = ? AND user_id = ?', [id, user_id]);
+  }
+
+  async createHerpesExposure(exposure) {
+    const { user_id, factor, start_date, end_date } = exposure;
+    const sql = 'INSERT INTO herpes_trigger_exposures (user_id, factor, start_date, end_date) VALUES (?, ?, ?, ?)';
+    return await this.run(sql, [user_id, factor, start_date, end_date || null]);
+  }
+
+  async getHerpesExposures(user_id) {
+    const sql = 'SELECT * FROM herpes_trigger_exposures WHERE user_id = ? ORDER BY start_date DESC, id DESC';
+    return await this.all(sql, [user_id]);
+  }
+
+  async deleteHerpesExposure(id, user_id) {
+    return await this.run('DELETE FROM herpes_trigger_exposures WHERE id = ? AND user_id = ?', [id, user_id]);
+  }
+
+  // Partner notices
+  async createPartnerNotice(noticeData) {
+    const { id, user_id, batch_id, disease, channel, status, token_hash, expires_at } = noticeData;
+    const sql = `
+      INSERT INTO partner_notices (id, user_id, batch_id, disease, channel, status, token_hash, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    return await this.run(sql, [id, user_id, batch_id, disease, channel, status, token_hash || null, expires_at || null]);
+  }
+
+  async countPartnerNoticesSince(user_id, hours) {
+    const row = await this.get(
+      `SELECT COUNT(*) as count FROM partner_notices WHERE user_id = ? AND created_at > datetime('now', ?)`,
+      [user_id, `-${hours} hours`]
+    );
+    return row ? row.count : 0;
+  }
+
+  // The sender's own diagnosis: a 'self' disease history entry or, for herpes, a diary episode
+  async hasRecordedDiagnosis(user_id, diseaseCodes, herpesTypes = []) {
+    if (diseaseCodes.length) {
+      const row = await this.get(
+        `SELECT 1 FROM family_diseases fd
+         JOIN diseases d ON fd.disease_id = d.id
+         WHERE fd.user_id = ? AND fd.family_member = 'self' AND fd.has_disease = 1
+           AND d.disease_code IN (${diseaseCodes.map(() => '?').join(', ')})
+         LIMIT 1`,
+        [user_id, ...diseaseCodes]
+      );
+      if (row) return true;
+    }
+    if (herpesTypes.length) {
+      const row = await this.get(
+        `SELECT 1 FROM herpes_episodes
+         WHERE user_id = ? AND herpes_type IN (${herpesTypes.map(() => '?').join(', ')})
+         LIMIT 1`,
+        [user_id, ...herpesTypes]
+      );
+      if (row) return true;
+    }
+    return false;
+  }
+
+  async countPartnerNoticeRecipientSince(recipient_hash, hours) {
+    const row = await this.get(
+      `SELECT COUNT(*) as count FROM partner_notice_recipients WHERE recipient_hash = ? AND created_at > datetime('now', ?)`,
+      [recipient_hash, `-${hours} hours`]
+    );
+    return row ? row.count : 0;
+  }
+
+  async recordPartnerNoticeRecipient(recipient_hash) {
+    return await this.run('INSERT INTO partner_notice_recipients (recipient_hash) VALUES (?)', [recipient_hash]);
+  }
+
+  async deletePartnerNoticeRecipientsBefore(hours) {
+    return await this.run(
+      `DELETE FROM partner_notice_recipients WHERE created_at <= datetime('now', ?)`,
+      [`-${hours} hours`]
+    );
+  }
+
+  async getPartnerNotices(user_id) {
+    return await this.all(
+      `SELECT id, batch_id, disease, channel, status, expires_at, opened_at, created_at
+       FROM partner_notices WHERE user_id = ? ORDER BY created_at DESC`,
+      [user_id]
+    );
+  }
+
+  async getPartnerNoticeByTokenHash(token_hash) {
+    return await this.get('SELECT * FROM partner_notices WHERE token_hash = ?', [token_hash]);
+  }
+
+  // Single use: only one caller can move an issued, unexpired link to 'opened'
+  async openPartnerNotice(id) {
+    return await this.run(
+      `UPDATE partner_notices SET status = 'opened', opened_at = CURRENT_TIMESTAMP, token_hash = NULL
+       WHERE id = ? AND status = 'issued' AND expires_at > datetime('now')`,
+      [id]
+    );
+  }
+
+  async revokePartnerNotice(id, user_id) {
+    return await this.run(
+      `UPDATE partner_notices SET status = 'revoked', token_hash = NULL
+       WHERE id = ? AND user_id = ? AND status = 'issued'`,
+      [id, user_id]
+    );
+  }
+
   async getFamilyDiseaseById(id) {
     const sql = 'SELECT * FROM family_diseases WHERE id = ?';
     return await this.get(sql, [id]);
@@ -53,7 +53,7 @@ class DiseaseApiService {
 
   async initFetch() {
     if (!this.fetch) {
-      const { default: fetch } = await import('node-fetch');
+      const { fetch } = require('../utils/httpClient');
       this.fetch = fetch;
     }
   }
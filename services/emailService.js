@@ -64,7 +64,9 @@ class EmailService {
         }
     }
 
-    async sendEmail(to, subject, html, text = null) {
+    // options.redactRecipient keeps the address out of the logs (e.g. anonymous partner notices)
+    async sendEmail(to, subject, html, text = null, options = {}) {
+        const loggedRecipient = options.redactRecipient ? '[redacted]' : to;
         const mailOptions = {
             from: this.config.from,
             to,
@@ -98,27 +100,27 @@ class EmailService {
                 }
 
                 const result = await this.awsSES.sendEmail(sesParams).promise();
-                console.log(`📧 Email sent via AWS SES to ${to}: ${subject}`);
+                console.log(`📧 Email sent via AWS SES to ${loggedRecipient}: ${subject}`);
                 return { success: true, messageId: result.MessageId };
             }
 
             // Fallback to SMTP
             if (this.transporter) {
                 const result = await this.transporter.sendMail(mailOptions);
-                console.log(`📧 Email sent via SMTP to ${to}: ${subject}`);
+                console.log(`📧 Email sent via SMTP to ${loggedRecipient}: ${subject}`);
                 return { success: true, messageId: result.messageId };
             }
 
             // Development fallback: log email to console
             console.log('📧 EMAIL (Development Mode):');
-            console.log(`To: ${to}`);
+            console.log(`To: ${loggedRecipient}`);
             console.log(`Subject: ${subject}`);
             console.log(`Content: ${text || this.stripHtml(html)}`);
             console.log('---');
             return { success: true, messageId: 'dev-mode-' + Date.now() };
 
         } catch (error) {
-            console.error('❌ Failed to send email:', error);
+            console.error('❌ Failed to send email:', options.redactRecipient ? error.message : error);
             throw error;
         }
     }
@@ -342,6 +344,61 @@ class EmailService {
         return await this.sendEmail(email, subject, html, text);
     }
 
+    // notice is composed by PartnerNotificationService; it never names the sender
+    async sendPartnerNoticeEmail(email, notice) {
+        const paragraph = content => `<p style="color: #4b5563; font-size: 16px; line-height: 1.6; margin: 0 0 20px 0;">${content}</p>`;
+
+        const html = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <meta charset="utf-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>${notice.subject}</title>
+        </head>
+        <body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f5f5f5;">
+            <div style="max-width: 600px; margin: 0 auto; background-color: white; padding: 0; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+                <!-- Header -->
+                <div style="background: linear-gradient(135deg, #2563eb 0%, #1d4ed8 100%); padding: 30px 20px; text-align: center;">
+                    <h1 style="color: white; margin: 0; font-size: 28px; font-weight: 700;">diseaseZone</h1>
+                    <p style="color: rgba(255,255,255,0.9); margin: 10px 0 0 0; font-size: 16px;">Confidential health notice</p>
+                </div>
+
+                <!-- Content -->
+                <div style="padding: 40px 30px;">
+                    <h2 style="color: #1f2937; margin-bottom: 20px; font-size: 24px;">${notice.heading}</h2>
+
+                    ${notice.intro.map(paragraph).join('\n')}
+
+                    <h3 style="color: #1f2937; margin: 30px 0 10px 0; font-size: 18px;">What to do</h3>
+                    ${notice.actions.map(paragraph).join('\n')}
+
+                    <!-- Testing Resources -->
+                    <div style="background: #f3f4f6; padding: 20px; border-radius: 8px; border-left: 4px solid #2563eb; margin-top: 30px;">
+                        <h3 style="color: #1d4ed8; margin: 0 0 10px 0; font-size: 16px;">Where to get tested</h3>
+                        ${notice.resources.map(resource => `
+                        <p style="color: #4b5563; font-size: 14px; line-height: 1.5; margin: 0 0 8px 0;">
+                            <a href="${resource.url}" style="color: #2563eb;">${resource.name}</a>${resource.description ? ` — ${resource.description}` : ''}
+                        </p>`).join('')}
+                    </div>
+
+                    <p style="color: #6b7280; font-size: 14px; line-height: 1.6; margin: 25px 0 0 0;">${notice.privacy}</p>
+                </div>
+
+                <!-- Footer -->
+                <div style="background: #f9fafb; padding: 30px; text-align: center; border-top: 1px solid #e5e7eb;">
+                    <p style="color: #6b7280; font-size: 12px; margin: 0;">
+                        ${notice.disclaimer}
+                    </p>
+                </div>
+            </div>
+        </body>
+        </html>
+        `;
+
+        return await this.sendEmail(email, notice.subject, html, notice.text, { redactRecipient: true });
+    }
+
     stripHtml(html) {
         return html.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
     }
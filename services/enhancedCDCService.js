@@ -4,6 +4,8 @@
  * Environmental Health Tracking, and Content Syndication APIs
  */
 
+const { fetch } = require('../utils/httpClient');
+
 class EnhancedCDCService {
     constructor() {
         this.endpoints = {
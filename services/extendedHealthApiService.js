@@ -9,7 +9,7 @@
  * - Enhanced OpenFDA integration
  */
 
-const axios = require('axios');
+const { axios } = require('../utils/httpClient');
 const { performance } = require('perf_hooks');
 
 class ExtendedHealthApiService {
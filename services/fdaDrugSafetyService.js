@@ -4,6 +4,8 @@
  * Provides real-time drug safety alerts and medical device recall information
  */
 
+const { fetch } = require('../utils/httpClient');
+
 class FDADrugSafetyService {
     constructor() {
         this.baseURL = 'https://api.fda.gov';
@@ -261,7 +261,7 @@ class GeneticDiseaseService {
 
   async initFetch() {
     if (!this.fetch) {
-      const { default: fetch } = await import('node-fetch');
+      const { fetch } = require('../utils/httpClient');
       this.fetch = fetch;
     }
   }
@@ -1,8 +1,7 @@
+const SourceAdapterRegistry = require('./sourceAdapterRegistry');
+
 class GlobalHealthOrchestrator {
   constructor() {
-    this.fetch = null;
-    this.initFetch();
-
     // Load all API keys and configurations
     this.apiKeys = {
       cdc: process.env.CDC_API_KEY || null,
@@ -15,165 +14,12 @@ class GlobalHealthOrchestrator {
       fda: process.env.FDA_API_KEY || null
     };
 
-    // Data source configurations with capabilities
-    this.dataSources = {
-      // Global Organizations
-      who: {
-        name: 'WHO Global Health Observatory',
-        baseURL: 'https://ghoapi.azureedge.net/api',
-        capabilities: ['global', 'hiv', 'tb', 'malaria', 'ncd', 'mortality'],
-        coverage: 'global',
-        dataQuality: 'high',
-        updateFrequency: 'monthly',
-        priority: 1
-      },
-      ecdc: {
-        name: 'European Centre for Disease Prevention and Control',
-        baseURL: 'https://www.ecdc.europa.eu/sites/default/files/data',
-        capabilities: ['surveillance', 'outbreaks', 'antimicrobial_resistance'],
-        coverage: 'europe',
-        dataQuality: 'high',
-        updateFrequency: 'weekly',
-        priority: 2
-      },
-      paho: {
-        name: 'Pan American Health Organization',
-        baseURL: 'https://www.paho.org/data/index.php/en',
-        capabilities: ['americas', 'surveillance', 'outbreaks'],
-        coverage: 'americas',
-        dataQuality: 'high',
-        updateFrequency: 'weekly',
-        priority: 2
-      },
-
-      // US Federal
-      cdc: {
-        name: 'CDC Data.gov',
-        baseURL: 'https://data.cdc.gov/api/views',
-        capabilities: ['surveillance', 'sti', 'hiv', 'vaccines', 'mortality'],
-        coverage: 'usa',
-        dataQuality: 'very_high',
-        updateFrequency: 'weekly',
-        priority: 1
-      },
-      fdaOpenFDA: {
-        name: 'FDA OpenFDA',
-        baseURL: 'https://api.fda.gov',
-        capabilities: ['adverse_events', 'drug_safety', 'vaccine_safety'],
-        coverage: 'usa',
-        dataQuality: 'high',
-        updateFrequency: 'daily',
-        priority: 3
-      },
-      cmsData: {
-        name: 'CMS Data',
-        baseURL: 'https://data.cms.gov/api/1',
-        capabilities: ['healthcare_utilization', 'outcomes', 'demographics'],
-        coverage: 'usa',
-        dataQuality: 'high',
-        updateFrequency: 'quarterly',
-        priority: 4
-      },
-
-      // US States
-      california: {
-        name: 'California Health and Human Services',
-        baseURL: 'https://data.chhs.ca.gov/api/3/action',
-        capabilities: ['sti', 'communicable_diseases', 'hospital_data'],
-        coverage: 'california',
-        dataQuality: 'high',
-        updateFrequency: 'weekly',
-        priority: 2
-      },
-      newYork: {
-        name: 'New York Health Data',
-        baseURL: 'https://health.data.ny.gov/api/views',
-        capabilities: ['hiv', 'sti', 'communicable_diseases'],
-        coverage: 'new_york',
-        dataQuality: 'high',
-        updateFrequency: 'weekly',
-        priority: 2
-      },
-      texas: {
-        name: 'Texas Department of State Health Services',
-        baseURL: 'https://dshs.texas.gov/data/api',
-        capabilities: ['notifiable_conditions', 'sti'],
-        coverage: 'texas',
-        dataQuality: 'medium',
-        updateFrequency: 'monthly',
-        priority: 3
-      },
-
-      // Research & Academic
-      ourWorldInData: {
-        name: 'Our World in Data',
-        baseURL: 'https://raw.githubusercontent.com/owid',
-        capabilities: ['covid', 'vaccines', 'global_health', 'demographics'],
-        coverage: 'global',
-        dataQuality: 'very_high',
-        updateFrequency: 'daily',
-        priority: 1
-      },
-      healthMap: {
-        name: 'HealthMap Outbreak Detection',
-        baseURL: 'https://healthmap.org/HMapi.php',
-        capabilities: ['outbreak_detection', 'disease_intelligence', 'news_monitoring'],
-        coverage: 'global',
-        dataQuality: 'medium',
-        updateFrequency: 'real_time',
-        priority: 2
-      },
-      gisaid: {
-        name: 'GISAID Viral Surveillance',
-        baseURL: 'https://www.epicov.org/epi3/api',
-        capabilities: ['viral_genomics', 'mutations', 'lineages'],
-        coverage: 'global',
-        dataQuality: 'very_high',
-        updateFrequency: 'daily',
-        priority: 1
-      },
-      proMED: {
-        name: 'ProMED Disease Intelligence',
-        baseURL: 'https://promedmail.org/api',
-        capabilities: ['outbreak_reports', 'expert_analysis', 'early_warning'],
-        coverage: 'global',
-        dataQuality: 'high',
-        updateFrequency: 'real_time',
-        priority: 2
-      },
-
-      // Existing integrations
-      diseaseApi: {
-        name: 'disease.sh',
-        baseURL: 'https://disease.sh/v3',
-        capabilities: ['covid', 'influenza', 'global'],
-        coverage: 'global',
-        dataQuality: 'high',
-        updateFrequency: 'daily',
-        priority: 1
-      }
-    };
-
-    // Disease-specific source mapping
-    this.diseaseSourceMap = {
-      hiv: ['cdc', 'who', 'california', 'newYork', 'ourWorldInData'],
-      aids: ['cdc', 'who', 'california', 'newYork'],
-      covid: ['diseaseApi', 'ourWorldInData', 'ecdc', 'healthMap'],
-      influenza: ['diseaseApi', 'cdc', 'ecdc', 'healthMap', 'gisaid'],
-      tuberculosis: ['who', 'cdc', 'ecdc', 'ourWorldInData'],
-      syphilis: ['cdc', 'california', 'newYork', 'texas'],
-      gonorrhea: ['cdc', 'california', 'newYork', 'texas'],
-      chlamydia: ['cdc', 'california', 'newYork', 'texas'],
-      herpes: ['cdc', 'california'],
-      hpv: ['cdc', 'california'],
-      malaria: ['who', 'ecdc', 'ourWorldInData', 'healthMap'],
-      dengue: ['who', 'healthMap', 'proMED'],
-      zika: ['who', 'healthMap', 'proMED'],
-      ebola: ['who', 'ecdc', 'healthMap', 'proMED'],
-      mpox: ['cdc', 'ecdc', 'healthMap', 'proMED'],
-      viral_hepatitis: ['cdc', 'who', 'ecdc'],
-      antimicrobial_resistance: ['ecdc', 'who', 'cdc']
-    };
+    // Data sources are adapters discovered from services/sourceAdapters and SOURCE_ADAPTER_DIRS;
+    // dataSources and diseaseSourceMap are derived from their declared capabilities
+    this.sourceRegistry = new SourceAdapterRegistry({
+      apiKeys: this.apiKeys,
+      getService: name => this.services?.[name] || null
+    }).loadDefaults();
 
     // Data fusion algorithms
     this.fusionStrategies = {
@@ -202,13 +48,6 @@ class GlobalHealthOrchestrator {
     this.initializeServices();
   }
 
-  async initFetch() {
-    if (!this.fetch) {
-      const { default: fetch } = await import('node-fetch');
-      this.fetch = fetch;
-    }
-  }
-
   async initializeServices() {
     // Initialize all integrated services
     try {
@@ -366,228 +205,28 @@ class GlobalHealthOrchestrator {
     return { sources: sourceData };
   }
 
-  async fetchFromSource(sourceName, disease, regions, timeframe) {
-    const source = this.dataSources[sourceName];
-
-    switch (sourceName) {
-      case 'who':
-        return await this.fetchFromWHO(disease, regions, timeframe);
-      case 'ecdc':
-        return await this.fetchFromECDC(disease, regions, timeframe);
-      case 'california':
-        return await this.fetchFromCalifornia(disease, regions, timeframe);
-      case 'newYork':
-        return await this.fetchFromNewYork(disease, regions, timeframe);
-      case 'ourWorldInData':
-        return await this.fetchFromOurWorldInData(disease, regions, timeframe);
-      case 'healthMap':
-        return await this.fetchFromHealthMap(disease, regions, timeframe);
-      case 'gisaid':
-        return await this.fetchFromGISAID(disease, regions, timeframe);
-      case 'fdaOpenFDA':
-        return await this.fetchFromFDA(disease, regions, timeframe);
-      case 'cmsData':
-        return await this.fetchFromCMS(disease, regions, timeframe);
-      case 'proMED':
-        return await this.fetchFromProMED(disease, regions, timeframe);
-      case 'diseaseApi':
-        return await this.services.diseaseApi.getCOVIDData({ scope: 'global' });
-      case 'cdc':
-        return await this.services.sti.queryDiseaseData({ diseases: [disease] });
-      default:
-        throw new Error(`Unknown source: ${sourceName}`);
-    }
+  get dataSources() {
+    return this.sourceRegistry.describe();
   }
 
-  async fetchFromWHO(disease, regions, timeframe) {
-    await this.initFetch();
-
-    const diseaseMapping = {
-      'hiv': 'HIV_0000000001',
-      'tb': 'TB_1',
-      'malaria': 'MALARIA_1'
-    };
-
-    const indicatorCode = diseaseMapping[disease];
-    if (!indicatorCode) {
-      return { success: false, error: `WHO indicator not mapped for ${disease}` };
-    }
-
-    try {
-      const url = `${this.dataSources.who.baseURL}/${indicatorCode}`;
-      const response = await this.fetch(url, {
-        timeout: 15000,
-        headers: { 'User-Agent': 'Disease Zone Global Aggregator' }
-      });
-
-      if (!response.ok) {
-        throw new Error(`WHO API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-
-      return {
-        success: true,
-        data: data.value || [],
-        metadata: {
-          source: 'WHO GHO',
-          indicator: indicatorCode,
-          lastUpdated: new Date().toISOString()
-        }
-      };
-
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
+  get diseaseSourceMap() {
+    return this.sourceRegistry.diseaseSourceMap();
   }
 
-  async fetchFromCalifornia(disease, regions, timeframe) {
-    await this.initFetch();
-
-    const datasetMapping = {
-      'syphilis': 'std-surveillance-syphilis',
-      'gonorrhea': 'std-surveillance-gonorrhea',
-      'chlamydia': 'std-surveillance-chlamydia',
-      'hiv': 'hiv-surveillance-data'
-    };
-
-    const datasetId = datasetMapping[disease];
-    if (!datasetId) {
-      return { success: false, error: `California dataset not available for ${disease}` };
-    }
-
-    try {
-      const url = `${this.dataSources.california.baseURL}/datastore_search?resource_id=${datasetId}&limit=1000`;
-
-      const response = await this.fetch(url, {
-        timeout: 15000,
-        headers: { 'User-Agent': 'Disease Zone Global Aggregator' }
-      });
-
-      if (!response.ok) {
-        throw new Error(`California API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-
-      return {
-        success: true,
-        data: data.result?.records || [],
-        metadata: {
-          source: 'California CHHS',
-          dataset: datasetId,
-          lastUpdated: new Date().toISOString()
-        }
-      };
-
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
+  async fetchFromSource(sourceName, disease, regions, timeframe) {
+    return this.sourceRegistry.fetch(sourceName, { disease, regions, timeframe });
   }
 
-  async fetchFromHealthMap(disease, regions, timeframe) {
-    await this.initFetch();
-
-    try {
-      const url = `${this.dataSources.healthMap.baseURL}?auth=${this.apiKeys.healthMap || 'demo'}&disease=${disease}&format=json`;
-
-      const response = await this.fetch(url, {
-        timeout: 15000,
-        headers: { 'User-Agent': 'Disease Zone Global Aggregator' }
-      });
-
-      if (!response.ok) {
-        throw new Error(`HealthMap API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-
-      return {
-        success: true,
-        data: data.alerts || [],
-        metadata: {
-          source: 'HealthMap',
-          type: 'outbreak_detection',
-          lastUpdated: new Date().toISOString()
-        }
-      };
-
-    } catch (error) {
-      return { success: false, error: error.message };
+  async checkSourceStatus(sourceName) {
+    const adapter = this.sourceRegistry.get(sourceName);
+    if (!adapter) {
+      throw new Error(`Unknown source: ${sourceName}`);
     }
-  }
 
-  async fetchFromOurWorldInData(disease, regions, timeframe) {
-    await this.initFetch();
-
-    const datasetMapping = {
-      'covid': 'covid-19-data/master/public/data/owid-covid-data.json',
-      'vaccines': 'covid-19-data/master/public/data/vaccinations/vaccinations.json'
+    return {
+      ...this.dataSources[sourceName],
+      health: await this.sourceRegistry.probe(sourceName, { refresh: true })
     };
-
-    const datasetPath = datasetMapping[disease];
-    if (!datasetPath) {
-      return { success: false, error: `Our World in Data not available for ${disease}` };
-    }
-
-    try {
-      const url = `${this.dataSources.ourWorldInData.baseURL}/${datasetPath}`;
-
-      const response = await this.fetch(url, {
-        timeout: 30000,
-        headers: { 'User-Agent': 'Disease Zone Global Aggregator' }
-      });
-
-      if (!response.ok) {
-        throw new Error(`Our World in Data error: ${response.status}`);
-      }
-
-      const data = await response.json();
-
-      return {
-        success: true,
-        data: data,
-        metadata: {
-          source: 'Our World in Data',
-          dataset: datasetPath,
-          lastUpdated: new Date().toISOString()
-        }
-      };
-
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  }
-
-  // Additional source implementations would continue here...
-  async fetchFromECDC(disease, regions, timeframe) {
-    // ECDC implementation
-    return { success: false, error: 'ECDC integration pending' };
-  }
-
-  async fetchFromNewYork(disease, regions, timeframe) {
-    // New York Health Data implementation
-    return { success: false, error: 'NY Health Data integration pending' };
-  }
-
-  async fetchFromGISAID(disease, regions, timeframe) {
-    // GISAID implementation (requires special authentication)
-    return { success: false, error: 'GISAID integration pending authentication' };
-  }
-
-  async fetchFromFDA(disease, regions, timeframe) {
-    // FDA OpenFDA implementation
-    return { success: false, error: 'FDA integration pending' };
-  }
-
-  async fetchFromCMS(disease, regions, timeframe) {
-    // CMS Data implementation
-    return { success: false, error: 'CMS integration pending' };
-  }
-
-  async fetchFromProMED(disease, regions, timeframe) {
-    // ProMED implementation
-    return { success: false, error: 'ProMED integration pending' };
   }
 
   // Data fusion algorithms
@@ -787,15 +426,19 @@ class GlobalHealthOrchestrator {
       status.apiKeys[key] = !!value;
     });
 
-    // Check data source status
+    // Data source status from the adapters; connectivity from the last health probe, if any
     Object.entries(this.dataSources).forEach(([name, config]) => {
+      const probe = this.sourceRegistry.probeCache.get(name)?.result;
       status.dataSources[name] = {
-        available: true, // Would check actual connectivity
+        available: !config.pending && config.configured && probe?.status !== 'down',
+        health: probe?.status || 'unchecked',
         priority: config.priority,
         quality: config.dataQuality,
-        coverage: config.coverage
+        coverage: config.coverage,
+        origin: config.origin
       };
     });
+    status.rejectedAdapters = this.sourceRegistry.rejected;
 
     return status;
   }
@@ -5,7 +5,7 @@
  * comprehensive herpes virus data (HSV-1, HSV-2, Shingles)
  */
 
-const axios = require('axios');
+const { axios } = require('../utils/httpClient');
 const { performance } = require('perf_hooks');
 
 class HerpesApiService {
@@ -0,0 +1,270 @@
+/**
+ * Herpes Episode Diary
+ * A user's own record of herpes episodes (onset, duration, severity, lesion site, suspected
+ * triggers, antiviral use) and of trigger exposures, which feed the recurrence model in
+ * HerpesOutbreakPredictionService. Every read and write is logged as PHI access.
+ */
+
+const HerpesOutbreakPredictionService = require('./herpesOutbreakPredictionService');
+
+const HERPES_TYPES = ['hsv1', 'hsv2', 'shingles'];
+const TRIGGERS = ['stress', 'illness', 'menses', 'uv'];
+const EXPOSURE_FACTORS = [...TRIGGERS, 'suppressive_antiviral'];
+const ANTIVIRAL_USE = ['none', 'episodic', 'suppressive'];
+const LESION_SITES = ['lips', 'mouth', 'face', 'eye', 'genital', 'perianal', 'buttocks', 'thigh', 'trunk', 'other'];
+const EPISODE_FIELDS = ['herpes_type', 'onset_date', 'duration_days', 'severity', 'lesion_site', 'triggers', 'antiviral'];
+
+class HerpesDiaryService {
+  constructor(databaseService, hipaaService) {
+    this.db = databaseService;
+    this.hipaa = hipaaService;
+    this.prediction = new HerpesOutbreakPredictionService(databaseService);
+  }
+
+  getOptions() {
+    return {
+      herpes_types: HERPES_TYPES,
+      triggers: TRIGGERS,
+      exposure_factors: EXPOSURE_FACTORS,
+      antiviral: ANTIVIRAL_USE,
+      lesion_sites: LESION_SITES
+    };
+  }
+
+  // Validates a full episode, or only the given fields when partial (updates)
+  validateEpisode(data, partial = false) {
+    const errors = [];
+    const has = field => data[field] !== undefined && data[field] !== null && data[field] !== '';
+
+    if (has('herpes_type') && !HERPES_TYPES.includes(data.herpes_type)) {
+      errors.push(`herpes_type must be one of: ${HERPES_TYPES.join(', ')}`);
+    }
+    if (!partial && !has('onset_date')) {
+      errors.push('onset_date is required');
+    } else if (has('onset_date')) {
+      this.checkDate(data.onset_date, 'onset_date', errors);
+    }
+    if (has('duration_days') && !(Number.isInteger(Number(data.duration_days)) && data.duration_days >= 1 && data.duration_days <= 90)) {
+      errors.push('duration_days must be a whole number of days between 1 and 90');
+    }
+    if (has('severity') && !(Number.isInteger(Number(data.severity)) && data.severity >= 1 && data.severity <= 10)) {
+      errors.push('severity must be a whole number from 1 to 10');
+    }
+    if (has('lesion_site') && !LESION_SITES.includes(data.lesion_site)) {
+      errors.push(`lesion_site must be one of: ${LESION_SITES.join(', ')}`);
+    }
+    if (has('triggers')) {
+      const triggers = this.parseList(data.triggers);
+      const unknown = triggers.filter(trigger => !TRIGGERS.includes(trigger));
+      if (unknown.length) errors.push(`Unknown triggers: ${unknown.join(', ')}. Use: ${TRIGGERS.join(', ')}`);
+    }
+    if (has('antiviral') && !ANTIVIRAL_USE.includes(data.antiviral)) {
+      errors.push(`antiviral must be one of: ${ANTIVIRAL_USE.join(', ')}`);
+    }
+
+    this.throwIfInvalid(errors);
+  }
+
+  validateExposure(data) {
+    const errors = [];
+    if (!EXPOSURE_FACTORS.includes(data.factor)) {
+      errors.push(`factor must be one of: ${EXPOSURE_FACTORS.join(', ')}`);
+    }
+    if (!data.start_date) {
+      errors.push('start_date is required');
+    } else {
+      this.checkDate(data.start_date, 'start_date', errors);
+    }
+    if (data.end_date) {
+      this.checkDate(data.end_date, 'end_date', errors, true);
+      if (data.start_date && data.end_date < data.start_date) errors.push('end_date must not be before start_date');
+    }
+    this.throwIfInvalid(errors);
+  }
+
+  checkDate(value, field, errors, allowFuture = false) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value)) || isNaN(new Date(value).getTime())) {
+      errors.push(`${field} must be a date (YYYY-MM-DD)`);
+    } else if (!allowFuture && value > new Date().toISOString().slice(0, 10)) {
+      errors.push(`${field} cannot be in the future`);
+    }
+  }
+
+  throwIfInvalid(errors) {
+    if (errors.length) {
+      const error = new Error(errors.join('; '));
+      error.code = 'DIARY_INVALID';
+      error.details = errors;
+      throw error;
+    }
+  }
+
+  parseList(value) {
+    if (Array.isArray(value)) return value.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+    return String(value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+  }
+
+  normalizeEpisode(data) {
+    const episode = {};
+    EPISODE_FIELDS.forEach(field => {
+      if (data[field] === undefined) return;
+      if (field === 'triggers') episode.triggers = this.parseList(data.triggers);
+      else if (field === 'duration_days' || field === 'severity') episode[field] = data[field] === null || data[field] === '' ? null : Number(data[field]);
+      else episode[field] = data[field];
+    });
+    return episode;
+  }
+
+  // context: { ip_address, user_agent } of the request
+  async logAccess(userId, action, resourceType, resourceId, phiFields, context, success = true, reason = null) {
+    if (!this.hipaa) return;
+    await this.hipaa.logPHIAccess({
+      userId,
+      action,
+      resourceType,
+      resourceId: resourceId !== null && resourceId !== undefined ? String(resourceId) : null,
+      phiFields,
+      userIp: context.ip_address,
+      userAgent: context.user_agent,
+      success,
+      reason: reason || (success ? 'Own diary access' : null)
+    });
+  }
+
+  notFound(message) {
+    const error = new Error(message);
+    error.code = 'DIARY_NOT_FOUND';
+    return error;
+  }
+
+  async listEpisodes(userId, herpesType = null, context = {}) {
+    if (herpesType && !HERPES_TYPES.includes(herpesType)) {
+      this.throwIfInvalid([`herpes_type must be one of: ${HERPES_TYPES.join(', ')}`]);
+    }
+    const episodes = await this.db.getHerpesEpisodes(userId, herpesType);
+    await this.logAccess(userId, 'READ', 'herpes_episodes', null, EPISODE_FIELDS, context);
+
+    return {
+      success: true,
+      episodes,
+      total_count: episodes.length,
+      summary: this.summarize(episodes)
+    };
+  }
+
+  async addEpisode(userId, data, context = {}) {
+    this.validateEpisode(data);
+    const episode = { herpes_type: 'hsv2', antiviral: 'none', ...this.normalizeEpisode(data) };
+    const result = await this.db.createHerpesEpisode({ user_id: userId, ...episode });
+    await this.logAccess(userId, 'CREATE', 'herpes_episodes', result.id, Object.keys(episode), context);
+
+    return { success: true, episode: await this.db.getHerpesEpisode(result.id, userId) };
+  }
+
+  async updateEpisode(userId, episodeId, data, context = {}) {
+    this.validateEpisode(data, true);
+    const updates = this.normalizeEpisode(data);
+    const result = await this.db.updateHerpesEpisode(episodeId, userId, updates);
+
+    if (result.changes === 0) {
+      await this.logAccess(userId, 'UPDATE', 'herpes_episodes', episodeId, Object.keys(updates), context, false, 'Episode not found or not owned by user');
+      throw this.notFound('Episode not found');
+    }
+    await this.logAccess(userId, 'UPDATE', 'herpes_episodes', episodeId, Object.keys(updates), context);
+    return { success: true, episode: await this.db.getHerpesEpisode(episodeId, userId) };
+  }
+
+  async deleteEpisode(userId, episodeId, context = {}) {
+    const result = await this.db.deleteHerpesEpisode(episodeId, userId);
+    if (result.changes === 0) {
+      await this.logAccess(userId, 'DELETE', 'herpes_episodes', episodeId, [], context, false, 'Episode not found or not owned by user');
+      throw this.notFound('Episode not found');
+    }
+    await this.logAccess(userId, 'DELETE', 'herpes_episodes', episodeId, EPISODE_FIELDS, context);
+    return { success: true, message: 'Episode deleted' };
+  }
+
+  async listExposures(userId, context = {}) {
+    const exposures = await this.db.getHerpesExposures(userId);
+    await this.logAccess(userId, 'READ', 'herpes_trigger_exposures', null, ['factor', 'start_date', 'end_date'], context);
+    return { success: true, exposures, total_count: exposures.length };
+  }
+
+  async addExposure(userId, data, context = {}) {
+    this.validateExposure(data);
+    const exposure = { factor: data.factor, start_date: data.start_date, end_date: data.end_date || null };
+    const result = await this.db.createHerpesExposure({ user_id: userId, ...exposure });
+    await this.logAccess(userId, 'CREATE', 'herpes_trigger_exposures', result.id, ['factor', 'start_date', 'end_date'], context);
+    return { success: true, exposure: { id: result.id, ...exposure } };
+  }
+
+  async deleteExposure(userId, exposureId, context = {}) {
+    const result = await this.db.deleteHerpesExposure(exposureId, userId);
+    if (result.changes === 0) {
+      await this.logAccess(userId, 'DELETE', 'herpes_trigger_exposures', exposureId, [], context, false, 'Exposure not found or not owned by user');
+      throw this.notFound('Exposure not found');
+    }
+    await this.logAccess(userId, 'DELETE', 'herpes_trigger_exposures', exposureId, ['factor', 'start_date', 'end_date'], context);
+    return { success: true, message: 'Exposure deleted' };
+  }
+
+  /**
+   * Personal recurrence prediction. options: herpes_type, horizon (days), window_days, as_of,
+   * assume (triggers to treat as present over the horizon, for "what if" curves).
+   */
+  async predict(userId, options = {}, context = {}) {
+    const herpesType = options.herpes_type || 'hsv2';
+    const errors = [];
+    if (!HERPES_TYPES.includes(herpesType)) errors.push(`herpes_type must be one of: ${HERPES_TYPES.join(', ')}`);
+
+    const horizon = options.horizon !== undefined ? parseInt(options.horizon, 10) : undefined;
+    if (horizon !== undefined && !(horizon >= 7 && horizon <= 730)) errors.push('horizon must be between 7 and 730 days');
+    const windowDays = options.window_days !== undefined ? parseInt(options.window_days, 10) : undefined;
+    if (windowDays !== undefined && !(windowDays >= 0 && windowDays <= 30)) errors.push('window_days must be between 0 and 30');
+    if (options.as_of) this.checkDate(options.as_of, 'as_of', errors);
+    const assume = this.parseList(options.assume);
+    const unknown = assume.filter(factor => !EXPOSURE_FACTORS.includes(factor));
+    if (unknown.length) errors.push(`Unknown assume factors: ${unknown.join(', ')}. Use: ${EXPOSURE_FACTORS.join(', ')}`);
+    this.throwIfInvalid(errors);
+
+    const result = await this.prediction.predictNextOutbreak(userId, herpesType, {
+      ...(horizon !== undefined && { horizon }),
+      ...(windowDays !== undefined && { windowDays }),
+      ...(options.as_of && { asOf: options.as_of }),
+      assume
+    });
+    await this.logAccess(userId, 'READ', 'herpes_episodes', null, EPISODE_FIELDS, context, true, 'Own diary recurrence prediction');
+
+    return { success: true, ...result };
+  }
+
+  // Episode counts and how duration and severity differ with episodic antivirals
+  summarize(episodes) {
+    const mean = values => values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10 : null;
+    const byAntiviral = {};
+    ANTIVIRAL_USE.forEach(use => {
+      const group = episodes.filter(episode => episode.antiviral === use);
+      if (!group.length) return;
+      byAntiviral[use] = {
+        episodes: group.length,
+        mean_duration_days: mean(group.map(episode => episode.duration_days).filter(value => value !== null && value !== undefined)),
+        mean_severity: mean(group.map(episode => episode.severity).filter(value => value !== null && value !== undefined))
+      };
+    });
+
+    const triggerCounts = {};
+    episodes.forEach(episode => (episode.triggers || []).forEach(trigger => {
+      triggerCounts[trigger] = (triggerCounts[trigger] || 0) + 1;
+    }));
+
+    return {
+      by_type: episodes.reduce((counts, episode) => ({ ...counts, [episode.herpes_type]: (counts[episode.herpes_type] || 0) + 1 }), {}),
+      by_antiviral: byAntiviral,
+      suspected_triggers: triggerCounts,
+      first_onset: episodes.length ? episodes[episodes.length - 1].onset_date : null,
+      last_onset: episodes.length ? episodes[0].onset_date : null
+    };
+  }
+}
+
+module.exports = HerpesDiaryService;
@@ -80,7 +80,7 @@ class HerpesHSVService {
 
   async initFetch() {
     if (!this.fetch) {
-      const { default: fetch } = await import('node-fetch');
+      const { fetch } = require('../utils/httpClient');
       this.fetch = fetch;
     }
   }
@@ -163,7 +163,8 @@ class HerpesHSVService {
           coverage: 'US civilian non-institutionalized population',
           lastUpdated: new Date().toISOString(),
           sampleBasis: 'Serologic testing',
-          ageRange: '14-49 years (primary), 14+ years (extended)'
+          ageRange: '14-49 years (primary), 14+ years (extended)',
+          provenance: { kind: 'reference', source: 'nhanes', note: 'NHANES 2015-2016 published prevalence estimates' }
         }
       };
 
@@ -194,7 +195,8 @@ class HerpesHSVService {
             'HSV not reportable in most jurisdictions',
             'Data from select studies and healthcare systems',
             'Underreporting due to asymptomatic infections'
-          ]
+          ],
+          provenance: { kind: 'reference', source: 'cdc', note: 'CDC published national incidence and prevalence estimates' }
         }
       };
 
@@ -225,7 +227,8 @@ class HerpesHSVService {
             ageGroup: ageGroup,
             sex: sex,
             race: race
-          }
+          },
+          provenance: { kind: 'reference', source: 'nhanes', note: 'NHANES 2015-2016 published prevalence estimates' }
         }
       };
 
@@ -251,7 +254,8 @@ class HerpesHSVService {
           coverage: 'US trends over 20 years',
           lastUpdated: new Date().toISOString(),
           timeframe: '1999-2018',
-          surveys: Object.keys(this.nhanesYears).length
+          surveys: Object.keys(this.nhanesYears).length,
+          provenance: { kind: 'simulated', source: 'diseasezone', note: 'Linear prevalence trend per survey cycle; NHANES dataset integration pending' }
         }
       };
 
@@ -498,7 +502,8 @@ class HerpesHSVService {
       },
       metadata: {
         source: 'NHANES 2015-2016',
-        dataQuality: 'high'
+        dataQuality: 'high',
+        provenance: { kind: 'reference', source: 'nhanes', note: 'NHANES 2015-2016 published prevalence estimates' }
       }
     };
   }
@@ -1,18 +1,25 @@
 /**
  * Herpes Outbreak Prediction Service
  *
- * Advanced machine learning and statistical models for predicting
- * HSV-1, HSV-2, and Shingles outbreaks based on personal history,
- * triggers, seasonal patterns, and biomarkers.
+ * Predicts HSV-1, HSV-2, and Shingles outbreaks from the user's episode diary
+ * with an Andersen-Gill recurrent-event model: a personal hazard curve for
+ * the next episode and the hazard ratio of each recorded trigger.
  */
 
-const { Matrix } = require('ml-matrix');
-const DatabaseService = require('./databaseService');
+const { Matrix, inverse } = require('ml-matrix');
 const { performance } = require('perf_hooks');
 
 class HerpesOutbreakPredictionService {
-    constructor() {
-        this.db = new DatabaseService();
+    constructor(databaseService) {
+        this.db = databaseService;
+
+        // Time-varying covariates of the recurrence model (diary triggers and suppressive therapy)
+        this.recurrenceFactors = ['stress', 'illness', 'menses', 'uv', 'suppressive_antiviral'];
+        this.recurrenceDefaults = {
+            horizon: 180, // days of hazard curve
+            windowDays: 7, // a trigger raises the hazard for this many days
+            ridge: 1 // prior precision of the log hazard ratios
+        };
 
         // Machine learning model parameters for outbreak prediction
         this.models = {
@@ -68,18 +75,20 @@ class HerpesOutbreakPredictionService {
     }
 
     /**
-     * Predict next outbreak based on personal history and current conditions
+     * Predict the next outbreak from the user's episode diary with an Andersen-Gill recurrent-event
+     * model. options: asOf (ISO date, default today), horizon (days of hazard curve), windowDays
+     * (how long a trigger raises the hazard), assume (triggers taken as present over the horizon).
      */
-    async predictNextOutbreak(userId, herpesType = 'hsv2') {
+    async predictNextOutbreak(userId, herpesType = 'hsv2', options = {}) {
         const startTime = performance.now();
 
         try {
-            // Get user's outbreak history
-            const outbreakHistory = await this.getOutbreakHistory(userId, herpesType);
-            const userProfile = await this.getUserProfile(userId);
-            const currentTriggers = await this.getCurrentTriggerProfile(userId);
+            const [episodes, exposures] = await Promise.all([
+                this.getOutbreakHistory(userId, herpesType),
+                this.db.getHerpesExposures(userId)
+            ]);
 
-            if (outbreakHistory.length < 2) {
+            if (episodes.length < 2) {
                 return {
                     prediction: 'insufficient_data',
                     message: 'Need at least 2 recorded outbreaks for accurate prediction',
@@ -92,43 +101,78 @@ class HerpesOutbreakPredictionService {
                 };
             }
 
-            // Calculate personalized outbreak frequency
-            const personalFrequency = this.calculatePersonalFrequency(outbreakHistory);
+            const config = { ...this.recurrenceDefaults, ...options };
+            const asOf = this.toDay(config.asOf || new Date());
+            const timeline = this.buildTimeline(episodes, exposures, asOf, config.windowDays);
+            if (timeline.events === 0) {
+                return {
+                    prediction: 'insufficient_data',
+                    message: 'Need at least one outbreak after the first diary entry',
+                    confidence: 0,
+                    recommendedActions: ['Continue tracking outbreaks in the app']
+                };
+            }
 
-            // Apply machine learning prediction model
-            const prediction = await this.applyPredictionModel({
-                herpesType,
-                personalFrequency,
-                outbreakHistory,
-                userProfile,
-                currentTriggers
+            const model = this.fitRecurrenceModel(timeline, config.ridge);
+            const curve = this.hazardCurve(model, timeline, {
+                horizon: config.horizon,
+                windowDays: config.windowDays,
+                assume: config.assume || []
             });
 
-            // Calculate confidence based on data quality and patterns
-            const confidence = this.calculatePredictionConfidence(outbreakHistory, prediction);
+            const nextOutbreakDate = curve.quantiles.median ? this.fromDay(curve.quantiles.median) : null;
+            const prediction = {
+                nextOutbreakDate,
+                riskWindow: nextOutbreakDate ? {
+                    start: this.fromDay(curve.quantiles.median - 3),
+                    end: this.fromDay(curve.quantiles.median + 1)
+                } : null
+            };
 
             const result = {
                 prediction: 'available',
                 herpesType,
                 nextOutbreak: {
-                    estimatedDate: prediction.nextOutbreakDate,
-                    probabilityRange: prediction.probabilityRange,
-                    riskWindow: prediction.riskWindow
+                    estimatedDate: nextOutbreakDate,
+                    probabilityRange: {
+                        earliest: curve.quantiles.q25 ? this.fromDay(curve.quantiles.q25) : null,
+                        latest: curve.quantiles.q75 ? this.fromDay(curve.quantiles.q75) : null,
+                        mostLikely: nextOutbreakDate
+                    },
+                    riskWindow: prediction.riskWindow,
+                    probabilityWithin: curve.probabilityWithin,
+                    beyondHorizon: !nextOutbreakDate // less than even odds within the hazard curve
+                },
+                hazardCurve: curve.points,
+                triggerAnalysis: this.attributeTriggers(model, timeline),
+                model: {
+                    type: 'andersen_gill',
+                    description: 'Recurrent-event counting process with constant baseline hazard and time-varying trigger covariates, fitted by ridge-penalized Poisson likelihood',
+                    followUpStart: this.fromDay(timeline.start),
+                    asOf: this.fromDay(asOf),
+                    daysAtRisk: timeline.daysAtRisk,
+                    events: timeline.events,
+                    baselineRatePerYear: this.round(Math.exp(model.intercept) * 365.25, 3),
+                    currentRatePerYear: this.round(curve.points[0].hazard * 365.25, 3),
+                    windowDays: config.windowDays,
+                    assumed: config.assume || []
                 },
-                triggerAnalysis: prediction.triggerAnalysis,
-                seasonalRisk: prediction.seasonalRisk,
-                preventionWindow: prediction.preventionWindow,
-                confidence: confidence,
-                personalizedFactors: prediction.personalizedFactors,
+                seasonalRisk: this.calculateDetailedSeasonalRisk(herpesType),
+                preventionWindow: nextOutbreakDate ? {
+                    start: this.fromDay(curve.quantiles.median - 7),
+                    end: nextOutbreakDate
+                } : null,
+                confidence: this.calculatePredictionConfidence(episodes, model),
+                caveats: [
+                    'Triggers recorded only when an episode starts make them look more harmful than they are; record exposures on days without an episode too',
+                    'A personal model from a short diary is uncertain; hazard ratios carry 95% intervals'
+                ],
                 recommendations: this.generateOutbreakPreventionRecommendations(prediction),
                 monitoringPlan: this.createMonitoringPlan(prediction),
                 lastUpdated: new Date().toISOString(),
                 processingTime: performance.now() - startTime
             };
 
-            // Log prediction for model improvement
-            await this.logPrediction(userId, herpesType, result);
-
             return result;
 
         } catch (error) {
@@ -138,206 +182,211 @@ class HerpesOutbreakPredictionService {
     }
 
     /**
-     * Apply advanced prediction model using historical data
+     * Day-by-day counting process from the diary. Follow-up starts at the first diary record (an
+     * episode that starts the diary is its origin, not an event) and ends at asOf. Days inside an
+     * episode are not at risk. Each trigger is present on a day when it was recorded within the
+     * preceding windowDays; suspected triggers of an episode count as exposure the day before onset.
+     * At-risk days are collapsed into cells with the same covariates for the Poisson fit.
      */
-    async applyPredictionModel(params) {
-        const { herpesType, personalFrequency, outbreakHistory, userProfile, currentTriggers } = params;
-
-        // Time series analysis of outbreak patterns
-        const timeSeriesAnalysis = this.performTimeSeriesAnalysis(outbreakHistory);
-
-        // Calculate base prediction using exponential smoothing
-        const basePrediction = this.exponentialSmoothing(
-            outbreakHistory.map(o => o.daysSinceLastOutbreak),
-            0.3 // alpha smoothing factor
-        );
-
-        // Adjust for current trigger levels
-        const triggerAdjustment = this.calculateTriggerAdjustment(currentTriggers, herpesType);
-
-        // Seasonal adjustment
-        const seasonalAdjustment = this.calculateSeasonalAdjustment(herpesType);
-
-        // Personal risk factor adjustment
-        const personalAdjustment = this.calculatePersonalAdjustment(userProfile, herpesType);
-
-        // Calculate next outbreak probability
-        const daysUntilNextOutbreak = Math.round(
-            basePrediction * triggerAdjustment * seasonalAdjustment * personalAdjustment
-        );
-
-        const nextOutbreakDate = new Date();
-        nextOutbreakDate.setDate(nextOutbreakDate.getDate() + daysUntilNextOutbreak);
-
-        // Create probability range (±7 days)
-        const probabilityRange = {
-            earliest: new Date(nextOutbreakDate.getTime() - 7 * 24 * 60 * 60 * 1000),
-            latest: new Date(nextOutbreakDate.getTime() + 7 * 24 * 60 * 60 * 1000),
-            mostLikely: nextOutbreakDate
-        };
+    buildTimeline(episodes, exposures, asOf, windowDays) {
+        const ordered = episodes
+            .map(episode => ({ ...episode, onset: this.toDay(episode.onset_date) }))
+            .filter(episode => episode.onset <= asOf)
+            .sort((a, b) => a.onset - b.onset);
+        const knownDurations = ordered.map(episode => episode.duration_days).filter(days => days > 0).sort((a, b) => a - b);
+        const typicalDuration = knownDurations.length ? knownDurations[Math.floor(knownDurations.length / 2)] : 7;
+
+        // factor -> [[startDay, endDay]]
+        const intervals = Object.fromEntries(this.recurrenceFactors.map(factor => [factor, []]));
+        exposures.forEach(exposure => {
+            if (!intervals[exposure.factor]) return;
+            const start = this.toDay(exposure.start_date);
+            const ongoing = exposure.factor === 'suppressive_antiviral' && !exposure.end_date;
+            intervals[exposure.factor].push([start, ongoing ? Infinity : this.toDay(exposure.end_date || exposure.start_date)]);
+        });
+        ordered.forEach(episode => {
+            (episode.triggers || []).forEach(trigger => {
+                if (intervals[trigger]) intervals[trigger].push([episode.onset - 1, episode.onset - 1]);
+            });
+            if (episode.antiviral === 'suppressive') intervals.suppressive_antiviral.push([episode.onset, episode.onset]);
+        });
 
-        // High-risk window (3 days before predicted date)
-        const riskWindow = {
-            start: new Date(nextOutbreakDate.getTime() - 3 * 24 * 60 * 60 * 1000),
-            end: new Date(nextOutbreakDate.getTime() + 1 * 24 * 60 * 60 * 1000)
-        };
+        const start = Math.min(ordered[0].onset, ...exposures.map(exposure => this.toDay(exposure.start_date)));
+        const onsets = new Map();
+        const inEpisode = new Set();
+        ordered.forEach(episode => {
+            if (episode.onset > start) onsets.set(episode.onset, (onsets.get(episode.onset) || 0) + 1);
+            const duration = episode.duration_days > 0 ? episode.duration_days : typicalDuration;
+            for (let day = episode.onset + 1; day < episode.onset + duration; day++) inEpisode.add(day);
+        });
 
-        // Prevention window (7 days before predicted date)
-        const preventionWindow = {
-            start: new Date(nextOutbreakDate.getTime() - 7 * 24 * 60 * 60 * 1000),
-            end: nextOutbreakDate
-        };
+        const cells = new Map();
+        let daysAtRisk = 0;
+        let events = 0;
+        for (let day = start; day <= asOf; day++) {
+            const episodesToday = onsets.get(day) || 0;
+            if (inEpisode.has(day) && !episodesToday) continue;
+
+            const covariates = this.covariatesOn(day, intervals, windowDays);
+            const key = covariates.join('');
+            const cell = cells.get(key) || { covariates, days: 0, events: 0 };
+            cell.days += 1;
+            cell.events += episodesToday;
+            cells.set(key, cell);
+            daysAtRisk += 1;
+            events += episodesToday;
+        }
 
         return {
-            nextOutbreakDate,
-            probabilityRange,
-            riskWindow,
-            preventionWindow,
-            triggerAnalysis: this.analyzeTriggerProbabilities(currentTriggers, herpesType),
-            seasonalRisk: this.calculateDetailedSeasonalRisk(herpesType),
-            personalizedFactors: {
-                baseFrequency: personalFrequency,
-                triggerSensitivity: triggerAdjustment,
-                seasonalPattern: seasonalAdjustment,
-                personalRisk: personalAdjustment
-            }
+            start,
+            asOf,
+            daysAtRisk,
+            events,
+            cells: Array.from(cells.values()),
+            intervals,
+            inEpisode,
+            episodes: ordered.filter(episode => episode.onset > start)
         };
     }
 
+    covariatesOn(day, intervals, windowDays) {
+        return this.recurrenceFactors.map(factor => {
+            // Suppressive therapy acts while taken; triggers act over the following window
+            const lag = factor === 'suppressive_antiviral' ? 0 : windowDays;
+            return intervals[factor].some(([start, end]) => start <= day && end >= day - lag) ? 1 : 0;
+        });
+    }
+
     /**
-     * Perform time series analysis on outbreak history
+     * log hazard(t) = intercept + beta . x(t), fitted by Newton-Raphson on the Poisson likelihood
+     * of the covariate cells with a ridge penalty on beta (prior log hazard ratios ~ N(0, 1/ridge)).
+     * Factors that never vary over the at-risk time are not estimable and are left out.
      */
-    performTimeSeriesAnalysis(outbreakHistory) {
-        if (outbreakHistory.length < 3) {
-            return { trend: 'insufficient_data', pattern: 'unknown' };
-        }
+    fitRecurrenceModel(timeline, ridge) {
+        const estimable = this.recurrenceFactors.filter((factor, j) => {
+            const exposedDays = timeline.cells.reduce((sum, cell) => sum + cell.covariates[j] * cell.days, 0);
+            return exposedDays > 0 && exposedDays < timeline.daysAtRisk;
+        });
+        const columns = estimable.map(factor => this.recurrenceFactors.indexOf(factor));
+        const rows = timeline.cells.map(cell => ({ x: [1, ...columns.map(j => cell.covariates[j])], days: cell.days, events: cell.events }));
+        const size = columns.length + 1;
+
+        let theta = [Math.log(timeline.events / timeline.daysAtRisk), ...columns.map(() => 0)];
+        let information = null;
+        for (let iteration = 0; iteration < 100; iteration++) {
+            const gradient = theta.map((value, k) => k === 0 ? 0 : -ridge * value);
+            const hessian = Array.from({ length: size }, (_, a) => Array.from({ length: size }, (_, b) => a === b && a > 0 ? ridge : 0));
+
+            rows.forEach(row => {
+                const mean = row.days * Math.exp(row.x.reduce((sum, value, k) => sum + value * theta[k], 0));
+                for (let a = 0; a < size; a++) {
+                    gradient[a] += (row.events - mean) * row.x[a];
+                    for (let b = 0; b < size; b++) hessian[a][b] += mean * row.x[a] * row.x[b];
+                }
+            });
 
-        // Calculate intervals between outbreaks
-        const intervals = [];
-        for (let i = 1; i < outbreakHistory.length; i++) {
-            const daysDiff = (new Date(outbreakHistory[i-1].date) - new Date(outbreakHistory[i].date)) / (1000 * 60 * 60 * 24);
-            intervals.push(daysDiff);
+            information = inverse(new Matrix(hessian)).to2DArray();
+            const step = information.map(row => row.reduce((sum, value, k) => sum + value * gradient[k], 0));
+            theta = theta.map((value, k) => value + step[k]);
+            if (Math.max(...step.map(Math.abs)) < 1e-8) break;
         }
 
-        // Calculate trend (are intervals getting longer or shorter?)
-        const trend = this.calculateTrend(intervals);
-
-        // Identify patterns
-        const pattern = this.identifyPattern(intervals);
-
         return {
-            trend: trend > 0 ? 'increasing_intervals' : trend < 0 ? 'decreasing_intervals' : 'stable',
-            pattern,
-            averageInterval: intervals.reduce((a, b) => a + b, 0) / intervals.length,
-            intervalVariation: this.calculateStandardDeviation(intervals)
+            intercept: theta[0],
+            coefficients: Object.fromEntries(estimable.map((factor, i) => [factor, {
+                beta: theta[i + 1],
+                se: Math.sqrt(information[i + 1][i + 1])
+            }])),
+            estimable
         };
     }
 
     /**
-     * Exponential smoothing for outbreak prediction
+     * Daily hazard and cumulative probability of the next episode from asOf, with the exposures
+     * already recorded carried forward (and any assumed triggers present throughout).
      */
-    exponentialSmoothing(data, alpha) {
-        if (data.length === 0) return 90; // Default 90 days
+    hazardCurve(model, timeline, options) {
+        const { horizon, windowDays, assume } = options;
+        const points = [];
+        const quantiles = { q25: null, median: null, q75: null };
+        let cumulativeHazard = 0;
+
+        for (let offset = 1; offset <= horizon; offset++) {
+            const day = timeline.asOf + offset;
+            const covariates = this.covariatesOn(day, timeline.intervals, windowDays);
+            let logHazard = model.intercept;
+            this.recurrenceFactors.forEach((factor, j) => {
+                const present = assume.includes(factor) || covariates[j] === 1;
+                if (present && model.coefficients[factor]) logHazard += model.coefficients[factor].beta;
+            });
+
+            // No new episode while the current one is still active
+            const hazard = timeline.inEpisode.has(day) ? 0 : Math.exp(logHazard);
+            cumulativeHazard += hazard;
+            const probability = 1 - Math.exp(-cumulativeHazard);
+
+            if (quantiles.q25 === null && probability >= 0.25) quantiles.q25 = day;
+            if (quantiles.median === null && probability >= 0.5) quantiles.median = day;
+            if (quantiles.q75 === null && probability >= 0.75) quantiles.q75 = day;
 
-        let forecast = data[0];
-        for (let i = 1; i < data.length; i++) {
-            forecast = alpha * data[i] + (1 - alpha) * forecast;
+            points.push({
+                day: offset,
+                date: this.fromDay(day).toISOString().slice(0, 10),
+                hazard: this.round(hazard, 6),
+                cumulativeProbability: this.round(probability, 4)
+            });
         }
 
-        return forecast;
+        const within = days => days <= points.length ? points[days - 1].cumulativeProbability : null;
+        return {
+            points,
+            quantiles,
+            probabilityWithin: { days7: within(7), days30: within(30), days90: within(90) }
+        };
     }
 
     /**
-     * Calculate trigger-based adjustment
+     * Hazard ratio per trigger and the share of episodes attributable to it among all episodes
+     * (Miettinen: share of episodes exposed x (HR - 1) / HR).
      */
-    calculateTriggerAdjustment(currentTriggers, herpesType) {
-        const model = this.models[herpesType];
-        if (!model || !currentTriggers) return 1.0;
-
-        let adjustment = 1.0;
+    attributeTriggers(model, timeline) {
+        const analysis = {};
+        this.recurrenceFactors.forEach((factor, j) => {
+            const exposedDays = timeline.cells.reduce((sum, cell) => sum + cell.covariates[j] * cell.days, 0);
+            const exposedEpisodes = timeline.cells.reduce((sum, cell) => sum + cell.covariates[j] * cell.events, 0);
+            const coefficient = model.coefficients[factor];
+
+            if (!coefficient) {
+                analysis[factor] = {
+                    estimable: false,
+                    reason: exposedDays === 0 ? 'never recorded during follow-up' : 'present on every day at risk',
+                    exposedDays,
+                    episodesWhileExposed: exposedEpisodes
+                };
+                return;
+            }
 
-        Object.entries(currentTriggers).forEach(([trigger, level]) => {
-            const weight = model.triggerWeights[trigger] || 0;
-            // level is 0-10 scale, convert to adjustment factor
-            const triggerEffect = 1.0 - (weight * (level / 10) * 0.5);
-            adjustment *= triggerEffect;
+            const hazardRatio = Math.exp(coefficient.beta);
+            analysis[factor] = {
+                estimable: true,
+                hazardRatio: this.round(hazardRatio, 3),
+                ci95: [this.round(Math.exp(coefficient.beta - 1.96 * coefficient.se), 3), this.round(Math.exp(coefficient.beta + 1.96 * coefficient.se), 3)],
+                exposedDays,
+                episodesWhileExposed: exposedEpisodes,
+                attributableFraction: hazardRatio > 1
+                    ? this.round(exposedEpisodes / timeline.events * (hazardRatio - 1) / hazardRatio, 3)
+                    : 0
+            };
         });
-
-        return Math.max(0.3, Math.min(1.7, adjustment)); // Clamp between 0.3x and 1.7x
+        return analysis;
     }
 
     /**
      * Calculate seasonal adjustment
      */
     calculateSeasonalAdjustment(herpesType) {
-        const now = new Date();
-        const month = now.getMonth();
-
-        // Determine season
-        let season;
-        if (month >= 2 && month <= 4) season = 'spring';
-        else if (month >= 5 && month <= 7) season = 'summer';
-        else if (month >= 8 && month <= 10) season = 'fall';
-        else season = 'winter';
-
         const model = this.models[herpesType];
-        return model ? model.seasonalFactors[season] || 1.0 : 1.0;
-    }
-
-    /**
-     * Calculate personal risk factor adjustment
-     */
-    calculatePersonalAdjustment(userProfile, herpesType) {
-        let adjustment = 1.0;
-
-        // Age factor (especially important for shingles)
-        if (herpesType === 'shingles' && userProfile.age) {
-            const ageGroup = this.getAgeGroup(userProfile.age);
-            const model = this.models.shingles;
-            adjustment *= (model.ageFactors[ageGroup] || 0.02) * 20; // Scale to reasonable factor
-        }
-
-        // Immune system status
-        if (userProfile.immunocompromised) {
-            adjustment *= 1.5; // Higher outbreak risk
-        }
-
-        // Gender factors (HSV-2 more prevalent in women)
-        if (herpesType === 'hsv2' && userProfile.gender === 'female') {
-            adjustment *= 1.2;
-        }
-
-        // Stress levels
-        if (userProfile.stressLevel) {
-            const stressAdjustment = 1.0 + (userProfile.stressLevel / 10) * 0.3;
-            adjustment *= stressAdjustment;
-        }
-
-        return Math.max(0.5, Math.min(2.0, adjustment)); // Reasonable bounds
-    }
-
-    /**
-     * Analyze trigger probabilities
-     */
-    analyzeTriggerProbabilities(currentTriggers, herpesType) {
-        const model = this.models[herpesType];
-        if (!model || !currentTriggers) return {};
-
-        const analysis = {};
-
-        Object.entries(model.triggerWeights).forEach(([trigger, baseWeight]) => {
-            const currentLevel = currentTriggers[trigger] || 0;
-            const probability = baseWeight * (currentLevel / 10);
-
-            analysis[trigger] = {
-                currentLevel,
-                baseWeight,
-                outbreakProbability: Math.min(0.95, probability),
-                recommendation: this.getTriggerRecommendation(trigger, currentLevel)
-            };
-        });
-
-        return analysis;
+        return model ? model.seasonalFactors[this.getSeasonFromMonth(new Date().getMonth())] || 1.0 : 1.0;
     }
 
     /**
@@ -372,7 +421,9 @@ class HerpesOutbreakPredictionService {
         };
 
         // Immediate actions if outbreak likely within 7 days
-        const daysUntilOutbreak = (prediction.nextOutbreakDate - new Date()) / (1000 * 60 * 60 * 24);
+        const daysUntilOutbreak = prediction.nextOutbreakDate
+            ? (prediction.nextOutbreakDate - new Date()) / (1000 * 60 * 60 * 24)
+            : Infinity;
         if (daysUntilOutbreak <= 7) {
             recommendations.immediate = [
                 'Consider prophylactic antiviral medication',
@@ -446,66 +497,22 @@ class HerpesOutbreakPredictionService {
     // Helper methods
 
     async getOutbreakHistory(userId, herpesType) {
-        try {
-            const query = `
-                SELECT * FROM herpes_outbreaks
-                WHERE user_id = ? AND herpes_type = ?
-                ORDER BY outbreak_date DESC
-                LIMIT 50
-            `;
-            return await this.db.query(query, [userId, herpesType]);
-        } catch (error) {
-            console.error('Error fetching outbreak history:', error);
-            return [];
-        }
+        return await this.db.getHerpesEpisodes(userId, herpesType);
     }
 
-    async getUserProfile(userId) {
-        try {
-            const query = `SELECT * FROM users WHERE id = ?`;
-            const users = await this.db.query(query, [userId]);
-            return users[0] || {};
-        } catch (error) {
-            return {};
-        }
+    // Dates as whole UTC days, so day arithmetic ignores time of day and DST
+    toDay(value) {
+        const date = new Date(value);
+        return Math.floor(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) / 86400000);
     }
 
-    async getCurrentTriggerProfile(userId) {
-        try {
-            const query = `
-                SELECT trigger_name, current_level
-                FROM user_trigger_tracking
-                WHERE user_id = ? AND date >= date('now', '-7 days')
-                ORDER BY date DESC
-            `;
-            const triggers = await this.db.query(query, [userId]);
-
-            const profile = {};
-            triggers.forEach(t => {
-                if (!profile[t.trigger_name]) {
-                    profile[t.trigger_name] = t.current_level;
-                }
-            });
-
-            return profile;
-        } catch (error) {
-            return {};
-        }
+    fromDay(day) {
+        return new Date(day * 86400000);
     }
 
-    calculatePersonalFrequency(outbreakHistory) {
-        if (outbreakHistory.length < 2) return 90; // Default 90 days
-
-        const intervals = [];
-        for (let i = 1; i < outbreakHistory.length; i++) {
-            const daysDiff = Math.abs(
-                (new Date(outbreakHistory[i-1].outbreak_date) - new Date(outbreakHistory[i].outbreak_date)) /
-                (1000 * 60 * 60 * 24)
-            );
-            intervals.push(daysDiff);
-        }
-
-        return intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length;
+    round(value, digits = 2) {
+        const factor = 10 ** digits;
+        return Math.round(value * factor) / factor;
     }
 
     calculatePredictionConfidence(outbreakHistory, prediction) {
@@ -524,7 +531,7 @@ class HerpesOutbreakPredictionService {
         }
 
         // Recent data = higher confidence
-        const lastOutbreak = new Date(outbreakHistory[0]?.outbreak_date || Date.now());
+        const lastOutbreak = new Date(outbreakHistory[0]?.onset_date || Date.now());
         const daysSinceLastOutbreak = (Date.now() - lastOutbreak) / (1000 * 60 * 60 * 24);
         const recencyConfidence = Math.max(0, 0.3 - daysSinceLastOutbreak / 365);
         confidence += recencyConfidence;
@@ -534,42 +541,11 @@ class HerpesOutbreakPredictionService {
 
     // Additional helper methods for statistics and calculations...
 
-    calculateTrend(data) {
-        if (data.length < 2) return 0;
-        let sum = 0;
-        for (let i = 1; i < data.length; i++) {
-            sum += data[i] - data[i-1];
-        }
-        return sum / (data.length - 1);
-    }
-
-    calculateStandardDeviation(data) {
-        const mean = data.reduce((a, b) => a + b) / data.length;
-        const variance = data.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / data.length;
-        return Math.sqrt(variance);
-    }
-
     calculateVariance(data) {
         const mean = data.reduce((a, b) => a + b) / data.length;
         return data.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / data.length;
     }
 
-    identifyPattern(intervals) {
-        // Simplified pattern identification
-        const variance = this.calculateVariance(intervals);
-        if (variance < 100) return 'regular';
-        if (variance < 500) return 'somewhat_regular';
-        return 'irregular';
-    }
-
-    getAgeGroup(age) {
-        if (age >= 80) return '80+';
-        if (age >= 70) return '70-79';
-        if (age >= 60) return '60-69';
-        if (age >= 50) return '50-59';
-        return 'under_50';
-    }
-
     getSeasonFromMonth(month) {
         month = month % 12;
         if (month >= 2 && month <= 4) return 'spring';
@@ -591,46 +567,17 @@ class HerpesOutbreakPredictionService {
         return totalRisk / 3;
     }
 
-    getTriggerRecommendation(trigger, level) {
-        if (level >= 8) return `High ${trigger} levels - immediate intervention needed`;
-        if (level >= 6) return `Moderate ${trigger} - consider prevention strategies`;
-        if (level >= 4) return `Elevated ${trigger} - monitor closely`;
-        return `${trigger} levels normal`;
-    }
-
     calculateOutbreakIntervals(outbreakHistory) {
         const intervals = [];
         for (let i = 1; i < outbreakHistory.length; i++) {
             const daysDiff = Math.abs(
-                (new Date(outbreakHistory[i-1].outbreak_date) - new Date(outbreakHistory[i].outbreak_date)) /
+                (new Date(outbreakHistory[i-1].onset_date) - new Date(outbreakHistory[i].onset_date)) /
                 (1000 * 60 * 60 * 24)
             );
             intervals.push(daysDiff);
         }
         return intervals;
     }
-
-    async logPrediction(userId, herpesType, prediction) {
-        try {
-            const query = `
-                INSERT INTO outbreak_predictions (
-                    user_id, herpes_type, predicted_date, confidence,
-                    prediction_data, created_at
-                ) VALUES (?, ?, ?, ?, ?, ?)
-            `;
-
-            await this.db.query(query, [
-                userId,
-                herpesType,
-                prediction.nextOutbreak.estimatedDate,
-                prediction.confidence,
-                JSON.stringify(prediction),
-                new Date().toISOString()
-            ]);
-        } catch (error) {
-            console.error('Error logging prediction:', error);
-        }
-    }
 }
 
 module.exports = HerpesOutbreakPredictionService;
\ No newline at end of file
@@ -249,7 +249,7 @@ class HIPAAService {
         };
     }
 
-}
+    /**
      * Validate minimum necessary access
      * @param {string} requestedFields - Comma-separated list of requested fields
      * @param {string} purpose - Purpose of data access
@@ -0,0 +1,467 @@
+/**
+ * HPV Vaccination Impact Projection
+ * Static birth-cohort model for public-health planning: vaccine-type HPV prevalence and
+ * HPV-attributable cervical and oropharyngeal cancer incidence by calendar year, for the observed
+ * coverage ("status quo") and for scenarios such as catch-up campaigns, single-dose schedules and
+ * coverage targets. Vaccination protects the vaccinated directly, with optional herd protection
+ * for everyone else; there are no transmission dynamics, so results compare scenarios rather than
+ * forecast exact incidence.
+ */
+
+// Share of HPV-attributable cancers caused by the high-risk types each vaccine covers,
+// approximated from Saraiya et al., JNCI 2015
+const VACCINE_TYPE_SHARE = {
+  cervical: { '2vHPV': 0.73, '4vHPV': 0.73, '9vHPV': 0.89 },
+  oropharyngeal: { '2vHPV': 0.86, '4vHPV': 0.86, '9vHPV': 0.88 }
+};
+
+// Age at diagnosis, treated as normal, and the share of cases in males
+const CANCER_PROFILES = {
+  cervical: { mean_age: 50, sd_age: 15, male_share: 0 },
+  oropharyngeal: { mean_age: 62, sd_age: 11, male_share: 0.8 }
+};
+
+// Share of a cohort already infected with vaccine types by age at vaccination (linear between
+// points). Vaccination does not clear an existing infection, so late vaccination protects fewer.
+const PRIOR_EXPOSURE = [[14, 0], [17, 0.1], [20, 0.25], [26, 0.4], [45, 0.5]];
+
+const SEXES = ['female', 'male'];
+const INFECTION_AGE = 20; // cancers are attributed to infections acquired around this age
+const MAX_AGE = 100;
+
+class HPVProjectionService {
+  constructor(hpvService) {
+    this.hpvService = hpvService;
+
+    this.defaults = {
+      vaccine: '9vHPV',
+      cancers: ['cervical', 'oropharyngeal'],
+      region: 'national',
+      horizon: 50,
+      max_horizon: 100,
+      routine_age: 12,
+      program_start: { female: 2006, male: 2011 },
+      oldest_catch_up_age: { female: 26, male: 21 }, // ACIP catch-up ages when each program began
+      efficacy: { full: 0.95, single_dose: 0.9 },
+      herd_strength: 0,
+      prevalence_ages: [15, 24]
+    };
+    this.scenarioTypes = ['routine_coverage', 'single_dose', 'catch_up'];
+  }
+
+  /**
+   * Project the status quo and each scenario. options: vaccine, cancers, region, start_year,
+   * horizon, efficacy { full, single_dose }, herd_strength (0-1), baseline_prevalence (vaccine-type
+   * prevalence at ages 15-24 before vaccination, for absolute prevalence) and scenarios:
+   *   { name, routine_coverage: { target, from_year, ramp_years } }
+   *   { name, single_dose: { from_year, coverage, efficacy } }
+   *   { name, catch_up: { year, ages: [min, max], coverage, sex, doses } }
+   * A scenario may combine several of these. Coverages are fractions (0-1).
+   */
+  async project(options = {}) {
+    const config = this.normalizeOptions(options);
+
+    const [vaccination, ...cancerResults] = await Promise.all([
+      this.hpvService.fetchVaccinationData(config.region, 'latest', 'all'),
+      ...config.cancers.map(cancer => this.hpvService.fetchCancerData(cancer, config.region, 'latest', 'all'))
+    ]);
+
+    const cancers = config.cancers.map((cancer, i) => {
+      const record = cancerResults[i].data[0];
+      return {
+        cancer,
+        baseline_incidence: record.incidenceRate,
+        attributable_fraction: this.hpvService.getHPVAttributionRate(cancer) / 100,
+        vaccine_type_share: VACCINE_TYPE_SHARE[cancer][config.vaccine],
+        ...CANCER_PROFILES[cancer]
+      };
+    });
+
+    const observed = this.observedCoverage(vaccination.data, config);
+    const statusQuo = this.runScenario({ name: 'status_quo' }, observed, cancers, config);
+    const scenarios = config.scenarios.map(scenario => {
+      const result = this.runScenario(scenario, observed, cancers, config);
+      result.compared_to_status_quo = this.compare(result, statusQuo, cancers);
+      return result;
+    });
+
+    return {
+      success: true,
+      dataType: 'hpv-projection',
+      data: { status_quo: statusQuo, scenarios },
+      inputs: {
+        vaccine: config.vaccine,
+        region: config.region,
+        start_year: config.start_year,
+        horizon: config.horizon,
+        efficacy: config.efficacy,
+        herd_strength: config.herd_strength,
+        observed_coverage: observed.records,
+        cancers: cancers.map(({ cancer, baseline_incidence, attributable_fraction, vaccine_type_share }) => ({
+          cancer, baseline_incidence, attributable_fraction, vaccine_type_share
+        }))
+      },
+      assumptions: [
+        'Static cohort model: protection is direct, plus herd protection scaled by herd_strength; no transmission dynamics',
+        `Observed cohorts were vaccinated at age ${config.routine_age}; cohorts between program start and the first observed cohort are interpolated from zero, later cohorts keep the last observed coverage`,
+        'Vaccination does not protect against infections acquired before it (prior exposure rises with age at vaccination)',
+        `Cancers are attributed to infections acquired around age ${INFECTION_AGE}, with age at diagnosis normal around the mean age for each cancer`,
+        'A single dose under a two-dose schedule counts with single-dose efficacy'
+      ],
+      metadata: {
+        source: 'diseaseZone HPV cohort projection',
+        lastUpdated: new Date().toISOString(),
+        inputSources: [vaccination.metadata?.source, ...cancerResults.map(result => result.metadata?.source)].filter(Boolean),
+        provenance: {
+          kind: 'simulated',
+          source: 'diseasezone',
+          note: 'Model projection; coverage and cancer rate inputs are placeholder values until NIS-Teen and registry integration'
+        }
+      }
+    };
+  }
+
+  normalizeOptions(options) {
+    const errors = [];
+    const fraction = (value, name) => {
+      if (value === undefined || value === null) return undefined;
+      const number = Number(value);
+      if (!(number >= 0 && number <= 1)) errors.push(`${name} must be between 0 and 1`);
+      return number;
+    };
+    const year = (value, name) => {
+      if (value === undefined || value === null) return undefined;
+      const number = parseInt(value, 10);
+      if (!(number >= 1950 && number <= 2200)) errors.push(`${name} must be a calendar year`);
+      return number;
+    };
+
+    const vaccine = options.vaccine || this.defaults.vaccine;
+    if (!VACCINE_TYPE_SHARE.cervical[vaccine]) {
+      errors.push(`Unknown vaccine "${vaccine}". Use one of: ${Object.keys(VACCINE_TYPE_SHARE.cervical).join(', ')}`);
+    }
+
+    const cancers = options.cancers
+      ? (Array.isArray(options.cancers) ? options.cancers : String(options.cancers).split(',')).map(cancer => cancer.trim())
+      : this.defaults.cancers;
+    cancers.filter(cancer => !CANCER_PROFILES[cancer]).forEach(cancer => {
+      errors.push(`Unknown cancer "${cancer}". Use one of: ${Object.keys(CANCER_PROFILES).join(', ')}`);
+    });
+
+    const horizon = options.horizon !== undefined ? parseInt(options.horizon, 10) : this.defaults.horizon;
+    if (!(horizon >= 1 && horizon <= this.defaults.max_horizon)) {
+      errors.push(`horizon must be between 1 and ${this.defaults.max_horizon} years`);
+    }
+
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (options.efficacy !== undefined && !isObject(options.efficacy)) {
+      errors.push('efficacy must be an object { full, single_dose } of fractions between 0 and 1');
+    }
+    const efficacy = {
+      full: fraction(options.efficacy?.full, 'efficacy.full') ?? this.defaults.efficacy.full,
+      single_dose: fraction(options.efficacy?.single_dose, 'efficacy.single_dose') ?? this.defaults.efficacy.single_dose
+    };
+
+    if (options.scenarios !== undefined && options.scenarios !== null && !Array.isArray(options.scenarios)) {
+      errors.push('scenarios must be an array');
+    }
+    const scenarios = (Array.isArray(options.scenarios) ? options.scenarios : []).map((scenario, i) => {
+      if (!isObject(scenario)) {
+        errors.push(`scenario_${i + 1} must be an object`);
+        return null;
+      }
+      const label = scenario.name || `scenario_${i + 1}`;
+      const types = this.scenarioTypes.filter(type => scenario[type]);
+      if (!types.length) {
+        errors.push(`${label}: specify at least one of ${this.scenarioTypes.join(', ')}`);
+      }
+
+      const normalized = { name: label, description: scenario.description || null };
+      if (scenario.routine_coverage) {
+        normalized.routine_coverage = {
+          target: fraction(scenario.routine_coverage.target, `${label}.routine_coverage.target`),
+          from_year: year(scenario.routine_coverage.from_year, `${label}.routine_coverage.from_year`),
+          ramp_years: Math.max(0, parseInt(scenario.routine_coverage.ramp_years ?? 5, 10) || 0)
+        };
+        if (normalized.routine_coverage.target === undefined) errors.push(`${label}.routine_coverage.target is required`);
+      }
+      if (scenario.single_dose) {
+        normalized.single_dose = {
+          from_year: year(scenario.single_dose.from_year, `${label}.single_dose.from_year`),
+          coverage: fraction(scenario.single_dose.coverage, `${label}.single_dose.coverage`),
+          efficacy: fraction(scenario.single_dose.efficacy, `${label}.single_dose.efficacy`) ?? efficacy.single_dose
+        };
+      }
+      if (scenario.catch_up) {
+        const ages = scenario.catch_up.ages || [13, 26];
+        const sex = scenario.catch_up.sex || 'both';
+        if (!Array.isArray(ages) || ages.length !== 2 || !(ages[0] >= 9 && ages[1] >= ages[0] && ages[1] <= 45)) {
+          errors.push(`${label}.catch_up.ages must be [min, max] within 9-45`);
+        }
+        if (!['both', ...SEXES].includes(sex)) errors.push(`${label}.catch_up.sex must be both, female or male`);
+        normalized.catch_up = {
+          year: year(scenario.catch_up.year, `${label}.catch_up.year`),
+          ages: ages.map(Number),
+          coverage: fraction(scenario.catch_up.coverage, `${label}.catch_up.coverage`),
+          sex,
+          doses: Number(scenario.catch_up.doses) === 1 ? 1 : 2
+        };
+        if (normalized.catch_up.coverage === undefined) errors.push(`${label}.catch_up.coverage is required`);
+      }
+      return normalized;
+    }).filter(Boolean);
+
+    const config = {
+      ...this.defaults,
+      vaccine,
+      cancers,
+      region: options.region || this.defaults.region,
+      start_year: year(options.start_year, 'start_year') ?? new Date().getFullYear(),
+      horizon,
+      efficacy,
+      herd_strength: fraction(options.herd_strength, 'herd_strength') ?? this.defaults.herd_strength,
+      baseline_prevalence: fraction(options.baseline_prevalence, 'baseline_prevalence') ?? null,
+      scenarios
+    };
+
+    // Scenario years default to the first projected year
+    scenarios.forEach(scenario => {
+      if (scenario.routine_coverage && !scenario.routine_coverage.from_year) scenario.routine_coverage.from_year = config.start_year;
+      if (scenario.single_dose && !scenario.single_dose.from_year) scenario.single_dose.from_year = config.start_year;
+      if (scenario.catch_up && !scenario.catch_up.year) scenario.catch_up.year = config.start_year;
+    });
+
+    if (errors.length) {
+      const error = new Error(`Invalid projection request: ${errors.join('; ')}`);
+      error.code = 'INVALID_PROJECTION';
+      error.details = errors;
+      throw error;
+    }
+    return config;
+  }
+
+  /**
+   * Coverage by birth cohort and sex from survey records ({ year, ageGroup: '13-17 years',
+   * coverage: { oneDose, upToDate }, gender: { female: { upToDate }, male: { upToDate } } }):
+   * full = up to date, partial = started but not up to date, both as fractions.
+   */
+  observedCoverage(records, config) {
+    const cohorts = { female: new Map(), male: new Map() };
+    const summary = [];
+
+    records.forEach(record => {
+      const match = String(record.ageGroup).match(/(\d+)\s*-\s*(\d+)/);
+      const surveyYear = parseInt(record.year, 10);
+      if (!match || isNaN(surveyYear)) return;
+
+      SEXES.forEach(sex => {
+        const upToDate = (record.gender?.[sex]?.upToDate ?? record.coverage.upToDate) / 100;
+        // Scale one-dose coverage by the sex's up-to-date coverage relative to both sexes
+        const oneDose = Math.max(upToDate, record.coverage.oneDose / 100 * (upToDate / (record.coverage.upToDate / 100)));
+        for (let age = parseInt(match[1], 10); age <= parseInt(match[2], 10); age++) {
+          cohorts[sex].set(surveyYear - age, { full: upToDate, partial: oneDose - upToDate });
+        }
+        summary.push({ survey_year: surveyYear, sex, birth_cohorts: [surveyYear - parseInt(match[2], 10), surveyYear - parseInt(match[1], 10)], one_dose: this.round(oneDose, 3), up_to_date: this.round(upToDate, 3) });
+      });
+    });
+
+    return { cohorts, records: summary };
+  }
+
+  // Coverage and direct protection for every birth cohort the projection touches, per sex
+  buildCohorts(observed, scenario, config) {
+    const firstCohort = config.start_year - MAX_AGE;
+    const lastCohort = config.start_year + config.horizon;
+    const cohorts = {};
+
+    SEXES.forEach(sex => {
+      const known = Array.from(observed.cohorts[sex].keys()).sort((a, b) => a - b);
+      const firstEligible = config.program_start[sex] - config.oldest_catch_up_age[sex];
+      cohorts[sex] = new Map();
+
+      for (let birthYear = firstCohort; birthYear <= lastCohort; birthYear++) {
+        let entry = { full: 0, partial: 0, single: 0, protection: 0 };
+        const ageAtVaccination = Math.max(config.routine_age, config.program_start[sex] - birthYear);
+
+        if (known.length && birthYear >= firstEligible) {
+          if (observed.cohorts[sex].has(birthYear)) {
+            entry = { ...entry, ...observed.cohorts[sex].get(birthYear) };
+          } else if (birthYear < known[0]) {
+            const share = (birthYear - firstEligible + 1) / (known[0] - firstEligible + 1);
+            const first = observed.cohorts[sex].get(known[0]);
+            entry = { ...entry, full: first.full * share, partial: first.partial * share };
+          } else {
+            entry = { ...entry, ...observed.cohorts[sex].get(known[known.length - 1]) };
+          }
+        }
+
+        const routineYear = birthYear + config.routine_age;
+        if (scenario.routine_coverage && routineYear >= scenario.routine_coverage.from_year) {
+          const { target, from_year: fromYear, ramp_years: rampYears } = scenario.routine_coverage;
+          const progress = rampYears > 0 ? Math.min(1, (routineYear - fromYear + 1) / rampYears) : 1;
+          if (entry.full < target) {
+            // Completing started series comes first, then new recipients
+            const added = (target - entry.full) * progress;
+            entry = { ...entry, full: entry.full + added, partial: Math.max(0, entry.partial - added) };
+          }
+        }
+        if (scenario.single_dose && routineYear >= scenario.single_dose.from_year) {
+          const coverage = scenario.single_dose.coverage ?? entry.full + entry.partial;
+          entry = { ...entry, full: 0, partial: 0, single: coverage };
+        }
+
+        const efficacySingle = scenario.single_dose?.efficacy ?? config.efficacy.single_dose;
+        entry.protection = (entry.full * config.efficacy.full +
+          (entry.partial * config.efficacy.single_dose) + entry.single * efficacySingle) *
+          (1 - this.priorExposure(ageAtVaccination));
+
+        if (scenario.catch_up && (scenario.catch_up.sex === 'both' || scenario.catch_up.sex === sex)) {
+          const { year, ages, coverage, doses } = scenario.catch_up;
+          const age = year - birthYear;
+          const started = entry.full + entry.partial + entry.single;
+          if (age >= ages[0] && age <= ages[1] && started < coverage) {
+            const efficacy = doses === 1 ? efficacySingle : config.efficacy.full;
+            entry.protection += (coverage - started) * efficacy * (1 - this.priorExposure(age));
+            entry[doses === 1 ? 'single' : 'full'] += coverage - started;
+          }
+        }
+
+        cohorts[sex].set(birthYear, entry);
+      }
+    });
+
+    return cohorts;
+  }
+
+  runScenario(scenario, observed, cancers, config) {
+    const cohorts = this.buildCohorts(observed, scenario, config);
+    const protection = (sex, birthYear) => cohorts[sex].get(birthYear)?.protection || 0;
+    const [youngest, oldest] = config.prevalence_ages;
+    const ages = oldest - youngest + 1;
+
+    // Mean direct protection among people at peak infection ages in a year, both sexes
+    const herdCache = new Map();
+    const herd = year => {
+      if (!herdCache.has(year)) {
+        let total = 0;
+        SEXES.forEach(sex => {
+          for (let age = youngest; age <= oldest; age++) total += protection(sex, year - age);
+        });
+        herdCache.set(year, config.herd_strength * total / (ages * SEXES.length));
+      }
+      return herdCache.get(year);
+    };
+    const effective = (sex, birthYear, infectionYear) => {
+      const direct = protection(sex, birthYear);
+      return direct + (1 - direct) * herd(infectionYear);
+    };
+
+    const weights = cancers.map(cancer => this.ageWeights(cancer));
+
+    const years = [];
+    for (let year = config.start_year; year <= config.start_year + config.horizon; year++) {
+      let prevalence = 0;
+      SEXES.forEach(sex => {
+        for (let age = youngest; age <= oldest; age++) prevalence += 1 - effective(sex, year - age, year);
+      });
+      const relativePrevalence = prevalence / (ages * SEXES.length);
+
+      const cancerRates = {};
+      cancers.forEach((cancer, i) => {
+        let relative = 0;
+        SEXES.forEach(sex => {
+          const share = sex === 'male' ? cancer.male_share : 1 - cancer.male_share;
+          if (!share) return;
+          weights[i].forEach((weight, age) => {
+            if (!weight) return;
+            const birthYear = year - age;
+            const reduction = cancer.attributable_fraction * cancer.vaccine_type_share *
+              effective(sex, birthYear, birthYear + INFECTION_AGE);
+            relative += share * weight * (1 - reduction);
+          });
+        });
+        cancerRates[cancer.cancer] = {
+          incidence_per_100k: this.round(cancer.baseline_incidence * relative, 3),
+          reduction: this.round(1 - relative, 4)
+        };
+      });
+
+      years.push({
+        year,
+        vaccine_type_prevalence: {
+          relative: this.round(relativePrevalence, 4),
+          absolute: config.baseline_prevalence !== null ? this.round(config.baseline_prevalence * relativePrevalence, 4) : null
+        },
+        cancers: cancerRates
+      });
+    }
+
+    const routineCohort = config.start_year - config.routine_age;
+    return {
+      name: scenario.name,
+      description: scenario.description || null,
+      scenario: Object.fromEntries(this.scenarioTypes.filter(type => scenario[type]).map(type => [type, scenario[type]])),
+      // Coverage of the last cohort to reach routine age in the projection, after any ramp-up
+      final_routine_cohort: {
+        birth_year: routineCohort + config.horizon,
+        ...Object.fromEntries(SEXES.map(sex => {
+          const entry = cohorts[sex].get(routineCohort + config.horizon);
+          return [sex, { started: this.round(entry.full + entry.partial + entry.single, 3), protection: this.round(entry.protection, 3) }];
+        }))
+      },
+      years,
+      summary: Object.fromEntries(cancers.map(cancer => {
+        const series = years.map(entry => entry.cancers[cancer.cancer]);
+        const halfway = years.find(entry => entry.cancers[cancer.cancer].reduction >= 0.5);
+        return [cancer.cancer, {
+          baseline_incidence_per_100k: cancer.baseline_incidence,
+          incidence_at_horizon: series[series.length - 1].incidence_per_100k,
+          reduction_at_horizon: series[series.length - 1].reduction,
+          year_50pct_reduction: halfway ? halfway.year : null
+        }];
+      }))
+    };
+  }
+
+  // Difference from the status quo: cumulative incidence averted and reduction at the horizon
+  compare(result, statusQuo, cancers) {
+    return Object.fromEntries(cancers.map(({ cancer }) => {
+      const averted = result.years.reduce((sum, entry, i) =>
+        sum + statusQuo.years[i].cancers[cancer].incidence_per_100k - entry.cancers[cancer].incidence_per_100k, 0);
+      const last = result.years.length - 1;
+      return [cancer, {
+        cumulative_cases_averted_per_100k: this.round(averted, 3),
+        additional_reduction_at_horizon: this.round(result.years[last].cancers[cancer].reduction - statusQuo.years[last].cancers[cancer].reduction, 4)
+      }];
+    }));
+  }
+
+  // Normal age-at-diagnosis weights for ages 0..MAX_AGE, truncated below 15
+  ageWeights(cancer) {
+    const weights = [];
+    for (let age = 0; age <= MAX_AGE; age++) {
+      weights.push(age < 15 ? 0 : Math.exp(-0.5 * ((age - cancer.mean_age) / cancer.sd_age) ** 2));
+    }
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    return weights.map(weight => weight / total);
+  }
+
+  priorExposure(age) {
+    if (age <= PRIOR_EXPOSURE[0][0]) return PRIOR_EXPOSURE[0][1];
+    for (let i = 1; i < PRIOR_EXPOSURE.length; i++) {
+      const [age1, share1] = PRIOR_EXPOSURE[i];
+      if (age <= age1) {
+        const [age0, share0] = PRIOR_EXPOSURE[i - 1];
+        return share0 + (share1 - share0) * (age - age0) / (age1 - age0);
+      }
+    }
+    return PRIOR_EXPOSURE[PRIOR_EXPOSURE.length - 1][1];
+  }
+
+  round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+  }
+}
+
+module.exports = HPVProjectionService;
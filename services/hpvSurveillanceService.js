@@ -96,7 +96,7 @@ class HPVSurveillanceService {
 
   async initFetch() {
     if (!this.fetch) {
-      const { default: fetch } = await import('node-fetch');
+      const { fetch } = require('../utils/httpClient');
       this.fetch = fetch;
     }
   }
@@ -177,7 +177,8 @@ class HPVSurveillanceService {
           dataQuality: 'high',
           coverage: region === 'national' ? '100% US population' : 'Regional',
           lastUpdated: new Date().toISOString(),
-          hpvAttribution: this.getHPVAttributionRate(cancerType)
+          hpvAttribution: this.getHPVAttributionRate(cancerType),
+          provenance: { kind: 'placeholder', source: 'diseasezone', note: 'Illustrative rates; cancer registry integration pending' }
         }
       };
 
@@ -202,7 +203,8 @@ class HPVSurveillanceService {
           dataQuality: 'high',
           coverage: 'US teens 13-17 years',
           lastUpdated: new Date().toISOString(),
-          vaccines: ['2vHPV', '4vHPV', '9vHPV']
+          vaccines: ['2vHPV', '4vHPV', '9vHPV'],
+          provenance: { kind: 'placeholder', source: 'diseasezone', note: 'Illustrative coverage; NIS-Teen integration pending' }
         }
       };
 
@@ -228,7 +230,8 @@ class HPVSurveillanceService {
           coverage: 'Five sentinel sites (>1.5M women)',
           lastUpdated: new Date().toISOString(),
           surveillanceType: 'Cervical precancers (CIN2+)',
-          sites: Object.keys(this.hpvImpactSites)
+          sites: Object.keys(this.hpvImpactSites),
+          provenance: { kind: 'placeholder', source: 'diseasezone', note: 'Illustrative values; HPV-IMPACT integration pending' }
         }
       };
 
@@ -253,7 +256,8 @@ class HPVSurveillanceService {
           dataQuality: 'high',
           coverage: 'US adults 18+ years',
           lastUpdated: new Date().toISOString(),
-          screeningTypes: ['Pap test', 'HPV test', 'Co-testing']
+          screeningTypes: ['Pap test', 'HPV test', 'Co-testing'],
+          provenance: { kind: 'placeholder', source: 'diseasezone', note: 'Illustrative coverage; BRFSS integration pending' }
         }
       };
 
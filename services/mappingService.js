@@ -254,7 +254,7 @@ class MappingService {
   }
 
   async geocodeOpenStreetMap(address) {
-    const { default: fetch } = await import('node-fetch');
+    const { fetch } = require('../utils/httpClient');
     const url = `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(address)}&limit=5`;
 
     const response = await fetch(url, {
@@ -285,7 +285,7 @@ class MappingService {
       throw new Error('Mapbox API key not configured');
     }
 
-    const { default: fetch } = await import('node-fetch');
+    const { fetch } = require('../utils/httpClient');
     const url = `${this.providers.mapbox.geocodingUrl}/${encodeURIComponent(address)}.json?access_token=${this.apiKeys.mapbox}&limit=5`;
 
     const response = await fetch(url);
@@ -312,7 +312,7 @@ class MappingService {
       throw new Error('Google Maps API key not configured');
     }
 
-    const { default: fetch } = await import('node-fetch');
+    const { fetch } = require('../utils/httpClient');
     const url = `${this.providers.google.geocodingUrl}?address=${encodeURIComponent(address)}&key=${this.apiKeys.google}`;
 
     const response = await fetch(url);
@@ -609,6 +609,10 @@ class MappingService {
     const cases = item.cases ? item.cases.toLocaleString() : 'N/A';
     const rate = item.rate ? `${item.rate.toFixed(1)} per 100k` : 'N/A';
     const lastUpdated = item.lastUpdated ? new Date(item.lastUpdated).toLocaleDateString() : 'Unknown';
+    const interval = item.lower != null ? ` (${item.lower.toFixed(1)}–${item.upper.toFixed(1)})` : '';
+    const estimated = item.interpolated
+      ? `<br><em>Estimated from neighbouring reports${interval}</em>`
+      : interval ? `<br><em>Uncertainty range${interval}</em>` : '';
     
     return `
       <div class="disease-popup">
@@ -617,7 +621,7 @@ class MappingService {
           <strong>Disease:</strong> ${disease}<br>
           <strong>Cases:</strong> ${cases}<br>
           <strong>Rate:</strong> ${rate}<br>
-          <strong>Last Updated:</strong> ${lastUpdated}
+          <strong>Last Updated:</strong> ${lastUpdated}${estimated}
         </div>
       </div>
     `;
@@ -720,7 +724,7 @@ class MappingService {
 
       // Test with a simple tile request
       const testUrl = config.baseUrl.replace(/{z}/g, '1').replace(/{x}/g, '1').replace(/{y}/g, '1');
-      const { default: fetch } = await import('node-fetch');
+      const { fetch } = require('../utils/httpClient');
       
       const response = await fetch(testUrl, {
         timeout: 5000,
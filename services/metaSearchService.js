@@ -3,7 +3,7 @@
  * Searches across multiple authoritative health data sources
  */
 
-const axios = require('axios');
+const { axios } = require('../utils/httpClient');
 
 class MetaSearchService {
     constructor() {
@@ -7,7 +7,7 @@
  * - Official health alerts and bulletins
  */
 
-const axios = require('axios');
+const { axios } = require('../utils/httpClient');
 const Parser = require('rss-parser');
 
 class NewsApiService {
@@ -250,16 +250,7 @@ class NewsApiService {
         for (const source of sources) {
             try {
                 const feed = await this.parser.parseURL(source.url);
-                const items = feed.items.slice(0, Math.ceil(limit / sources.length)).map(item => ({
-                    title: item.title,
-                    description: item.contentSnippet || item.content || 'No description available',
-                    source: source.name,
-                    publishedAt: item.pubDate || new Date().toISOString(),
-                    url: item.link,
-                    category: source.category,
-                    priority: source.priority
-                }));
-                allNews.push(...items);
+                allNews.push(...this.normalizeFeedItems(feed, source, Math.ceil(limit / sources.length)));
             } catch (error) {
                 console.warn(`Failed to fetch from ${source.name}:`, error.message);
             }
@@ -271,6 +262,26 @@ class NewsApiService {
             .slice(0, limit);
     }
 
+    /**
+     * Parse a saved RSS document (e.g. a fixture) into the same article shape as live feeds
+     */
+    async parseFeedString(xml, source, limit = Infinity) {
+        const feed = await this.parser.parseString(xml);
+        return this.normalizeFeedItems(feed, source, limit);
+    }
+
+    normalizeFeedItems(feed, source, limit) {
+        return feed.items.slice(0, limit).map(item => ({
+            title: item.title,
+            description: item.contentSnippet || item.content || 'No description available',
+            source: source.name,
+            publishedAt: item.pubDate || new Date().toISOString(),
+            url: item.link,
+            category: source.category,
+            priority: source.priority
+        }));
+    }
+
     getAllSourcesForCategory(category) {
         const allSources = [];
         Object.values(this.rssSources).forEach(sourceGroup => {
@@ -0,0 +1,262 @@
+/**
+ * Nowcasting Service
+ * Corrects the most recent periods of surveillance series for reporting delay.
+ * Delay distributions are learned from the revision history of stored snapshots
+ * (a reporting triangle) and completed with a chain-ladder / binomial-thinning model.
+ */
+
+const Statistics = require('../utils/statistics');
+
+class NowcastingService {
+  constructor(databaseService = null) {
+    this.databaseService = databaseService;
+
+    this.periodDays = { daily: 1, weekly: 7, monthly: 30.44, yearly: 365.25 };
+    this.defaultMaxDelay = { daily: 28, weekly: 8, monthly: 6, yearly: 3 };
+
+    this.defaults = {
+      frequency: 'weekly',
+      draws: 1000,
+      credible_interval: 0.9,
+      seed: null
+    };
+  }
+
+  /**
+   * Store the values a source reports right now. Only new or revised values are written,
+   * so repeated polling of an unchanged source does not grow the table. With
+   * options.minIntervalHours a series is written at most once per interval.
+   */
+  async recordSnapshot(seriesKey, points, options = {}) {
+    if (!this.databaseService) {
+      throw new Error('Nowcasting snapshots require a database service');
+    }
+
+    const reportDate = new Date(options.reportDate || Date.now()).toISOString();
+    const latest = await this.databaseService.getLatestSurveillanceValues(seriesKey);
+
+    if (options.minIntervalHours) {
+      const lastReport = latest.reduce((last, row) => (row.report_date > last ? row.report_date : last), '');
+      if (lastReport && Date.parse(reportDate) - Date.parse(lastReport) < options.minIntervalHours * 60 * 60 * 1000) {
+        return { series_key: seriesKey, report_date: lastReport, written: 0, skipped: 'recent_snapshot' };
+      }
+    }
+    const known = new Map(latest.map(row => [row.reference_date, row.value]));
+
+    let written = 0;
+    for (const point of points) {
+      const referenceDate = new Date(point.timestamp).toISOString();
+      const value = point.cases ?? point.value ?? 0;
+      if (known.get(referenceDate) === value) continue;
+
+      await this.databaseService.createSurveillanceSnapshot({
+        series_key: seriesKey,
+        reference_date: referenceDate,
+        report_date: reportDate,
+        value: value,
+        source: options.source || null
+      });
+      written++;
+    }
+
+    return { series_key: seriesKey, report_date: reportDate, written };
+  }
+
+  async getSnapshots(seriesKey) {
+    if (!this.databaseService) return [];
+    return this.databaseService.getSurveillanceSnapshots(seriesKey);
+  }
+
+  async nowcastSeries(seriesKey, options = {}) {
+    const snapshots = await this.getSnapshots(seriesKey);
+    return this.nowcastFromSnapshots(snapshots, options);
+  }
+
+  nowcastFromSnapshots(snapshots, options = {}) {
+    const settings = { ...this.defaults, ...options };
+    const triangle = this.buildReportingTriangle(snapshots, settings);
+    const delay = this.estimateDelayDistribution(triangle);
+    return this.nowcast(triangle, delay, settings);
+  }
+
+  /**
+   * Cumulative reporting triangle: cumulative[t][d] is the value known for reference
+   * period t within d periods of it (null where no snapshot existed yet).
+   */
+  buildReportingTriangle(snapshots, options = {}) {
+    const frequency = options.frequency || this.defaults.frequency;
+    const maxDelay = options.max_delay ?? this.defaultMaxDelay[frequency];
+    const periodMs = this.periodDays[frequency] * 86400000;
+
+    const byReference = new Map();
+    snapshots.forEach(snapshot => {
+      const reference = new Date(snapshot.reference_date).toISOString();
+      if (!byReference.has(reference)) byReference.set(reference, []);
+      byReference.get(reference).push({
+        delay: Math.max(0, Math.floor((new Date(snapshot.report_date) - new Date(reference)) / periodMs)),
+        value: Number(snapshot.value)
+      });
+    });
+
+    const lastReport = Math.max(...snapshots.map(snapshot => new Date(snapshot.report_date).getTime()));
+    const references = Array.from(byReference.keys()).sort((a, b) => new Date(a) - new Date(b));
+
+    const rows = references.map(reference => {
+      // Latest revision within each delay bucket wins
+      const revisions = byReference.get(reference).sort((a, b) => a.delay - b.delay);
+      const observedDelay = Math.min(maxDelay, Math.floor((lastReport - new Date(reference)) / periodMs));
+      const cumulative = [];
+      let current = null;
+
+      for (let d = 0; d <= maxDelay; d++) {
+        revisions.filter(r => r.delay === d || (d === maxDelay && r.delay > d)).forEach(r => { current = r.value; });
+        cumulative.push(d <= observedDelay ? current : null);
+      }
+
+      return { reference_date: reference, observed_delay: observedDelay, cumulative };
+    });
+
+    return { frequency, max_delay: maxDelay, rows };
+  }
+
+  /**
+   * Chain-ladder reverse hazards g_d = C(d-1) / C(d) pooled over rows observed to delay d,
+   * with Beta posteriors so the delay uncertainty propagates into the nowcast.
+   */
+  estimateDelayDistribution(triangle) {
+    const { max_delay: maxDelay, rows } = triangle;
+    const reverseHazards = [null];
+
+    for (let d = 1; d <= maxDelay; d++) {
+      let before = 0;
+      let increment = 0;
+      rows.forEach(row => {
+        const previous = row.cumulative[d - 1];
+        const current = row.cumulative[d];
+        if (previous === null || current === null) return;
+        before += previous;
+        // Downward revisions are treated as no new reports
+        increment += Math.max(0, current - previous);
+      });
+
+      reverseHazards.push({
+        alpha: before + 0.5,
+        beta: increment + 0.5,
+        informative: before + increment > 0
+      });
+    }
+
+    const cdfFrom = hazards => {
+      const cdf = new Array(maxDelay + 1).fill(1);
+      for (let d = maxDelay - 1; d >= 0; d--) {
+        cdf[d] = cdf[d + 1] * hazards[d + 1];
+      }
+      return cdf;
+    };
+
+    const pointHazards = reverseHazards.map(h => (h ? (h.informative ? h.alpha / (h.alpha + h.beta) : 1) : null));
+    const cdf = cdfFrom(pointHazards);
+
+    return {
+      reverse_hazards: reverseHazards,
+      cdf: cdf,
+      pmf: cdf.map((value, d) => value - (d > 0 ? cdf[d - 1] : 0)),
+      sample: random => cdfFrom(reverseHazards.map(h => {
+        if (!h) return null;
+        return h.informative ? Statistics.sampleBeta(h.alpha, h.beta, random) : 1;
+      }))
+    };
+  }
+
+  nowcast(triangle, delay, options = {}) {
+    const settings = { ...this.defaults, ...options };
+    const random = Statistics.createRandom(settings.seed);
+    const tail = (1 - settings.credible_interval) / 2;
+    const { max_delay: maxDelay, rows } = triangle;
+
+    const incomplete = rows.filter(row => row.observed_delay < maxDelay);
+    const draws = new Map(incomplete.map(row => [row.reference_date, []]));
+
+    for (let s = 0; s < settings.draws; s++) {
+      const cdf = delay.sample(random);
+      incomplete.forEach(row => {
+        const reported = row.cumulative[row.observed_delay] || 0;
+        const p = Math.max(cdf[row.observed_delay], 1e-6);
+        // Unreported cases given C reported with probability p: NegBin(C + 1, p) as a Gamma-Poisson mixture
+        const lambda = Statistics.sampleGamma(reported + 1, random) * (1 - p) / p;
+        draws.get(row.reference_date).push(reported + Statistics.samplePoisson(lambda, random));
+      });
+    }
+
+    const series = rows.map(row => {
+      const reported = row.cumulative[row.observed_delay] ?? 0;
+      if (row.observed_delay >= maxDelay) {
+        return {
+          timestamp: row.reference_date,
+          reported: reported,
+          nowcast: reported,
+          lower: reported,
+          upper: reported,
+          reported_fraction: 1,
+          is_nowcast: false
+        };
+      }
+
+      const samples = draws.get(row.reference_date);
+      return {
+        timestamp: row.reference_date,
+        reported: reported,
+        nowcast: Statistics.median(samples),
+        mean: Statistics.mean(samples),
+        lower: Statistics.quantile(samples, tail),
+        upper: Statistics.quantile(samples, 1 - tail),
+        reported_fraction: delay.cdf[row.observed_delay],
+        delay_periods: row.observed_delay,
+        is_nowcast: true
+      };
+    });
+
+    return {
+      method: 'reporting_triangle_chain_ladder',
+      frequency: triangle.frequency,
+      max_delay: maxDelay,
+      credible_interval: settings.credible_interval,
+      delay_distribution: { pmf: delay.pmf, cdf: delay.cdf },
+      series: series
+    };
+  }
+
+  /**
+   * Replace the recent counts of a detection stream with nowcasts. Snapshots come from the
+   * stream itself or, for streams with a series_key, from the stored revision history.
+   */
+  async applyToStream(stream, options = {}) {
+    const snapshots = stream.snapshots || (stream.series_key ? await this.getSnapshots(stream.series_key) : []);
+    if (!snapshots.length) return stream;
+
+    const result = this.nowcastFromSnapshots(snapshots, {
+      frequency: stream.frequency || this.defaults.frequency,
+      ...options
+    });
+    const corrected = new Map(result.series.filter(point => point.is_nowcast)
+      .map(point => [point.timestamp, point]));
+
+    return {
+      ...stream,
+      nowcast: { method: result.method, max_delay: result.max_delay, delay_distribution: result.delay_distribution },
+      data: (stream.data || []).map(item => {
+        const point = corrected.get(new Date(item.timestamp).toISOString());
+        if (!point) return item;
+        return {
+          ...item,
+          cases: Math.round(point.nowcast),
+          reported_cases: item.cases ?? item.value,
+          nowcast_lower: point.lower,
+          nowcast_upper: point.upper
+        };
+      })
+    };
+  }
+}
+
+module.exports = NowcastingService;
@@ -0,0 +1,458 @@
+/**
+ * Outbreak Detection Evaluation Service
+ * Backtests detection algorithms by replaying historical (or simulated) series with
+ * synthetic outbreaks injected, following the simulation design of Noufaily et al. (2013)
+ */
+
+const path = require('path');
+const Statistics = require('../utils/statistics');
+const { runWorkerTask } = require('../utils/workerTask');
+
+class OutbreakEvaluationService {
+  constructor(detectionEngine, options = {}) {
+    // Replays run on a private engine so cached models and news history never leak into live detection
+    this.engine = new detectionEngine.constructor();
+    this.engine.thresholds = detectionEngine.thresholds;
+
+    // Runs go to a worker thread unless the caller already is one
+    this.useWorker = options.useWorker ?? true;
+    this.timeoutMs = options.timeoutMs || 120000;
+
+    this.defaults = {
+      algorithms: ['cusum', 'ewma', 'farrington'],
+      sensitivities: ['low', 'medium', 'high'],
+      replicates: 20,
+      max_replicates: 200,
+      max_series_length: 2000,
+      max_runs: 2000000, // replicates x algorithms x sensitivities x series points
+      evaluation_fraction: 0.3,
+      max_false_alarms_per_year: 2,
+      outbreaks: {
+        count: 2,
+        shape: 'lognormal',
+        duration: 4,
+        size_multiplier: 3
+      }
+    };
+
+    this.outbreakShapes = ['spike', 'flat', 'linear', 'exponential', 'lognormal'];
+    this.daysPerPeriod = { daily: 1, weekly: 7, monthly: 30.44 };
+  }
+
+  error(code, message, details) {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+  }
+
+  // Throws EVALUATION_INVALID listing every problem with the request
+  validateConfig(config) {
+    const errors = [];
+    const wholeNumber = (value, name, min, max) => {
+      if (value === undefined || value === null) return;
+      if (!Number.isInteger(value) || value < min || value > max) {
+        errors.push(`${name} must be a whole number from ${min} to ${max}`);
+      }
+    };
+    const maxLength = this.defaults.max_series_length;
+
+    if (config.algorithms !== undefined) {
+      if (!Array.isArray(config.algorithms) || !config.algorithms.length) {
+        errors.push('algorithms must be a non-empty array');
+      } else {
+        const unknown = config.algorithms.filter(algorithm => !this.engine.detectionAlgorithms[algorithm]);
+        if (unknown.length) errors.push(`Unknown detection algorithm(s): ${unknown.join(', ')}`);
+      }
+    }
+    if (config.sensitivities !== undefined &&
+      (!Array.isArray(config.sensitivities) || !config.sensitivities.length ||
+        config.sensitivities.some(level => !this.defaults.sensitivities.includes(level)))) {
+      errors.push(`sensitivities must be a non-empty array of: ${this.defaults.sensitivities.join(', ')}`);
+    }
+
+    let seriesLength = 260;
+    if (config.series !== undefined) {
+      if (!Array.isArray(config.series?.data) || !config.series.data.length || config.series.data.length > maxLength) {
+        errors.push(`series.data must be an array of 1 to ${maxLength} { timestamp, cases } points`);
+      } else {
+        seriesLength = config.series.data.length;
+      }
+    } else if (config.baseline?.periods !== undefined) {
+      wholeNumber(config.baseline.periods, 'baseline.periods', 2, maxLength);
+      seriesLength = config.baseline.periods;
+    }
+    const frequency = config.series?.frequency || config.baseline?.frequency;
+    if (frequency !== undefined && !this.daysPerPeriod[frequency]) {
+      errors.push(`frequency must be one of: ${Object.keys(this.daysPerPeriod).join(', ')}`);
+    }
+
+    wholeNumber(config.replicates, 'replicates', 1, this.defaults.max_replicates);
+    wholeNumber(config.evaluation_periods, 'evaluation_periods', 1, Math.max(seriesLength - 1, 1));
+    if (Number.isInteger(seriesLength) && seriesLength < 2) {
+      errors.push('The series needs at least 2 points to leave history before the evaluation window');
+    }
+
+    const outbreaks = config.outbreaks || {};
+    if (outbreaks.shape !== undefined && !this.outbreakShapes.includes(outbreaks.shape)) {
+      errors.push(`Unknown outbreak shape "${outbreaks.shape}". Use one of: ${this.outbreakShapes.join(', ')}`);
+    }
+    wholeNumber(outbreaks.count, 'outbreaks.count', 0, 50);
+    wholeNumber(outbreaks.duration, 'outbreaks.duration', 1, maxLength);
+    if (outbreaks.size_multiplier !== undefined && !(Number(outbreaks.size_multiplier) >= 0)) {
+      errors.push('outbreaks.size_multiplier must be a non-negative number');
+    }
+    if (config.max_false_alarms_per_year !== undefined && !(Number(config.max_false_alarms_per_year) >= 0)) {
+      errors.push('max_false_alarms_per_year must be a non-negative number');
+    }
+    if (config.seed !== undefined && config.seed !== null && !Number.isFinite(Number(config.seed))) {
+      errors.push('seed must be a number');
+    }
+
+    if (!errors.length) {
+      const runs = (config.replicates || this.defaults.replicates) *
+        (config.algorithms || this.defaults.algorithms).length *
+        (config.sensitivities || this.defaults.sensitivities).length * seriesLength;
+      if (runs > this.defaults.max_runs) {
+        errors.push(`replicates x algorithms x sensitivities x series points is ${runs}; the limit is ${this.defaults.max_runs}`);
+      }
+    }
+
+    if (errors.length) throw this.error('EVALUATION_INVALID', errors.join('; '), errors);
+  }
+
+  async evaluate(config = {}) {
+    this.validateConfig(config);
+    if (!this.useWorker) {
+      return this.runEvaluation(config);
+    }
+    return runWorkerTask(path.join(__dirname, 'workers', 'outbreakEvaluation.js'), {
+      config,
+      thresholds: this.engine.thresholds
+    }, { timeoutMs: this.timeoutMs });
+  }
+
+  async runEvaluation(config) {
+    const startTime = Date.now();
+    const algorithms = config.algorithms || this.defaults.algorithms;
+    const sensitivities = config.sensitivities || this.defaults.sensitivities;
+    const replicates = config.replicates || this.defaults.replicates;
+    const outbreakDesign = { ...this.defaults.outbreaks, ...(config.outbreaks || {}) };
+    const random = Statistics.createRandom(config.seed);
+
+    const frequency = config.series?.frequency || config.baseline?.frequency || 'weekly';
+    const periodsPerYear = 365.25 / this.daysPerPeriod[frequency];
+
+    const evaluationPeriods = config.evaluation_periods ||
+      Math.max(1, Math.floor((config.series?.data?.length || config.baseline?.periods || 260) * this.defaults.evaluation_fraction));
+    const disease = config.series?.disease || config.disease || 'simulated';
+
+    // Per algorithm/sensitivity tallies accumulated over replicates
+    const tallies = {};
+    algorithms.forEach(algorithm => sensitivities.forEach(sensitivity => {
+      tallies[`${algorithm}:${sensitivity}`] = {
+        algorithm,
+        sensitivity,
+        outbreaks: 0,
+        detected: 0,
+        delays: [],
+        timeliness: [],
+        outbreak_points: 0,
+        outbreak_points_alerted: 0,
+        baseline_points: 0,
+        false_alarm_points: 0,
+        alerts: 0,
+        replicates: 0,
+        failed_replicates: 0,
+        first_error: null,
+        runtime_ms: 0
+      };
+    }));
+
+    let seriesLength = 0;
+    let evaluationStart = null;
+    let evaluationEnd = null;
+
+    for (let replicate = 0; replicate < replicates; replicate++) {
+      const baseline = config.series
+        ? config.series.data.map(point => ({ ...point }))
+        : this.simulateBaseline({ ...config.baseline, frequency }, random);
+
+      const windowStart = baseline.length - evaluationPeriods;
+      const injected = this.injectOutbreaks(baseline, windowStart, outbreakDesign, random);
+      const outbreakIndex = new Array(baseline.length).fill(-1);
+      injected.outbreaks.forEach((outbreak, o) => {
+        for (let i = outbreak.start; i <= outbreak.end; i++) outbreakIndex[i] = o;
+      });
+
+      seriesLength = baseline.length;
+      evaluationStart = injected.data[windowStart].timestamp;
+      evaluationEnd = injected.data[baseline.length - 1].timestamp;
+
+      const timestampIndex = new Map(injected.data.map((point, i) => [new Date(point.timestamp).toISOString(), i]));
+      const scope = `replicate-${replicate}`;
+      const stream = {
+        id: `evaluation-${replicate}`,
+        disease: disease,
+        frequency: frequency,
+        data: injected.data,
+        parameters: config.parameters
+      };
+
+      // Baseline-driven detectors (CUSUM, EWMA) are scored against a baseline fitted to the
+      // replicate's own history, as they would be in use, not against the engine default
+      let baselineError = null;
+      try {
+        const fit = this.engine.computeBaseline({ ...stream, data: injected.data.slice(0, windowStart) }, { min_observations: 2 });
+        this.engine.baselines.set(this.engine.baselineKey(disease, scope, 'default'), {
+          ...fit.statistics,
+          version: null,
+          source: 'training_window'
+        });
+      } catch (error) {
+        baselineError = error;
+      }
+
+      for (const algorithm of algorithms) {
+        for (const sensitivity of sensitivities) {
+          const tally = tallies[`${algorithm}:${sensitivity}`];
+          const runStart = Date.now();
+          let alerts = [];
+          tally.replicates++;
+
+          // A replicate the detector could not run on is reported, not scored as a run without alerts
+          try {
+            if (baselineError) throw baselineError;
+            const detection = await this.engine.detectionAlgorithms[algorithm](stream, sensitivity, scope);
+            alerts = detection.alerts || [];
+          } catch (error) {
+            tally.failed_replicates++;
+            tally.first_error = tally.first_error || error.message;
+            tally.runtime_ms += Date.now() - runStart;
+            continue;
+          }
+          tally.runtime_ms += Date.now() - runStart;
+
+          // Alerts are attributed to the time point they reference; undated alerts cannot be scored
+          const alertedPoints = new Set();
+          alerts.forEach(alert => {
+            if (!alert.timestamp) return;
+            const index = timestampIndex.get(new Date(alert.timestamp).toISOString());
+            if (index !== undefined && index >= windowStart) alertedPoints.add(index);
+          });
+          tally.alerts += alertedPoints.size;
+
+          for (let i = windowStart; i < baseline.length; i++) {
+            if (outbreakIndex[i] >= 0) {
+              tally.outbreak_points++;
+              if (alertedPoints.has(i)) tally.outbreak_points_alerted++;
+            } else {
+              tally.baseline_points++;
+              if (alertedPoints.has(i)) tally.false_alarm_points++;
+            }
+          }
+
+          injected.outbreaks.forEach(outbreak => {
+            tally.outbreaks++;
+            let firstAlert = null;
+            for (let i = outbreak.start; i <= outbreak.end; i++) {
+              if (alertedPoints.has(i)) {
+                firstAlert = i;
+                break;
+              }
+            }
+
+            const duration = outbreak.end - outbreak.start + 1;
+            if (firstAlert === null) {
+              tally.timeliness.push(0);
+            } else {
+              tally.detected++;
+              tally.delays.push(firstAlert - outbreak.start);
+              tally.timeliness.push(1 - (firstAlert - outbreak.start) / duration);
+            }
+          });
+        }
+      }
+    }
+
+    // Replicates are independent series; drop anything the private engine cached for them
+    this.engine.anomalyModels.clear();
+    this.engine.newsEventHistory.clear();
+    this.engine.baselines.clear();
+
+    const results = Object.values(tallies).map(tally => this.summarizeTally(tally, periodsPerYear, this.daysPerPeriod[frequency]));
+    const maxFalseAlarms = config.max_false_alarms_per_year ?? this.defaults.max_false_alarms_per_year;
+
+    return {
+      evaluation: {
+        disease: disease,
+        source: config.series ? 'historical' : 'simulated',
+        frequency: frequency,
+        series_length: seriesLength,
+        evaluation_window: { start: evaluationStart, end: evaluationEnd, periods: evaluationPeriods },
+        outbreak_design: outbreakDesign,
+        replicates: replicates,
+        seed: config.seed ?? null
+      },
+      results: results,
+      recommendations: this.recommendSettings(results, maxFalseAlarms),
+      processing_time_ms: Date.now() - startTime
+    };
+  }
+
+  summarizeTally(tally, periodsPerYear, daysPerPeriod) {
+    const meanDelay = tally.delays.length ? Statistics.mean(tally.delays) : null;
+
+    return {
+      algorithm: tally.algorithm,
+      sensitivity: tally.sensitivity,
+      // Probability of detecting an outbreak at least once while it is ongoing
+      sensitivity_pod: tally.outbreaks ? tally.detected / tally.outbreaks : null,
+      point_sensitivity: tally.outbreak_points ? tally.outbreak_points_alerted / tally.outbreak_points : null,
+      specificity: tally.baseline_points ? 1 - tally.false_alarm_points / tally.baseline_points : null,
+      false_alarms_per_year: tally.baseline_points ? tally.false_alarm_points / tally.baseline_points * periodsPerYear : null,
+      mean_detection_delay_periods: meanDelay,
+      median_detection_delay_periods: tally.delays.length ? Statistics.median(tally.delays) : null,
+      mean_detection_delay_days: meanDelay === null ? null : meanDelay * daysPerPeriod,
+      timeliness: tally.timeliness.length ? Statistics.mean(tally.timeliness) : null,
+      outbreaks_injected: tally.outbreaks,
+      outbreaks_detected: tally.detected,
+      alerts: tally.alerts,
+      scored_replicates: tally.replicates - tally.failed_replicates,
+      failed_replicates: tally.failed_replicates,
+      first_error: tally.first_error,
+      runtime_ms: tally.runtime_ms
+    };
+  }
+
+  recommendSettings(results, maxFalseAlarms) {
+    const byAlgorithm = {};
+    results.forEach(result => {
+      byAlgorithm[result.algorithm] = byAlgorithm[result.algorithm] || [];
+      byAlgorithm[result.algorithm].push(result);
+    });
+
+    const rank = (a, b) => (b.sensitivity_pod - a.sensitivity_pod) ||
+      ((a.mean_detection_delay_periods ?? Infinity) - (b.mean_detection_delay_periods ?? Infinity));
+
+    const perAlgorithm = Object.entries(byAlgorithm).map(([algorithm, candidates]) => {
+      const admissible = candidates.filter(c => c.false_alarms_per_year !== null && c.false_alarms_per_year <= maxFalseAlarms);
+      if (!admissible.length) {
+        return {
+          algorithm,
+          sensitivity: null,
+          reason: `No sensitivity level keeps false alarms at or below ${maxFalseAlarms} per year`
+        };
+      }
+
+      const best = [...admissible].sort(rank)[0];
+      return {
+        algorithm,
+        sensitivity: best.sensitivity,
+        sensitivity_pod: best.sensitivity_pod,
+        false_alarms_per_year: best.false_alarms_per_year,
+        mean_detection_delay_periods: best.mean_detection_delay_periods
+      };
+    });
+
+    const ranked = perAlgorithm.filter(r => r.sensitivity !== null).sort(rank);
+
+    return {
+      max_false_alarms_per_year: maxFalseAlarms,
+      per_algorithm: perAlgorithm,
+      best: ranked[0] || null
+    };
+  }
+
+  simulateBaseline(options, random) {
+    // Negative binomial counts around a seasonal log-linear mean (Noufaily et al., 2013 scenarios)
+    const {
+      periods = 260,
+      frequency = 'weekly',
+      mean = 10,
+      trend = 0,
+      seasonal_amplitude = 0.5,
+      dispersion = 1.5,
+      start_date = '2020-01-06'
+    } = options;
+
+    const cycle = frequency === 'daily' ? 365.25 : frequency === 'monthly' ? 12 : 52;
+    const stepMs = this.daysPerPeriod[frequency] * 86400000;
+    const start = new Date(start_date).getTime();
+
+    return Array.from({ length: periods }, (_, t) => {
+      const mu = mean * Math.exp(trend * t / cycle + seasonal_amplitude * Math.sin(2 * Math.PI * t / cycle));
+      // Gamma-Poisson mixture gives variance = dispersion * mean
+      const shape = dispersion > 1 ? mu / (dispersion - 1) : null;
+      const lambda = shape ? Statistics.sampleGamma(shape, random) * (dispersion - 1) : mu;
+
+      return {
+        timestamp: new Date(start + t * stepMs).toISOString(),
+        cases: Statistics.samplePoisson(lambda, random)
+      };
+    });
+  }
+
+  injectOutbreaks(series, windowStart, design, random) {
+    const data = series.map(point => ({ ...point, cases: point.cases || point.value || 0 }));
+    const windowLength = data.length - windowStart;
+    const duration = Math.max(1, Math.min(design.duration, windowLength));
+    const count = Math.max(0, Math.min(design.count, Math.floor(windowLength / duration)));
+
+    // Outbreak size scales with the baseline variability, so effect sizes are comparable across diseases
+    const history = data.slice(0, windowStart).map(point => point.cases);
+    const spread = Math.sqrt(history.reduce((sum, v) => sum + (v - Statistics.mean(history)) ** 2, 0) / Math.max(history.length - 1, 1)) || 1;
+
+    // One outbreak per equal segment of the evaluation window keeps them from overlapping
+    const segment = Math.floor(windowLength / Math.max(count, 1));
+    const outbreaks = [];
+
+    for (let o = 0; o < count; o++) {
+      const segmentStart = windowStart + o * segment;
+      const start = segmentStart + Math.floor(random() * Math.max(segment - duration + 1, 1));
+      const end = Math.min(start + duration - 1, data.length - 1);
+      const size = design.cases || Statistics.samplePoisson(design.size_multiplier * spread, random);
+      const weights = this.outbreakShapeWeights(design.shape, end - start + 1);
+
+      // Allocate each outbreak case to a period according to the epidemic curve
+      const cumulative = [];
+      weights.reduce((sum, w, i) => (cumulative[i] = sum + w), 0);
+      const injectedCases = new Array(weights.length).fill(0);
+      for (let c = 0; c < size; c++) {
+        const u = random() * cumulative[cumulative.length - 1];
+        injectedCases[cumulative.findIndex(bound => u <= bound)]++;
+      }
+
+      injectedCases.forEach((cases, i) => { data[start + i].cases += cases; });
+      outbreaks.push({ start, end, size, cases_by_period: injectedCases });
+    }
+
+    return { data, outbreaks };
+  }
+
+  outbreakShapeWeights(shape, duration) {
+    const steps = Array.from({ length: duration }, (_, i) => i);
+
+    switch (shape) {
+      case 'spike':
+        return steps.map(i => (i === 0 ? 1 : 0));
+      case 'flat':
+        return steps.map(() => 1);
+      case 'linear':
+        return steps.map(i => i + 1);
+      case 'exponential':
+        return steps.map(i => Math.exp(i * Math.log(2)));
+      case 'lognormal':
+      default: {
+        // Lognormal epidemic curve discretised over the outbreak duration
+        const sigma = 0.5;
+        return steps.map(i => {
+          const x = (i + 0.5) / duration * 3;
+          return Math.exp(-Math.pow(Math.log(x), 2) / (2 * sigma * sigma)) / x;
+        });
+      }
+    }
+  }
+}
+
+module.exports = OutbreakEvaluationService;
@@ -0,0 +1,489 @@
+/**
+ * Anonymous Partner Notification
+ * Lets a user diagnosed with an STI warn recent partners without revealing who they are.
+ * Notices are fixed templates with testing resources, sent by email (and as an in-app
+ * system notification when the address belongs to a member) or as one-time links the user
+ * passes on themselves. A notice can be sent only for a diagnosis the user has recorded for
+ * themselves. Partner addresses are used only for delivery: they are never stored and never
+ * written to the audit trail.
+ */
+
+const crypto = require('crypto');
+
+const CHANNELS = ['email', 'link'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+const TESTING_RESOURCES = [
+  { name: 'CDC GetTested', url: 'https://gettested.cdc.gov', description: 'find free, fast and confidential testing near you' },
+  { name: 'CDC-INFO', url: 'https://www.cdc.gov/cdc-info/', description: 'questions about STIs and testing, 1-800-232-4636' },
+  { name: 'Planned Parenthood', url: 'https://www.plannedparenthood.org/health-center', description: 'find a health center' }
+];
+
+const CO_TESTING = 'Ask whether you should also be tested for other STIs, including HIV and syphilis, at the same visit.';
+
+// lookback follows the partner-notification periods in the CDC STI treatment guidelines
+const NOTICE_TEMPLATES = {
+  chlamydia: {
+    name: 'chlamydia',
+    lookback: 'in the last 60 days',
+    curable: true,
+    diseaseCodes: ['DZ_STD_001'],
+    actions: [
+      'Get tested for chlamydia, even if you feel fine. Most people with chlamydia have no symptoms. Testing is usually a urine test or a swab.',
+      'Chlamydia is cured with antibiotics. Avoid sex until 7 days after you finish treatment.',
+      CO_TESTING
+    ]
+  },
+  gonorrhea: {
+    name: 'gonorrhea',
+    lookback: 'in the last 60 days',
+    curable: true,
+    diseaseCodes: ['DZ_STD_002'],
+    actions: [
+      'Get tested for gonorrhea, even if you feel fine. Depending on how you had sex, testing may use a urine sample or swabs of the throat or rectum.',
+      'Gonorrhea is cured with antibiotics, usually a single injection. Avoid sex until 7 days after treatment.',
+      CO_TESTING
+    ]
+  },
+  syphilis: {
+    name: 'syphilis',
+    lookback: 'in the last year',
+    curable: true,
+    diseaseCodes: ['DZ_STD_003'],
+    actions: [
+      'Get a blood test for syphilis. Early syphilis often causes a painless sore or a rash that is easy to miss.',
+      'If you had sex with this person in the last 90 days, a clinic may treat you even if your test is negative, because the test can miss a recent infection.',
+      'Syphilis is cured with penicillin. Without treatment it can cause serious problems, including during pregnancy.'
+    ]
+  },
+  trichomoniasis: {
+    name: 'trichomoniasis',
+    lookback: 'recently',
+    curable: true,
+    diseaseCodes: ['DZ_STD_006'],
+    actions: [
+      'Get tested for trichomoniasis. Most people have no symptoms. Testing is usually a urine test or a swab.',
+      'Trichomoniasis is cured with medicine taken by mouth. Avoid sex until you have finished treatment and any symptoms are gone.',
+      CO_TESTING
+    ]
+  },
+  hiv: {
+    name: 'HIV',
+    lookback: 'recently',
+    curable: false,
+    diseaseCodes: ['DZ_STD_008'],
+    actions: [
+      'If it has been less than 72 hours since you had sex, go to a clinic or emergency room today and ask about PEP (post-exposure prophylaxis). PEP can prevent HIV, but only if it is started within 72 hours.',
+      'Get an HIV test. A very recent infection may not show up yet, so ask when you should test again.',
+      'If you test negative, ask about PrEP, a medicine that prevents HIV. If you test positive, treatment keeps you healthy and, once the virus is undetectable, prevents passing HIV on through sex.'
+    ],
+    resources: [
+      { name: 'HIV.gov Locator', url: 'https://locator.hiv.gov', description: 'HIV testing, PEP and PrEP services near you' }
+    ]
+  },
+  herpes: {
+    name: 'genital herpes',
+    lookback: 'recently',
+    curable: false,
+    diseaseCodes: ['DZ_STD_004', 'DZ_STD_005'],
+    herpesTypes: ['hsv1', 'hsv2'],
+    actions: [
+      'If you have sores or blisters, see a provider while they are present. A swab of a sore is the most reliable test.',
+      'Blood tests for herpes are not recommended for people without symptoms, because they can give misleading results. A provider can help you decide whether to test.',
+      'There is no cure, but medicine shortens outbreaks and lowers the chance of passing herpes on.'
+    ]
+  }
+};
+
+class PartnerNotificationService {
+  constructor(databaseService, emailService, messagingService, auditLoggingService, config = {}) {
+    this.db = databaseService;
+    this.email = emailService;
+    this.messaging = messagingService;
+    this.auditLogger = auditLoggingService;
+    this.config = {
+      maxNoticesPerDay: config.maxNoticesPerDay || 10,
+      maxRecipientsPerRequest: config.maxRecipientsPerRequest || 5,
+      maxNoticesPerRecipient: config.maxNoticesPerRecipient || 2,
+      recipientWindowHours: config.recipientWindowHours || 7 * 24,
+      linkExpirationDays: config.linkExpirationDays || 30,
+      resources: config.resources || TESTING_RESOURCES,
+      baseUrl: config.baseUrl || process.env.APP_URL || 'https://disease.zone'
+    };
+
+    // Per-recipient limits are stored under a keyed hash of the address, so no stored value can
+    // be linked back to a partner without the key. The key must outlive restarts for the limit to hold
+    const secret = config.recipientSecret || process.env.PARTNER_NOTICE_SECRET || process.env.SESSION_SECRET;
+    if (!secret) {
+      console.warn('PARTNER_NOTICE_SECRET is not set; per-recipient notice limits reset on restart');
+    }
+    this.recipientSecret = crypto.createHmac('sha256', secret || crypto.randomBytes(32))
+      .update('partner-notice-recipient')
+      .digest();
+  }
+
+  getTemplates() {
+    return {
+      channels: CHANNELS,
+      limits: {
+        notices_per_day: this.config.maxNoticesPerDay,
+        recipients_per_request: this.config.maxRecipientsPerRequest,
+        link_expiration_days: this.config.linkExpirationDays
+      },
+      templates: Object.entries(NOTICE_TEMPLATES).map(([disease, template]) => ({
+        disease,
+        name: template.name,
+        disease_codes: template.diseaseCodes,
+        preview: this.composeNotice(disease, 'email')
+      }))
+    };
+  }
+
+  // The notice a partner receives; it carries nothing about the sender beyond the diagnosis
+  composeNotice(disease, channel) {
+    const template = NOTICE_TEMPLATES[disease];
+    const resources = [...(template.resources || []), ...this.config.resources];
+    const intro = [
+      `Someone you had sex with ${template.lookback} has been diagnosed with ${template.name}. They asked diseaseZone to let you know so that you can get tested${template.curable ? ' and treated' : ''}.`,
+      'This notice is anonymous. It does not include their name or contact details, and diseaseZone will not share them.'
+    ];
+    const privacy = channel === 'email'
+      ? 'diseaseZone did not keep your email address after sending this notice. You do not need an account to get tested.'
+      : 'This link worked only once and diseaseZone does not know who opened it. You do not need an account to get tested.';
+    const disclaimer = 'This notice is general health information, not a diagnosis. If you have symptoms or questions, contact a healthcare provider or your local health department.';
+    const subject = 'Important health information for you';
+    const heading = `You may have been exposed to ${template.name}`;
+
+    const text = [
+      heading,
+      ...intro,
+      'What to do:',
+      ...template.actions.map(action => `- ${action}`),
+      'Where to get tested:',
+      ...resources.map(resource => `- ${resource.name}: ${resource.url}${resource.description ? ` (${resource.description})` : ''}`),
+      privacy,
+      disclaimer
+    ].join('\n\n');
+
+    return { disease, subject, heading, intro, actions: template.actions, resources, privacy, disclaimer, text };
+  }
+
+  normalizeRequest(data) {
+    const errors = [];
+    let disease = data.disease ? String(data.disease).trim().toLowerCase() : null;
+    if (!disease && data.disease_code) {
+      disease = Object.keys(NOTICE_TEMPLATES).find(key => NOTICE_TEMPLATES[key].diseaseCodes.includes(data.disease_code)) || null;
+      if (!disease) errors.push(`No partner notice is available for disease code ${data.disease_code}`);
+    }
+    if (!disease && !data.disease_code) {
+      errors.push('disease is required');
+    } else if (disease && !NOTICE_TEMPLATES[disease]) {
+      errors.push(`disease must be one of: ${Object.keys(NOTICE_TEMPLATES).join(', ')}`);
+    }
+
+    const channel = data.channel || 'email';
+    if (!CHANNELS.includes(channel)) {
+      errors.push(`channel must be one of: ${CHANNELS.join(', ')}`);
+    }
+
+    const max = this.config.maxRecipientsPerRequest;
+    let recipients = [];
+    let count = 0;
+    if (channel === 'email') {
+      const list = Array.isArray(data.recipients) ? data.recipients : String(data.recipients || '').split(',');
+      recipients = [...new Set(list.map(item => String(item).trim().toLowerCase()).filter(Boolean))];
+      if (!recipients.length) errors.push('recipients must list at least one email address');
+      if (recipients.length > max) errors.push(`At most ${max} recipients per request`);
+      if (recipients.some(address => !EMAIL_PATTERN.test(address))) errors.push('recipients must be valid email addresses');
+      count = recipients.length;
+    } else if (channel === 'link') {
+      count = data.count === undefined || data.count === null || data.count === '' ? 1 : Number(data.count);
+      if (!Number.isInteger(count) || count < 1 || count > max) errors.push(`count must be a whole number from 1 to ${max}`);
+    }
+
+    if (errors.length) throw this.error('PARTNER_NOTICE_INVALID', errors.join('; '), errors);
+    return { disease, channel, recipients, count };
+  }
+
+  error(code, message, details) {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+  }
+
+  // context: { ip_address, user_agent } of the request
+  async send(userId, data = {}, context = {}) {
+    const request = this.normalizeRequest(data);
+
+    const sender = await this.db.getUserById(userId);
+    if (request.channel === 'email' && sender?.email && request.recipients.includes(sender.email.toLowerCase())) {
+      throw this.error('PARTNER_NOTICE_INVALID', 'recipients must not include your own email address');
+    }
+
+    // Notices are for the sender's own diagnosis, recorded for 'Myself' in the disease history
+    // or, for herpes, in the outbreak diary
+    const template = NOTICE_TEMPLATES[request.disease];
+    const diagnosed = await this.db.hasRecordedDiagnosis(userId, template.diseaseCodes, template.herpesTypes || []);
+    if (!diagnosed) {
+      await this.audit(null, 'partner_notice_no_diagnosis', userId, {
+        disease: request.disease, channel: request.channel
+      }, context, 'FAILURE');
+      throw this.error('PARTNER_NOTICE_NO_DIAGNOSIS',
+        `Record your ${template.name} diagnosis in your disease history before notifying partners`);
+    }
+
+    const sentToday = await this.db.countPartnerNoticesSince(userId, 24);
+    const remaining = Math.max(0, this.config.maxNoticesPerDay - sentToday);
+    if (request.count > remaining) {
+      await this.audit(null, 'partner_notice_rate_limited', userId, {
+        disease: request.disease, channel: request.channel, requested: request.count, remaining
+      }, context, 'FAILURE');
+      throw this.error('PARTNER_NOTICE_RATE_LIMITED',
+        `You can send ${this.config.maxNoticesPerDay} partner notices a day; ${remaining} remaining`);
+    }
+
+    const batchId = crypto.randomUUID();
+    const result = request.channel === 'email'
+      ? await this.deliverEmails(userId, batchId, request)
+      : await this.issueLinks(userId, batchId, request);
+
+    await this.audit(batchId, 'partner_notice_sent', userId, {
+      disease: request.disease, channel: request.channel, ...result.audit
+    }, context);
+
+    return {
+      success: true,
+      batch_id: batchId,
+      disease: request.disease,
+      channel: request.channel,
+      ...result.response
+    };
+  }
+
+  // An address that already had the maximum number of notices this week is skipped silently
+  // and reported to the sender as sent, so senders cannot learn about other exposures
+  async deliverEmails(userId, batchId, request) {
+    await this.db.deletePartnerNoticeRecipientsBefore(this.config.recipientWindowHours);
+    const notice = this.composeNotice(request.disease, 'email');
+    const counts = { delivered: 0, failed: 0, suppressed: 0, in_app: 0 };
+
+    for (const address of request.recipients) {
+      let status = 'delivered';
+      if (!(await this.allowRecipient(address))) {
+        counts.suppressed++;
+      } else {
+        try {
+          await this.email.sendPartnerNoticeEmail(address, notice);
+          counts.delivered++;
+        } catch (error) {
+          status = 'failed';
+          counts.failed++;
+        }
+        if (await this.notifyMember(userId, address, notice)) counts.in_app++;
+      }
+
+      await this.db.createPartnerNotice({
+        id: crypto.randomUUID(),
+        user_id: userId,
+        batch_id: batchId,
+        disease: request.disease,
+        channel: 'email',
+        status
+      });
+    }
+
+    return {
+      audit: { requested: request.recipients.length, ...counts },
+      response: {
+        sent: request.recipients.length - counts.failed,
+        failed: counts.failed,
+        message: counts.failed
+          ? 'Some notices could not be delivered. Check the addresses and try again.'
+          : 'Your partners have been notified. They will not see your name or contact details.'
+      }
+    };
+  }
+
+  // Members also get the notice in their inbox, from the system rather than from the sender
+  async notifyMember(userId, address, notice) {
+    if (!this.messaging) return false;
+    try {
+      const member = await this.db.getUserByEmail(address);
+      if (!member || member.id === userId) return false;
+      await this.messaging.sendSystemNotification(member.id, notice.subject, notice.text, {
+        type: 'partner_notice',
+        disease: notice.disease
+      });
+      return true;
+    } catch (error) {
+      console.error('Partner notice in-app delivery failed:', error.message);
+      return false;
+    }
+  }
+
+  async issueLinks(userId, batchId, request) {
+    const expiresAt = new Date(Date.now() + this.config.linkExpirationDays * 24 * 60 * 60 * 1000);
+    const links = [];
+
+    for (let i = 0; i < request.count; i++) {
+      const token = crypto.randomBytes(32).toString('base64url');
+      const id = crypto.randomUUID();
+      await this.db.createPartnerNotice({
+        id,
+        user_id: userId,
+        batch_id: batchId,
+        disease: request.disease,
+        channel: 'link',
+        status: 'issued',
+        token_hash: this.hashToken(token),
+        expires_at: this.toSqlDate(expiresAt)
+      });
+      links.push({ id, url: `${this.config.baseUrl}/notice/${token}`, expires_at: expiresAt.toISOString() });
+    }
+
+    return {
+      audit: { requested: request.count, issued: links.length },
+      response: {
+        links,
+        message: 'Share each link with one partner, for example by text message. A link opens once and cannot be shown again.'
+      }
+    };
+  }
+
+  hashRecipient(address) {
+    return crypto.createHmac('sha256', this.recipientSecret).update(address).digest('hex');
+  }
+
+  async allowRecipient(address) {
+    const recipientHash = this.hashRecipient(address);
+    const recent = await this.db.countPartnerNoticeRecipientSince(recipientHash, this.config.recipientWindowHours);
+    if (recent >= this.config.maxNoticesPerRecipient) return false;
+    await this.db.recordPartnerNoticeRecipient(recipientHash);
+    return true;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Matches SQLite's CURRENT_TIMESTAMP format so expiry can be compared with datetime('now')
+  toSqlDate(date) {
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+  }
+
+  async findOpenableLink(token) {
+    if (!TOKEN_PATTERN.test(String(token || ''))) return null;
+    const notice = await this.db.getPartnerNoticeByTokenHash(this.hashToken(token));
+    if (!notice || notice.status !== 'issued' || notice.expires_at <= this.toSqlDate(new Date())) return null;
+    return notice;
+  }
+
+  // Checks a link without using it up, so link previews in chat apps do not consume it
+  async isLinkAvailable(token) {
+    return !!(await this.findOpenableLink(token));
+  }
+
+  async openLink(token, context = {}) {
+    const notice = await this.findOpenableLink(token);
+    const opened = notice ? await this.db.openPartnerNotice(notice.id) : null;
+    if (!opened || !opened.changes) {
+      throw this.error('PARTNER_NOTICE_GONE', 'This notice link is invalid, has expired or has already been opened');
+    }
+
+    await this.audit(notice.id, 'partner_notice_opened', null, { disease: notice.disease, channel: 'link' }, context);
+    return this.composeNotice(notice.disease, 'link');
+  }
+
+  async listNotices(userId) {
+    const now = this.toSqlDate(new Date());
+    const notices = await this.db.getPartnerNotices(userId);
+    return {
+      success: true,
+      notices: notices.map(notice => ({
+        ...notice,
+        status: notice.status === 'issued' && notice.expires_at <= now ? 'expired' : notice.status
+      }))
+    };
+  }
+
+  async revokeLink(userId, noticeId, context = {}) {
+    const result = await this.db.revokePartnerNotice(noticeId, userId);
+    if (!result.changes) {
+      throw this.error('PARTNER_NOTICE_NOT_FOUND', 'No unopened link with that id');
+    }
+    await this.audit(noticeId, 'partner_notice_revoked', userId, {}, context);
+    return { success: true, message: 'Link revoked' };
+  }
+
+  // Audit details are counts, channel and disease only; partner addresses never reach the log
+  async audit(resourceId, action, userId, details, context = {}, outcome = 'SUCCESS') {
+    if (!this.auditLogger) return;
+    try {
+      await this.auditLogger.logAuditEvent({
+        eventType: action,
+        userId,
+        resourceType: 'partner_notification',
+        resourceId,
+        action,
+        outcome,
+        details,
+        ipAddress: context.ip_address,
+        userAgent: context.user_agent,
+        severity: outcome === 'SUCCESS' ? this.auditLogger.SEVERITY_LEVELS.LOW : this.auditLogger.SEVERITY_LEVELS.MEDIUM,
+        phiInvolved: true,
+        complianceFrameworks: [this.auditLogger.COMPLIANCE_FRAMEWORKS.HIPAA]
+      });
+    } catch (error) {
+      console.error('Partner notification audit error:', error.message);
+    }
+  }
+
+  // Pages for the one-time link; a GET shows only a button, the POST opens the notice
+  renderLandingPage(token) {
+    return this.renderPage('You have a confidential health notice', `
+      <p>Someone has sent you an anonymous health notice through diseaseZone.</p>
+      <p>The notice can be opened only once. Open it when you have a moment to read it privately.</p>
+      <form method="POST" action="/notice/${token}"><button type="submit">Open notice</button></form>
+    `);
+  }
+
+  renderNoticePage(notice) {
+    return this.renderPage(notice.heading, `
+      ${notice.intro.map(paragraph => `<p>${paragraph}</p>`).join('')}
+      <h2>What to do</h2>
+      <ul>${notice.actions.map(action => `<li>${action}</li>`).join('')}</ul>
+      <h2>Where to get tested</h2>
+      <ul>${notice.resources.map(resource => `<li><a href="${resource.url}">${resource.name}</a>${resource.description ? ` — ${resource.description}` : ''}</li>`).join('')}</ul>
+      <p>${notice.privacy}</p>
+      <p><small>${notice.disclaimer}</small></p>
+    `);
+  }
+
+  renderUnavailablePage() {
+    return this.renderPage('This notice is no longer available', `
+      <p>The link is invalid, has expired or has already been opened. Notices can be opened only once.</p>
+      <p>If you think you may have been exposed to an STI, free and confidential testing is available:</p>
+      <ul>${this.config.resources.map(resource => `<li><a href="${resource.url}">${resource.name}</a></li>`).join('')}</ul>
+    `);
+  }
+
+  renderPage(title, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex, nofollow">
+  <title>${title} - diseaseZone</title>
+</head>
+<body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; max-width: 640px; margin: 40px auto; padding: 0 20px; color: #1f2937; line-height: 1.6;">
+  <h1 style="font-size: 24px;">${title}</h1>
+  ${body}
+</body>
+</html>`;
+  }
+}
+
+module.exports = PartnerNotificationService;
@@ -0,0 +1,407 @@
+/**
+ * Population Service
+ * Denominators for surveillance counts and the rates built on them: populations by geography,
+ * age band and sex, crude rates with exact Poisson intervals, and direct and indirect age
+ * standardization against a selectable standard population. Data comes from
+ * data/population (see scripts/import-population-data.js for age/sex and county detail).
+ */
+
+const Statistics = require('../utils/statistics');
+const bundledDenominators = require('../data/population/us_population.json');
+const { standards: bundledStandards } = require('../data/population/standard_populations.json');
+const geographyCodes = require('../data/geography_codes.json');
+
+const MEASURES = ['count', 'rate', 'adjusted_rate'];
+const OPEN_BAND_TOP_AGE = 100; // open-ended bands such as 85+ are pro-rated as if they ended here
+const SKIPPED_KEYS = ['rawData', 'metadata', 'provenance', 'crude_rate', 'adjusted_rate'];
+
+class PopulationService {
+  constructor(options = {}) {
+    this.denominators = options.denominators || bundledDenominators;
+    this.standards = options.standards || bundledStandards;
+    this.defaultStandard = 'us2000';
+    this.per = 100000;
+    this.confidence = 0.95;
+    this.aliases = this.buildAliases();
+  }
+
+  buildAliases() {
+    const aliases = new Map();
+    const add = (name, id) => {
+      if (name) aliases.set(this.normalizeName(name), id);
+    };
+
+    Object.entries(this.denominators.geographies).forEach(([id, entry]) => {
+      add(id, id);
+      add(entry.name, id);
+      add(entry.usps, id);
+      if (entry.level === 'county' && entry.state) {
+        const state = this.denominators.geographies[entry.state];
+        add(`${entry.name} ${state?.usps || ''}`, id);
+      }
+    });
+    geographyCodes.us_states.forEach(state => state.aliases.forEach(alias => add(alias, state.fips)));
+    ['United States', 'USA', 'US Residents', 'National', 'Nationwide'].forEach(name => add(name, 'US'));
+
+    return aliases;
+  }
+
+  normalizeName(name) {
+    return String(name).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  // State/county/nation entry for a name, USPS code or FIPS code
+  resolveGeography(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const id = this.aliases.get(this.normalizeName(value));
+    return id ? { id, ...this.denominators.geographies[id] } : null;
+  }
+
+  /**
+   * Population for a geography, optionally restricted to an age band ('15-19', '65+') and sex.
+   * Bands that don't line up with the stored bands are pro-rated assuming even ages within a band.
+   */
+  getPopulation(geography, { ageBand = null, sex = null } = {}) {
+    const entry = typeof geography === 'object' && geography ? geography : this.resolveGeography(geography);
+    if (!entry) return null;
+    if (!ageBand && !sex) return entry.total;
+    if (!entry.by_age_sex) return null;
+
+    const sexes = sex ? [sex] : ['male', 'female'];
+    const bands = Object.keys(entry.by_age_sex);
+    const target = ageBand ? this.parseAgeBand(ageBand) : [0, Infinity];
+    if (!target) return null;
+
+    return sexes.reduce((total, s) => total + this.prorate(bands, bands.map(band => entry.by_age_sex[band][s] || 0), target), 0);
+  }
+
+  // '0', '1-4', '15-19 years', '<1', '85+' -> [lowest age, highest age]; open bands end at Infinity
+  parseAgeBand(label) {
+    const text = String(label).trim().toLowerCase().replace(/\s*years?$/, '');
+    let match = text.match(/^(\d+)\s*(?:-|–|to)\s*(\d+)$/);
+    if (match) return [parseInt(match[1], 10), parseInt(match[2], 10)];
+    match = text.match(/^(\d+)\s*(?:\+|and over|plus)$/);
+    if (match) return [parseInt(match[1], 10), Infinity];
+    match = text.match(/^<\s*(\d+)$/);
+    if (match) return [0, parseInt(match[1], 10) - 1];
+    match = text.match(/^(\d+)$/);
+    if (match) return [parseInt(match[1], 10), parseInt(match[1], 10)];
+    return null;
+  }
+
+  // Share of each source band's value that falls inside the target band
+  prorate(bands, values, target) {
+    return bands.reduce((total, band, i) => {
+      const range = this.parseAgeBand(band);
+      if (!range) return total;
+      const top = Math.min(range[1], OPEN_BAND_TOP_AGE);
+      const overlap = Math.min(top, Math.min(target[1], OPEN_BAND_TOP_AGE)) - Math.max(range[0], target[0]) + 1;
+      if (overlap <= 0) return total;
+      return total + values[i] * overlap / (top - range[0] + 1);
+    }, 0);
+  }
+
+  getStandards() {
+    return Object.entries(this.standards).map(([id, standard]) => ({
+      id,
+      name: standard.name,
+      source: standard.source,
+      age_bands: standard.age_bands
+    }));
+  }
+
+  /**
+   * Standard population weights for the given bands, summing to 1 over those bands. Restricting
+   * to the ages the data covers (14-49, say) follows the usual practice for truncated adjustment.
+   */
+  standardWeights(standardId, bands) {
+    const standard = this.standards[standardId];
+    if (!standard) throw this.invalidStandardization(`Unknown standard population: ${standardId}`);
+
+    const raw = bands.map(band => {
+      const range = this.parseAgeBand(band);
+      if (!range) throw this.invalidStandardization(`Unrecognized age band: ${band}`);
+      return this.prorate(standard.age_bands, standard.population, range);
+    });
+    const total = raw.reduce((sum, value) => sum + value, 0);
+    return raw.map(value => (total > 0 ? value / total : 0));
+  }
+
+  invalidStandardization(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_STANDARDIZATION';
+    return error;
+  }
+
+  // Exact (Garwood) interval for a Poisson count
+  poissonInterval(count) {
+    const alpha = 1 - this.confidence;
+    return [
+      count > 0 ? Statistics.gammaQuantile(alpha / 2, count) : 0,
+      Statistics.gammaQuantile(1 - alpha / 2, count + 1)
+    ];
+  }
+
+  crudeRate(cases, population) {
+    if (!(population > 0) || !(cases >= 0)) return null;
+    const [lower, upper] = this.poissonInterval(cases);
+    return {
+      value: this.round(cases / population * this.per),
+      ci_lower: this.round(lower / population * this.per),
+      ci_upper: this.round(upper / population * this.per),
+      confidence: this.confidence,
+      per: this.per,
+      cases,
+      population,
+      method: 'crude rate, exact Poisson interval'
+    };
+  }
+
+  /**
+   * Direct standardization of stratum counts: strata [{ age_band, cases, population }].
+   * Interval from the gamma approximation of Fay & Feuer (1997).
+   */
+  directStandardize(strata, standardId = this.defaultStandard) {
+    const usable = strata.filter(stratum => stratum.population > 0);
+    if (!usable.length) return null;
+
+    const weights = this.standardWeights(standardId, usable.map(stratum => stratum.age_band));
+    const w = usable.map((stratum, i) => weights[i] / stratum.population);
+    const y = usable.reduce((sum, stratum, i) => sum + w[i] * stratum.cases, 0);
+    const v = usable.reduce((sum, stratum, i) => sum + w[i] * w[i] * stratum.cases, 0);
+    const wMax = Math.max(...w);
+    const alpha = 1 - this.confidence;
+
+    const lower = y > 0 ? Statistics.gammaQuantile(alpha / 2, (y * y) / v, v / y) : 0;
+    const upper = Statistics.gammaQuantile(1 - alpha / 2, ((y + wMax) ** 2) / (v + wMax * wMax), (v + wMax * wMax) / (y + wMax));
+
+    return {
+      value: this.round(y * this.per),
+      ci_lower: this.round(lower * this.per),
+      ci_upper: this.round(upper * this.per),
+      confidence: this.confidence,
+      per: this.per,
+      standard: this.describeStandard(standardId),
+      method: 'direct standardization, Fay-Feuer gamma interval'
+    };
+  }
+
+  // Age-specific percentages (survey prevalence) -> age-adjusted percentage
+  directStandardizeProportions(byAge, standardId = this.defaultStandard) {
+    const bands = Object.keys(byAge).filter(band => typeof byAge[band] === 'number');
+    if (!bands.length) return null;
+    const weights = this.standardWeights(standardId, bands);
+
+    return {
+      value: this.round(bands.reduce((sum, band, i) => sum + weights[i] * byAge[band], 0)),
+      ci_lower: null,
+      ci_upper: null,
+      unit: '%',
+      standard: this.describeStandard(standardId),
+      age_range: `${bands[0]} to ${bands[bands.length - 1]}`,
+      method: 'direct standardization of age-specific prevalence; interval needs the survey design and is not computed'
+    };
+  }
+
+  /**
+   * Indirect standardization: expected cases from reference age/sex-specific rates applied to the
+   * population's strata, the standardized incidence ratio with an exact Poisson interval, and the
+   * adjusted rate as that ratio times the reference crude rate.
+   */
+  indirectStandardize(observed, strata, reference) {
+    const expected = strata.reduce((sum, stratum) => {
+      const rate = this.referenceRate(reference, stratum);
+      return sum + (rate ? stratum.population * rate / reference.per : 0);
+    }, 0);
+    if (!(expected > 0)) return null;
+
+    const [lower, upper] = this.poissonInterval(observed);
+    const sir = observed / expected;
+    return {
+      value: this.round(sir * reference.crude_rate * this.per / reference.per),
+      ci_lower: this.round(lower / expected * reference.crude_rate * this.per / reference.per),
+      ci_upper: this.round(upper / expected * reference.crude_rate * this.per / reference.per),
+      confidence: this.confidence,
+      per: this.per,
+      observed,
+      expected: this.round(expected),
+      sir: this.round(sir, 4),
+      reference: { source: reference.source, year: reference.year },
+      method: 'indirect standardization, exact Poisson interval on observed cases'
+    };
+  }
+
+  // Age/sex strata [{ age_band, sex, population }] for a geography with imported detail
+  getStrata(entry) {
+    if (!entry?.by_age_sex) return null;
+    return Object.entries(entry.by_age_sex).flatMap(([ageBand, bySex]) =>
+      ['male', 'female'].map(sex => ({ age_band: ageBand, sex, population: bySex[sex] || 0 })));
+  }
+
+  /**
+   * Reference rates for a disease with their crude rate over the national population, or null.
+   * Stored as { source, year, per, rates: { 'female:15-19': rate } }.
+   */
+  getReferenceRates(disease) {
+    const reference = disease && this.denominators.reference_rates?.[String(disease).toLowerCase()];
+    const national = this.getStrata(this.denominators.geographies.US);
+    if (!reference || !national) return null;
+
+    const per = reference.per || this.per;
+    const totalPopulation = national.reduce((sum, stratum) => sum + stratum.population, 0);
+    const expected = national.reduce((sum, stratum) => sum + stratum.population * (this.referenceRate(reference, stratum) || 0) / per, 0);
+    return { ...reference, per, crude_rate: totalPopulation > 0 ? expected / totalPopulation * per : 0 };
+  }
+
+  // Rate of the reference band containing a population stratum (reference bands may be coarser)
+  referenceRate(reference, stratum) {
+    const range = this.parseAgeBand(stratum.age_band);
+    if (!range) return null;
+    const match = Object.entries(reference.rates).find(([key]) => {
+      const [sex, band] = key.split(':');
+      const referenceRange = this.parseAgeBand(band);
+      return sex === stratum.sex && referenceRange && referenceRange[0] <= range[0] && range[1] <= referenceRange[1];
+    });
+    return match ? match[1] : null;
+  }
+
+  /**
+   * What the loaded denominators can support. The bundled file has state totals only; age/sex
+   * detail, counties and reference rates appear once scripts/import-population-data.js has run.
+   */
+  getDetailStatus() {
+    const geographies = Object.values(this.denominators.geographies);
+    return {
+      source: this.denominators.source,
+      vintage: this.denominators.vintage,
+      age_sex_detail: Boolean(this.denominators.geographies.US?.by_age_sex),
+      counties: geographies.filter(entry => entry.level === 'county').length,
+      reference_rates: Object.keys(this.denominators.reference_rates || {}),
+      import_hint: 'node scripts/import-population-data.js --census <cc-est20XX-agesex-all.csv> [--reference-rates <wonder.csv> --disease <name>]'
+    };
+  }
+
+  describeStandard(standardId) {
+    return { id: standardId, name: this.standards[standardId].name };
+  }
+
+  // Error message for an invalid measure/standard query, or null
+  validateMeasure({ measure = 'count', standard = this.defaultStandard } = {}) {
+    if (!MEASURES.includes(measure)) {
+      return `Invalid measure "${measure}". Use one of: ${MEASURES.join(', ')}`;
+    }
+    if (!this.standards[standard]) {
+      return `Invalid standard "${standard}". Use one of: ${Object.keys(this.standards).join(', ')}`;
+    }
+    return null;
+  }
+
+  /**
+   * Annotate a service result for measure=rate|adjusted_rate. Case-count records with a known
+   * geography get crude_rate (and adjusted_rate when asked); age-specific prevalence records get
+   * adjusted_rate by direct standardization. Returns a copy carrying a measure summary that
+   * counts what was annotated and why the rest could not be.
+   */
+  applyMeasure(payload, { measure = 'count', standard = this.defaultStandard, disease = null } = {}) {
+    if (measure === 'count' || !payload || payload.success === false) return payload;
+
+    const summary = {
+      measure,
+      standard: measure === 'adjusted_rate' ? this.describeStandard(standard) : null,
+      per: this.per,
+      confidence: this.confidence,
+      denominators: this.getDetailStatus(),
+      annotated: 0,
+      unavailable: {}
+    };
+    const skip = reason => {
+      summary.unavailable[reason] = (summary.unavailable[reason] || 0) + 1;
+    };
+
+    // Service results are often cached objects, so annotate a copy
+    const data = structuredClone(payload.data);
+    this.walk(data, disease, (record, recordDisease) => {
+      if (record.byAge && record.overall && typeof record.overall.prevalence === 'number') {
+        this.annotatePrevalence(record, measure, standard);
+        summary.annotated++;
+      } else {
+        const reason = this.annotateCounts(record, measure, recordDisease);
+        if (reason) skip(reason);
+        else summary.annotated++;
+      }
+    });
+
+    return { ...payload, data, measure: summary };
+  }
+
+  annotatePrevalence(record, measure, standard) {
+    const [lower, upper] = record.overall.confidenceInterval || [null, null];
+    record.crude_rate = {
+      value: record.overall.prevalence,
+      ci_lower: lower,
+      ci_upper: upper,
+      unit: '%',
+      method: 'survey prevalence as published'
+    };
+    if (measure === 'adjusted_rate') {
+      record.adjusted_rate = this.directStandardizeProportions(record.byAge, standard);
+    }
+  }
+
+  // Returns the reason a count record could not be annotated, or null
+  annotateCounts(record, measure, disease) {
+    const cases = typeof record.totalCases === 'number' ? record.totalCases : record.cases;
+    const place = record.area || record.region || record.state || record.geography || record.country;
+    const entry = this.resolveGeography(place);
+    const population = typeof record.population === 'number' && record.population > 0 ? record.population : entry?.total;
+    if (!population) return 'no population for geography';
+
+    record.crude_rate = this.crudeRate(cases, population);
+    if (measure !== 'adjusted_rate') return null;
+
+    const strata = entry && (!record.population || record.population === entry.total) ? this.getStrata(entry) : null;
+    if (!strata) {
+      record.adjusted_rate = null;
+      return 'no age/sex population detail for geography';
+    }
+    const reference = this.getReferenceRates(record.disease || disease);
+    if (!reference) {
+      record.adjusted_rate = null;
+      return 'no reference rates for disease';
+    }
+
+    record.adjusted_rate = this.indirectStandardize(cases, strata, reference);
+    return record.adjusted_rate ? null : 'no reference rates for disease';
+  }
+
+  // Visit every case-count or age-specific prevalence record below node, tracking the disease
+  walk(node, disease, visit, key = null, depth = 0) {
+    if (!node || typeof node !== 'object' || depth > 8) return;
+
+    if (Array.isArray(node)) {
+      node.forEach(item => this.walk(item, disease, visit, null, depth + 1));
+      return;
+    }
+
+    const recordDisease = typeof node.disease === 'string' ? node.disease : (node.sources && key ? key : disease);
+    const isCountRecord = typeof node.totalCases === 'number' || typeof node.cases === 'number';
+    const isPrevalenceRecord = node.byAge && node.overall;
+    if ((isCountRecord && !Array.isArray(node.regions)) || isPrevalenceRecord) {
+      visit(node, recordDisease);
+      return;
+    }
+
+    Object.entries(node).forEach(([childKey, child]) => {
+      if (!SKIPPED_KEYS.includes(childKey)) this.walk(child, recordDisease, visit, childKey, depth + 1);
+    });
+  }
+
+  round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+  }
+}
+
+PopulationService.MEASURES = MEASURES;
+
+module.exports = PopulationService;
@@ -0,0 +1,295 @@
+/**
+ * Provenance Service
+ * Lineage records for the values the API serves: the source, when it was retrieved, the
+ * transformations that produced it, whether it is synthetic and the licence it is published
+ * under. Record ids hash the lineage only (kind, source, transformations, inputs, endpoint), not
+ * the retrieval time, so repeated requests reuse one stored row whose retrieved_at is the latest
+ * retrieval, and /api/provenance/:id resolves any id a response cites.
+ */
+
+const crypto = require('crypto');
+
+// observed: as retrieved from the source; cached: an earlier retrieval served again;
+// reference: published figures embedded in code; derived/fused: computed from other records;
+// placeholder/simulated: generated values that were never reported by anyone
+const KINDS = ['observed', 'cached', 'reference', 'derived', 'fused', 'placeholder', 'simulated'];
+const SYNTHETIC_KINDS = ['placeholder', 'simulated'];
+const UNRETRIEVED_KINDS = ['reference', ...SYNTHETIC_KINDS];
+
+const US_GOVERNMENT_WORK = { name: 'Public domain (U.S. Government work)', url: 'https://www.cdc.gov/other/agencymaterials.html' };
+
+const SOURCE_CATALOG = {
+  cdc: { name: 'Centers for Disease Control and Prevention', url: 'https://data.cdc.gov', licence: US_GOVERNMENT_WORK },
+  cdc_nndss: { name: 'CDC National Notifiable Diseases Surveillance System', url: 'https://data.cdc.gov', licence: US_GOVERNMENT_WORK },
+  cdc_open_data: { name: 'CDC Open Data', url: 'https://data.cdc.gov', licence: US_GOVERNMENT_WORK },
+  cdc_tracking: { name: 'CDC Environmental Public Health Tracking', url: 'https://ephtracking.cdc.gov', licence: US_GOVERNMENT_WORK },
+  nhanes: { name: 'CDC National Health and Nutrition Examination Survey', url: 'https://www.cdc.gov/nchs/nhanes', licence: US_GOVERNMENT_WORK },
+  'hpv-impact': { name: 'CDC HPV-IMPACT', url: 'https://www.cdc.gov/hpv', licence: US_GOVERNMENT_WORK },
+  who: { name: 'WHO Global Health Observatory', url: 'https://www.who.int/data/gho', licence: { name: 'CC BY-NC-SA 3.0 IGO', url: 'https://creativecommons.org/licenses/by-nc-sa/3.0/igo/' } },
+  'disease.sh': { name: 'disease.sh Open Disease Data', url: 'https://disease.sh', licence: { name: 'Terms of the upstream publishers (JHU CSSE, Worldometers)', url: 'https://disease.sh' } },
+  ourWorldInData: { name: 'Our World in Data', url: 'https://ourworldindata.org', licence: { name: 'CC BY 4.0', url: 'https://creativecommons.org/licenses/by/4.0/' } },
+  california: { name: 'California Health and Human Services Open Data', url: 'https://data.chhs.ca.gov', licence: { name: 'CHHS Open Data Terms of Use', url: 'https://data.chhs.ca.gov/pages/terms' } },
+  healthMap: { name: 'HealthMap', url: 'https://www.healthmap.org', licence: { name: 'HealthMap terms of use', url: 'https://www.healthmap.org' } },
+  diseasezone: { name: 'diseaseZone', url: null, licence: null },
+  request: { name: 'Caller-supplied data', url: null, licence: null }
+};
+
+// Source names used in service results -> catalog ids
+const SOURCE_ALIASES = {
+  diseaseApi: 'disease.sh',
+  'CDC NNDSS': 'cdc_nndss',
+  'CDC data.gov API': 'cdc_nndss',
+  'CDC Open Data API': 'cdc_open_data',
+  'CDC Environmental Health Tracking': 'cdc_tracking',
+  cache: 'diseasezone',
+  placeholder: 'diseasezone'
+};
+
+class ProvenanceService {
+  constructor(databaseService = null) {
+    this.databaseService = databaseService;
+    this.kinds = KINDS;
+    this.records = new Map(); // id -> record, for lookups without a database and to skip re-saving
+    this.maxCachedRecords = 10000;
+  }
+
+  setDatabaseService(databaseService) {
+    this.databaseService = databaseService;
+  }
+
+  resolveSource(source) {
+    const id = SOURCE_ALIASES[source] || source || 'diseasezone';
+    const entry = SOURCE_CATALOG[id];
+    return {
+      source: { id, name: entry?.name || id, url: entry?.url || null },
+      licence: entry?.licence || null
+    };
+  }
+
+  /**
+   * Build a record. Reference and synthetic values were never retrieved, so they carry no
+   * retrieval time and the same figures or generator always map to the same id.
+   */
+  build(entry) {
+    const kind = KINDS.includes(entry.kind) ? entry.kind : 'observed';
+    const synthetic = SYNTHETIC_KINDS.includes(kind);
+    const { source, licence } = this.resolveSource(entry.source);
+    const retrievedAt = UNRETRIEVED_KINDS.includes(kind) ? null : this.toISO(entry.retrieved_at) || new Date().toISOString();
+    const transformations = (entry.transformations || []).map(step => ({
+      step: step.step,
+      description: step.description || null
+    }));
+    const inputs = Array.from(new Set(entry.inputs || [])).sort();
+
+    const hash = crypto.createHash('sha256')
+      .update(JSON.stringify([kind, source.id, transformations, inputs, entry.endpoint || null, entry.note || null]))
+      .digest('hex')
+      .slice(0, 24);
+
+    return {
+      id: `prov_${hash}`,
+      kind,
+      synthetic,
+      source,
+      licence,
+      retrieved_at: retrievedAt,
+      generated_at: synthetic ? new Date().toISOString() : null,
+      transformations,
+      inputs,
+      endpoint: entry.endpoint || null,
+      note: entry.note || null
+    };
+  }
+
+  // Stores new records and refreshes the retrieval time of known ones
+  async save(records) {
+    for (const record of records) {
+      const known = this.records.get(record.id);
+      if (known && known.retrieved_at === record.retrieved_at) continue;
+
+      if (!known && this.records.size >= this.maxCachedRecords) {
+        this.records.delete(this.records.keys().next().value);
+      }
+      this.records.set(record.id, record);
+      if (this.databaseService) {
+        await this.databaseService.saveProvenanceRecord(record);
+      }
+    }
+  }
+
+  async get(id) {
+    if (this.records.has(id)) return this.records.get(id);
+    if (!this.databaseService) return null;
+    return this.databaseService.getProvenanceRecord(id);
+  }
+
+  // The record and every record it was derived from, nearest first
+  async getLineage(id, maxDepth = 5) {
+    const lineage = [];
+    const seen = new Set();
+    let frontier = [id];
+
+    for (let depth = 0; depth <= maxDepth && frontier.length; depth++) {
+      const next = [];
+      for (const recordId of frontier) {
+        if (seen.has(recordId)) continue;
+        seen.add(recordId);
+        const record = await this.get(recordId);
+        if (!record) continue;
+        lineage.push(record);
+        next.push(...record.inputs);
+      }
+      frontier = next;
+    }
+    return lineage;
+  }
+
+  cite(record) {
+    const parts = [record.source.name];
+    if (record.synthetic) {
+      parts.push(`Synthetic (${record.kind}) values generated by diseaseZone, not reported data`);
+    } else if (record.kind === 'reference') {
+      parts.push('Published reference figures, not a live retrieval');
+    } else if (record.retrieved_at) {
+      parts.push(`Retrieved ${record.retrieved_at.slice(0, 10)}`);
+    }
+    if (record.licence) parts.push(`Licence: ${record.licence.name}`);
+    parts.push(`diseaseZone provenance ${record.id}`);
+    return `${parts.join('. ')}.`;
+  }
+
+  /**
+   * Build and store the records for a service result. Returns { data, provenance }: data is a
+   * copy of the payload whose items carry a provenance_id pointing at the record they came from
+   * (the payload itself is often a service's cached object and is left untouched), provenance
+   * the response-level id and every record cited. context: endpoint plus, for results that
+   * don't describe themselves, kind/source/transformations.
+   */
+  async describe(payload, context = {}) {
+    const records = [];
+    const add = entry => {
+      const record = this.build({ endpoint: context.endpoint, ...entry });
+      if (!records.some(existing => existing.id === record.id)) records.push(record);
+      return record;
+    };
+
+    const { record: root, data } = this.describePayload(payload, context, add);
+    await this.save(records);
+
+    return {
+      data,
+      provenance: {
+        id: root.id,
+        synthetic: records.some(record => record.synthetic),
+        kinds: Array.from(new Set(records.map(record => record.kind))),
+        records
+      }
+    };
+  }
+
+  describePayload(payload, context, add) {
+    const metadata = payload.metadata || {};
+    const retrievedAt = context.retrieved_at || metadata.lastUpdated || metadata.timestamp || payload.timestamp;
+    const hint = metadata.provenance || {};
+
+    // errorHandlingService fallbacks: the original source failed and something else answered
+    if (metadata.fallback) {
+      const kinds = { cache: 'cached', placeholder: 'placeholder' };
+      const record = add({
+        kind: kinds[metadata.fallbackSource] || hint.kind || 'observed',
+        source: metadata.fallbackSource === 'cache' ? context.source : metadata.fallbackSource,
+        retrieved_at: metadata.cacheAge ? Date.now() - metadata.cacheAge : retrievedAt,
+        transformations: [{
+          step: 'fallback',
+          description: `${metadata.originalService} unavailable (${metadata.originalError}); served from ${metadata.fallbackSource}`
+        }]
+      });
+      return { record, data: { ...payload, data: this.tagItems(payload.data, record) } };
+    }
+
+    // Per-disease results assembled from several sources (comprehensive STI and global aggregation)
+    if (payload.data && !Array.isArray(payload.data) && typeof payload.data === 'object' &&
+        Object.values(payload.data).some(entry => entry && entry.sources)) {
+      const inputs = [];
+      const entries = Object.entries(payload.data).map(([key, entry]) => {
+        if (!entry || !entry.sources) return [key, entry];
+        const sourceIds = [];
+        const tagSource = (sourceId, source) => {
+          if (!source || source.error) return source;
+          const record = add({
+            kind: source.metadata?.provenance?.kind || 'observed',
+            source: sourceId,
+            retrieved_at: source.metadata?.lastUpdated || retrievedAt,
+            transformations: [{ step: 'normalize', description: `${source.metadata?.source || source.source || sourceId} response mapped to the common record schema` }],
+            note: source.metadata?.provenance?.note || source.metadata?.note
+          });
+          sourceIds.push(record.id);
+          return { ...source, data: this.tagItems(source.data, record), provenance_id: record.id };
+        };
+        const sources = Array.isArray(entry.sources)
+          ? entry.sources.map(source => tagSource(source?.source, source))
+          : Object.fromEntries(Object.entries(entry.sources).map(([sourceId, source]) => [sourceId, tagSource(sourceId, source)]));
+        const tagged = { ...entry, sources };
+
+        if (entry.aggregated && typeof entry.aggregated === 'object' && sourceIds.length) {
+          const fused = Array.isArray(entry.sources);
+          const record = add({
+            kind: fused ? 'fused' : 'derived',
+            source: 'diseasezone',
+            retrieved_at: retrievedAt,
+            transformations: [fused
+              ? { step: 'fusion', description: `${metadata.fusionStrategy || context.fusionStrategy || 'data fusion'} across ${sourceIds.length} sources` }
+              : { step: 'aggregate', description: `cases summed and regions combined across ${sourceIds.length} sources` }],
+            inputs: sourceIds
+          });
+          tagged.aggregated = { ...entry.aggregated, provenance_id: record.id };
+          inputs.push(record.id);
+        } else {
+          inputs.push(...sourceIds);
+        }
+        return [key, tagged];
+      });
+
+      const record = add({
+        kind: 'derived',
+        source: 'diseasezone',
+        retrieved_at: retrievedAt,
+        transformations: [{ step: 'assemble', description: 'per-disease results combined into one response' }],
+        inputs
+      });
+      return { record, data: { ...payload, data: Object.fromEntries(entries) } };
+    }
+
+    // A single-source result; the service may say what kind of values it returns
+    const cached = payload.source === 'cache' || metadata.source === 'cache';
+    const record = add({
+      kind: context.kind || (cached ? 'cached' : hint.kind) || 'observed',
+      source: hint.source || context.source || metadata.source || payload.source,
+      retrieved_at: retrievedAt,
+      transformations: [
+        ...(context.transformations || []),
+        ...(cached ? [{ step: 'cache', description: 'served from the service cache' }] : [])
+      ],
+      note: hint.note
+    });
+    return { record, data: { ...payload, data: this.tagItems(payload.data, record) } };
+  }
+
+  // Copies of the items with provenance_id set; anything that isn't an array is returned as is
+  tagItems(items, record) {
+    if (!Array.isArray(items)) return items;
+    return items.map(item => item && typeof item === 'object' && !Array.isArray(item)
+      ? { ...item, provenance_id: record.id }
+      : item);
+  }
+
+  toISO(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+}
+
+ProvenanceService.KINDS = KINDS;
+
+module.exports = ProvenanceService;
@@ -0,0 +1,174 @@
+/**
+ * Source Adapter Registry
+ * Discovers source adapters from directories (the built-in services/sourceAdapters plus any
+ * listed in SOURCE_ADAPTER_DIRS), checks each against the adapter contract and serves them
+ * to the GlobalHealthOrchestrator by id, disease and capability. In-house adapters added
+ * this way need no orchestrator changes; one with a built-in id replaces the built-in.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const BaseSourceAdapter = require('./sourceAdapters/baseSourceAdapter');
+const { verifyContract } = require('./sourceAdapters/adapterContract');
+
+const BUILT_IN_DIR = path.join(__dirname, 'sourceAdapters');
+
+class SourceAdapterRegistry {
+  constructor(context = {}) {
+    this.context = context;
+    this.adapters = new Map();
+    this.contracts = new Map(); // id -> last contract check
+    this.rejected = []; // { file, adapter, errors }
+    this.probeCache = new Map();
+    this.probeTtlMs = 60 * 1000;
+  }
+
+  loadDefaults() {
+    this.loadDirectory(BUILT_IN_DIR, 'built_in');
+    (process.env.SOURCE_ADAPTER_DIRS || '')
+      .split(',')
+      .map(dir => dir.trim())
+      .filter(Boolean)
+      .forEach(dir => this.loadDirectory(path.resolve(dir), 'in_house'));
+    return this;
+  }
+
+  // Every *Adapter.js file exporting an adapter class (or an instance) is registered
+  loadDirectory(dir, origin = 'in_house') {
+    if (!fs.existsSync(dir)) {
+      console.warn(`Source adapter directory not found: ${dir}`);
+      return [];
+    }
+
+    const loaded = [];
+    fs.readdirSync(dir)
+      .filter(file => file.endsWith('Adapter.js') && file !== 'baseSourceAdapter.js')
+      .sort()
+      .forEach(file => {
+        const filePath = path.join(dir, file);
+        try {
+          const exported = require(filePath);
+          const adapter = typeof exported === 'function' ? new exported(this.context) : exported;
+          const registered = this.register(adapter, { origin, file: filePath });
+          if (registered) loaded.push(registered.id);
+        } catch (error) {
+          this.rejected.push({ file: filePath, adapter: null, errors: [`failed to load: ${error.message}`] });
+          console.error(`Failed to load source adapter ${filePath}:`, error.message);
+        }
+      });
+
+    return loaded;
+  }
+
+  /**
+   * Register an adapter if it passes the contract check; otherwise record why and skip it.
+   * Returns the adapter or null.
+   */
+  register(adapter, options = {}) {
+    const contract = verifyContract(adapter);
+    if (!contract.passed) {
+      this.rejected.push({ file: options.file || null, adapter: adapter?.id || null, errors: contract.errors });
+      console.error(`Source adapter ${adapter?.id || options.file} rejected: ${contract.errors.join('; ')}`);
+      return null;
+    }
+
+    if (this.adapters.has(adapter.id)) {
+      console.warn(`Source adapter ${adapter.id} from ${options.file || options.origin} replaces the registered one`);
+    }
+    adapter.origin = options.origin || 'in_house';
+    this.adapters.set(adapter.id, adapter);
+    this.contracts.set(adapter.id, contract);
+    this.probeCache.delete(adapter.id);
+    return adapter;
+  }
+
+  get(id) {
+    return this.adapters.get(id) || null;
+  }
+
+  has(id) {
+    return this.adapters.has(id);
+  }
+
+  list() {
+    return Array.from(this.adapters.values());
+  }
+
+  // Adapters declaring the disease, best priority first
+  sourcesForDisease(disease) {
+    return this.list()
+      .filter(adapter => adapter.capabilities.diseases.includes(disease))
+      .sort((a, b) => a.priority - b.priority)
+      .map(adapter => adapter.id);
+  }
+
+  diseaseSourceMap() {
+    const map = {};
+    this.list().forEach(adapter => {
+      adapter.capabilities.diseases.forEach(disease => {
+        if (!map[disease]) map[disease] = this.sourcesForDisease(disease);
+      });
+    });
+    return map;
+  }
+
+  describe() {
+    return Object.fromEntries(this.list().map(adapter => [adapter.id, {
+      ...adapter.describe(),
+      origin: adapter.origin,
+      contract: {
+        passed: this.contracts.get(adapter.id)?.passed ?? false,
+        verified: this.contracts.get(adapter.id)?.verified ?? false,
+        warnings: this.contracts.get(adapter.id)?.warnings || [],
+        examples: this.contracts.get(adapter.id)?.examples || []
+      }
+    }]));
+  }
+
+  async fetch(id, query) {
+    const adapter = this.get(id);
+    if (!adapter) {
+      return { success: false, error: `Unknown source: ${id}` };
+    }
+    return adapter.fetch(query);
+  }
+
+  async probe(id, options = {}) {
+    const adapter = this.get(id);
+    if (!adapter) return null;
+
+    const cached = this.probeCache.get(id);
+    if (!options.refresh && cached && cached.expires > Date.now()) return cached.result;
+
+    let result;
+    try {
+      result = await adapter.probe();
+    } catch (error) {
+      result = { status: 'down', latency_ms: null, checked_at: new Date().toISOString(), error: error.message };
+    }
+    this.probeCache.set(id, { result, expires: Date.now() + this.probeTtlMs });
+    return result;
+  }
+
+  async probeAll(options = {}) {
+    const ids = Array.from(this.adapters.keys());
+    const results = await Promise.all(ids.map(id => this.probe(id, options)));
+    return Object.fromEntries(ids.map((id, index) => [id, results[index]]));
+  }
+
+  // Re-run the contract check for every registered adapter, e.g. after editing one in place.
+  // unverified lists adapters that passed without any example to check normalize() against.
+  verifyAll() {
+    this.list().forEach(adapter => this.contracts.set(adapter.id, verifyContract(adapter)));
+    const adapters = Array.from(this.contracts.values());
+    return {
+      adapters,
+      unverified: adapters.filter(result => result.passed && !result.verified).map(result => result.adapter),
+      rejected: this.rejected
+    };
+  }
+}
+
+SourceAdapterRegistry.BaseSourceAdapter = BaseSourceAdapter;
+
+module.exports = SourceAdapterRegistry;
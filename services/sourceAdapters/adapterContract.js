@@ -0,0 +1,191 @@
+/**
+ * Source Adapter Contract
+ * The interface and normalized record schema every source adapter must satisfy. The registry
+ * checks each adapter against it when loading, so a built-in or in-house adapter that breaks
+ * the contract is rejected instead of feeding malformed records into fusion.
+ */
+
+const REQUIRED_METHODS = ['fetch', 'request', 'normalize', 'probe', 'supports', 'describe', 'contractExamples'];
+const SPATIAL_LEVELS = ['global', 'region', 'country', 'state', 'county', 'city', 'point'];
+const TEMPORAL_LEVELS = ['daily', 'weekly', 'monthly', 'annual', 'event'];
+const DATA_QUALITY = ['low', 'medium', 'high', 'very_high'];
+
+// Field names follow the vocabulary DataFusionEngine harmonization already reads
+const RECORD_SCHEMA = {
+  kind: { type: 'string', enum: ['count', 'event'], required: true },
+  disease: { type: 'string', required: true },
+  location: { type: 'string', required: true },
+  location_level: { type: 'string', enum: SPATIAL_LEVELS, required: true },
+  date: { type: 'string', format: 'date' },
+  year: { type: 'number' },
+  week: { type: 'number' },
+  month: { type: 'number' },
+  cases: { type: 'number' },
+  deaths: { type: 'number' },
+  rate: { type: 'number' },
+  value: { type: 'number' },
+  value_lower: { type: 'number' },
+  value_upper: { type: 'number' },
+  population: { type: 'number' },
+  unit: { type: 'string' },
+  indicator: { type: 'string' },
+  age_group: { type: 'string' },
+  sex: { type: 'string' },
+  case_definition: { type: 'string' },
+  finalized: { type: 'boolean' },
+  latitude: { type: 'number' },
+  longitude: { type: 'number' },
+  title: { type: 'string' },
+  summary: { type: 'string' },
+  url: { type: 'string' }
+};
+
+const MEASURES = ['cases', 'deaths', 'rate', 'value'];
+
+function validateRecord(record) {
+  const errors = [];
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return ['record is not an object'];
+  }
+
+  Object.entries(RECORD_SCHEMA).forEach(([field, rule]) => {
+    const value = record[field];
+    if (value === undefined || value === null) {
+      if (rule.required) errors.push(`${field} is required`);
+      return;
+    }
+    if (typeof value !== rule.type || (rule.type === 'number' && !isFinite(value))) {
+      errors.push(`${field} must be a ${rule.type}`);
+    } else if (rule.enum && !rule.enum.includes(value)) {
+      errors.push(`${field} must be one of: ${rule.enum.join(', ')}`);
+    } else if (rule.format === 'date' && isNaN(new Date(value))) {
+      errors.push(`${field} must be an ISO date`);
+    }
+  });
+
+  if (record.date === undefined && record.year === undefined) {
+    errors.push('date or year is required');
+  }
+  if (record.kind === 'count' && !MEASURES.some(field => typeof record[field] === 'number')) {
+    errors.push(`count records need one of: ${MEASURES.join(', ')}`);
+  }
+  if (record.kind === 'event' && !record.title && !record.summary) {
+    errors.push('event records need a title or summary');
+  }
+
+  return errors;
+}
+
+// Interface and capability declaration, without calling the source
+function validateAdapter(adapter) {
+  const errors = [];
+  if (!adapter || typeof adapter !== 'object') return ['adapter is not an object'];
+
+  ['id', 'name'].forEach(field => {
+    if (typeof adapter[field] !== 'string' || !adapter[field]) errors.push(`${field} must be a non-empty string`);
+  });
+  REQUIRED_METHODS.forEach(method => {
+    if (typeof adapter[method] !== 'function') errors.push(`${method}() is not implemented`);
+  });
+
+  const capabilities = adapter.capabilities || {};
+  if (!Array.isArray(capabilities.diseases)) {
+    errors.push('capabilities.diseases must be an array');
+  } else if (capabilities.diseases.length === 0 && !(capabilities.topics || []).length) {
+    errors.push('capabilities must list at least one disease or topic');
+  }
+  if (!Array.isArray(capabilities.geographies) || capabilities.geographies.length === 0) {
+    errors.push('capabilities.geographies must list at least one geography');
+  }
+  const granularity = capabilities.granularity || {};
+  if (!Array.isArray(granularity.spatial) || granularity.spatial.some(level => !SPATIAL_LEVELS.includes(level))) {
+    errors.push(`capabilities.granularity.spatial must use: ${SPATIAL_LEVELS.join(', ')}`);
+  }
+  if (!Array.isArray(granularity.temporal) || granularity.temporal.some(level => !TEMPORAL_LEVELS.includes(level))) {
+    errors.push(`capabilities.granularity.temporal must use: ${TEMPORAL_LEVELS.join(', ')}`);
+  }
+  if (!DATA_QUALITY.includes(adapter.dataQuality)) {
+    errors.push(`dataQuality must be one of: ${DATA_QUALITY.join(', ')}`);
+  }
+  if (!Number.isInteger(adapter.priority) || adapter.priority < 1) {
+    errors.push('priority must be a positive integer');
+  }
+
+  return errors;
+}
+
+/**
+ * Contract check for one adapter: the interface, then every contract example normalized and
+ * validated record by record. Records must also stay within the declared capabilities.
+ * A pending adapter may have no examples yet; it passes, but verified is false and the
+ * warnings say its normalize() is unchecked.
+ */
+function verifyContract(adapter) {
+  const errors = validateAdapter(adapter);
+  const warnings = [];
+  const examples = [];
+
+  if (errors.length === 0) {
+    let cases = [];
+    try {
+      cases = adapter.contractExamples() || [];
+    } catch (error) {
+      errors.push(`contractExamples() threw: ${error.message}`);
+    }
+    if (cases.length === 0) {
+      if (adapter.pending) {
+        warnings.push('pending adapter has no contract examples: normalize() is unverified');
+      } else {
+        errors.push('integrated adapters must provide at least one contract example');
+      }
+    }
+
+    cases.forEach((example, index) => {
+      const label = example.name || `example ${index + 1}`;
+      let records;
+      try {
+        records = adapter.normalize(example.raw, example.query || {});
+      } catch (error) {
+        errors.push(`${label}: normalize() threw: ${error.message}`);
+        return;
+      }
+      if (!Array.isArray(records)) {
+        errors.push(`${label}: normalize() must return an array`);
+        return;
+      }
+      if (example.expectedCount !== undefined && records.length !== example.expectedCount) {
+        errors.push(`${label}: expected ${example.expectedCount} records, got ${records.length}`);
+      }
+
+      records.forEach((record, recordIndex) => {
+        validateRecord(record).forEach(error => errors.push(`${label} record ${recordIndex}: ${error}`));
+        if (record.disease && !adapter.capabilities.diseases.includes(record.disease)) {
+          errors.push(`${label} record ${recordIndex}: disease ${record.disease} is not a declared capability`);
+        }
+        if (record.location_level && !adapter.capabilities.granularity.spatial.includes(record.location_level)) {
+          errors.push(`${label} record ${recordIndex}: location_level ${record.location_level} is not a declared granularity`);
+        }
+      });
+      examples.push({ name: label, records: records.length });
+    });
+  }
+
+  return {
+    adapter: adapter?.id || null,
+    passed: errors.length === 0,
+    verified: errors.length === 0 && examples.length > 0,
+    errors,
+    warnings,
+    examples,
+    checked_at: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  RECORD_SCHEMA,
+  SPATIAL_LEVELS,
+  TEMPORAL_LEVELS,
+  validateRecord,
+  validateAdapter,
+  verifyContract
+};
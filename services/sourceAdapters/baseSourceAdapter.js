@@ -0,0 +1,184 @@
+/**
+ * Base Source Adapter
+ * Every data source the GlobalHealthOrchestrator can query is an adapter: it declares its
+ * capabilities (diseases, geographies, granularity), fetches raw data for a query, maps it
+ * onto the normalized record schema and answers a health probe. Subclasses implement
+ * request() and normalize(); fetch() wraps them in the contract the orchestrator relies on.
+ */
+
+const { fetch } = require('../../utils/httpClient');
+
+class BaseSourceAdapter {
+  constructor(context = {}) {
+    this.context = context;
+
+    this.id = null;
+    this.name = null;
+    this.baseURL = null;
+    this.healthURL = null; // probed instead of baseURL when the API root does not answer
+    this.capabilities = {
+      diseases: [],
+      geographies: [], // 'global', a region ('europe', 'americas') or country/state codes ('US', 'US-CA')
+      granularity: {
+        spatial: [], // global, region, country, state, county, point
+        temporal: [] // daily, weekly, monthly, annual, event
+      },
+      topics: []
+    };
+    this.coverage = 'global';
+    this.dataQuality = 'medium';
+    this.updateFrequency = 'weekly';
+    this.priority = 3;
+    this.requiresApiKey = false;
+    this.apiKeyName = null;
+    this.pending = false; // declared but not yet integrated: fetch() reports unavailable
+    this.timeout = 15000;
+  }
+
+  get apiKey() {
+    return this.apiKeyName ? this.context.apiKeys?.[this.apiKeyName] || null : null;
+  }
+
+  getService(name) {
+    return this.context.getService ? this.context.getService(name) : null;
+  }
+
+  supports(query = {}) {
+    return !query.disease || this.capabilities.diseases.includes(query.disease);
+  }
+
+  describe() {
+    return {
+      id: this.id,
+      name: this.name,
+      baseURL: this.baseURL,
+      capabilities: this.capabilities,
+      coverage: this.coverage,
+      dataQuality: this.dataQuality,
+      updateFrequency: this.updateFrequency,
+      priority: this.priority,
+      requiresApiKey: this.requiresApiKey,
+      configured: !this.requiresApiKey || Boolean(this.apiKey),
+      pending: this.pending
+    };
+  }
+
+  async httpGet(url, options = {}) {
+    const response = await fetch(url, {
+      timeout: options.timeout || this.timeout,
+      headers: { 'User-Agent': 'Disease Zone Global Aggregator', ...options.headers }
+    });
+
+    if (!response.ok) {
+      throw new Error(`${this.name} API error: ${response.status}`);
+    }
+    return options.text ? response.text() : response.json();
+  }
+
+  /**
+   * Fetch contract: resolves to { success: true, data: [normalized records], metadata } or
+   * { success: false, error }. Never throws, so one failing source cannot fail a fan-out.
+   */
+  async fetch(query = {}) {
+    if (this.pending) {
+      return { success: false, error: `${this.name} integration pending` };
+    }
+    if (!this.supports(query)) {
+      return { success: false, error: `${this.name} does not provide ${query.disease}` };
+    }
+    if (this.requiresApiKey && !this.apiKey) {
+      return { success: false, error: `${this.name} requires ${this.apiKeyName} API key` };
+    }
+
+    try {
+      const raw = await this.request(query);
+      if (raw && raw.success === false) return raw;
+
+      const records = this.normalize(raw.data, query);
+      return {
+        success: true,
+        data: records,
+        metadata: {
+          source: this.name,
+          adapter: this.id,
+          ...raw.metadata,
+          recordCount: records.length,
+          lastUpdated: raw.metadata?.lastUpdated || new Date().toISOString()
+        }
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Raw fetch for a query ({ disease, regions, timeframe }): { data, metadata } or
+   * { success: false, error } when the query cannot be served.
+   */
+  async request(query) {
+    throw new Error(`${this.id} adapter does not implement request()`);
+  }
+
+  // Raw payload -> array of normalized records (see adapterContract.RECORD_SCHEMA)
+  normalize(raw, query) {
+    throw new Error(`${this.id} adapter does not implement normalize()`);
+  }
+
+  /**
+   * Health probe: { status: up | down | unconfigured | pending, latency_ms, checked_at, error? }.
+   * The default probe counts any answer below 500 as reachable, since API roots often 404.
+   */
+  async probe() {
+    const checkedAt = new Date().toISOString();
+    if (this.pending) return { status: 'pending', latency_ms: null, checked_at: checkedAt };
+    if (this.requiresApiKey && !this.apiKey) {
+      return { status: 'unconfigured', latency_ms: null, checked_at: checkedAt, error: `${this.apiKeyName} API key not set` };
+    }
+
+    const started = Date.now();
+    try {
+      const response = await fetch(this.healthURL || this.baseURL, {
+        method: 'GET',
+        timeout: 5000,
+        headers: { 'User-Agent': 'Disease Zone Global Aggregator' }
+      });
+      return {
+        status: response.status < 500 ? 'up' : 'down',
+        http_status: response.status,
+        latency_ms: Date.now() - started,
+        checked_at: checkedAt
+      };
+    } catch (error) {
+      return { status: 'down', latency_ms: Date.now() - started, checked_at: checkedAt, error: error.message };
+    }
+  }
+
+  /**
+   * Sample raw payloads with the query that produced them, run through normalize() by the
+   * contract check at registration. Integrated adapters must provide at least one.
+   */
+  contractExamples() {
+    return [];
+  }
+
+  // First defined, non-empty value among alternative field names
+  pick(record, names) {
+    for (const name of names) {
+      if (record[name] !== undefined && record[name] !== null && record[name] !== '') return record[name];
+    }
+    return undefined;
+  }
+
+  toNumber(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const number = typeof value === 'number' ? value : Number(String(value).replace(/,/g, ''));
+    return isNaN(number) ? undefined : number;
+  }
+
+  // Drop undefined fields so normalized records carry only what the source reported
+  compact(record) {
+    return Object.fromEntries(Object.entries(record).filter(([, value]) => value !== undefined));
+  }
+}
+
+module.exports = BaseSourceAdapter;
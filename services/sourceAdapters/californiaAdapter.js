@@ -0,0 +1,79 @@
+const BaseSourceAdapter = require('./baseSourceAdapter');
+
+class CaliforniaAdapter extends BaseSourceAdapter {
+  constructor(context) {
+    super(context);
+    this.id = 'california';
+    this.name = 'California Health and Human Services';
+    this.baseURL = 'https://data.chhs.ca.gov/api/3/action';
+    this.healthURL = 'https://data.chhs.ca.gov/api/3/action/status_show';
+    this.capabilities = {
+      diseases: ['hiv', 'aids', 'syphilis', 'gonorrhea', 'chlamydia', 'herpes', 'hpv'],
+      geographies: ['US-CA'],
+      granularity: { spatial: ['state', 'county'], temporal: ['annual'] },
+      topics: ['sti', 'communicable_diseases', 'hospital_data']
+    };
+    this.coverage = 'california';
+    this.dataQuality = 'high';
+    this.updateFrequency = 'weekly';
+    this.priority = 2;
+    this.apiKeyName = 'california';
+
+    // CKAN datastore resources per disease
+    this.datasets = {
+      syphilis: 'std-surveillance-syphilis',
+      gonorrhea: 'std-surveillance-gonorrhea',
+      chlamydia: 'std-surveillance-chlamydia',
+      hiv: 'hiv-surveillance-data'
+    };
+  }
+
+  async request(query) {
+    const datasetId = this.datasets[query.disease];
+    if (!datasetId) {
+      return { success: false, error: `California dataset not available for ${query.disease}` };
+    }
+
+    const data = await this.httpGet(`${this.baseURL}/datastore_search?resource_id=${datasetId}&limit=1000`);
+    return {
+      data: data.result?.records || [],
+      metadata: { source: 'California CHHS', dataset: datasetId }
+    };
+  }
+
+  normalize(raw, query) {
+    return (raw || []).map(record => {
+      const county = this.pick(record, ['County', 'county', 'Geography', 'geography']);
+      const statewide = !county || /^(california|state|statewide|total)$/i.test(String(county));
+      return this.compact({
+        kind: 'count',
+        disease: query.disease,
+        location: statewide ? 'US-CA' : `${county} County, CA`,
+        location_level: statewide ? 'state' : 'county',
+        year: this.toNumber(this.pick(record, ['Year', 'year'])),
+        cases: this.toNumber(this.pick(record, ['Cases', 'cases', 'Count', 'count'])),
+        rate: this.toNumber(this.pick(record, ['Rate', 'rate'])),
+        population: this.toNumber(this.pick(record, ['Population', 'population'])),
+        sex: this.pick(record, ['Sex', 'sex', 'Gender', 'gender'])?.toString().toLowerCase(),
+        age_group: this.pick(record, ['Age Group', 'age_group', 'Age'])?.toString(),
+        case_definition: this.pick(record, ['Disease Stage', 'Stage', 'stage'])?.toString()
+      });
+    }).filter(record => record.year !== undefined &&
+      ['cases', 'rate'].some(field => typeof record[field] === 'number'));
+  }
+
+  contractExamples() {
+    return [{
+      name: 'CKAN datastore records',
+      query: { disease: 'chlamydia' },
+      raw: [
+        { _id: 1, County: 'California', Year: '2022', Sex: 'Total', Cases: '186,418', Population: '39029342', Rate: '477.6' },
+        { _id: 2, County: 'Alameda', Year: '2022', Sex: 'Female', Cases: '4210', Rate: '502.1' },
+        { _id: 3, County: 'Alpine', Year: '2022', Sex: 'Total', Cases: '', Rate: '' }
+      ],
+      expectedCount: 2
+    }];
+  }
+}
+
+module.exports = CaliforniaAdapter;
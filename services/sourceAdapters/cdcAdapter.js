@@ -0,0 +1,73 @@
+const BaseSourceAdapter = require('./baseSourceAdapter');
+
+class CDCAdapter extends BaseSourceAdapter {
+  constructor(context) {
+    super(context);
+    this.id = 'cdc';
+    this.name = 'CDC Data.gov';
+    this.baseURL = 'https://data.cdc.gov/api/views';
+    this.healthURL = 'https://data.cdc.gov/api/views/metadata/v1';
+    this.capabilities = {
+      diseases: ['hiv', 'aids', 'syphilis', 'gonorrhea', 'chlamydia', 'herpes', 'hpv', 'influenza', 'tuberculosis', 'mpox', 'viral_hepatitis', 'antimicrobial_resistance'],
+      geographies: ['US'],
+      granularity: { spatial: ['country', 'state'], temporal: ['annual'] },
+      topics: ['surveillance', 'sti', 'hiv', 'vaccines', 'mortality']
+    };
+    this.coverage = 'usa';
+    this.dataQuality = 'very_high';
+    this.updateFrequency = 'weekly';
+    this.priority = 1;
+    this.apiKeyName = 'cdc';
+  }
+
+  // Goes through ComprehensiveSTIService, which knows the CDC dataset ids per disease
+  async request(query) {
+    const service = this.getService('sti');
+    if (!service) {
+      return { success: false, error: 'STI service not initialized' };
+    }
+
+    const result = await service.queryDiseaseData({ diseases: [query.disease], timeframe: query.timeframe });
+    const cdc = result.data?.[query.disease]?.sources?.cdc;
+    if (!result.success || !cdc || cdc.error) {
+      return { success: false, error: cdc?.error || result.error || `CDC data not available for ${query.disease}` };
+    }
+
+    return {
+      data: cdc.data || [],
+      metadata: { source: cdc.source, ...cdc.metadata }
+    };
+  }
+
+  normalize(raw, query) {
+    return (raw || []).map(record => {
+      const region = String(this.pick(record, ['region', 'state', 'geography', 'jurisdiction']) || 'Unknown');
+      const national = /^(us|usa|u\.s\.|united states|national|total)$/i.test(region.trim());
+      return this.compact({
+        kind: 'count',
+        disease: record.disease || query.disease,
+        location: national ? 'US' : region,
+        location_level: national ? 'country' : 'state',
+        year: this.toNumber(record.year),
+        cases: this.toNumber(record.cases),
+        rate: this.toNumber(record.rate) || undefined, // the STI service reports a missing rate as 0
+        age_group: record.demographic && record.demographic !== 'all' ? String(record.demographic) : undefined
+      });
+    }).filter(record => record.location !== 'Unknown' && record.year !== undefined);
+  }
+
+  contractExamples() {
+    return [{
+      name: 'STI surveillance rows',
+      query: { disease: 'gonorrhea' },
+      raw: [
+        { disease: 'gonorrhea', region: 'United States', cases: 648056, rate: 194.4, year: '2022', data_type: 'surveillance' },
+        { disease: 'gonorrhea', region: 'Texas', cases: 55120, rate: 183.5, year: '2022', data_type: 'surveillance' },
+        { disease: 'gonorrhea', region: 'Unknown', cases: 0, rate: 0, year: '2022', data_type: 'surveillance' }
+      ],
+      expectedCount: 2
+    }];
+  }
+}
+
+module.exports = CDCAdapter;
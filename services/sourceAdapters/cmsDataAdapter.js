@@ -0,0 +1,28 @@
+const BaseSourceAdapter = require('./baseSourceAdapter');
+
+// Declared source; fetch reports it as pending until the integration lands
+class CMSDataAdapter extends BaseSourceAdapter {
+  constructor(context) {
+    super(context);
+    this.id = 'cmsData';
+    this.name = 'CMS Data';
+    this.baseURL = 'https://data.cms.gov/api/1';
+    this.capabilities = {
+      diseases: [],
+      geographies: ['US'],
+      granularity: { spatial: ['country', 'state'], temporal: ['annual'] },
+      topics: ['healthcare_utilization', 'outcomes', 'demographics']
+    };
+    this.coverage = 'usa';
+    this.dataQuality = 'high';
+    this.updateFrequency = 'quarterly';
+    this.priority = 4;
+    this.pending = true;
+  }
+
+  normalize(raw, query) {
+    return [];
+  }
+}
+
+module.exports = CMSDataAdapter;
@@ -0,0 +1,76 @@
+const BaseSourceAdapter = require('./baseSourceAdapter');
+
+class DiseaseApiAdapter extends BaseSourceAdapter {
+  constructor(context) {
+    super(context);
+    this.id = 'diseaseApi';
+    this.name = 'disease.sh';
+    this.baseURL = 'https://disease.sh/v3';
+    this.healthURL = 'https://disease.sh/v3/covid-19/all';
+    this.capabilities = {
+      diseases: ['covid'],
+      geographies: ['global'],
+      granularity: { spatial: ['global', 'country'], temporal: ['daily'] },
+      topics: ['global']
+    };
+    this.coverage = 'global';
+    this.dataQuality = 'high';
+    this.updateFrequency = 'daily';
+    this.priority = 1;
+  }
+
+  // Goes through DiseaseApiService for its rate limiting, retries and cache
+  async request(query) {
+    const service = this.getService('diseaseApi');
+    if (!service) {
+      return { success: false, error: 'disease.sh service not initialized' };
+    }
+
+    const regions = query.regions || ['global'];
+    const scope = regions.every(region => region === 'global') ? 'global' : 'countries';
+    const result = await service.getCOVIDData({ scope });
+    if (!result.success) return result;
+
+    return {
+      data: result.data,
+      metadata: { source: 'disease.sh', scope, lastUpdated: result.timestamp }
+    };
+  }
+
+  // Cumulative totals, either one global object or one object per country
+  normalize(raw, query) {
+    const rows = Array.isArray(raw) ? raw : raw ? [raw] : [];
+    return rows
+      .filter(row => typeof row.cases === 'number' && row.updated)
+      .map(row => this.compact({
+        kind: 'count',
+        disease: query.disease || 'covid',
+        location: row.country ? (row.countryInfo?.iso3 || row.country) : 'GLOBAL',
+        location_level: row.country ? 'country' : 'global',
+        date: new Date(row.updated).toISOString().slice(0, 10),
+        cases: row.cases,
+        deaths: this.toNumber(row.deaths),
+        population: this.toNumber(row.population),
+        indicator: 'cumulative'
+      }));
+  }
+
+  contractExamples() {
+    return [{
+      name: 'Global totals',
+      query: { disease: 'covid' },
+      raw: { updated: 1704067200000, cases: 702000000, deaths: 6980000, population: 8000000000 },
+      expectedCount: 1
+    }, {
+      name: 'Per-country totals',
+      query: { disease: 'covid', regions: ['europe'] },
+      raw: [
+        { updated: 1704067200000, country: 'France', countryInfo: { iso3: 'FRA' }, cases: 40138560, deaths: 167985 },
+        { updated: 1704067200000, country: 'MS Zaandam', countryInfo: { iso3: null }, cases: 9, deaths: 2 }
+      ],
+      expectedCount: 2
+    }];
+  }
+}
+
+module.exports = DiseaseApiAdapter;
@@ -0,0 +1,29 @@
+const BaseSourceAdapter = require('./baseSourceAdapter');
+
+// Declared source; fetch reports it as pending until the integration lands
+class ECDCAdapter extends BaseSourceAdapter {
+  constructor(context) {
+    super(context);
+    this.id = 'ecdc';
+    this.name = 'European Centre for Disease Prevention and Control';
+    this.baseURL = 'https://www.ecdc.europa.eu/sites/default/files/data';
+    this.capabilities = {
+      diseases: ['covid', 'influenza', 'tuberculosis', 'malaria', 'ebola', 'mpox', 'viral_hepatitis', 'antimicrobial_resistance'],
+      geographies: ['europe'],
+      granularity: { spatial: ['region', 'country'], temporal: ['weekly'] },
+      topics: ['surveillance', 'outbreaks', 'antimicrobial_resistance']
+    };
+    this.coverage = 'europe';
+    this.dataQuality = 'high';
+    this.updateFrequency = 'weekly';
+    this.priority = 2;
+    this.apiKeyName = 'ecdc';
+    this.pending = true;
+  }
+
+  normalize(raw, query) {
+    return [];
+  }
+}
+
+module.exports = ECDCAdapter;
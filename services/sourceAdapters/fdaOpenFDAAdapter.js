@@ -0,0 +1,29 @@
+const BaseSourceAdapter = require('./baseSourceAdapter');
+
+// Declared source; fetch reports it as pending until the integration lands
+class FDAOpenFDAAdapter extends BaseSourceAdapter {
+  constructor(context) {
+    super(context);
+    this.id = 'fdaOpenFDA';
+    this.name = 'FDA OpenFDA';
+    this.baseURL = 'https://api.fda.gov';
+    this.capabilities = {
+      diseases: [],
+      geographies: ['US'],
+      granularity: { spatial: ['country'], temporal: ['daily'] },
+      topics: ['adverse_events', 'drug_safety', 'vaccine_safety']
+    };
+    this.coverage = 'usa';
+    this.dataQuality = 'high';
+    this.updateFrequency = 'daily';
+    this.priority = 3;
+    this.apiKeyName = 'fda';
+    this.pending = true;
+  }
+
+  normalize(raw, query) {
+    return [];
+  }
+}
+
+module.exports = FDAOpenFDAAdapter;
@@ -0,0 +1,30 @@
+const BaseSourceAdapter = require('./baseSourceAdapter');
+
+// Requires GISAID credentials; no record access is integrated yet
+class GISAIDAdapter extends BaseSourceAdapter {
+  constructor(context) {
+    super(context);
+    this.id = 'gisaid';
+    this.name = 'GISAID Viral Surveillance';
+    this.baseURL = 'https://www.epicov.org/epi3/api';
+    this.capabilities = {
+      diseases: ['influenza'],
+      geographies: ['global'],
+      granularity: { spatial: ['country'], temporal: ['daily'] },
+      topics: ['viral_genomics', 'mutations', 'lineages']
+    };
+    this.coverage = 'global';
+    this.dataQuality = 'very_high';
+    this.updateFrequency = 'daily';
+    this.priority = 1;
+    this.apiKeyName = 'gisaid';
+    this.requiresApiKey = true;
+    this.pending = true;
+  }
+
+  normalize(raw, query) {
+    return [];
+  }
+}
+
+module.exports = GISAIDAdapter;
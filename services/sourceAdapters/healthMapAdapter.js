@@ -0,0 +1,65 @@
+const BaseSourceAdapter = require('./baseSourceAdapter');
+
+class HealthMapAdapter extends BaseSourceAdapter {
+  constructor(context) {
+    super(context);
+    this.id = 'healthMap';
+    this.name = 'HealthMap Outbreak Detection';
+    this.baseURL = 'https://healthmap.org/HMapi.php';
+    this.capabilities = {
+      diseases: ['covid', 'influenza', 'malaria', 'dengue', 'zika', 'ebola', 'mpox'],
+      geographies: ['global'],
+      granularity: { spatial: ['country', 'city', 'point'], temporal: ['event'] },
+      topics: ['outbreak_detection', 'disease_intelligence', 'news_monitoring']
+    };
+    this.coverage = 'global';
+    this.dataQuality = 'medium';
+    this.updateFrequency = 'real_time';
+    this.priority = 2;
+    this.apiKeyName = 'healthMap';
+  }
+
+  async request(query) {
+    const data = await this.httpGet(`${this.baseURL}?auth=${this.apiKey || 'demo'}&disease=${encodeURIComponent(query.disease)}&format=json`);
+    return {
+      data: data.alerts || [],
+      metadata: { source: 'HealthMap', type: 'outbreak_detection' }
+    };
+  }
+
+  // Alerts are events, not counts: one record per alert at its place
+  normalize(raw, query) {
+    return (raw || []).map(alert => {
+      const latitude = this.toNumber(this.pick(alert, ['lat', 'latitude']));
+      const longitude = this.toNumber(this.pick(alert, ['lng', 'lon', 'longitude']));
+      const date = this.pick(alert, ['date', 'formatted_date', 'issue_date']);
+      return this.compact({
+        kind: 'event',
+        disease: query.disease,
+        location: String(this.pick(alert, ['place_name', 'country', 'location']) || 'unknown'),
+        location_level: latitude !== undefined && longitude !== undefined ? 'point' : 'country',
+        date: date && !isNaN(new Date(date)) ? new Date(date).toISOString().slice(0, 10) : undefined,
+        latitude,
+        longitude,
+        title: this.pick(alert, ['summary', 'title'])?.toString(),
+        summary: this.pick(alert, ['descr', 'description'])?.toString(),
+        url: this.pick(alert, ['link', 'url'])?.toString()
+      });
+    }).filter(record => record.date);
+  }
+
+  contractExamples() {
+    return [{
+      name: 'Outbreak alerts',
+      query: { disease: 'dengue' },
+      raw: [
+        { place_name: 'Dhaka, Bangladesh', lat: '23.81', lng: '90.41', date: '2024-08-12', summary: 'Dengue cases rise in Dhaka', link: 'https://healthmap.org/ln.php?1' },
+        { country: 'Brazil', formatted_date: '2024-08-10', title: 'Dengue emergency declared' },
+        { place_name: 'Undated alert', summary: 'No date' }
+      ],
+      expectedCount: 2
+    }];
+  }
+}
+
+module.exports = HealthMapAdapter;
@@ -0,0 +1,29 @@
+const BaseSourceAdapter = require('./baseSourceAdapter');
+
+// Declared source; fetch reports it as pending until the integration lands
+class NewYorkAdapter extends BaseSourceAdapter {
+  constructor(context) {
+    super(context);
+    this.id = 'newYork';
+    this.name = 'New York Health Data';
+    this.baseURL = 'https://health.data.ny.gov/api/views';
+    this.capabilities = {
+      diseases: ['hiv', 'aids', 'syphilis', 'gonorrhea', 'chlamydia'],
+      geographies: ['US-NY'],
+      granularity: { spatial: ['state', 'county'], temporal: ['annual'] },
+      topics: ['hiv', 'sti', 'communicable_diseases']
+    };
+    this.coverage = 'new_york';
+    this.dataQuality = 'high';
+    this.updateFrequency = 'weekly';
+    this.priority = 2;
+    this.apiKeyName = 'newYork';
+    this.pending = true;
+  }
+
+  normalize(raw, query) {
+    return [];
+  }
+}
+
+module.exports = NewYorkAdapter;
@@ -0,0 +1,75 @@
+const BaseSourceAdapter = require('./baseSourceAdapter');
+
+class OurWorldInDataAdapter extends BaseSourceAdapter {
+  constructor(context) {
+    super(context);
+    this.id = 'ourWorldInData';
+    this.name = 'Our World in Data';
+    this.baseURL = 'https://raw.githubusercontent.com/owid';
+    this.healthURL = 'https://raw.githubusercontent.com/owid/covid-19-data/master/README.md';
+    this.capabilities = {
+      diseases: ['covid', 'hiv', 'tuberculosis', 'malaria'],
+      geographies: ['global'],
+      granularity: { spatial: ['global', 'region', 'country'], temporal: ['daily'] },
+      topics: ['vaccines', 'global_health', 'demographics']
+    };
+    this.coverage = 'global';
+    this.dataQuality = 'very_high';
+    this.updateFrequency = 'daily';
+    this.priority = 1;
+    this.timeout = 30000;
+
+    this.datasets = {
+      covid: 'covid-19-data/master/public/data/owid-covid-data.json'
+    };
+  }
+
+  async request(query) {
+    const datasetPath = this.datasets[query.disease];
+    if (!datasetPath) {
+      return { success: false, error: `Our World in Data not available for ${query.disease}` };
+    }
+
+    const data = await this.httpGet(`${this.baseURL}/${datasetPath}`);
+    return {
+      data: data,
+      metadata: { source: 'Our World in Data', dataset: datasetPath }
+    };
+  }
+
+  // { ISO3: { location, data: [{ date, new_cases, new_deaths }] } }; OWID_* codes are aggregates
+  normalize(raw, query) {
+    const records = [];
+    Object.entries(raw || {}).forEach(([code, country]) => {
+      const level = code === 'OWID_WRL' ? 'global' : code.startsWith('OWID_') ? 'region' : 'country';
+      (country.data || []).forEach(point => {
+        const record = this.compact({
+          kind: 'count',
+          disease: query.disease,
+          location: level === 'global' ? 'GLOBAL' : code,
+          location_level: level,
+          date: point.date,
+          cases: this.toNumber(point.new_cases),
+          deaths: this.toNumber(point.new_deaths),
+          population: this.toNumber(country.population)
+        });
+        if (record.cases !== undefined || record.deaths !== undefined) records.push(record);
+      });
+    });
+    return records;
+  }
+
+  contractExamples() {
+    return [{
+      name: 'Country time series',
+      query: { disease: 'covid' },
+      raw: {
+        FRA: { location: 'France', population: 67813000, data: [{ date: '2023-01-01', new_cases: 2100, new_deaths: 12 }, { date: '2023-01-02' }] },
+        OWID_WRL: { location: 'World', data: [{ date: '2023-01-01', new_cases: 410000, new_deaths: 1900 }] }
+      },
+      expectedCount: 2
+    }];
+  }
+}
+
+module.exports = OurWorldInDataAdapter;
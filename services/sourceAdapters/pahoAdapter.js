@@ -0,0 +1,28 @@
+const BaseSourceAdapter = require('./baseSourceAdapter');
+
+// Declared source; fetch reports it as pending until the integration lands
+class PAHOAdapter extends BaseSourceAdapter {
+  constructor(context) {
+    super(context);
+    this.id = 'paho';
+    this.name = 'Pan American Health Organization';
+    this.baseURL = 'https://www.paho.org/data/index.php/en';
+    this.capabilities = {
+      diseases: [],
+      geographies: ['americas'],
+      granularity: { spatial: ['region', 'country'], temporal: ['weekly'] },
+      topics: ['americas', 'surveillance', 'outbreaks']
+    };
+    this.coverage = 'americas';
+    this.dataQuality = 'high';
+    this.updateFrequency = 'weekly';
+    this.priority = 2;
+    this.pending = true;
+  }
+
+  normalize(raw, query) {
+    return [];
+  }
+}
+
+module.exports = PAHOAdapter;
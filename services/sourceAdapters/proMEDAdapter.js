@@ -0,0 +1,28 @@
+const BaseSourceAdapter = require('./baseSourceAdapter');
+
+// Declared source; fetch reports it as pending until the integration lands
+class ProMEDAdapter extends BaseSourceAdapter {
+  constructor(context) {
+    super(context);
+    this.id = 'proMED';
+    this.name = 'ProMED Disease Intelligence';
+    this.baseURL = 'https://promedmail.org/api';
+    this.capabilities = {
+      diseases: ['dengue', 'zika', 'ebola', 'mpox'],
+      geographies: ['global'],
+      granularity: { spatial: ['country', 'city'], temporal: ['event'] },
+      topics: ['outbreak_reports', 'expert_analysis', 'early_warning']
+    };
+    this.coverage = 'global';
+    this.dataQuality = 'high';
+    this.updateFrequency = 'real_time';
+    this.priority = 2;
+    this.pending = true;
+  }
+
+  normalize(raw, query) {
+    return [];
+  }
+}
+
+module.exports = ProMEDAdapter;
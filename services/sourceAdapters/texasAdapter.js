@@ -0,0 +1,28 @@
+const BaseSourceAdapter = require('./baseSourceAdapter');
+
+// Declared source; fetch reports it as pending until the integration lands
+class TexasAdapter extends BaseSourceAdapter {
+  constructor(context) {
+    super(context);
+    this.id = 'texas';
+    this.name = 'Texas Department of State Health Services';
+    this.baseURL = 'https://dshs.texas.gov/data/api';
+    this.capabilities = {
+      diseases: ['syphilis', 'gonorrhea', 'chlamydia'],
+      geographies: ['US-TX'],
+      granularity: { spatial: ['state', 'county'], temporal: ['annual'] },
+      topics: ['notifiable_conditions', 'sti']
+    };
+    this.coverage = 'texas';
+    this.dataQuality = 'medium';
+    this.updateFrequency = 'monthly';
+    this.priority = 3;
+    this.pending = true;
+  }
+
+  normalize(raw, query) {
+    return [];
+  }
+}
+
+module.exports = TexasAdapter;
@@ -0,0 +1,77 @@
+const BaseSourceAdapter = require('./baseSourceAdapter');
+
+class WHOAdapter extends BaseSourceAdapter {
+  constructor(context) {
+    super(context);
+    this.id = 'who';
+    this.name = 'WHO Global Health Observatory';
+    this.baseURL = 'https://ghoapi.azureedge.net/api';
+    this.healthURL = 'https://ghoapi.azureedge.net/api/Dimension';
+    this.capabilities = {
+      diseases: ['hiv', 'aids', 'tuberculosis', 'malaria', 'dengue', 'zika', 'ebola', 'viral_hepatitis', 'antimicrobial_resistance'],
+      geographies: ['global'],
+      granularity: { spatial: ['global', 'region', 'country'], temporal: ['annual'] },
+      topics: ['global', 'ncd', 'mortality']
+    };
+    this.coverage = 'global';
+    this.dataQuality = 'high';
+    this.updateFrequency = 'monthly';
+    this.priority = 1;
+    this.apiKeyName = 'who';
+
+    // GHO indicator codes per disease
+    this.indicators = {
+      hiv: 'HIV_0000000001',
+      tuberculosis: 'TB_1',
+      malaria: 'MALARIA_1'
+    };
+  }
+
+  async request(query) {
+    const indicatorCode = this.indicators[query.disease];
+    if (!indicatorCode) {
+      return { success: false, error: `WHO indicator not mapped for ${query.disease}` };
+    }
+
+    const data = await this.httpGet(`${this.baseURL}/${indicatorCode}`);
+    return {
+      data: data.value || [],
+      metadata: { source: 'WHO GHO', indicator: indicatorCode }
+    };
+  }
+
+  normalize(raw, query) {
+    const levels = { COUNTRY: 'country', REGION: 'region', WORLDBANKINCOMEGROUP: 'region', GLOBAL: 'global' };
+    const sexes = { SEX_MLE: 'male', SEX_FMLE: 'female', SEX_BTSX: 'all', MLE: 'male', FMLE: 'female', BTSX: 'all' };
+
+    return (raw || [])
+      .filter(record => typeof record.NumericValue === 'number')
+      .map(record => this.compact({
+        kind: 'count',
+        disease: query.disease,
+        location: record.SpatialDim || 'GLOBAL',
+        location_level: levels[record.SpatialDimType] || (record.SpatialDim ? 'country' : 'global'),
+        year: this.toNumber(record.TimeDim),
+        value: record.NumericValue,
+        value_lower: this.toNumber(record.Low),
+        value_upper: this.toNumber(record.High),
+        indicator: record.IndicatorCode,
+        sex: record.Dim1Type === 'SEX' ? sexes[record.Dim1] : undefined
+      }));
+  }
+
+  contractExamples() {
+    return [{
+      name: 'GHO indicator rows',
+      query: { disease: 'hiv' },
+      raw: [
+        { IndicatorCode: 'HIV_0000000001', SpatialDimType: 'COUNTRY', SpatialDim: 'KEN', TimeDim: 2022, Dim1Type: 'SEX', Dim1: 'SEX_BTSX', NumericValue: 1400000, Low: 1300000, High: 1600000 },
+        { IndicatorCode: 'HIV_0000000001', SpatialDimType: 'REGION', SpatialDim: 'AFR', TimeDim: 2022, NumericValue: 25900000 },
+        { IndicatorCode: 'HIV_0000000001', SpatialDimType: 'COUNTRY', SpatialDim: 'ZAF', TimeDim: 2022, NumericValue: null, Value: 'No data' }
+      ],
+      expectedCount: 2
+    }];
+  }
+}
+
+module.exports = WHOAdapter;
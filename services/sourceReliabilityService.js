@@ -0,0 +1,400 @@
+/**
+ * Source Reliability Service
+ * Tracks the values each data source reports and scores them once the truth is known:
+ * against a value published as final, or against the consensus of the other sources after
+ * the period has settled. Rolling accuracy, bias and timeliness profiles per source,
+ * disease and geography become the source weights used by data fusion.
+ */
+
+const cron = require('node-cron');
+const Statistics = require('../utils/statistics');
+
+class SourceReliabilityService {
+  constructor(databaseService = null) {
+    this.databaseService = databaseService;
+    this.profileCache = new Map();
+    this.evaluationTask = null;
+
+    this.settings = {
+      tracked_fields: ['cases', 'rate', 'value'], // first present field per record is tracked
+      consensus_after_days: 28, // periods older than this are scored against other sources
+      consensus_min_sources: 2, // other sources needed for a consensus reference
+      window_days: 365,
+      half_life_days: 90, // recency weighting of errors inside the window
+      timeliness_scale_days: 14, // timeliness = exp(-median first-report lag / scale)
+      min_evaluations: 5, // fewer scored reports fall back to the broader profile
+      prior_score: 0.8, // score of a source with no history
+      prior_strength: 5, // pseudo-evaluations pulling sparse histories toward the prior
+      accuracy_weight: 0.7,
+      timeliness_weight: 0.3,
+      cache_ttl_ms: 10 * 60 * 1000,
+      evaluation_page_size: 1000,
+      evaluation_schedule: '20 * * * *' // consensus references appear as periods settle, not only on writes
+    };
+  }
+
+  setDatabaseService(databaseService) {
+    this.databaseService = databaseService;
+    this.profileCache.clear();
+  }
+
+  getSourceId(source, index = 0) {
+    return source.sourceId || source.source || `source_${index}`;
+  }
+
+  /**
+   * Reports in harmonized sources: one per record (or single-value source) with a disease,
+   * a period and a tracked field. Records published as final are kept as the reference, but
+   * only when trustFinality is set by a caller that fetched the data itself.
+   */
+  extractReports(source, index = 0, trustFinality = false) {
+    const sourceId = this.getSourceId(source, index);
+    const records = Array.isArray(source.data) ? source.data : [source];
+    const reports = [];
+
+    records.forEach(record => {
+      const disease = record.disease ?? source.disease;
+      const period = record.period ?? source.period ?? this.toDate(record.date ?? record.timestamp ?? source.timestamp);
+      const field = this.settings.tracked_fields.find(name => typeof record[name] === 'number' && !isNaN(record[name]));
+      if (!disease || !period || !field) return;
+
+      reports.push({
+        source: sourceId,
+        disease: String(disease),
+        geography: record.geo_id ?? source.geo_id ?? record.location ?? source.location ?? 'GLOBAL',
+        period: String(period),
+        period_end: record.period_end ?? this.toDate(record.date ?? record.timestamp ?? source.timestamp),
+        field: field,
+        value: record[field],
+        is_final: trustFinality &&
+          (record.finalized === true || record.status === 'final' || source.metadata?.finalized === true)
+      });
+    });
+
+    return reports;
+  }
+
+  toDate(value) {
+    if (value === undefined || value === null) return null;
+    const date = new Date(value);
+    return isNaN(date) ? null : date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Store what each source reports right now. As with nowcasting snapshots, only new or
+   * revised values are written; new reports are then scored where a reference exists.
+   * Only pass data the server fetched itself: recorded values become the consensus that
+   * other sources are scored against. options.trustFinality accepts 'final' flags.
+   */
+  async recordReports(sources, options = {}) {
+    if (!this.databaseService) {
+      throw new Error('Reliability tracking requires a database service');
+    }
+
+    const reportedAt = new Date(options.reportDate || Date.now()).toISOString();
+    let written = 0;
+
+    for (let i = 0; i < sources.length; i++) {
+      const reports = this.extractReports(sources[i], i, options.trustFinality === true);
+      if (!reports.length) continue;
+
+      const latest = await this.databaseService.getLatestSourceReports(reports[0].source);
+      const known = new Map(latest.map(row => [this.reportKey(row), row]));
+
+      for (const report of reports) {
+        const previous = known.get(this.reportKey(report));
+        if (previous && previous.value === report.value && Boolean(previous.is_final) === report.is_final) continue;
+
+        const periodEnd = report.period_end ? new Date(report.period_end) : null;
+        await this.databaseService.createSourceReport({
+          ...report,
+          reported_at: reportedAt,
+          lag_days: periodEnd && !isNaN(periodEnd) ? (new Date(reportedAt) - periodEnd) / 86400000 : null
+        });
+        written++;
+      }
+    }
+
+    const evaluated = written > 0 ? await this.evaluatePending({ now: reportedAt }) : 0;
+    if (written > 0) this.profileCache.clear();
+
+    return { reported_at: reportedAt, written, evaluated };
+  }
+
+  reportKey(report) {
+    return [report.disease, report.geography, report.period, report.field].join('|');
+  }
+
+  /**
+   * Score unscored reports: against the latest final value for the same disease, place,
+   * period and field, or, once the period is consensus_after_days old, against the median
+   * of the other sources' latest values.
+   */
+  async evaluatePending(options = {}) {
+    const now = new Date(options.now || Date.now());
+    const pageSize = options.limit || this.settings.evaluation_page_size;
+    // Older reports fall outside every profile window, so they are not worth scoring
+    const since = new Date(now - this.settings.window_days * 86400000).toISOString();
+
+    // Page through pending reports oldest first, so reports that cannot be scored yet do
+    // not hide the ones after them
+    let evaluated = 0;
+    let afterId = 0;
+    for (;;) {
+      const pending = await this.databaseService.getPendingSourceReports(pageSize, afterId, since);
+      if (!pending.length) break;
+      evaluated += await this.evaluateReports(pending, now);
+      afterId = pending[pending.length - 1].id;
+      if (pending.length < pageSize) break;
+    }
+
+    if (evaluated > 0) this.profileCache.clear();
+    return evaluated;
+  }
+
+  async evaluateReports(pending, now) {
+    const groups = new Map();
+    pending.forEach(row => {
+      const key = this.reportKey(row);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    });
+
+    let evaluated = 0;
+    for (const rows of groups.values()) {
+      const { disease, geography, period, field, period_end: periodEnd } = rows[0];
+      const final = await this.databaseService.getFinalSourceValue(disease, geography, period, field);
+
+      let latestBySource = null;
+      const settled = periodEnd && (now - new Date(periodEnd)) / 86400000 >= this.settings.consensus_after_days;
+      if (!final && settled) {
+        latestBySource = await this.databaseService.getLatestReportsForPeriod(disease, geography, period, field);
+      }
+
+      for (const row of rows) {
+        let reference = null;
+        let referenceType = null;
+
+        if (final) {
+          reference = final.value;
+          referenceType = 'final';
+        } else if (latestBySource) {
+          const others = latestBySource.filter(other => other.source !== row.source).map(other => other.value);
+          if (others.length >= this.settings.consensus_min_sources) {
+            reference = Statistics.median(others);
+            referenceType = 'consensus';
+          }
+        }
+        if (reference === null) continue;
+
+        await this.databaseService.updateSourceReportEvaluation(row.id, {
+          reference_value: reference,
+          reference_type: referenceType,
+          relative_error: (row.value - reference) / Math.max(Math.abs(reference), 1)
+        });
+        evaluated++;
+      }
+    }
+
+    return evaluated;
+  }
+
+  startEvaluationSchedule() {
+    if (this.evaluationTask) return this.evaluationTask;
+
+    this.evaluationTask = cron.schedule(this.settings.evaluation_schedule, async () => {
+      if (!this.databaseService) return;
+      try {
+        const evaluated = await this.evaluatePending();
+        if (evaluated > 0) console.log(`Scored ${evaluated} pending source reports`);
+      } catch (error) {
+        console.error('Source report evaluation failed:', error.message);
+      }
+    }, { name: 'source-report-evaluation' });
+
+    return this.evaluationTask;
+  }
+
+  stopEvaluationSchedule() {
+    if (this.evaluationTask) {
+      this.evaluationTask.stop();
+      this.evaluationTask = null;
+    }
+  }
+
+  /**
+   * Rolling profile for a source, optionally narrowed to a disease and geography. Errors are
+   * weighted by recency; accuracy is 1 / (1 + weighted mean absolute relative error), shrunk
+   * toward the prior when few reports have been scored.
+   */
+  async getProfile(source, filters = {}) {
+    const { disease = null, geography = null } = filters;
+    const cacheKey = [source, disease, geography].join('|');
+    const cached = this.profileCache.get(cacheKey);
+    if (cached && cached.expires > Date.now()) return cached.profile;
+
+    const rows = this.databaseService
+      ? await this.databaseService.getSourceReports({
+        source,
+        disease,
+        geography,
+        since: new Date(Date.now() - this.settings.window_days * 86400000).toISOString()
+      })
+      : [];
+    const profile = this.computeProfile(rows, { source, disease, geography });
+
+    this.profileCache.set(cacheKey, { profile, expires: Date.now() + this.settings.cache_ttl_ms });
+    return profile;
+  }
+
+  computeProfile(rows, scope = {}, now = Date.now()) {
+    const settings = this.settings;
+    const scored = rows.filter(row => row.evaluated_at && typeof row.relative_error === 'number');
+
+    let weightSum = 0;
+    let absolute = 0;
+    let signed = 0;
+    let squared = 0;
+    scored.forEach(row => {
+      const age = Math.max(0, (now - new Date(row.reported_at)) / 86400000);
+      const weight = Math.pow(0.5, age / settings.half_life_days);
+      weightSum += weight;
+      absolute += weight * Math.abs(row.relative_error);
+      signed += weight * row.relative_error;
+      squared += weight * row.relative_error * row.relative_error;
+    });
+
+    const n = scored.length;
+    const meanAbsolute = weightSum > 0 ? absolute / weightSum : null;
+    const accuracy = meanAbsolute !== null ? 1 / (1 + meanAbsolute) : null;
+
+    // Timeliness from the first report of each period
+    const firstLags = new Map();
+    rows.filter(row => typeof row.lag_days === 'number').forEach(row => {
+      const key = this.reportKey(row);
+      const current = firstLags.get(key);
+      if (!current || new Date(row.reported_at) < new Date(current.reported_at)) firstLags.set(key, row);
+    });
+    const lags = Array.from(firstLags.values()).map(row => Math.max(0, row.lag_days));
+    const medianLag = lags.length ? Statistics.median(lags) : null;
+    const timeliness = medianLag !== null ? Math.exp(-medianLag / settings.timeliness_scale_days) : null;
+
+    const shrunkAccuracy = (n * (accuracy ?? 0) + settings.prior_strength * settings.prior_score) / (n + settings.prior_strength);
+    const score = settings.accuracy_weight * shrunkAccuracy + settings.timeliness_weight * (timeliness ?? settings.prior_score);
+
+    return {
+      source: scope.source,
+      disease: scope.disease || null,
+      geography: scope.geography || null,
+      reports: rows.length,
+      evaluations: n,
+      final_references: scored.filter(row => row.reference_type === 'final').length,
+      consensus_references: scored.filter(row => row.reference_type === 'consensus').length,
+      accuracy: accuracy,
+      bias: weightSum > 0 ? signed / weightSum : null,
+      rmse: weightSum > 0 ? Math.sqrt(squared / weightSum) : null,
+      mean_absolute_error: meanAbsolute,
+      median_lag_days: medianLag,
+      timeliness: timeliness,
+      score: score
+    };
+  }
+
+  /**
+   * Most specific profile with enough scored reports: source x disease x geography, then
+   * source x disease, then the source overall.
+   */
+  async resolveProfile(source, disease = null, geography = null) {
+    const levels = [];
+    if (disease && geography) levels.push({ disease, geography, level: 'disease_geography' });
+    if (disease) levels.push({ disease, geography: null, level: 'disease' });
+    levels.push({ disease: null, geography: null, level: 'source' });
+
+    let profile = null;
+    for (const candidate of levels) {
+      profile = await this.getProfile(source, candidate);
+      if (profile.evaluations >= this.settings.min_evaluations) {
+        return { ...profile, level: candidate.level };
+      }
+    }
+    return { ...profile, level: 'source' };
+  }
+
+  /**
+   * Profiles for the sources of a fusion request, keyed by source id, each resolved for the
+   * disease and geography the source reports most.
+   */
+  async getProfilesForSources(sources) {
+    const profiles = {};
+    for (let i = 0; i < sources.length; i++) {
+      const source = sources[i];
+      const records = Array.isArray(source.data) ? source.data : [source];
+      const mostCommon = values => {
+        const counts = new Map();
+        values.filter(Boolean).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+        return Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+      };
+
+      profiles[this.getSourceId(source, i)] = await this.resolveProfile(
+        this.getSourceId(source, i),
+        mostCommon(records.map(record => record.disease ?? source.disease)),
+        mostCommon(records.map(record => record.geo_id ?? source.geo_id ?? record.location ?? source.location))
+      );
+    }
+    return profiles;
+  }
+
+  /**
+   * Reliability history for the API: the resolved profile, profiles per disease and
+   * geography, and the most recent scored reports.
+   */
+  async getReliabilityHistory(source, filters = {}) {
+    const { disease = null, geography = null, limit = 100 } = filters;
+    const rows = this.databaseService
+      ? await this.databaseService.getSourceReports({
+        source,
+        disease,
+        geography,
+        since: new Date(Date.now() - this.settings.window_days * 86400000).toISOString()
+      })
+      : [];
+
+    const groups = new Map();
+    rows.forEach(row => {
+      const key = `${row.disease}|${row.geography}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    });
+
+    return {
+      source: source,
+      profile: await this.resolveProfile(source, disease, geography),
+      breakdown: Array.from(groups.values())
+        .map(group => this.computeProfile(group, { source, disease: group[0].disease, geography: group[0].geography }))
+        .sort((a, b) => b.reports - a.reports),
+      history: rows
+        .filter(row => row.evaluated_at)
+        .slice(0, limit)
+        .map(row => ({
+          disease: row.disease,
+          geography: row.geography,
+          period: row.period,
+          field: row.field,
+          value: row.value,
+          reference_value: row.reference_value,
+          reference_type: row.reference_type,
+          relative_error: row.relative_error,
+          lag_days: row.lag_days,
+          reported_at: row.reported_at
+        })),
+      settings: {
+        window_days: this.settings.window_days,
+        half_life_days: this.settings.half_life_days,
+        consensus_after_days: this.settings.consensus_after_days,
+        min_evaluations: this.settings.min_evaluations
+      }
+    };
+  }
+}
+
+module.exports = SourceReliabilityService;
@@ -1,9 +1,83 @@
+// CDC WONDER STD query catalog. Each dimension maps to a WONDER variable and, where WONDER
+// filters by label, the accepted request values -> WONDER labels. Database, variable and measure
+// codes live in data/cdc_wonder_std_codes.json; until they are confirmed against WONDER's
+// API Options export it is marked unverified and every result says so.
+const WONDER_CODES = require('../data/cdc_wonder_std_codes.json');
+
+const STATES = {
+  al: 'Alabama', ak: 'Alaska', az: 'Arizona', ar: 'Arkansas', ca: 'California', co: 'Colorado',
+  ct: 'Connecticut', de: 'Delaware', dc: 'District of Columbia', fl: 'Florida', ga: 'Georgia',
+  hi: 'Hawaii', id: 'Idaho', il: 'Illinois', in: 'Indiana', ia: 'Iowa', ks: 'Kansas',
+  ky: 'Kentucky', la: 'Louisiana', me: 'Maine', md: 'Maryland', ma: 'Massachusetts',
+  mi: 'Michigan', mn: 'Minnesota', ms: 'Mississippi', mo: 'Missouri', mt: 'Montana',
+  ne: 'Nebraska', nv: 'Nevada', nh: 'New Hampshire', nj: 'New Jersey', nm: 'New Mexico',
+  ny: 'New York', nc: 'North Carolina', nd: 'North Dakota', oh: 'Ohio', ok: 'Oklahoma',
+  or: 'Oregon', pa: 'Pennsylvania', ri: 'Rhode Island', sc: 'South Carolina', sd: 'South Dakota',
+  tn: 'Tennessee', tx: 'Texas', ut: 'Utah', vt: 'Vermont', va: 'Virginia', wa: 'Washington',
+  wv: 'West Virginia', wi: 'Wisconsin', wy: 'Wyoming'
+};
+
+const WONDER_DIMENSIONS = {
+  year: { variable: WONDER_CODES.variables.year, label: 'Year' },
+  state: { variable: WONDER_CODES.variables.state, label: 'State', finder: true, values: STATES },
+  disease: {
+    variable: WONDER_CODES.variables.disease,
+    label: 'Disease',
+    values: {
+      chlamydia: 'Chlamydia',
+      gonorrhea: 'Gonorrhea',
+      syphilis: 'Primary and secondary syphilis',
+      early_latent_syphilis: 'Early latent syphilis',
+      congenital_syphilis: 'Congenital syphilis'
+    }
+  },
+  age_group: {
+    variable: WONDER_CODES.variables.age_group,
+    label: 'Age Group',
+    values: {
+      '0-14': '0-14 years', '15-19': '15-19 years', '20-24': '20-24 years', '25-29': '25-29 years',
+      '30-34': '30-34 years', '35-39': '35-39 years', '40-44': '40-44 years', '45-54': '45-54 years',
+      '55-64': '55-64 years', '65+': '65+ years', unknown: 'Unknown'
+    }
+  },
+  race_ethnicity: {
+    variable: WONDER_CODES.variables.race_ethnicity,
+    label: 'Race/Ethnicity',
+    values: {
+      american_indian_alaska_native: 'American Indian/Alaska Native',
+      asian: 'Asian',
+      black: 'Black/African American',
+      hispanic: 'Hispanic/Latino',
+      native_hawaiian_pacific_islander: 'Native Hawaiian/Other Pacific Islander',
+      white: 'White',
+      multirace: 'Multirace',
+      unknown: 'Unknown'
+    }
+  },
+  sex: { variable: WONDER_CODES.variables.sex, label: 'Sex', values: { male: 'Male', female: 'Female', unknown: 'Unknown' } }
+};
+
+// WONDER returns measure columns in code order, whatever order they were requested in
+const WONDER_MEASURES = {
+  cases: { code: WONDER_CODES.measures.cases, unit: 'cases' },
+  rate: { code: WONDER_CODES.measures.rate, unit: 'per 100,000' },
+  population: { code: WONDER_CODES.measures.population, unit: 'persons' }
+};
+
+const MAX_GROUP_BY = 5;
+
+// Cell texts WONDER uses in place of a number
+const VALUE_FLAGS = [
+  [/^suppressed$/i, 'suppressed'],
+  [/^not applicable$/i, 'not_applicable'],
+  [/^(missing|not available|unavailable)$/i, 'missing']
+];
+
 class STDService {
   constructor() {
     this.baseURL = 'https://wonder.cdc.gov/controller/datarequest';
-    // Note: Database code needs to be discovered from CDC WONDER interface
-    // Common codes: D76 (mortality), D121 (potential STD), D118 (archive)
-    this.stdDatabaseId = 'D121'; // Tentative STD database ID - needs verification
+    // Common codes: D76 (mortality), D118 (archive); the STD code is in data/cdc_wonder_std_codes.json
+    this.stdDatabaseId = WONDER_CODES.database;
     this.fetch = null;
     this.initFetch();
 
@@ -17,20 +91,18 @@ class STDService {
     this.minRequestInterval = 2 * 60 * 1000; // 2 minutes in milliseconds
 
     // Parameter discovery status
-    this.parametersDiscovered = false;
-    this.discoveryNote = "Parameters need verification via CDC WONDER web interface";
+    this.parametersDiscovered = WONDER_CODES.verified === true;
+    this.discoveryNote = this.parametersDiscovered ? null : WONDER_CODES.note;
   }
 
   async initFetch() {
     if (!this.fetch) {
-      const { default: fetch } = await import('node-fetch');
+      const { fetch } = require('../utils/httpClient');
       this.fetch = fetch;
     }
   }
 
   async querySTDData(options = {}) {
-    await this.initFetch();
-
     const {
       disease = 'all', // chlamydia, gonorrhea, syphilis, or all
       year = '2014', // CDC WONDER STD data only available through 2014
@@ -47,6 +119,46 @@ class STDService {
       throw new Error(`STD data only available from ${this.minAvailableYear} onwards.`);
     }
 
+    try {
+      const query = this.legacyQuery({ disease, year, state, ageGroup });
+      const result = await this.queryWonder(query);
+      const data = this.widenRows(result.data, query.group_by);
+
+      return {
+        ...result,
+        data,
+        totalRecords: data.length,
+        requestedYear: requestYear
+      };
+    } catch (error) {
+      console.error('Error querying STD data:', error);
+      if (error.message.includes('Rate limited') || error.code === 'INVALID_WONDER_QUERY') {
+        throw error; // Re-throw rate limiting and validation errors as-is
+      }
+      throw new Error(`Failed to fetch STD surveillance data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Query CDC WONDER and return a tidy long-format table: one row per group-by combination and
+   * measure, { ...dimensions, measure, value, unit, flag, is_total }. spec:
+   *   group_by: up to 5 of year, state, disease, age_group, race_ethnicity, sex (default year, state)
+   *   measures: cases, rate, population (default cases, rate)
+   *   filters:  dimension -> value or list of values ('all' or omitted for no filter)
+   *   include_totals: also return WONDER's total rows
+   * Lists may be arrays or comma-separated strings.
+   */
+  async queryWonder(spec = {}) {
+    await this.initFetch();
+
+    const { query, errors } = this.normalizeWonderQuery(spec);
+    if (errors.length) {
+      const error = new Error(`Invalid CDC WONDER query: ${errors.join('; ')}`);
+      error.code = 'INVALID_WONDER_QUERY';
+      error.details = errors;
+      throw error;
+    }
+
     // Rate limiting check
     const currentTime = Date.now();
     const timeSinceLastRequest = currentTime - this.lastRequestTime;
@@ -55,192 +167,335 @@ class STDService {
       throw new Error(`Rate limited: Please wait ${waitTime} seconds before making another CDC WONDER request.`);
     }
 
-    const xmlRequest = this.buildXMLRequest({
-      disease,
-      year,
-      state,
-      ageGroup
+    // Update last request time for rate limiting
+    this.lastRequestTime = currentTime;
+
+    const response = await this.fetch(`${this.baseURL}/${this.stdDatabaseId}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'User-Agent': 'Disease Tracking Application (respectful API usage)'
+      },
+      body: `request_xml=${encodeURIComponent(this.buildWonderRequest(query))}&accept_datause_restrictions=true`,
+      timeout: 30000 // 30 second timeout
     });
 
-    try {
-      // Update last request time for rate limiting
-      this.lastRequestTime = currentTime;
-
-      const response = await this.fetch(`${this.baseURL}/${this.stdDatabaseId}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-          'User-Agent': 'Disease Tracking Application (respectful API usage)'
-        },
-        body: `request-xml=${encodeURIComponent(xmlRequest)}&agree=yes`,
-        timeout: 30000 // 30 second timeout
-      });
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('CDC WONDER API Error Response:', errorText);
+      throw new Error(`CDC WONDER API error: ${response.status} - ${response.statusText}`);
+    }
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('CDC WONDER API Error Response:', errorText);
-        throw new Error(`CDC WONDER API error: ${response.status} - ${response.statusText}`);
-      }
+    const result = this.parseWonderResponse(await response.text(), query);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
 
-      const xmlData = await response.text();
-      const result = this.parseXMLResponse(xmlData);
+    return {
+      ...result,
+      source: 'CDC WONDER API',
+      database: this.stdDatabaseId,
+      query,
+      codesVerified: this.parametersDiscovered,
+      ...(this.parametersDiscovered ? {} : { warning: `CDC WONDER codes are unverified: ${this.discoveryNote}` }),
+      dataLimitations: `Data available ${this.minAvailableYear}-${this.maxAvailableYear} only`
+    };
+  }
 
-      // Add metadata to result
-      result.source = 'CDC WONDER API';
-      result.requestedYear = requestYear;
-      result.dataLimitations = 'Data available 1996-2014 only';
+  // Validated query with filter values resolved to WONDER labels; errors lists what was rejected
+  normalizeWonderQuery(spec = {}) {
+    const errors = [];
+    const list = value => {
+      if (value === undefined || value === null || value === '') return [];
+      return (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+    };
 
-      return result;
-    } catch (error) {
-      console.error('Error querying STD data:', error);
-      if (error.message.includes('Rate limited')) {
-        throw error; // Re-throw rate limiting errors as-is
+    const groupBy = spec.group_by ? Array.from(new Set(list(spec.group_by))) : ['year', 'state'];
+    groupBy.filter(name => !WONDER_DIMENSIONS[name]).forEach(name => {
+      errors.push(`unknown group_by dimension "${name}" (use ${Object.keys(WONDER_DIMENSIONS).join(', ')})`);
+    });
+    if (groupBy.length > MAX_GROUP_BY) {
+      errors.push(`group_by accepts at most ${MAX_GROUP_BY} dimensions`);
+    }
+
+    const measures = spec.measures ? Array.from(new Set(list(spec.measures))) : ['cases', 'rate'];
+    measures.filter(name => !WONDER_MEASURES[name]).forEach(name => {
+      errors.push(`unknown measure "${name}" (use ${Object.keys(WONDER_MEASURES).join(', ')})`);
+    });
+    if (!measures.length) {
+      errors.push('at least one measure is required');
+    }
+
+    const filters = {};
+    Object.entries(spec.filters || {}).forEach(([name, value]) => {
+      const dimension = WONDER_DIMENSIONS[name];
+      const values = list(value);
+      if (!values.length || values.some(item => item.toLowerCase() === 'all')) return;
+      if (!dimension) {
+        errors.push(`unknown filter "${name}"`);
+        return;
       }
-      throw new Error(`Failed to fetch STD surveillance data: ${error.message}`);
+
+      filters[name] = values.map(item => {
+        if (name === 'year') {
+          const year = parseInt(item, 10);
+          if (String(year) !== item || year < this.minAvailableYear || year > this.maxAvailableYear) {
+            errors.push(`year ${item} is outside ${this.minAvailableYear}-${this.maxAvailableYear}`);
+          }
+          return item;
+        }
+
+        const labels = Object.values(dimension.values);
+        const label = dimension.values[item.toLowerCase()] || labels.find(candidate => candidate.toLowerCase() === item.toLowerCase());
+        if (!label) {
+          errors.push(`unknown ${name} "${item}" (use ${Object.keys(dimension.values).join(', ')})`);
+        }
+        return label;
+      });
+    });
+
+    return {
+      query: {
+        group_by: groupBy,
+        measures: measures.sort((a, b) => this.measureOrder(a) - this.measureOrder(b)),
+        filters,
+        include_totals: Boolean(spec.include_totals)
+      },
+      errors
+    };
+  }
+
+  measureOrder(measure) {
+    return WONDER_MEASURES[measure] ? parseInt(WONDER_MEASURES[measure].code.slice(1), 10) : Infinity;
+  }
+
+  // The fixed disease/year/state table querySTDData has always returned
+  legacyQuery({ disease = 'all', year = '2014', state = 'all', ageGroup = 'all' }) {
+    return {
+      group_by: ['disease', 'year', 'state'],
+      measures: ['cases', 'rate'],
+      filters: { disease, year, state, age_group: ageGroup }
+    };
+  }
+
+  // Request parameters for a normalized query: group-by (B_), measures (M_), filters (F_/V_), options (O_)
+  buildWonderRequest(query) {
+    const db = this.stdDatabaseId;
+    const parameters = [['accept_datause_restrictions', 'true']];
+
+    for (let i = 0; i < MAX_GROUP_BY; i++) {
+      const dimension = WONDER_DIMENSIONS[query.group_by[i]];
+      parameters.push([`B_${i + 1}`, dimension ? `${db}.${dimension.variable}${dimension.finder ? '-level1' : ''}` : '*None*']);
     }
+
+    query.measures.forEach(measure => {
+      const { code } = WONDER_MEASURES[measure];
+      parameters.push([`M_${code.slice(1)}`, `${db}.${code}`]);
+    });
+
+    // Hierarchical (finder) variables are filtered with F_, list variables with V_
+    Object.entries(WONDER_DIMENSIONS).forEach(([name, dimension]) => {
+      const prefix = dimension.finder ? 'F' : 'V';
+      parameters.push([`${prefix}_${db}.${dimension.variable}`, query.filters[name] || ['*All*']]);
+    });
+
+    parameters.push(
+      ['O_show_totals', query.include_totals ? 'true' : 'false'],
+      ['O_show_zeros', 'true'],
+      ['O_show_suppressed', 'true'],
+      ['O_precision', '1'],
+      ['O_rate_per', '100000'],
+      ['O_timeout', '300'],
+      ['O_javascript', 'Y'],
+      ['stage', 'request'],
+      ['action-Send', 'Send']
+    );
+
+    const body = parameters.map(([name, value]) => [
+      '  <parameter>',
+      `    <name>${name}</name>`,
+      ...[].concat(value).map(item => `    <value>${this.escapeXML(item)}</value>`),
+      '  </parameter>'
+    ].join('\n')).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<request-parameters>\n${body}\n</request-parameters>`;
   }
 
   buildXMLRequest({ disease, year, state, ageGroup }) {
-    // Improved XML structure based on CDC WONDER API research
-    const dbCode = this.stdDatabaseId; // e.g., 'D121'
-
-    return `<?xml version="1.0" encoding="UTF-8"?>
-<request-parameters>
-  <parameter>
-    <name>accept_datause_restrictions</name>
-    <value>true</value>
-  </parameter>
-  <parameter>
-    <name>B_1</name>
-    <value>${dbCode}.V1-level1</value>
-  </parameter>
-  <parameter>
-    <name>B_2</name>
-    <value>${dbCode}.V2-level1</value>
-  </parameter>
-  <parameter>
-    <name>M_1</name>
-    <value>${dbCode}.M1</value>
-  </parameter>
-  <parameter>
-    <name>M_2</name>
-    <value>${dbCode}.M2</value>
-  </parameter>
-  <parameter>
-    <name>F_${dbCode}.V1</name>
-    <value>*All*</value>
-  </parameter>
-  <parameter>
-    <name>F_${dbCode}.V2</name>
-    <value>*All*</value>
-  </parameter>
-  <parameter>
-    <name>V_${dbCode}.V1</name>
-    <value>${year}</value>
-  </parameter>
-  <parameter>
-    <name>V_${dbCode}.V2</name>
-    <value>${this.getStateCode(state)}</value>
-  </parameter>
-  <parameter>
-    <name>V_${dbCode}.V3</name>
-    <value>${this.getDiseaseCode(disease)}</value>
-  </parameter>
-  <parameter>
-    <name>O_javascript</name>
-    <value>Y</value>
-  </parameter>
-  <parameter>
-    <name>action-Send</name>
-    <value>Send</value>
-  </parameter>
-</request-parameters>`;
+    const { query, errors } = this.normalizeWonderQuery(this.legacyQuery({ disease, year, state, ageGroup }));
+    if (errors.length) {
+      throw new Error(`Invalid CDC WONDER query: ${errors.join('; ')}`);
+    }
+    return this.buildWonderRequest(query);
   }
 
   getDiseaseCode(disease) {
-    const codes = {
-      'chlamydia': 'Chlamydia',
-      'gonorrhea': 'Gonorrhea',
-      'syphilis': 'Primary and secondary syphilis',
-      'all': '*All*'
-    };
-    return codes[disease.toLowerCase()] || codes['all'];
+    return WONDER_DIMENSIONS.disease.values[disease.toLowerCase()] || '*All*';
   }
 
   getStateCode(state) {
     if (state === 'all') return '*All*';
-    const stateCodes = {
-      'ny': 'New York',
-      'ca': 'California',
-      'tx': 'Texas',
-      'fl': 'Florida',
-      'al': 'Alabama',
-      'ak': 'Alaska',
-      'az': 'Arizona',
-      'ar': 'Arkansas'
-    };
-    return stateCodes[state.toLowerCase()] || '*All*';
+    return STATES[state.toLowerCase()] || '*All*';
   }
 
   getAgeGroupCode(ageGroup) {
-    const codes = {
-      '15-19': '15-19 years',
-      '20-24': '20-24 years',
-      '25-29': '25-29 years',
-      '30-34': '30-34 years',
-      'all': '*All*'
-    };
-    return codes[ageGroup] || codes['all'];
+    return WONDER_DIMENSIONS.age_group.values[ageGroup] || '*All*';
   }
 
-  parseXMLResponse(xmlData) {
-    try {
-      const dataRows = [];
-      const lines = xmlData.split('\n');
-      let inDataSection = false;
-
-      for (const line of lines) {
-        if (line.includes('<data-table>')) {
-          inDataSection = true;
-          continue;
-        }
-
-        if (line.includes('</data-table>')) {
-          break;
-        }
-
-        if (inDataSection && line.includes('<r>')) {
-          const rowMatch = line.match(/<r>([^<]+)<\/r>/);
-          if (rowMatch) {
-            const values = rowMatch[1].split('\t');
-            if (values.length >= 4) {
-              dataRows.push({
-                disease: values[0] || 'Unknown',
-                year: values[1] || 'Unknown',
-                state: values[2] || 'Unknown',
-                cases: parseInt(values[3]) || 0,
-                rate: parseFloat(values[4]) || 0
-              });
-            }
-          }
-        }
-      }
+  // Dimensions, accepted filter values and measures, for clients building queries
+  getWonderCatalog() {
+    return {
+      database: this.stdDatabaseId,
+      codesVerified: this.parametersDiscovered,
+      years: { from: this.minAvailableYear, to: this.maxAvailableYear },
+      maxGroupBy: MAX_GROUP_BY,
+      dimensions: Object.fromEntries(Object.entries(WONDER_DIMENSIONS).map(([name, dimension]) => [name, {
+        label: dimension.label,
+        values: dimension.values ? Object.keys(dimension.values) : null
+      }])),
+      measures: Object.fromEntries(Object.entries(WONDER_MEASURES).map(([name, measure]) => [name, { unit: measure.unit }])),
+      flags: ['suppressed', 'unreliable', 'not_applicable', 'missing']
+    };
+  }
 
-      return {
-        success: true,
-        data: dataRows,
-        totalRecords: dataRows.length,
-        timestamp: new Date().toISOString()
-      };
-    } catch (error) {
-      console.error('Error parsing XML response:', error);
+  /**
+   * WONDER data tables: each <r> row holds label cells (l) for the group-by dimensions and
+   * value cells (v, or dt on total rows) for the measures. A label with r="n" spans n rows and
+   * is omitted from the rows after the first, so spans are carried forward per dimension.
+   */
+  parseWonderResponse(xmlData, query) {
+    const table = xmlData.match(/<data-table[^>]*>([\s\S]*?)<\/data-table>/);
+    if (!table) {
+      const message = xmlData.match(/<message[^>]*>([\s\S]*?)<\/message>/);
       return {
         success: false,
-        error: 'Failed to parse CDC WONDER response',
+        error: message ? `CDC WONDER: ${this.unescapeXML(message[1].trim())}` : 'CDC WONDER response has no data table',
         data: [],
         totalRecords: 0
       };
     }
+
+    const rows = [];
+    const spans = [];
+    const flagCounts = {};
+
+    for (const [, rowXML] of table[1].matchAll(/<r>([\s\S]*?)<\/r>/g)) {
+      const cells = Array.from(rowXML.matchAll(/<c\s([^>]*?)\/?>/g), ([, attributes]) =>
+        Object.fromEntries(Array.from(attributes.matchAll(/([\w-]+)="([^"]*)"/g), ([, name, value]) => [name, this.unescapeXML(value)])));
+
+      const labels = [];
+      while (labels.length < query.group_by.length && spans[labels.length] && spans[labels.length].remaining > 0) {
+        spans[labels.length].remaining--;
+        labels.push(spans[labels.length].label);
+      }
+
+      const values = [];
+      let isTotal = false;
+      cells.forEach(cell => {
+        if (cell.l !== undefined) {
+          spans[labels.length] = cell.r ? { label: cell.l, remaining: parseInt(cell.r, 10) - 1 } : null;
+          labels.push(cell.l);
+        } else if (cell.dt !== undefined) {
+          isTotal = true;
+          values.push(cell.dt);
+        } else if (cell.v !== undefined) {
+          values.push(cell.v);
+        }
+      });
+
+      // Total rows leave the dimensions they total over unlabelled or labelled "Total"
+      isTotal = isTotal || labels.length < query.group_by.length || labels.some(label => /^total$/i.test(label));
+      if (isTotal && !query.include_totals) continue;
+
+      const dimensions = Object.fromEntries(query.group_by.map((name, i) => {
+        const label = labels[i];
+        return [name, label === undefined || /^total$/i.test(label) ? null : label];
+      }));
+
+      query.measures.forEach((measure, i) => {
+        const { value, flag } = this.parseWonderValue(values[i]);
+        if (flag) flagCounts[flag] = (flagCounts[flag] || 0) + 1;
+        rows.push({
+          ...dimensions,
+          measure,
+          value,
+          unit: WONDER_MEASURES[measure].unit,
+          flag,
+          is_total: isTotal
+        });
+      });
+    }
+
+    return {
+      success: true,
+      data: rows,
+      columns: [...query.group_by, 'measure', 'value', 'unit', 'flag', 'is_total'],
+      totalRecords: rows.length,
+      flags: flagCounts,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Cell text -> { value, flag }; unreliable values keep their number, other flags have none
+  parseWonderValue(text) {
+    if (text === undefined || text === null) return { value: null, flag: 'missing' };
+    const trimmed = String(text).trim();
+
+    for (const [pattern, flag] of VALUE_FLAGS) {
+      if (pattern.test(trimmed)) return { value: null, flag };
+    }
+
+    const unreliable = /unreliable/i.test(trimmed);
+    const number = parseFloat(trimmed.replace(/\(?unreliable\)?/i, '').replace(/,/g, ''));
+    if (isNaN(number)) {
+      return { value: null, flag: unreliable ? 'unreliable' : 'missing' };
+    }
+    return { value: number, flag: unreliable ? 'unreliable' : null };
+  }
+
+  // Long rows -> one row per dimension combination with a column per measure (and its flag)
+  widenRows(rows, groupBy) {
+    const wide = new Map();
+    rows.forEach(row => {
+      const key = JSON.stringify(groupBy.map(name => row[name]));
+      if (!wide.has(key)) {
+        wide.set(key, Object.fromEntries(groupBy.map(name => [name, row[name]])));
+      }
+      const entry = wide.get(key);
+      entry[row.measure] = row.value;
+      if (row.flag) entry[`${row.measure}_flag`] = row.flag;
+    });
+    return Array.from(wide.values());
+  }
+
+  // Legacy wide-format parse for the disease/year/state table
+  parseXMLResponse(xmlData) {
+    const query = this.normalizeWonderQuery(this.legacyQuery({})).query;
+    const result = this.parseWonderResponse(xmlData, query);
+    if (!result.success) {
+      return { ...result, error: 'Failed to parse CDC WONDER response' };
+    }
+    const data = this.widenRows(result.data, query.group_by);
+    return { success: true, data, totalRecords: data.length, timestamp: result.timestamp };
+  }
+
+  escapeXML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  unescapeXML(value) {
+    return String(value)
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
   }
 
   async getSTDSummary(year = '2014') {
@@ -292,8 +547,10 @@ class STDService {
   // Method to help with parameter discovery
   getParameterDiscoveryInstructions() {
     return {
-      status: 'parameters_need_discovery',
+      status: this.parametersDiscovered ? 'parameters_verified' : 'parameters_need_discovery',
       currentDatabaseId: this.stdDatabaseId,
+      codesFile: 'data/cdc_wonder_std_codes.json',
+      queryCatalog: this.getWonderCatalog(),
       potentialCodes: ['D118', 'D119', 'D120', 'D121', 'D122', 'D123', 'D124', 'D125'],
       nndssEventCodes: ['10118', '10119', '10120', '10121', '10122'],
       discoverySteps: [
@@ -302,7 +559,7 @@ class STDService {
         'Submit the query and wait for results',
         'Click the "API Options" tab in the results',
         'Export the XML to see the correct parameter structure',
-        'Update STDService with discovered database code and parameters'
+        'Update data/cdc_wonder_std_codes.json with the discovered codes and set verified to true'
       ],
       whatToLookFor: [
         'Database code (e.g., D121, D118, etc.)',
@@ -0,0 +1,506 @@
+/**
+ * Surveillance Ingestion Service
+ * Pulls each surveillance feed on its own cron schedule and writes normalized observations
+ * (source, disease, geography, period, measure, value, unit, retrieved_at) to the
+ * surveillance_observations store. Every job keeps a watermark, the start of the latest period
+ * it has ingested. The feeds publish whole tables, so a run only re-examines periods inside
+ * the source's revision window behind the watermark. A changed value is written as a new
+ * revision, so the store keeps every published version and can answer "as of" a date.
+ * The STD and enhanced CDC endpoints serve from the store and fall back to live pulls.
+ */
+
+const cron = require('node-cron');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const NNDSS_DISEASES = ['syphilis', 'gonorrhea', 'chlamydia'];
+
+const SOURCES = {
+  cdc_nndss: {
+    name: 'CDC NNDSS weekly tables',
+    upstream: 'CDC data.gov API',
+    schedule: '15 */6 * * *',
+    maxAgeHours: 6,
+    revisionWindowDays: 8 * 7 // provisional MMWR weeks are revised for about two months
+  },
+  cdc_open_data: {
+    name: 'CDC Open Data API',
+    upstream: 'CDC Open Data API',
+    schedule: '30 4 * * *',
+    maxAgeHours: 24,
+    revisionWindowDays: 366 // annual tables are revised until the next year's release
+  },
+  cdc_tracking: {
+    name: 'CDC Environmental Health Tracking',
+    upstream: 'CDC Environmental Health Tracking',
+    schedule: '0 5 * * 1',
+    maxAgeHours: 24 * 7,
+    revisionWindowDays: 366
+  }
+};
+
+class SurveillanceIngestionService {
+  constructor(databaseService, services = {}) {
+    this.databaseService = databaseService;
+    this.cdcDataService = services.cdcDataService || null;
+    this.enhancedCDCService = services.enhancedCDCService || null;
+
+    this.sources = SOURCES;
+    this.enabled = process.env.INGESTION_ENABLED !== 'false';
+    this.startupDelayMs = 30 * 1000;
+    this.started = false;
+    this.tasks = [];
+    this.startupTimer = null;
+    this.running = new Set();
+    this.queue = Promise.resolve(); // jobs run one at a time to stay inside source rate limits
+  }
+
+  jobDefinitions() {
+    const jobs = [];
+    const add = (source, diseases) => diseases.forEach(disease => jobs.push({
+      id: `${source}:${disease}`,
+      source,
+      disease,
+      schedule: this.sources[source].schedule
+    }));
+
+    if (this.cdcDataService) {
+      add('cdc_nndss', NNDSS_DISEASES.filter(disease => this.cdcDataService.endpoints[disease]));
+    }
+    if (this.enhancedCDCService) {
+      add('cdc_open_data', Object.keys(this.enhancedCDCService.datasetMappings));
+      add('cdc_tracking', Object.keys(this.enhancedCDCService.trackingMeasures));
+    }
+    return jobs;
+  }
+
+  async registerJobs() {
+    const jobs = this.jobDefinitions();
+    for (const job of jobs) {
+      await this.databaseService.upsertIngestionJob(job);
+    }
+    return jobs;
+  }
+
+  /**
+   * Register the jobs, schedule one cron task per source and catch up on jobs that never ran
+   * or are older than their source's cadence (e.g. after downtime).
+   */
+  async start() {
+    if (!this.enabled) {
+      console.log('⏸️ Surveillance ingestion disabled (INGESTION_ENABLED=false)');
+      return;
+    }
+    if (!this.databaseService) {
+      console.warn('Surveillance ingestion requires a database service; not started');
+      return;
+    }
+
+    const jobs = await this.registerJobs();
+    Object.entries(this.sources).forEach(([source, config]) => {
+      if (!jobs.some(job => job.source === source)) return;
+      this.tasks.push(cron.schedule(config.schedule, () => this.runSource(source), {
+        name: `surveillance-ingestion-${source}`,
+        timezone: 'America/New_York'
+      }));
+    });
+
+    this.startupTimer = setTimeout(() => {
+      this.runStale().catch(error => console.error('Surveillance ingestion catch-up failed:', error));
+    }, this.startupDelayMs);
+    this.startupTimer.unref?.();
+
+    this.started = true;
+    console.log(`✅ Surveillance ingestion scheduled: ${jobs.length} jobs across ${this.tasks.length} sources`);
+  }
+
+  stop() {
+    this.tasks.forEach(task => task.stop());
+    this.tasks = [];
+    clearTimeout(this.startupTimer);
+    this.started = false;
+    console.log('🛑 Surveillance ingestion stopped');
+  }
+
+  enqueue(jobId) {
+    const run = this.queue.then(() => this.runJob(jobId));
+    this.queue = run.catch(() => null);
+    return run;
+  }
+
+  async runSource(source) {
+    const jobs = (await this.databaseService.getIngestionJobs())
+      .filter(job => job.source === source && job.enabled);
+    return Promise.all(jobs.map(job => this.enqueue(job.id)));
+  }
+
+  async runStale(now = Date.now()) {
+    const stale = (await this.databaseService.getIngestionJobs()).filter(job => {
+      const config = this.sources[job.source];
+      if (!job.enabled || !config) return false;
+      return !job.last_success_at ||
+        now - new Date(job.last_success_at).getTime() > config.maxAgeHours * 60 * 60 * 1000;
+    });
+    return Promise.all(stale.map(job => this.enqueue(job.id)));
+  }
+
+  /**
+   * One incremental pull: new points are inserted, changed points get a new revision and
+   * unchanged points are left alone. The watermark only moves forward.
+   */
+  async runJob(jobId) {
+    const job = await this.databaseService.getIngestionJob(jobId);
+    if (!job) {
+      throw new Error(`Unknown ingestion job: ${jobId}`);
+    }
+    if (this.running.has(jobId)) {
+      return { job_id: jobId, status: 'skipped', reason: 'already running' };
+    }
+
+    this.running.add(jobId);
+    const config = this.sources[job.source];
+    const retrievedAt = new Date().toISOString();
+    const counts = { fetched: 0, inserted: 0, revised: 0, unchanged: 0 };
+    const run = await this.databaseService.createIngestionRun(jobId, job.watermark);
+
+    try {
+      const observations = await this.pull(job.source, job.disease);
+      counts.fetched = observations.length;
+
+      const since = this.windowStart(job.watermark, config.revisionWindowDays);
+      const current = await this.databaseService.getSurveillanceObservations({
+        source: job.source,
+        disease: job.disease,
+        period_from: since
+      });
+      const known = new Map(current.map(row => [this.pointKey(row), row.value]));
+
+      for (const observation of observations) {
+        if (since && observation.period_start < since) continue;
+
+        const previous = known.get(this.pointKey(observation));
+        if (previous === observation.value) {
+          counts.unchanged++;
+          continue;
+        }
+
+        await this.databaseService.createSurveillanceObservation({
+          ...observation,
+          source: job.source,
+          disease: job.disease,
+          retrieved_at: retrievedAt,
+          ingestion_run_id: run.id
+        });
+        if (previous === undefined) counts.inserted++;
+        else counts.revised++;
+      }
+
+      const watermark = observations.reduce(
+        (latest, observation) => (observation.period_start > latest ? observation.period_start : latest),
+        job.watermark || ''
+      ) || null;
+
+      await this.databaseService.finishIngestionRun(run.id, { status: 'success', watermark_after: watermark, ...counts });
+      await this.databaseService.updateIngestionJob(jobId, {
+        watermark,
+        last_run_at: retrievedAt,
+        last_success_at: retrievedAt,
+        last_status: 'success',
+        last_error: null
+      });
+
+      return { job_id: jobId, run_id: run.id, status: 'success', watermark_before: job.watermark, watermark_after: watermark, ...counts };
+    } catch (error) {
+      console.error(`Surveillance ingestion ${jobId} failed:`, error.message);
+      await this.databaseService.finishIngestionRun(run.id, { status: 'failed', watermark_after: job.watermark, ...counts, error: error.message });
+      await this.databaseService.updateIngestionJob(jobId, {
+        last_run_at: retrievedAt,
+        last_status: 'failed',
+        last_error: error.message
+      });
+      return { job_id: jobId, run_id: run.id, status: 'failed', error: error.message, ...counts };
+    } finally {
+      this.running.delete(jobId);
+    }
+  }
+
+  windowStart(watermark, revisionWindowDays) {
+    if (!watermark) return undefined;
+    return new Date(new Date(`${watermark}T00:00:00Z`).getTime() - revisionWindowDays * DAY_MS)
+      .toISOString()
+      .slice(0, 10);
+  }
+
+  pointKey(observation) {
+    return `${observation.geography}|${observation.period}|${observation.measure}`;
+  }
+
+  // Source pull -> normalized observations, one per geography, period and measure
+  async pull(source, disease) {
+    switch (source) {
+      case 'cdc_nndss': {
+        const rows = await this.cdcDataService.fetchDiseaseData(disease, 'all', 'all');
+        if (!rows) throw new Error(`CDC NNDSS returned no ${disease} table`);
+        return this.fromNNDSS(rows);
+      }
+      case 'cdc_open_data': {
+        const result = await this.enhancedCDCService.getOpenDataResults(disease);
+        if (!result) throw new Error(`CDC Open Data request for ${disease} failed`);
+        return this.fromOpenData(result.dataPoints);
+      }
+      case 'cdc_tracking': {
+        const result = await this.enhancedCDCService.getTrackingData(disease);
+        if (!result) throw new Error(`CDC Tracking request for ${disease} failed`);
+        return this.fromTracking(result.dataPoints);
+      }
+      default:
+        throw new Error(`Unknown ingestion source: ${source}`);
+    }
+  }
+
+  fromNNDSS(rows) {
+    const observations = new Map();
+    rows.forEach(row => {
+      const period = this.mmwrWeekPeriod(parseInt(row.year), parseInt(row.week));
+      if (!period || !row.area) return;
+
+      [['cases', row.cases], ['cases_ytd', row.cumulativeCases]].forEach(([measure, value]) => {
+        if (value === null || value === undefined) return;
+        const observation = { geography: row.area, ...period, measure, value, unit: 'count' };
+        observations.set(this.pointKey(observation), observation);
+      });
+    });
+    return Array.from(observations.values());
+  }
+
+  // Open Data rows can split a state-year (e.g. by demographic), so counts are summed. The
+  // parser reports a missing rate as 0, and a split state-year has no single rate.
+  fromOpenData(dataPoints = []) {
+    const groups = new Map();
+    dataPoints.forEach(point => {
+      const period = this.annualPeriod(parseInt(point.year));
+      if (!period) return;
+
+      const key = `${point.state}|${period.period}`;
+      if (!groups.has(key)) {
+        groups.set(key, { geography: point.state || 'Unknown', period, cases: 0, deaths: 0, rates: [] });
+      }
+      const group = groups.get(key);
+      group.cases += point.cases || 0;
+      group.deaths += point.deaths || 0;
+      group.rates.push(point.rate || 0);
+    });
+
+    const observations = [];
+    groups.forEach(group => {
+      observations.push({ geography: group.geography, ...group.period, measure: 'cases', value: group.cases, unit: 'count' });
+      observations.push({ geography: group.geography, ...group.period, measure: 'deaths', value: group.deaths, unit: 'count' });
+      if (group.rates.length === 1 && group.rates[0] > 0) {
+        observations.push({ geography: group.geography, ...group.period, measure: 'rate', value: group.rates[0], unit: 'per_100000' });
+      }
+    });
+    return observations;
+  }
+
+  fromTracking(dataPoints = []) {
+    const observations = new Map();
+    dataPoints.forEach(point => {
+      const period = this.annualPeriod(parseInt(point.year));
+      if (!period || !point.state || typeof point.value !== 'number') return;
+
+      const observation = { geography: point.state, ...period, measure: point.measure || 'value', value: point.value, unit: 'value' };
+      observations.set(this.pointKey(observation), observation);
+    });
+    return Array.from(observations.values());
+  }
+
+  // MMWR week 1 is the Sunday-to-Saturday week containing January 4
+  mmwrWeekPeriod(year, week) {
+    if (!Number.isInteger(year) || !Number.isInteger(week) || week < 1 || week > 53) return null;
+
+    const jan4 = new Date(Date.UTC(year, 0, 4));
+    const start = new Date(jan4.getTime() + ((week - 1) * 7 - jan4.getUTCDay()) * DAY_MS);
+    return {
+      period: `${year}-W${String(week).padStart(2, '0')}`,
+      period_start: start.toISOString().slice(0, 10),
+      period_end: new Date(start.getTime() + 6 * DAY_MS).toISOString().slice(0, 10)
+    };
+  }
+
+  annualPeriod(year) {
+    if (!Number.isInteger(year) || year < 1900 || year > 2100) return null;
+    return { period: String(year), period_start: `${year}-01-01`, period_end: `${year}-12-31` };
+  }
+
+  /**
+   * as_of as the ISO instant compared with stored retrieved_at values. A bare date means the
+   * end of that day (UTC), so as_of=2024-03-01 includes revisions retrieved on March 1.
+   */
+  resolveAsOf(asOf) {
+    if (asOf === undefined || asOf === null || asOf === '') return null;
+    const value = String(asOf);
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value);
+    if (isNaN(date.getTime())) {
+      const error = new Error(`as_of must be an ISO date or date-time, got ${value}`);
+      error.code = 'INVALID_AS_OF';
+      throw error;
+    }
+    return date.toISOString();
+  }
+
+  latestRetrieval(rows) {
+    return rows.reduce((latest, row) => (row.retrieved_at > latest ? row.retrieved_at : latest), '');
+  }
+
+  storeMetadata(rows, asOf, notStored = []) {
+    return {
+      served_from: 'surveillance_observations',
+      as_of: asOf || null,
+      retrieved_at: this.latestRetrieval(rows),
+      history: '/api/surveillance/observations/history',
+      ...(notStored.length && { not_stored: notStored })
+    };
+  }
+
+  /**
+   * /api/std/real-data response built from stored NNDSS observations, in the shape of
+   * CDCDataService.querySTDData. Null when the store has nothing for the query, so the
+   * caller can fall back to a live pull.
+   */
+  async getSTDData(options = {}) {
+    const { disease = 'all', year = '2023', state = 'all', aggregateBy = 'state' } = options;
+    const asOf = this.resolveAsOf(options.asOf);
+    const diseases = disease === 'all' ? NNDSS_DISEASES : [disease];
+    if (!this.databaseService || !this.cdcDataService || !diseases.every(d => NNDSS_DISEASES.includes(d))) {
+      return null;
+    }
+
+    const rows = (await this.databaseService.getSurveillanceObservations({
+      source: 'cdc_nndss',
+      disease: diseases,
+      year: year !== 'all' ? year : undefined,
+      as_of: asOf
+    })).filter(row => state === 'all' ||
+      row.geography.toUpperCase() === state.toUpperCase() ||
+      this.cdcDataService.normalizeStateName(row.geography) === this.cdcDataService.normalizeStateName(state));
+    if (!rows.length) return null;
+
+    const items = new Map();
+    rows.forEach(row => {
+      const key = `${row.disease}|${row.geography}|${row.period}`;
+      if (!items.has(key)) {
+        const [periodYear, week] = row.period.split('-W');
+        items.set(key, {
+          area: row.geography,
+          year: periodYear,
+          week: String(parseInt(week)),
+          cases: null,
+          cumulativeCases: null,
+          disease: row.disease
+        });
+      }
+      items.get(key)[row.measure === 'cases_ytd' ? 'cumulativeCases' : 'cases'] = row.value;
+    });
+
+    const data = this.cdcDataService.aggregateData(Array.from(items.values()), aggregateBy);
+    return {
+      success: true,
+      data,
+      totalRecords: data.length,
+      source: 'Surveillance observation store',
+      upstream: this.sources.cdc_nndss.upstream,
+      timestamp: new Date().toISOString(),
+      dataYear: year,
+      note: 'CDC NNDSS surveillance data from scheduled ingestion',
+      store: this.storeMetadata(rows, asOf)
+    };
+  }
+
+  /**
+   * /api/enhanced-cdc/:disease response built from stored Open Data and Tracking observations,
+   * in the shape of EnhancedCDCService.getAggregatedDiseaseData. WONDER mortality totals carry
+   * no period or place and are not stored; ?live=true on the endpoint includes them.
+   */
+  async getEnhancedCDCData(disease, options = {}) {
+    const asOf = this.resolveAsOf(options.asOf);
+    const enhanced = this.enhancedCDCService;
+    if (!this.databaseService || !enhanced) return null;
+
+    const rows = await this.databaseService.getSurveillanceObservations({
+      source: ['cdc_open_data', 'cdc_tracking'],
+      disease,
+      as_of: asOf
+    });
+    if (!rows.length) return null;
+
+    const openData = new Map();
+    const tracking = [];
+    rows.forEach(row => {
+      const year = parseInt(row.period);
+      if (row.source === 'cdc_tracking') {
+        tracking.push({ disease, year, state: row.geography, value: row.value, measure: row.measure, source: this.sources.cdc_tracking.name });
+        return;
+      }
+
+      const key = `${row.geography}|${row.period}`;
+      if (!openData.has(key)) {
+        openData.set(key, { disease, year, state: row.geography, cases: 0, deaths: 0, rate: 0, source: 'CDC Open Data' });
+      }
+      openData.get(key)[row.measure] = row.value;
+    });
+
+    const openPoints = Array.from(openData.values());
+    const aggregatedData = {
+      disease,
+      totalCases: openPoints.reduce((sum, point) => sum + point.cases, 0),
+      totalDeaths: openPoints.reduce((sum, point) => sum + point.deaths, 0),
+      dataPoints: [...openPoints, ...tracking],
+      sources: [
+        ...(openPoints.length ? [this.sources.cdc_open_data.name] : []),
+        ...(tracking.length ? [this.sources.cdc_tracking.name] : [])
+      ],
+      geographicData: enhanced.deduplicateGeographicData([
+        ...enhanced.extractGeographicData(openPoints),
+        ...enhanced.extractGeographicData(tracking)
+      ]),
+      temporalTrends: enhanced.consolidateTemporalData([
+        ...enhanced.extractTemporalData(openPoints),
+        ...enhanced.extractTemporalData(tracking)
+      ]),
+      demographicBreakdown: enhanced.consolidateDemographicData(enhanced.extractDemographicData(openPoints)),
+      lastUpdated: this.latestRetrieval(rows)
+    };
+    aggregatedData.summary = enhanced.calculateSummaryStats(aggregatedData);
+    aggregatedData.store = this.storeMetadata(rows, asOf, ['CDC WONDER', 'CDC NCHHSTP AtlasPlus']);
+
+    return aggregatedData;
+  }
+
+  async getObservations(filters = {}) {
+    return this.databaseService.getSurveillanceObservations({ ...filters, as_of: this.resolveAsOf(filters.as_of) });
+  }
+
+  async getObservationHistory(filters = {}) {
+    return this.databaseService.getSurveillanceObservationHistory(filters);
+  }
+
+  async getStatus() {
+    const jobs = this.databaseService ? await this.databaseService.getIngestionJobs() : [];
+    const runs = this.databaseService ? await this.databaseService.getIngestionRuns(null, 20) : [];
+    return {
+      enabled: this.enabled,
+      started: this.started,
+      running: Array.from(this.running),
+      sources: Object.fromEntries(Object.entries(this.sources).map(([id, config]) => [id, {
+        name: config.name,
+        schedule: config.schedule,
+        revision_window_days: config.revisionWindowDays,
+        jobs: jobs.filter(job => job.source === id).length
+      }])),
+      jobs,
+      recent_runs: runs
+    };
+  }
+}
+
+module.exports = SurveillanceIngestionService;
@@ -1,4 +1,4 @@
-const axios = require('axios');
+const { axios } = require('../utils/httpClient');
 const cheerio = require('cheerio');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
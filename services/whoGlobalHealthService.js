@@ -4,6 +4,8 @@
  * Provides global health statistics and cross-country comparisons
  */
 
+const { fetch } = require('../utils/httpClient');
+
 class WHOGlobalHealthService {
     constructor() {
         this.baseURL = 'https://apps.who.int/gho/api/v1';
@@ -0,0 +1,15 @@
+/**
+ * Knox test task for utils/workerTask
+ * Runs the permutation test of OutbreakDetectionEngine off the request thread.
+ */
+
+const OutbreakDetectionEngine = require('../outbreakDetectionEngine');
+
+// The test uses only the engine's stateless helpers, so the constructor and its services are skipped
+const engine = Object.create(OutbreakDetectionEngine.prototype);
+
+async function run({ events, settings }) {
+  return engine.knoxPermutationTest(events, settings);
+}
+
+module.exports = { run };
@@ -0,0 +1,16 @@
+/**
+ * Outbreak detection evaluation task for utils/workerTask
+ * Replays the evaluation of OutbreakEvaluationService off the request thread.
+ */
+
+const OutbreakDetectionEngine = require('../outbreakDetectionEngine');
+const OutbreakEvaluationService = require('../outbreakEvaluationService');
+
+async function run({ config, thresholds }) {
+  const engine = new OutbreakDetectionEngine();
+  engine.thresholds = thresholds;
+  const service = new OutbreakEvaluationService(engine, { useWorker: false });
+  return service.runEvaluation(config);
+}
+
+module.exports = { run };
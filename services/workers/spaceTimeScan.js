@@ -0,0 +1,15 @@
+/**
+ * Space-time scan task for utils/workerTask
+ * Runs the Monte Carlo scan of OutbreakDetectionEngine off the request thread.
+ */
+
+const OutbreakDetectionEngine = require('../outbreakDetectionEngine');
+
+// The scan uses only the engine's stateless helpers, so the constructor and its services are skipped
+const engine = Object.create(OutbreakDetectionEngine.prototype);
+
+async function run({ scanTable, settings }) {
+  return engine.scanSpaceTime(scanTable, settings);
+}
+
+module.exports = { run };
@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChronicDiseaseRiskService = require('../services/chronicDiseaseRiskService');
+
+const createService = (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+  return new ChronicDiseaseRiskService({});
+};
+
+// Worked example published with the PREVENT equations (Khan et al., Circulation 2024)
+const PREVENT_EXAMPLE = {
+  age: 50, sex: 'female', totalChol: 200, hdlChol: 45, systolicBP: 160, egfr: 90, bmi: 35,
+  diabetes: true, smoking: false, onBPMeds: true, onStatin: false
+};
+
+test('PREVENT reproduces the published worked example', (t) => {
+  const result = createService(t).preventEquations(PREVENT_EXAMPLE);
+  assert.ok(Math.abs(result.totalCVD - 14.7) <= 0.05, `total CVD ${result.totalCVD}`);
+  assert.ok(Math.abs(result.ascvd - 9.2) <= 0.05, `ASCVD ${result.ascvd}`);
+  assert.ok(Math.abs(result.heartFailure - 8.1) <= 0.05, `heart failure ${result.heartFailure}`);
+});
+
+test('PREVENT BMI outside 18.5-39.9 drops only heart failure', (t) => {
+  const service = createService(t);
+  const reference = service.preventEquations(PREVENT_EXAMPLE);
+  const result = service.preventEquations({ ...PREVENT_EXAMPLE, bmi: 45 });
+
+  assert.equal(result.heartFailure, null);
+  assert.equal(result.totalCVD, reference.totalCVD);
+  assert.equal(result.ascvd, reference.ascvd);
+  assert.ok(result.assumptions.some(text => /BMI 45 outside/.test(text)));
+});
+
+// Not a published example: with every input at the model's centring value the linear predictor
+// is zero, so the score must equal 1 - baseline survival. Checks the centring and survival
+// constants were transcribed consistently.
+test('QRISK3 at the centring values scores the baseline risk', (t) => {
+  const service = createService(t);
+  const female = service.qrisk3Equation({
+    sex: 'female', age: 43.32503318786621, bmi: 10 / Math.sqrt(0.154946178197861),
+    systolicBP: 123.13001251220703, cholesterolRatio: 3.47632646560669, townsend: 0.392308831214905
+  });
+  const male = service.qrisk3Equation({
+    sex: 'male', age: 10 / 0.234766781330109, bmi: 10 / Math.sqrt(0.149176135659218),
+    systolicBP: 128.57157897949219, cholesterolRatio: 4.300998687744141, townsend: 0.52630490064621
+  });
+
+  assert.ok(Math.abs(female.score - 100 * (1 - 0.988876402378082)) <= 0.05, `female ${female.score}`);
+  assert.ok(Math.abs(male.score - 100 * (1 - 0.977268040180206)) <= 0.05, `male ${male.score}`);
+});
+
+// Straight-line arithmetic in the layout of the QRISK3-2017 reference C source (cvd_female_raw and
+// cvd_male_raw), written out term by term for one profile per sex. It checks the service's
+// table-driven loop applies each transform, coefficient and age interaction to the right input,
+// away from the centring values. It is not an expected score published with QRISK3.
+test('QRISK3 matches a term-by-term transcription of the reference arithmetic', (t) => {
+  const service = createService(t);
+
+  const female = { age: 64, bmi: 31, sbp: 148, sbps5: 12, rati: 5.2, town: 2.5 };
+  {
+    const dage = female.age / 10;
+    const dbmi = female.bmi / 10;
+    const age_1 = Math.pow(dage, -2) - 0.053274843841791;
+    const age_2 = dage - 4.332503318786621;
+    const bmi_1 = Math.pow(dbmi, -2) - 0.154946178197861;
+    const bmi_2 = Math.pow(dbmi, -2) * Math.log(dbmi) - 0.144462317228317;
+    const rati = female.rati - 3.47632646560669;
+    const sbp = female.sbp - 123.13001251220703;
+    const sbps5 = female.sbps5 - 9.002537727355957;
+    const town = female.town - 0.392308831214905;
+
+    let a = 0.2804031433299542 + 0.6674959337750254; // Indian, moderate smoker (category 3)
+    a += age_1 * -8.138810924772619 + age_2 * 0.797333766896991;
+    a += bmi_1 * 0.2923609227546005 + bmi_2 * -4.1513300213837665;
+    a += rati * 0.15338035820802554 + sbp * 0.013131488407103424 + sbps5 * 0.00788945410145861 + town * 0.07722379058859011;
+    a += 0.301267260870345 + 0.50931593683423 + 1.0688773244615468 + 0.45445319020896213; // migraine, treated hypertension, type 2, family history
+    a += age_1 * (-0.8660808882939218 + 1.7634979587872999 + 11.872809733921812 + 6.86523420000096 + 0.9946780794043513);
+    a += age_1 * (bmi_1 * 23.80262341214174 + bmi_2 * -71.18494769208701 + sbp * 0.034131842338615485 + town * -1.0301180802035639);
+    a += age_2 * (-0.10366306397571923 + -0.06558691789869986 + 0.0009685782358817444 + -0.09711225259069549 + -0.07688505169842304);
+    a += age_2 * (bmi_1 * 0.5236995893366443 + bmi_2 * 0.04574419012232376 + sbp * -0.0015082501423272358 + town * -0.03159341467496233);
+    const expected = 100 * (1 - Math.pow(0.988876402378082, Math.exp(a)));
+
+    const result = service.qrisk3Equation({
+      sex: 'female', age: female.age, bmi: female.bmi, systolicBP: female.sbp, systolicSD: female.sbps5,
+      cholesterolRatio: female.rati, townsend: female.town, ethnicity: 'indian', smokingCategory: 3,
+      migraine: true, treatedHypertension: true, diabetesType: 'type2', familyHistory: true
+    });
+    assert.ok(Math.abs(result.score - expected) <= 0.05, `female ${result.score} vs ${expected}`);
+  }
+
+  const male = { age: 58, bmi: 27, sbp: 138, sbps5: 9, rati: 4.8, town: -1.2 };
+  {
+    const dage = male.age / 10;
+    const dbmi = male.bmi / 10;
+    const age_1 = Math.pow(dage, -1) - 0.234766781330109;
+    const age_2 = Math.pow(dage, 3) - 77.2840805053711;
+    const bmi_1 = Math.pow(dbmi, -2) - 0.149176135659218;
+    const bmi_2 = Math.pow(dbmi, -2) * Math.log(dbmi) - 0.141913309693336;
+    const rati = male.rati - 4.300998687744141;
+    const sbp = male.sbp - 128.5715789794922;
+    const sbps5 = male.sbps5 - 8.756621360778809;
+    const town = male.town - 0.52630490064621;
+
+    let a = -0.3580789966932792 + 0.7898381988185802; // Black Caribbean, heavy smoker (category 4)
+    a += age_1 * -17.839781666005575 + age_2 * 0.002296488060576549;
+    a += bmi_1 * 2.456277666053636 + bmi_2 * -8.301112231471135;
+    a += rati * 0.1734019685632711 + sbp * 0.012910126542553305 + sbps5 * 0.010251914291290456 + town * 0.033268201277287295;
+    a += 0.8820923692805466 + 0.2225185908649523 + 0.7185326128827438 + 0.5405546900939016; // AF, erectile dysfunction, renal, family history
+    a += age_1 * (2.1331163414389076 + 3.4896675530623207 + -1.506400985745431 + -0.5065671632722369 + 2.7808628508531887);
+    a += age_1 * (bmi_1 * 31.004952956033886 + bmi_2 * -111.29157184391643 + sbp * 0.018858524469865853 + town * -0.1007554870063731);
+    a += age_2 * (-0.0007840031915563729 + -0.0003499560834063605 + -0.0011058218441227373 + -0.0018325930166498813 + -0.0002479180990739604);
+    a += age_2 * (bmi_1 * 0.005038010235632203 + bmi_2 * -0.013074483002524319 + sbp * -1.271874191588457e-05 + town * -9.329964232327289e-05);
+    const expected = 100 * (1 - Math.pow(0.977268040180206, Math.exp(a)));
+
+    const result = service.qrisk3Equation({
+      sex: 'male', age: male.age, bmi: male.bmi, systolicBP: male.sbp, systolicSD: male.sbps5,
+      cholesterolRatio: male.rati, townsend: male.town, ethnicity: 'black_caribbean', smokingCategory: 4,
+      atrialFibrillation: true, erectileDysfunction: true, renal: true, familyHistory: true
+    });
+    assert.ok(Math.abs(result.score - expected) <= 0.05, `male ${result.score} vs ${expected}`);
+  }
+});
+
+// Expected scores from the QRISK3-2017 reference implementation (qrisk.org) could not be
+// obtained for this tree; add one case per sex here when they are available
+test.todo('QRISK3 reproduces published reference cases for each sex');
+
+test('FINDRISC points follow the published questionnaire', (t) => {
+  const service = createService(t);
+  const highest = service.findriscPoints({
+    age: 70, sex: 'male', bmi: 32, waist: 110, dailyActivity: false, dailyFruitVegetables: false,
+    antihypertensive: true, highGlucoseHistory: true, familyDiabetes: 'first_degree'
+  });
+  assert.equal(highest.points, 26);
+  assert.equal(highest.category, 'very_high');
+
+  const moderate = service.findriscPoints({
+    age: 50, sex: 'male', bmi: 27, waist: 100, dailyActivity: false, dailyFruitVegetables: true,
+    antihypertensive: false, highGlucoseHistory: false, familyDiabetes: 'first_degree'
+  });
+  assert.equal(moderate.points, 13);
+  assert.equal(moderate.category, 'moderate');
+  assert.deepEqual(moderate.unanswered, []);
+});
+
+test('assessRisk runs only the requested calculators on supplied data', async (t) => {
+  const service = createService(t);
+  const data = {
+    userProfile: { dateOfBirth: '1970-01-01', sex: 'female' },
+    clinicalData: {
+      cholesterol: { total: 200, hdl: 45 }, bloodPressure: { systolic: 160 }, egfr: 90, bmi: 35,
+      diabetes: true, medications: ['antihypertensive']
+    },
+    lifestyleData: { smoking: { current: false } }
+  };
+
+  const profile = await service.assessRisk(1, data, ['cardiovascular'], { calculators: { cardiovascular: ['prevent'] } });
+  const scores = profile.riskScores.cardiovascular;
+  assert.deepEqual(Object.keys(scores.individualScores), ['prevent']);
+  assert.equal(scores.primaryCalculator, 'prevent');
+  assert.equal(scores.score, scores.individualScores.prevent.totalCVD);
+
+  await assert.rejects(
+    service.assessRisk(1, data, ['cardiovascular'], { calculators: { cardiovascular: ['qrisk4'] } }),
+    error => error.code === 'RISK_INVALID'
+  );
+});
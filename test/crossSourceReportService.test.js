@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DataFusionEngine = require('../services/dataFusionEngine');
+const CrossSourceReportService = require('../services/crossSourceReportService');
+
+const entry = { sourceId: 'state', disease: 'measles', geography: 'US-NY', field: 'cases', coverage: 1, period_end: '2020-01-05' };
+
+test('a doubled value is only a duplicate when the source repeats rows', () => {
+  const engine = new DataFusionEngine();
+  const flag = { ratio: 2.01, entry, others: [] };
+
+  assert.notEqual(engine.classifyInconsistency(flag, { duplicates: new Set() }).cause, 'duplicate');
+  assert.equal(engine.classifyInconsistency(flag, { duplicates: new Set(['state|measles|US-NY']) }).cause, 'duplicate');
+});
+
+test('caller-supplied reports never write or reopen stored triage', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const service = new CrossSourceReportService(new DataFusionEngine());
+  const stored = new Map();
+  let writes = 0;
+  service.setDatabaseService({
+    async getSourceInconsistency(id) { return stored.get(id) || null; },
+    async upsertSourceInconsistency() { writes++; }
+  });
+
+  const sourceData = [
+    { sourceId: 'cdc', data: [{ disease: 'measles', state: 'NY', date: '2024-05-01', cases: 100 }] },
+    { sourceId: 'state', data: [{ disease: 'measles', state: 'NY', date: '2024-05-01', cases: 400 }] }
+  ];
+  const first = await service.generateReport({ sourceData });
+  assert.ok(first.items.length > 0);
+
+  // An analyst resolved the finding; a resubmission with different values must not reopen it
+  first.items.forEach(item => stored.set(item.id, {
+    ...item, status: 'resolved', resolved_at: '2024-06-01', details: { values: item.values, value: item.value }
+  }));
+  sourceData[1].data[0].cases = 900;
+  const second = await service.generateReport({ sourceData });
+
+  assert.equal(writes, 0);
+  assert.equal(second.persisted, false);
+  second.items.filter(item => stored.has(item.id)).forEach(item => assert.equal(item.status, 'resolved'));
+});
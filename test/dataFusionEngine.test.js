@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DataFusionEngine = require('../services/dataFusionEngine');
+
+const STATES = ['NY', 'CA', 'TX', 'FL'];
+
+function source(sourceId, scale) {
+  return {
+    sourceId,
+    source: sourceId,
+    reliability: 'high',
+    lastUpdated: new Date().toISOString(),
+    data: STATES.flatMap((state, i) => [
+      { disease: 'chlamydia', state, date: '2024-05-01', cases: (100 + 20 * i) * scale },
+      { disease: 'gonorrhea', state, date: '2024-05-01', cases: (40 + 7 * i) * scale }
+    ])
+  };
+}
+
+const sources = [source('cdc', 1), source('state', 1.1), source('who', 0.9)];
+
+test('every fusion strategy succeeds with uncertainty attached', async (t) => {
+  const engine = new DataFusionEngine();
+  t.mock.method(console, 'log', () => {});
+  const errors = t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'warn', () => {});
+
+  for (const strategy of Object.keys(engine.fusionStrategies)) {
+    const result = await engine.fuseMultiSourceData(sources, {
+      strategy,
+      uncertainty: { replicates: 20, decomposition_replicates: 4 }
+    });
+    assert.equal(result.success, true, `${strategy}: ${result.error}`);
+    assert.equal(result.metadata.uncertainty.method, 'bootstrap', strategy);
+  }
+
+  // Strategies that fall back on failure log each distinct failure once, not once per replicate
+  assert.ok(errors.mock.callCount() <= 2, `${errors.mock.callCount()} errors logged`);
+});
+
+test('bootstrap stops when the strategy fails on the first replicate', async () => {
+  const engine = new DataFusionEngine();
+  let calls = 0;
+  engine.fusionStrategies.always_fails = async () => {
+    calls++;
+    throw new Error('boom');
+  };
+
+  const report = await engine.quantifyUncertainty(sources, { value: 1 }, {
+    strategy: 'always_fails',
+    replicates: 200,
+    decomposition_replicates: 50
+  });
+
+  assert.equal(report.first_error, 'boom');
+  assert.equal(report.failed_replicates, calls);
+  assert.ok(calls < 20, `${calls} replicates attempted`);
+});
+
+test('kalman filter estimates keyed by field do not break interval attachment', () => {
+  const engine = new DataFusionEngine();
+  const fused = { fusionMethod: 'kalman_filter', estimates: { cases: { estimate: 10, variance: 1 } } };
+  const summary = engine.attachUncertainty(fused, {
+    method: 'bootstrap',
+    confidence_level: 0.95,
+    confidence_intervals: { cases: { estimate: 10, lower: 8, upper: 12 } },
+    variance_decomposition: { by_source: [], by_estimate: {} }
+  });
+
+  assert.equal(summary.method, 'bootstrap');
+  assert.deepEqual(fused.confidenceIntervals.cases, { estimate: 10, lower: 8, upper: 12 });
+});
+
+// Reporting points along the equator, one degree (about 111 km) apart, with a smooth east-west gradient
+const gradientPoints = () => Array.from({ length: 10 }, (_, i) => ({ latitude: 0, longitude: i, value: 10 + 2 * i }));
+
+test('inverse distance weighting returns the reported value at a reporting point', () => {
+  const engine = new DataFusionEngine();
+  const points = gradientPoints();
+
+  assert.deepEqual(engine.inverseDistanceWeighting(points, points[3]), { value: 16, neighbours: 1, nearest_km: 0 });
+
+  // Halfway between two points with only those two as neighbours, the weights are equal
+  const midpoint = engine.inverseDistanceWeighting(points, { latitude: 0, longitude: 3.5 }, { neighbours: 2 });
+  assert.ok(Math.abs(midpoint.value - 17) < 1e-9);
+});
+
+test('kriging with a fitted variogram interpolates between neighbouring points within its range', () => {
+  const engine = new DataFusionEngine();
+  const points = gradientPoints();
+  const { variogram, estimates } = engine.krige(points, [{ latitude: 0, longitude: 4.5 }, points[7]]);
+
+  assert.ok(engine.pointDistance(points[4], points[5]) < variogram.range);
+  assert.ok(estimates[0].value > points[4].value && estimates[0].value < points[5].value, `${estimates[0].value}`);
+  assert.ok(estimates[0].lower < estimates[0].value && estimates[0].upper > estimates[0].value);
+  // Kriging is exact at an observed location
+  assert.ok(Math.abs(estimates[1].value - points[7].value) < 1e-6);
+  assert.ok(estimates[1].variance < estimates[0].variance);
+});
+
+test('DBSCAN separates two well-separated groups of regions', async () => {
+  const engine = new DataFusionEngine();
+  const region = (id, chlamydia, gonorrhea) => [
+    { geo_id: id, geo_name: id, latitude: 40, longitude: -100, disease: 'chlamydia', cases: chlamydia },
+    { geo_id: id, geo_name: id, latitude: 40, longitude: -100, disease: 'gonorrhea', cases: gonorrhea }
+  ];
+  const data = [
+    ...region('high_1', 900, 300), ...region('high_2', 910, 305), ...region('high_3', 905, 298), ...region('high_4', 895, 302),
+    ...region('low_1', 100, 40), ...region('low_2', 110, 42), ...region('low_3', 105, 38), ...region('low_4', 98, 41)
+  ];
+
+  const sources = [{ sourceId: 'cdc', data }];
+  const result = await engine.clusterAnalysis(sources, { method: 'dbscan', min_points: 3, eps: 0.5 });
+
+  assert.equal(result.method, 'dbscan');
+  assert.deepEqual(result.noise, []);
+  assert.deepEqual(result.clusters.map(cluster => cluster.members.sort()), [
+    ['high_1', 'high_2', 'high_3', 'high_4'],
+    ['low_1', 'low_2', 'low_3', 'low_4']
+  ]);
+  assert.ok(result.silhouette > 0.9, `${result.silhouette}`);
+
+  // The eps taken from the k-distance knee may leave edge regions as noise but never joins the groups
+  const derived = await engine.clusterAnalysis(sources, { method: 'dbscan', min_points: 3 });
+  assert.equal(derived.clusters.length, 2);
+  derived.clusters.forEach(cluster => {
+    assert.equal(new Set(cluster.members.map(id => id.split('_')[0])).size, 1, cluster.members.join(','));
+  });
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HerpesDiaryService = require('../services/herpesDiaryService');
+
+const date = offset => new Date(Date.UTC(2024, 0, 1) + offset * 86400000).toISOString().slice(0, 10);
+
+// Stand-in for the diary tables, scoped by user like the real queries
+const createDb = () => ({
+  episodes: [],
+  exposures: [],
+  async createHerpesEpisode(episode) {
+    this.episodes.push({ id: this.episodes.length + 1, ...episode });
+    return { id: this.episodes.length };
+  },
+  async getHerpesEpisode(id, userId) {
+    return this.episodes.find(episode => episode.id === id && episode.user_id === userId) || null;
+  },
+  async getHerpesEpisodes(userId, herpesType = null) {
+    return this.episodes
+      .filter(episode => episode.user_id === userId && (!herpesType || episode.herpes_type === herpesType))
+      .sort((a, b) => b.onset_date.localeCompare(a.onset_date));
+  },
+  async updateHerpesEpisode() { return { changes: 0 }; },
+  async deleteHerpesEpisode() { return { changes: 0 }; },
+  async getHerpesExposures(userId) {
+    return this.exposures.filter(exposure => exposure.user_id === userId);
+  }
+});
+
+const createDiary = () => {
+  const accessLog = [];
+  const diary = new HerpesDiaryService(createDb(), { logPHIAccess: async entry => accessLog.push(entry) });
+  return { diary, accessLog };
+};
+
+test('episodes are validated and stored with defaults, and each access is logged', async () => {
+  const { diary, accessLog } = createDiary();
+
+  await assert.rejects(
+    diary.addEpisode(7, { onset_date: '2024-13-01', severity: 11, triggers: 'stress,weather' }),
+    error => error.code === 'DIARY_INVALID' && error.details.length === 3
+  );
+
+  const { episode } = await diary.addEpisode(7, { onset_date: date(0), duration_days: '5', triggers: 'Stress, uv' }, { ip_address: '10.0.0.1' });
+  assert.deepEqual(
+    [episode.herpes_type, episode.antiviral, episode.duration_days, episode.triggers],
+    ['hsv2', 'none', 5, ['stress', 'uv']]
+  );
+  assert.deepEqual(accessLog.map(entry => [entry.action, entry.resourceId, entry.userIp]), [['CREATE', '1', '10.0.0.1']]);
+});
+
+test('updating or deleting an episode the user does not own is a logged failure', async () => {
+  const { diary, accessLog } = createDiary();
+
+  await assert.rejects(diary.updateEpisode(7, 99, { severity: 3 }), error => error.code === 'DIARY_NOT_FOUND');
+  await assert.rejects(diary.deleteEpisode(7, 99), error => error.code === 'DIARY_NOT_FOUND');
+  assert.deepEqual(accessLog.map(entry => [entry.action, entry.success]), [['UPDATE', false], ['DELETE', false]]);
+});
+
+test('prediction options are validated before the model runs', async () => {
+  const { diary } = createDiary();
+
+  await assert.rejects(
+    diary.predict(7, { herpes_type: 'hsv3', horizon: '3', window_days: '45', assume: 'stress,moon' }),
+    error => error.code === 'DIARY_INVALID' && error.details.length === 4
+  );
+});
+
+test('a diary with regular episodes yields a personal recurrence prediction', async () => {
+  const { diary, accessLog } = createDiary();
+  for (const offset of [0, 30, 60, 90]) {
+    await diary.addEpisode(7, { onset_date: date(offset), duration_days: 1 });
+  }
+
+  const result = await diary.predict(7, { as_of: date(120), horizon: '90' });
+
+  assert.equal(result.prediction, 'available');
+  assert.deepEqual([result.model.events, result.model.daysAtRisk], [3, 121]);
+  assert.equal(result.model.baselineRatePerYear, Math.round(3 / 121 * 365.25 * 1000) / 1000);
+  assert.equal(result.hazardCurve.length, 90);
+  assert.equal(accessLog[accessLog.length - 1].reason, 'Own diary recurrence prediction');
+
+  const single = createDiary().diary;
+  await single.addEpisode(7, { onset_date: date(0) });
+  assert.equal((await single.predict(7)).prediction, 'insufficient_data');
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HerpesOutbreakPredictionService = require('../services/herpesOutbreakPredictionService');
+
+const BASE = Date.UTC(2024, 0, 1);
+const date = offset => new Date(BASE + offset * 86400000).toISOString().slice(0, 10);
+const service = new HerpesOutbreakPredictionService(null);
+const day = offset => service.toDay(date(offset));
+
+// Episodes every 30 days from day 0, followed up to day 120
+const regularEpisodes = duration => [0, 30, 60, 90].map(offset => ({ onset_date: date(offset), duration_days: duration }));
+
+test('with no exposures the fitted rate is episodes over days at risk', () => {
+  const timeline = service.buildTimeline(regularEpisodes(5), [], day(120), 7);
+
+  // Day 0 is the origin, not an event; days 2-5 of each 5-day episode are not at risk
+  assert.equal(timeline.events, 3);
+  assert.equal(timeline.daysAtRisk, 121 - 4 * 4);
+  assert.equal(timeline.cells.length, 1);
+
+  const model = service.fitRecurrenceModel(timeline, 1);
+  assert.deepEqual(model.estimable, []);
+  assert.ok(Math.abs(Math.exp(model.intercept) - 3 / 105) < 1e-12);
+});
+
+test('the hazard curve gives constant-hazard probabilities at 7, 30 and 90 days', () => {
+  const timeline = service.buildTimeline(regularEpisodes(5), [], day(120), 7);
+  const model = service.fitRecurrenceModel(timeline, 1);
+  const curve = service.hazardCurve(model, timeline, { horizon: 180, windowDays: 7, assume: [] });
+  const rate = 3 / 105;
+  const expected = days => Math.round((1 - Math.exp(-rate * days)) * 1e4) / 1e4;
+
+  assert.deepEqual(curve.probabilityWithin, { days7: expected(7), days30: expected(30), days90: expected(90) });
+  // First day on which the probability reaches one half: ceil(ln 2 / rate)
+  assert.equal(curve.quantiles.median, day(120) + Math.ceil(Math.LN2 / rate));
+  assert.equal(service.hazardCurve(model, timeline, { horizon: 14, windowDays: 7, assume: [] }).probabilityWithin.days30, null);
+});
+
+test('an exposure covers the day it was recorded and the following window', () => {
+  const exposures = [{ factor: 'stress', start_date: date(40), end_date: null }];
+  const timeline = service.buildTimeline(regularEpisodes(1), exposures, day(120), 7);
+  const stress = service.recurrenceFactors.indexOf('stress');
+
+  const exposedDays = offset => service.covariatesOn(day(offset), timeline.intervals, 7)[stress];
+  assert.deepEqual([39, 40, 47, 48].map(exposedDays), [0, 1, 1, 0]);
+
+  const exposed = timeline.cells.find(cell => cell.covariates[stress] === 1);
+  assert.deepEqual([exposed.days, exposed.events], [8, 0]);
+  assert.equal(timeline.daysAtRisk, 121);
+
+  // Ongoing suppressive therapy acts on every day from its start, with no trailing window
+  const therapy = service.buildTimeline(regularEpisodes(1), [{ factor: 'suppressive_antiviral', start_date: date(100) }], day(120), 7);
+  const suppressive = service.recurrenceFactors.indexOf('suppressive_antiviral');
+  assert.deepEqual([99, 100, 400].map(offset => service.covariatesOn(day(offset), therapy.intervals, 7)[suppressive]), [0, 1, 1]);
+});
+
+test('suspected triggers count as exposure the day before onset', () => {
+  const episodes = regularEpisodes(1);
+  episodes[2].triggers = ['illness'];
+  const timeline = service.buildTimeline(episodes, [], day(120), 3);
+  const illness = service.recurrenceFactors.indexOf('illness');
+
+  const exposed = timeline.cells.find(cell => cell.covariates[illness] === 1);
+  assert.deepEqual([exposed.days, exposed.events], [4, 1]);
+});
+
+test('an unpenalized fit recovers the rate ratio between exposed and unexposed days', () => {
+  // Two 8-day stress windows each containing an episode; one episode in the other 105 days
+  const exposures = [25, 55].map(offset => ({ factor: 'stress', start_date: date(offset), end_date: date(offset) }));
+  const timeline = service.buildTimeline(regularEpisodes(1), exposures, day(120), 7);
+  const model = service.fitRecurrenceModel(timeline, 1e-9);
+
+  assert.deepEqual(model.estimable, ['stress']);
+  assert.ok(Math.abs(Math.exp(model.intercept) - 1 / 105) < 1e-6);
+  assert.ok(Math.abs(Math.exp(model.coefficients.stress.beta) - (2 / 16) / (1 / 105)) < 1e-4);
+
+  const triggers = service.attributeTriggers(model, timeline);
+  assert.equal(triggers.stress.hazardRatio, 13.125);
+  assert.equal(triggers.stress.episodesWhileExposed, 2);
+  assert.equal(triggers.menses.reason, 'never recorded during follow-up');
+
+  // A ridge penalty pulls the hazard ratio towards 1
+  assert.ok(service.fitRecurrenceModel(timeline, 1).coefficients.stress.beta < model.coefficients.stress.beta);
+});
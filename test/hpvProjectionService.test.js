@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HPVProjectionService = require('../services/hpvProjectionService');
+
+const rejectsWith = (options, pattern) => assert.throws(
+  () => new HPVProjectionService(null).normalizeOptions(options),
+  error => error.code === 'INVALID_PROJECTION' && error.details.some(detail => pattern.test(detail))
+);
+
+test('scenarios must be an array of objects', () => {
+  rejectsWith({ scenarios: { name: 'single dose', single_dose: { coverage: 0.9 } } }, /scenarios must be an array/);
+  rejectsWith({ scenarios: 'single dose' }, /scenarios must be an array/);
+  rejectsWith({ scenarios: [null, { name: 'ok', routine_coverage: { target: 0.8 } }] }, /scenario_1 must be an object/);
+});
+
+test('efficacy must be an object of fractions', () => {
+  rejectsWith({ efficacy: 0.9 }, /efficacy must be an object/);
+  rejectsWith({ efficacy: { full: 1.5 } }, /efficacy.full must be between 0 and 1/);
+});
+
+test('valid options keep scenario labels and efficacy', () => {
+  const config = new HPVProjectionService(null).normalizeOptions({
+    start_year: 2025,
+    efficacy: { full: 0.93 },
+    scenarios: [{ single_dose: { coverage: 0.9 } }]
+  });
+  assert.deepEqual(config.efficacy, { full: 0.93, single_dose: 0.9 });
+  assert.equal(config.scenarios[0].name, 'scenario_1');
+  assert.equal(config.scenarios[0].single_dose.from_year, 2025);
+});
+
+// Stand-in for the surveillance service: one NIS-Teen survey with 80% started and 60% up to date
+const stubHpvService = {
+  async fetchVaccinationData() {
+    return {
+      data: [{
+        year: '2023',
+        ageGroup: '13-17 years',
+        coverage: { oneDose: 80, upToDate: 60 },
+        gender: { female: { upToDate: 60 }, male: { upToDate: 60 } }
+      }],
+      metadata: { source: 'stub survey' }
+    };
+  },
+  async fetchCancerData(cancer) {
+    return { data: [{ incidenceRate: cancer === 'cervical' ? 7 : 5 }], metadata: { source: 'stub registry' } };
+  },
+  getHPVAttributionRate(cancer) {
+    return cancer === 'cervical' ? 91 : 70;
+  }
+};
+
+// Cohorts aged 13-17 in 2025 were born 2008-2012, all at the last observed coverage (80% started)
+const catchUp = coverage => ({ name: `catch_up_${coverage}`, catch_up: { year: 2025, ages: [13, 17], coverage } });
+
+test('a catch-up above observed coverage averts cases and one below it averts none', async () => {
+  const service = new HPVProjectionService(stubHpvService);
+  const { data } = await service.project({ start_year: 2025, scenarios: [catchUp(0.95), catchUp(0.5)] });
+  const [above, below] = data.scenarios;
+
+  ['cervical', 'oropharyngeal'].forEach(cancer => {
+    assert.ok(above.compared_to_status_quo[cancer].cumulative_cases_averted_per_100k > 0, cancer);
+    assert.ok(above.summary[cancer].incidence_at_horizon <= data.status_quo.summary[cancer].incidence_at_horizon, cancer);
+    assert.deepEqual(below.compared_to_status_quo[cancer], {
+      cumulative_cases_averted_per_100k: 0,
+      additional_reduction_at_horizon: 0
+    }, cancer);
+  });
+  assert.deepEqual(below.years, data.status_quo.years);
+});
+
+test('a single-dose schedule protects with single-dose efficacy', async () => {
+  const service = new HPVProjectionService(stubHpvService);
+  const { data } = await service.project({
+    start_year: 2025,
+    horizon: 20,
+    efficacy: { full: 0.95, single_dose: 0.7 },
+    scenarios: [
+      { name: 'default efficacy', single_dose: { coverage: 0.9 } },
+      { name: 'own efficacy', single_dose: { coverage: 0.9, efficacy: 0.8 } }
+    ]
+  });
+  const protection = result => result.final_routine_cohort.female.protection;
+
+  // Vaccinated at 12, before any prior exposure
+  assert.equal(protection(data.status_quo), Math.round((0.6 * 0.95 + 0.2 * 0.7) * 1000) / 1000);
+  assert.equal(protection(data.scenarios[0]), Math.round(0.9 * 0.7 * 1000) / 1000);
+  assert.equal(protection(data.scenarios[1]), Math.round(0.9 * 0.8 * 1000) / 1000);
+  assert.equal(data.scenarios[1].final_routine_cohort.male.started, 0.9);
+});
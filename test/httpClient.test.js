@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { HttpClient, axios: surveillanceAxios } = require('../utils/httpClient');
+
+test('the fixture adapter is installed on the surveillance instance only', () => {
+  assert.equal(surveillanceAxios.defaults.adapter.httpFixtureAdapter, true);
+  assert.notEqual(axios.defaults.adapter?.httpFixtureAdapter, true);
+});
+
+test('recorded fixtures redact credentials in request and response bodies', async (t) => {
+  const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-fixtures-'));
+  t.after(() => fs.rmSync(fixtureDir, { recursive: true, force: true }));
+
+  const client = new HttpClient({ mode: 'record', fixtureDir });
+  const live = async config => ({
+    data: JSON.stringify({ access_token: 'live-access-token', refresh_token: 'live-refresh-token', expires_in: 3600 }),
+    status: 200,
+    statusText: 'OK',
+    headers: { 'content-type': 'application/json' },
+    config
+  });
+  const adapter = client.createAxiosAdapter(live);
+
+  await adapter({
+    method: 'post',
+    url: 'https://auth.example.org/oauth/token',
+    data: 'grant_type=client_credentials&client_id=app&client_secret=live-secret'
+  });
+  await adapter({
+    method: 'post',
+    url: 'https://data.example.org/query',
+    data: JSON.stringify({ query: 'measles', auth: { password: 'live-password' } })
+  });
+
+  const files = fs.readdirSync(fixtureDir, { recursive: true }).filter(file => file.endsWith('.json'));
+  assert.equal(files.length, 2);
+  const stored = files.map(file => fs.readFileSync(path.join(fixtureDir, file), 'utf8')).join('\n');
+  ['live-access-token', 'live-refresh-token', 'live-secret', 'live-password'].forEach(secret => {
+    assert.ok(!stored.includes(secret), `${secret} written to a fixture`);
+  });
+  assert.ok(stored.includes('client_id=app'));
+  assert.ok(stored.includes('expires_in'));
+});
+
+test('replay finds fixtures recorded with different credentials', async (t) => {
+  const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-fixtures-'));
+  t.after(() => fs.rmSync(fixtureDir, { recursive: true, force: true }));
+
+  const recorder = new HttpClient({ mode: 'record', fixtureDir });
+  await recorder.createAxiosAdapter(async config => ({ data: '{"ok":true}', status: 200, headers: {}, config }))({
+    method: 'post', url: 'https://data.example.org/query', data: '{"token":"first","q":1}'
+  });
+
+  const replayer = new HttpClient({ mode: 'replay', fixtureDir });
+  const response = await replayer.createAxiosAdapter(() => { throw new Error('live call in replay'); })({
+    method: 'post', url: 'https://data.example.org/query', data: '{"token":"second","q":1}'
+  });
+  assert.equal(response.data, '{"ok":true}');
+});
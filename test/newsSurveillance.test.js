@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const OutbreakDetectionEngine = require('../services/outbreakDetectionEngine');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'news');
+
+// Articles from the saved feeds, parsed the same way live RSS is
+async function loadArticles(engine) {
+  const feeds = [
+    ['who-don.xml', { name: 'WHO Disease Outbreak News', category: 'outbreaks', priority: 'high' }],
+    ['cdc-han.xml', { name: 'CDC Health Alert Network', category: 'outbreaks', priority: 'high' }]
+  ];
+  const articles = [];
+  for (const [file, source] of feeds) {
+    const xml = fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8');
+    articles.push(...await engine.newsService.parseFeedString(xml, source));
+  }
+  return articles;
+}
+
+test('saved feeds parse into the live article shape', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const articles = await loadArticles(new OutbreakDetectionEngine());
+
+  assert.equal(articles.length, 5);
+  assert.deepEqual(articles[0], {
+    title: 'Marburg virus disease - Rwanda',
+    description: 'On 27 September 2024, the Ministry of Health of Rwanda notified WHO of cases of Marburg virus disease in Kigali.',
+    source: 'WHO Disease Outbreak News',
+    publishedAt: 'Sat, 28 Sep 2024 10:00:00 GMT',
+    url: 'https://www.who.int/emergencies/disease-outbreak-news/item/2024-DON537',
+    category: 'outbreaks',
+    priority: 'high'
+  });
+});
+
+test('headlines yield disease and place mentions from the vocabulary and gazetteer', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const engine = new OutbreakDetectionEngine();
+
+  const entities = engine.extractNewsEntities('Marburg virus disease - Rwanda');
+  assert.deepEqual(entities.diseases, ['marburg']);
+  assert.deepEqual(entities.places.map(place => place.name), ['Rwanda']);
+
+  // "West Nile" is part of the disease name, not a place
+  assert.deepEqual(engine.extractNewsEntities('West Nile virus found in Texas').places.map(place => place.name), ['Texas']);
+  assert.deepEqual(engine.extractNewsEntities('HAN archive maintenance').diseases, []);
+});
+
+test('articles cluster into events and syndicated copies count once', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const engine = new OutbreakDetectionEngine();
+  const articles = await loadArticles(engine);
+
+  const result = await engine.newsSurveillance({ articles }, 'medium', 'global');
+  const marburg = result.events.find(event => event.disease === 'marburg');
+
+  assert.equal(result.events.length, 2);
+  assert.equal(marburg.location.country_code, 'RW');
+  assert.equal(marburg.article_count, 2);
+  assert.deepEqual(marburg.sources, ['WHO Disease Outbreak News', 'CDC Health Alert Network']);
+  assert.deepEqual(result.alerts.map(alert => [alert.disease, alert.severity]).sort(), [['dengue', 'medium'], ['marburg', 'critical']]);
+
+  // The same feeds again bring no new articles, so nothing signals twice
+  const repeat = await engine.newsSurveillance({ articles }, 'medium', 'global');
+  assert.equal(repeat.alerts.length, 0);
+  assert.equal(repeat.anomalies.length, 2);
+});
+
+test('a disease-location pair already in recent coverage is not novel', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const engine = new OutbreakDetectionEngine();
+  const articles = (await loadArticles(engine)).filter(article => /Dengue/.test(article.title));
+  const history = [{ title: 'Dengue cases climb in Brazil', url: 'https://example.org/dengue-brazil', source: 'PAHO', publishedAt: '2024-02-01T00:00:00Z' }];
+
+  const result = await engine.newsSurveillance({ articles, history_articles: history }, 'medium', 'BR');
+
+  assert.equal(result.alerts.length, 0);
+  assert.equal(result.anomalies[0].prior_reports, 1);
+  assert.equal(result.anomalies[0].novelty_score, 0.5);
+});
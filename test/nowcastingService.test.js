@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const NowcastingService = require('../services/nowcastingService');
+
+const createDb = () => ({
+  rows: [],
+  async getLatestSurveillanceValues(seriesKey) {
+    const latest = new Map();
+    this.rows.filter(row => row.series_key === seriesKey).forEach(row => latest.set(row.reference_date, row));
+    return [...latest.values()];
+  },
+  async createSurveillanceSnapshot(row) { this.rows.push(row); }
+});
+
+test('a series is written at most once per interval', async () => {
+  const db = createDb();
+  const service = new NowcastingService(db);
+  const points = [{ timestamp: Date.UTC(2024, 0, 1), cases: 10 }];
+  const options = { source: 'cdc', minIntervalHours: 24 };
+
+  const first = await service.recordSnapshot('std:chlamydia:all:year', points, { ...options, reportDate: '2024-03-01T08:00:00Z' });
+  assert.equal(first.written, 1);
+
+  points[0].cases = 12;
+  const sameDay = await service.recordSnapshot('std:chlamydia:all:year', points, { ...options, reportDate: '2024-03-01T20:00:00Z' });
+  assert.equal(sameDay.written, 0);
+  assert.equal(sameDay.skipped, 'recent_snapshot');
+
+  const nextDay = await service.recordSnapshot('std:chlamydia:all:year', points, { ...options, reportDate: '2024-03-02T09:00:00Z' });
+  assert.equal(nextDay.written, 1);
+  assert.equal(db.rows.length, 2);
+});
@@ -0,0 +1,299 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OutbreakDetectionEngine = require('../services/outbreakDetectionEngine');
+const DatabaseService = require('../services/databaseService');
+
+function weeklySeries(counts) {
+  return counts.map((cases, i) => ({ cases, timestamp: new Date(Date.UTC(2019, 0, 1 + 7 * i)).toISOString() }));
+}
+
+test('farrington reports sparse windows as insufficient baseline instead of failing the run', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const engine = new OutbreakDetectionEngine();
+  const counts = Array.from({ length: 52 * 5 + 10 }, (_, i) => (i % 37 === 0 ? 1 : 0));
+
+  const stream = { id: 'cdc', disease: 'measles', data: weeklySeries(counts) };
+
+  const result = await engine.farringtonDetection(stream, 'medium', 'US');
+  assert.ok(Array.isArray(result.alerts));
+  assert.equal(result.skipped.reason, 'insufficient_baseline');
+  assert.ok(result.skipped.windows.length > 0);
+  result.skipped.windows.forEach(window => {
+    assert.equal(window.status, 'insufficient_baseline');
+    assert.ok(window.timestamp);
+  });
+
+  // Callers of detectOutbreaks see which windows were skipped
+  const run = await engine.detectOutbreaks([stream], { algorithms: ['farrington'], include_forecasting: false });
+  const [skipped] = run.results.skipped;
+  assert.deepEqual([skipped.algorithm, skipped.stream_id], ['farrington', 'cdc']);
+  assert.deepEqual(skipped.windows, result.skipped.windows);
+});
+
+test('farrington leaves out the same half year of recent history at any series frequency', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const engine = new OutbreakDetectionEngine();
+  const fits = [];
+  t.mock.method(engine, 'fitFarringtonModel', (counts, t0, params) => {
+    fits.push(params);
+    return null;
+  });
+  const series = (frequency, length) => ({
+    disease: 'measles',
+    frequency,
+    data: Array.from({ length }, () => ({ cases: 1 }))
+  });
+
+  await engine.farringtonDetection(series('daily', 365 + 3), 'medium', 'US');
+  await engine.farringtonDetection(series('weekly', 52 + 3), 'medium', 'US');
+  await engine.farringtonDetection(series('monthly', 12 + 3), 'medium', 'US');
+  assert.deepEqual([...new Set(fits.map(params => `${params.freq}:${params.excluded}`))], ['365:183', '52:26', '12:6']);
+});
+
+test('farrington drops seasonal levels with no cases before fitting', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const engine = new OutbreakDetectionEngine();
+  const freq = 52;
+  const w = 3;
+  // Cases only near each anniversary; every other seasonal block is empty
+  const counts = Array.from({ length: freq * 3 + w + 1 }, (_, i) => {
+    const position = i % freq;
+    return position <= w || position >= freq - w ? 5 : 0;
+  });
+
+  const fit = engine.fitFarringtonModel(counts, counts.length - 1, {
+    freq, w, years: 3, noPeriods: 10, excluded: 0, weightsThreshold: 2.58
+  });
+
+  assert.ok(Number.isFinite(fit.expected));
+  assert.ok(fit.referenceCount < freq * 3 + w);
+});
+
+// Five towns a few km apart, weekly counts with a late surge in the first town
+function clusterStream(surge) {
+  const towns = [[40.0, -75.0], [40.02, -75.01], [40.1, -75.2], [40.3, -75.4], [40.5, -75.6]];
+  return {
+    id: 'scan',
+    disease: 'measles',
+    data: towns.flatMap(([latitude, longitude], z) => Array.from({ length: 8 }, (_, week) => ({
+      location: `town-${z}`,
+      latitude,
+      longitude,
+      cases: z === 0 && week >= 6 ? surge : 3,
+      timestamp: new Date(Date.UTC(2024, 0, 1 + 7 * week)).toISOString()
+    })))
+  };
+}
+
+test('the space-time scan runs in a worker and finds the surge', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const engine = new OutbreakDetectionEngine();
+  engine.thresholds.spatial_scan.seed = 7;
+
+  const result = await engine.spatialScanDetection(clusterStream(30), 'medium', 'US');
+  assert.ok(result.alerts.some(alert => alert.locations.includes('town-0')));
+});
+
+test('a scan over the work budget is reported as skipped instead of running with fewer replications', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const engine = new OutbreakDetectionEngine();
+  engine.thresholds.spatial_scan.max_work = 5000;
+
+  const result = await engine.detectOutbreaks([clusterStream(30)], { algorithms: ['spatial_scan'], include_forecasting: false });
+  assert.equal(result.results.alerts.length, 0);
+  assert.equal(result.results.skipped.length, 1);
+  assert.equal(result.results.skipped[0].reason, 'scan_too_large');
+  assert.equal(result.results.skipped[0].algorithm, 'spatial_scan');
+});
+
+test('knox test keeps the most recent cases when over max_events and reports the truncation', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const engine = new OutbreakDetectionEngine();
+  const data = Array.from({ length: 30 }, (_, i) => ({
+    location: `site-${i}`,
+    latitude: 40 + i * 0.1,
+    longitude: -75,
+    cases: 2,
+    timestamp: new Date(Date.UTC(2024, 0, 1 + i)).toISOString()
+  }));
+
+  const { events, total, truncated } = engine.extractCaseEvents(data, 10);
+  assert.equal(total, 60);
+  assert.equal(truncated, true);
+  assert.equal(events.length, 10);
+  assert.deepEqual([...new Set(events.map(event => event.location))].sort(), ['site-25', 'site-26', 'site-27', 'site-28', 'site-29']);
+
+  const result = await engine.knoxTestDetection({
+    disease: 'measles',
+    data,
+    parameters: { knox_test: { max_events: 10, permutations: 19, seed: 1 } }
+  }, 'medium', 'US');
+  assert.deepEqual(result.truncation, { total_events: 60, analysed_since: '2024-01-26T00:00:00.000Z' });
+  assert.equal([...result.alerts, ...result.anomalies][0].total_events, 60);
+});
+
+test('a knox test over the work budget is reported as skipped', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const engine = new OutbreakDetectionEngine();
+  // Every case shares one centroid, so every pair is close in space
+  const data = Array.from({ length: 60 }, (_, i) => ({
+    location: 'clinic',
+    latitude: 40,
+    longitude: -75,
+    cases: 1,
+    timestamp: new Date(Date.UTC(2024, 0, 1 + i)).toISOString()
+  }));
+  const stream = { id: 'cases', disease: 'measles', data, parameters: { knox_test: { max_work: 99 * 1000, seed: 1 } } };
+
+  const result = await engine.detectOutbreaks([stream], { algorithms: ['knox_test'], include_forecasting: false });
+  assert.equal(result.results.anomalies.length, 0);
+  assert.equal(result.results.skipped.length, 1);
+  assert.equal(result.results.skipped[0].reason, 'knox_too_large');
+  assert.equal(result.results.skipped[0].stream_id, 'cases');
+
+  // Within budget the permutations run in the worker, cut down to what the budget affords
+  stream.parameters.knox_test.max_work = 99 * 1770;
+  const knox = await engine.knoxTestDetection(stream, 'medium', 'US');
+  const [summary] = [...knox.alerts, ...knox.anomalies];
+  assert.equal(summary.space_close_pairs, 1770);
+  assert.equal(summary.permutations, 99);
+});
+
+test('anomaly models are kept per stream and the cache drops the least recently used', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const engine = new OutbreakDetectionEngine();
+  engine.maxAnomalyModels = 2;
+  const data = weeklySeries(Array.from({ length: 40 }, (_, i) => 10 + (i % 5)));
+  const stream = id => ({ id, disease: 'measles', data, parameters: { isolation_forest: { seed: 1 } } });
+  const model = s => engine.getAnomalyModel('isolation_forest', s, 'US', engine.getAnomalyModelParameters('isolation_forest', s));
+
+  const a = model(stream('cdc'));
+  const b = model(stream('state'));
+  assert.notEqual(a, b);
+  assert.equal(model(stream('cdc')), a);
+
+  model(stream('news'));
+  assert.deepEqual(engine.getAnomalyModelStatus().map(entry => entry.stream_id), ['cdc', 'news']);
+  assert.equal(engine.modelRefitTask, null);
+});
+
+async function createBaselineStore(t) {
+  t.mock.method(console, 'log', () => {});
+  const db = new DatabaseService();
+  db.dbPath = ':memory:';
+  await db.init();
+  t.after(() => new Promise(resolve => db.db.close(resolve)));
+
+  const engine = new OutbreakDetectionEngine();
+  await engine.setBaselineStore(db);
+  return engine;
+}
+
+const baselineStream = level => ({ disease: 'measles', data: weeklySeries(Array.from({ length: 20 }, (_, i) => level + (i % 3))) });
+
+test('a pinned baseline stays active through recomputes until it is rolled back', async (t) => {
+  const engine = await createBaselineStore(t);
+  const options = { scope: 'CA' };
+
+  const first = await engine.recomputeBaseline(baselineStream(10), options);
+  assert.deepEqual([first.version, first.activated], [1, true]);
+
+  const pinned = await engine.pinBaseline('measles', 'CA');
+  assert.deepEqual([pinned.version, pinned.is_pinned], [1, true]);
+
+  const second = await engine.recomputeBaseline(baselineStream(50), options);
+  assert.deepEqual([second.version, second.activated, second.active_version], [2, false, 1]);
+  assert.equal((await engine.getBaseline('measles', 'CA')).version, 1);
+
+  await engine.pinBaseline('measles', 'CA', 'default', 2);
+  assert.equal((await engine.getBaseline('measles', 'CA')).mean, second.statistics.mean);
+
+  const rollback = await engine.rollbackBaseline('measles', 'CA');
+  assert.equal(rollback.previous_version, 2);
+  assert.equal(rollback.active.version, 1);
+  assert.equal((await engine.getBaseline('measles', 'CA')).version, 1);
+});
+
+test('baseline errors carry codes for missing versions and nothing to roll back to', async (t) => {
+  const engine = await createBaselineStore(t);
+
+  await assert.rejects(engine.pinBaseline('measles', 'CA'), error => error.code === 'BASELINE_NOT_FOUND');
+  await engine.recomputeBaseline(baselineStream(10), { scope: 'CA' });
+  await assert.rejects(engine.pinBaseline('measles', 'CA', 'default', 7), error => error.code === 'BASELINE_NOT_FOUND');
+  await assert.rejects(engine.rollbackBaseline('measles', 'CA', 'default', 7), error => error.code === 'BASELINE_NOT_FOUND');
+  await assert.rejects(engine.rollbackBaseline('measles', 'CA'), error => error.code === 'BASELINE_CONFLICT');
+});
+
+test('invalidating a scope leaves scopes that share its prefix cached', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const engine = new OutbreakDetectionEngine();
+  ['CA', 'CA_north', 'CA_'].forEach(scope => engine.baselines.set(engine.baselineKey('measles', scope), { scope }));
+  engine.baselines.set(engine.baselineKey('measles', 'CA', 'farrington'), { scope: 'CA' });
+
+  engine.invalidateBaselines('measles', 'CA');
+
+  assert.deepEqual(Array.from(engine.baselines.values()).map(baseline => baseline.scope), ['CA_north', 'CA_']);
+});
+
+// Daily counts with a weekly pattern and small deterministic noise, optionally trending
+function dailySeries(length, { trend = 0, spikes = {} } = {}) {
+  const weekly = [0, 2, 4, 3, 1, -3, -5];
+  return Array.from({ length }, (_, i) => ({
+    timestamp: new Date(Date.UTC(2024, 0, 1 + i)).toISOString(),
+    cases: 50 + trend * i + 3 * weekly[i % 7] + ((i * 37) % 11 - 5) / 5 + (spikes[i] || 0)
+  }));
+}
+
+test('S-H-ESD flags an injected spike and nothing in the seasonal pattern', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const engine = new OutbreakDetectionEngine();
+
+  const clean = await engine.seasonalHybridESDDetection({ disease: 'influenza', frequency: 'daily', data: dailySeries(56) }, 'medium', 'US');
+  assert.deepEqual([clean.alerts.length, clean.anomalies.length], [0, 0]);
+
+  const data = dailySeries(56, { spikes: { 40: 40 } });
+  const spiked = await engine.seasonalHybridESDDetection({ disease: 'influenza', frequency: 'daily', data }, 'medium', 'US');
+  assert.deepEqual(spiked.alerts.map(alert => alert.timestamp), [data[40].timestamp]);
+  assert.ok(spiked.alerts[0].test_statistic > spiked.alerts[0].critical_value);
+});
+
+test('the additive seasonal model follows trend and weekly pattern and flags a spike above its interval', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const engine = new OutbreakDetectionEngine();
+
+  const clean = await engine.prophetAnomalyDetection({ disease: 'influenza', data: dailySeries(120, { trend: 0.2 }) }, 'medium', 'US');
+  assert.deepEqual([clean.alerts.length, clean.anomalies.length], [0, 0]);
+
+  const data = dailySeries(120, { trend: 0.2, spikes: { 100: 30 } });
+  const spiked = await engine.prophetAnomalyDetection({ disease: 'influenza', data }, 'medium', 'US');
+  assert.deepEqual(spiked.alerts.map(alert => alert.timestamp), [data[100].timestamp]);
+  // The Huber refit keeps the spike from pulling up its own expectation
+  assert.ok(Math.abs(spiked.alerts[0].expected_value - (data[100].cases - 30)) < 3);
+});
+
+test('Cori Rt is about 1 for constant incidence and matches the growth rate for exponential growth', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const engine = new OutbreakDetectionEngine();
+  const options = { disease: 'influenza', frequency: 'daily', serial_interval: { mean: 5, sd: 2 } };
+  const series = cases => Array.from({ length: 60 }, (_, i) => ({
+    timestamp: new Date(Date.UTC(2024, 0, 1 + i)).toISOString(),
+    cases: cases(i)
+  }));
+
+  const constant = engine.estimateRt(series(() => 100), options);
+  const latest = constant.estimates[constant.estimates.length - 1];
+  assert.ok(Math.abs(latest.rt_mean - 1) < 0.02, `constant Rt ${latest.rt_mean}`);
+  assert.ok(latest.rt_lower < 1 && latest.rt_upper > 1);
+
+  // Growth rate r with a gamma serial interval: R = (1 + r * scale)^shape (Wallinga & Lipsitch, 2007)
+  const r = 0.1;
+  const growing = engine.estimateRt(series(i => Math.round(10 * Math.exp(r * i))), options);
+  const [shape, scale] = [(5 / 2) ** 2, 2 * 2 / 5];
+  const expected = Math.pow(1 + r * scale, shape);
+  const last = growing.estimates[growing.estimates.length - 1];
+  assert.ok(Math.abs(last.rt_mean - expected) < 0.05, `growth Rt ${last.rt_mean} vs ${expected}`);
+  assert.ok(last.rt_lower > 1);
+  assert.ok(last.prob_above_one > 0.99);
+});
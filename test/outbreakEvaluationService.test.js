@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OutbreakDetectionEngine = require('../services/outbreakDetectionEngine');
+const OutbreakEvaluationService = require('../services/outbreakEvaluationService');
+
+function createService(t, options = { useWorker: false }) {
+  t.mock.method(console, 'log', () => {});
+  return new OutbreakEvaluationService(new OutbreakDetectionEngine(), options);
+}
+
+const config = {
+  algorithms: ['cusum'],
+  sensitivities: ['medium'],
+  replicates: 3,
+  baseline: { periods: 104, mean: 10 },
+  outbreaks: { count: 2, duration: 3, size_multiplier: 8, shape: 'flat' },
+  seed: 11
+};
+
+test('invalid requests are rejected before any run', (t) => {
+  const service = createService(t);
+  for (const bad of [
+    { evaluation_periods: 0 },
+    { evaluation_periods: 300 },
+    { replicates: 1000 },
+    { sensitivities: ['extreme'] },
+    { algorithms: 'cusum' },
+    { outbreaks: { shape: 'square' } },
+    { series: { data: [] } }
+  ]) {
+    assert.throws(() => service.validateConfig(bad), error => error.code === 'EVALUATION_INVALID', JSON.stringify(bad));
+  }
+  assert.doesNotThrow(() => service.validateConfig(config));
+});
+
+test('baseline detectors are scored against a baseline fitted to the training window', async (t) => {
+  const service = createService(t);
+  const result = await service.evaluate(config);
+  const [cusum] = result.results;
+
+  // Against the engine default (mean 100) a series around 10 would never alert
+  assert.ok(cusum.sensitivity_pod > 0.5, `sensitivity_pod ${cusum.sensitivity_pod}`);
+  assert.equal(cusum.failed_replicates, 0);
+  assert.equal(service.engine.baselines.size, 0);
+});
+
+test('failed replicates are reported apart from the scored ones', async (t) => {
+  const service = createService(t);
+  let calls = 0;
+  service.engine.detectionAlgorithms.cusum = async () => {
+    calls++;
+    if (calls === 2) throw new Error('model did not converge');
+    return { alerts: [] };
+  };
+
+  const [cusum] = (await service.evaluate(config)).results;
+  assert.equal(cusum.failed_replicates, 1);
+  assert.equal(cusum.scored_replicates, 2);
+  assert.equal(cusum.first_error, 'model did not converge');
+  assert.equal(cusum.outbreaks_injected, 4);
+});
+
+test('evaluation runs in a worker thread by default', async (t) => {
+  const service = createService(t, {});
+  const result = await service.evaluate({ ...config, replicates: 1 });
+  assert.equal(result.evaluation.replicates, 1);
+  assert.equal(result.results.length, 1);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PartnerNotificationService = require('../services/partnerNotificationService');
+
+// In-memory stand-in for the tables the service touches
+const createDb = ({ diagnoses = [] } = {}) => ({
+  notices: [],
+  recipients: [],
+  async getUserById(id) { return { id, email: 'sender@example.com' }; },
+  async getUserByEmail() { return null; },
+  async hasRecordedDiagnosis(userId, codes, herpesTypes) {
+    return diagnoses.some(code => codes.includes(code) || herpesTypes.includes(code));
+  },
+  async countPartnerNoticesSince() { return 0; },
+  async countPartnerNoticeRecipientSince(hash) { return this.recipients.filter(item => item === hash).length; },
+  async recordPartnerNoticeRecipient(hash) { this.recipients.push(hash); },
+  async deletePartnerNoticeRecipientsBefore() {},
+  async createPartnerNotice(notice) { this.notices.push(notice); }
+});
+
+const createEmail = () => ({ sent: [], async sendPartnerNoticeEmail(address) { this.sent.push(address); } });
+
+test('notices require a diagnosis the sender recorded for themselves', async () => {
+  const email = createEmail();
+  const service = new PartnerNotificationService(createDb({ diagnoses: ['DZ_STD_002'] }), email, null, null, { recipientSecret: 'test' });
+
+  await assert.rejects(
+    service.send(1, { disease: 'chlamydia', recipients: ['partner@example.com'] }),
+    error => error.code === 'PARTNER_NOTICE_NO_DIAGNOSIS'
+  );
+  assert.equal(email.sent.length, 0);
+
+  const result = await service.send(1, { disease: 'gonorrhea', recipients: ['partner@example.com'] });
+  assert.equal(result.sent, 1);
+});
+
+test('herpes diary episodes count as a recorded herpes diagnosis', async () => {
+  const service = new PartnerNotificationService(createDb({ diagnoses: ['hsv2'] }), createEmail(), null, null, { recipientSecret: 'test' });
+  const result = await service.send(1, { disease: 'herpes', channel: 'link' });
+  assert.equal(result.links.length, 1);
+});
+
+test('the per-recipient limit is stored as a keyed hash and survives a restart', async () => {
+  const db = createDb({ diagnoses: ['DZ_STD_001'] });
+  const data = { disease: 'chlamydia', recipients: ['partner@example.com'] };
+
+  for (let i = 0; i < 2; i++) {
+    const email = createEmail();
+    await new PartnerNotificationService(db, email, null, null, { recipientSecret: 'test' }).send(1, data);
+    assert.equal(email.sent.length, 1);
+  }
+
+  const email = createEmail();
+  const result = await new PartnerNotificationService(db, email, null, null, { recipientSecret: 'test' }).send(1, data);
+  assert.equal(email.sent.length, 0);
+  assert.equal(result.sent, 1);
+
+  assert.ok(db.recipients.every(hash => /^[0-9a-f]{64}$/.test(hash) && !hash.includes('partner')));
+  assert.deepEqual(db.notices.map(notice => notice.status), ['delivered', 'delivered', 'delivered']);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { importCensus, importReferenceRates } = require('../scripts/import-population-data');
+const PopulationService = require('../services/populationService');
+
+const STEMS = ['AGE04', 'AGE59', 'AGE1014', 'AGE1519', 'AGE2024', 'AGE2529', 'AGE3034', 'AGE3539', 'AGE4044',
+  'AGE4549', 'AGE5054', 'AGE5559', 'AGE6064', 'AGE6569', 'AGE7074', 'AGE7579', 'AGE8084', 'AGE85PLUS'];
+
+// Small file in the layout of the Census cc-est20XX-agesex-all.csv release; the counts are made up
+function writeCensusFile(dir) {
+  const header = ['SUMLEV', 'STATE', 'COUNTY', 'STNAME', 'CTYNAME', 'YEAR', 'POPESTIMATE',
+    ...STEMS.flatMap(stem => [`${stem}_MALE`, `${stem}_FEM`])];
+  const county = (code, name, year, perBand) => ['050', '10', code, 'Delaware', `"${name}"`, year, perBand * 36,
+    ...STEMS.flatMap(() => [perBand, perBand])];
+  const rows = [
+    county('1', 'Kent County', '4', 100),
+    county('3', 'New Castle County', '4', 200),
+    county('1', 'Kent County', '3', 1)
+  ];
+  const file = path.join(dir, 'cc-est-sample.csv');
+  fs.writeFileSync(file, [header, ...rows].map(row => row.join(',')).join('\n'));
+  return file;
+}
+
+function bundledCopy() {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'population', 'us_population.json'), 'utf8'));
+}
+
+test('census import adds counties and rolls age/sex detail up to state and nation', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'population-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const data = bundledCopy();
+
+  const result = importCensus(data, writeCensusFile(dir), {});
+  assert.deepEqual(result, { counties: 2, states: 1, yearCode: '4' });
+
+  assert.equal(data.geographies['10001'].total, 3600);
+  assert.equal(data.geographies['10003'].by_age_sex['85+'].female, 200);
+  assert.equal(data.geographies['10'].total, 10800);
+  assert.deepEqual(data.geographies['10'].by_age_sex['15-19'], { male: 300, female: 300 });
+  assert.equal(data.geographies.US.total, 10800);
+  assert.equal(data.age_bands.length, 18);
+
+  const population = new PopulationService({ denominators: data });
+  assert.equal(population.getPopulation('Delaware', { ageBand: '15-24', sex: 'female' }), 600);
+  assert.equal(population.getDetailStatus().age_sex_detail, true);
+  assert.equal(population.getDetailStatus().counties, 2);
+});
+
+test('reference rates feed indirect standardization', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'population-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const data = bundledCopy();
+  importCensus(data, writeCensusFile(dir), {});
+
+  const ratesFile = path.join(dir, 'rates.csv');
+  fs.writeFileSync(ratesFile, [
+    'year,age_group,sex,measure,value,is_total',
+    '2014,0-44 years,male,rate,100,',
+    '2014,0-44 years,female,rate,200,',
+    '2014,45+ years,male,rate,0,',
+    '2014,45+ years,female,rate,0,',
+    '2014,,,rate,150,true'
+  ].join('\n'));
+  assert.deepEqual(importReferenceRates(data, ratesFile, { disease: 'Chlamydia' }), { rates: 4 });
+
+  const population = new PopulationService({ denominators: data });
+  const strata = population.getStrata(population.resolveGeography('DE'));
+  const adjusted = population.indirectStandardize(29, strata, population.getReferenceRates('chlamydia'));
+  // 2,700 men and 2,700 women under 45: expected 2.7 + 5.4 = 8.1 cases
+  assert.equal(adjusted.expected, 8.1);
+});
+
+test('bundled denominators report that age/sex detail must be imported', () => {
+  const status = new PopulationService().getDetailStatus();
+  assert.equal(status.age_sex_detail, false);
+  assert.match(status.import_hint, /import-population-data/);
+});
+
+test('direct standardization rejects unknown standards and age bands with a validation code', () => {
+  const population = new PopulationService();
+  const strata = [{ age_band: '15-19', cases: 10, population: 1000 }];
+
+  assert.ok(population.directStandardize(strata, 'us2000').value > 0);
+  assert.throws(() => population.directStandardize(strata, 'mars2100'), error => error.code === 'INVALID_STANDARDIZATION');
+  assert.throws(() => population.directStandardize([{ ...strata[0], age_band: 'teens' }]), error => error.code === 'INVALID_STANDARDIZATION');
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ProvenanceService = require('../services/provenanceService');
+
+// Stand-in for the provenance_records table, keyed by id like the real one
+const createDb = () => ({
+  rows: new Map(),
+  async saveProvenanceRecord(record) { this.rows.set(record.id, record); },
+  async getProvenanceRecord(id) { return this.rows.get(id) || null; }
+});
+
+test('repeated requests reuse one record and refresh its retrieval time', async () => {
+  const db = createDb();
+  const service = new ProvenanceService(db);
+  const context = { endpoint: '/api/cdc/std', source: 'cdc' };
+
+  const first = await service.describe({ data: [{ cases: 1 }], timestamp: '2026-10-01T00:00:00Z' }, context);
+  const second = await service.describe({ data: [{ cases: 1 }], timestamp: '2026-10-02T00:00:00Z' }, context);
+  const undated = await service.describe({ data: [{ cases: 1 }] }, context);
+
+  assert.equal(first.provenance.id, second.provenance.id);
+  assert.equal(undated.provenance.id, first.provenance.id);
+  assert.equal(db.rows.size, 1);
+  assert.ok((await service.get(first.provenance.id)).retrieved_at > '2026-10-02');
+});
+
+test('tags a copy of the payload and leaves the service result untouched', async () => {
+  const service = new ProvenanceService();
+  const cached = {
+    data: {
+      chlamydia: {
+        sources: [{ source: 'cdc', data: [{ cases: 3 }] }, { source: 'who', data: [{ cases: 4 }] }],
+        aggregated: { cases: 7 }
+      }
+    }
+  };
+  const snapshot = JSON.stringify(cached);
+
+  const { data, provenance } = await service.describe(cached, { endpoint: '/api/global/diseases' });
+
+  assert.equal(JSON.stringify(cached), snapshot);
+  const entry = data.data.chlamydia;
+  assert.ok(entry.sources.every(source => source.provenance_id && source.data[0].provenance_id === source.provenance_id));
+  assert.equal(provenance.records.find(record => record.id === entry.aggregated.provenance_id).kind, 'fused');
+  assert.equal(provenance.records.find(record => record.id === provenance.id).kind, 'derived');
+});
+
+test('single-source items are tagged on the copy only', async () => {
+  const service = new ProvenanceService();
+  const item = { cases: 2 };
+  const { data, provenance } = await service.describe({ data: [item], metadata: { provenance: { kind: 'placeholder' } } }, { source: 'diseasezone' });
+
+  assert.equal(item.provenance_id, undefined);
+  assert.equal(data.data[0].provenance_id, provenance.id);
+  assert.equal(provenance.synthetic, true);
+});
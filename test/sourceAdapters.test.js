@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const SourceAdapterRegistry = require('../services/sourceAdapterRegistry');
+const { verifyContract, validateRecord } = require('../services/sourceAdapters/adapterContract');
+
+const ADAPTER_DIR = path.join(__dirname, '..', 'services', 'sourceAdapters');
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'sourceAdapters');
+
+// Every built-in adapter file, loaded the way the registry loads it
+const adapters = fs.readdirSync(ADAPTER_DIR)
+  .filter(file => file.endsWith('Adapter.js') && file !== 'baseSourceAdapter.js')
+  .sort()
+  .map(file => new (require(path.join(ADAPTER_DIR, file)))({ apiKeys: {}, getService: () => null }));
+
+const loadFixture = id => {
+  const file = path.join(FIXTURE_DIR, `${id}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+};
+
+adapters.forEach(adapter => {
+  test(`${adapter.id} adapter meets the contract`, async () => {
+    const contract = verifyContract(adapter);
+    assert.deepEqual(contract.errors, []);
+
+    const fixture = loadFixture(adapter.id);
+    if (adapter.pending && !fixture) {
+      // Not integrated yet: reported as unverified and never returns records
+      assert.equal(contract.verified, false);
+      assert.match(contract.warnings.join(), /unverified/);
+      assert.equal((await adapter.fetch({})).success, false);
+      return;
+    }
+
+    assert.ok(fixture, `integrated adapter ${adapter.id} needs test/fixtures/sourceAdapters/${adapter.id}.json`);
+    assert.equal(contract.verified, true);
+    fixture.cases.forEach(example => {
+      const records = adapter.normalize(example.raw, example.query);
+      assert.deepEqual(records, example.expected, example.name);
+      records.forEach(record => assert.deepEqual(validateRecord(record), [], example.name));
+    });
+  });
+});
+
+test('the registry lists pending adapters without examples as unverified', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const registry = new SourceAdapterRegistry({ apiKeys: {}, getService: () => null });
+  registry.loadDirectory(ADAPTER_DIR, 'built_in');
+
+  const { unverified, rejected } = registry.verifyAll();
+  const pending = adapters.filter(adapter => adapter.pending && adapter.contractExamples().length === 0);
+  assert.deepEqual(rejected, []);
+  assert.deepEqual(unverified, pending.map(adapter => adapter.id));
+  pending.forEach(adapter => assert.equal(registry.describe()[adapter.id].contract.verified, false));
+});
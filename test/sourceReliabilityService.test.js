@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SourceReliabilityService = require('../services/sourceReliabilityService');
+const DataFusionEngine = require('../services/dataFusionEngine');
+
+function pendingStore(rows, finals) {
+  const evaluations = new Map();
+  return {
+    evaluations,
+    async getPendingSourceReports(limit, afterId = 0) {
+      return rows.filter(row => row.id > afterId && !evaluations.has(row.id)).slice(0, limit);
+    },
+    async getFinalSourceValue(disease, geography, period) {
+      return finals[period] ? { value: finals[period] } : null;
+    },
+    async getLatestReportsForPeriod() {
+      return [];
+    },
+    async updateSourceReportEvaluation(id, evaluation) {
+      evaluations.set(id, evaluation);
+    }
+  };
+}
+
+test('finality flags are ignored unless the caller fetched the data', () => {
+  const service = new SourceReliabilityService();
+  const source = { sourceId: 'cdc', data: [{ disease: 'measles', date: '2024-05-01', cases: 10, finalized: true }] };
+
+  assert.equal(service.extractReports(source)[0].is_final, false);
+  assert.equal(service.extractReports(source, 0, true)[0].is_final, true);
+});
+
+test('evaluation pages past reports that cannot be scored yet', async () => {
+  const recent = new Date().toISOString();
+  const row = (id, period) => ({
+    id, source: 'state', disease: 'measles', geography: 'US-NY', period, field: 'cases',
+    value: 12, period_end: recent.slice(0, 10), reported_at: recent
+  });
+  // Three reports without a reference sit ahead of one that has a final value
+  const rows = [row(1, 'p1'), row(2, 'p2'), row(3, 'p3'), row(4, 'p4')];
+  const db = pendingStore(rows, { p4: 10 });
+  const service = new SourceReliabilityService(db);
+
+  const evaluated = await service.evaluatePending({ limit: 2 });
+
+  assert.equal(evaluated, 1);
+  assert.equal(db.evaluations.get(4).reference_type, 'final');
+});
+
+test('fusion does not record caller-supplied values by default', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const engine = new DataFusionEngine();
+  const tracker = new SourceReliabilityService({ async getSourceReports() { return []; } });
+  const recordReports = t.mock.method(tracker, 'recordReports', async () => ({ written: 0 }));
+  engine.setReliabilityTracker(tracker);
+
+  const sources = ['cdc', 'state'].map((sourceId, i) => ({
+    sourceId,
+    reliability: 'high',
+    lastUpdated: new Date().toISOString(),
+    data: [{ disease: 'measles', state: 'NY', date: '2024-05-01', cases: 10 + i, finalized: true }]
+  }));
+  const result = await engine.fuseMultiSourceData(sources, { strategy: 'weighted_average', includeUncertainty: false });
+
+  assert.equal(result.success, true, result.error);
+  assert.equal(recordReports.mock.callCount(), 0);
+});
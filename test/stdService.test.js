@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const STDService = require('../services/stdService');
+const WONDER_CODES = require('../data/cdc_wonder_std_codes.json');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'wonder');
+const loadFixture = file => fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8');
+
+const yearSexQuery = includeTotals => new STDService().normalizeWonderQuery({
+  group_by: 'year,sex',
+  measures: 'rate,cases',
+  filters: { disease: 'chlamydia', state: 'ny' },
+  include_totals: includeTotals
+}).query;
+
+test('data table rows become tidy rows with spanned labels carried forward', () => {
+  const result = new STDService().parseWonderResponse(loadFixture('std-year-sex.xml'), yearSexQuery(false));
+
+  assert.equal(result.success, true);
+  assert.equal(result.totalRecords, 12);
+  assert.deepEqual(result.data.slice(0, 2), [
+    { year: '2013', sex: 'Female', measure: 'cases', value: 70012, unit: 'cases', flag: null, is_total: false },
+    { year: '2013', sex: 'Female', measure: 'rate', value: 690.2, unit: 'per 100,000', flag: null, is_total: false }
+  ]);
+  assert.deepEqual(result.data.filter(row => row.year === '2014').map(row => row.sex),
+    ['Female', 'Female', 'Male', 'Male', 'Unknown', 'Unknown']);
+});
+
+test('unpublished values keep their row with a flag', () => {
+  const { data, flags } = new STDService().parseWonderResponse(loadFixture('std-year-sex.xml'), yearSexQuery(false));
+  const cell = (year, sex, measure) => data.find(row => row.year === year && row.sex === sex && row.measure === measure);
+
+  assert.deepEqual([cell('2013', 'Unknown', 'rate').value, cell('2013', 'Unknown', 'rate').flag], [0.1, 'unreliable']);
+  assert.deepEqual([cell('2014', 'Male', 'cases').value, cell('2014', 'Male', 'cases').flag], [null, 'suppressed']);
+  assert.deepEqual([cell('2014', 'Unknown', 'rate').value, cell('2014', 'Unknown', 'rate').flag], [null, 'not_applicable']);
+  assert.deepEqual(flags, { unreliable: 1, suppressed: 2, not_applicable: 1 });
+});
+
+test('total rows are returned only when asked for, with totalled dimensions null', () => {
+  const service = new STDService();
+  const xml = loadFixture('std-year-sex.xml');
+
+  assert.ok(service.parseWonderResponse(xml, yearSexQuery(false)).data.every(row => !row.is_total));
+
+  const totals = service.parseWonderResponse(xml, yearSexQuery(true)).data.filter(row => row.is_total);
+  assert.deepEqual(totals.map(row => [row.year, row.sex, row.measure, row.value]), [
+    ['2013', null, 'cases', 100124],
+    ['2013', null, 'rate', 510.9],
+    [null, null, 'cases', 201497],
+    [null, null, 'rate', 513.2]
+  ]);
+});
+
+test('a response without a data table reports WONDER\'s message', () => {
+  const xml = '<page><message>Query could not be processed: &quot;D121.V9&quot; is not a valid variable.</message></page>';
+  const result = new STDService().parseWonderResponse(xml, yearSexQuery(false));
+
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'CDC WONDER: Query could not be processed: "D121.V9" is not a valid variable.');
+});
+
+test('the legacy parse widens the disease/year/state table', () => {
+  const result = new STDService().parseXMLResponse(loadFixture('std-disease-year-state.xml'));
+
+  assert.deepEqual(result.data, [
+    { disease: 'Chlamydia', year: '2014', state: 'Alabama', cases: 29870, rate: 616 },
+    { disease: 'Chlamydia', year: '2014', state: 'Alaska', cases: 5620, rate: 762.4 },
+    { disease: 'Gonorrhea', year: '2014', state: 'Alabama', cases: 8952, rate: 184.6 }
+  ]);
+});
+
+test('requests use the database, variable and measure codes from the codes file', () => {
+  const service = new STDService();
+  const xml = service.buildWonderRequest(yearSexQuery(false));
+  const parameter = name => {
+    const match = xml.match(new RegExp(`<name>${name.replace(/\./g, '\\.')}</name>\\n((?:\\s*<value>.*</value>\\n?)*)`));
+    return match ? Array.from(match[1].matchAll(/<value>(.*)<\/value>/g), ([, value]) => value) : null;
+  };
+  const { database, variables, measures } = WONDER_CODES;
+
+  assert.deepEqual(parameter('B_1'), [`${database}.${variables.year}`]);
+  assert.deepEqual(parameter('B_2'), [`${database}.${variables.sex}`]);
+  assert.deepEqual(parameter('B_3'), ['*None*']);
+  assert.deepEqual(parameter(`M_${measures.cases.slice(1)}`), [`${database}.${measures.cases}`]);
+  assert.deepEqual(parameter(`M_${measures.rate.slice(1)}`), [`${database}.${measures.rate}`]);
+  assert.deepEqual(parameter(`F_${database}.${variables.state}`), ['New York']);
+  assert.deepEqual(parameter(`V_${database}.${variables.disease}`), ['Chlamydia']);
+  assert.deepEqual(parameter(`V_${database}.${variables.sex}`), ['*All*']);
+});
+
+test('invalid queries are rejected before anything is sent', async () => {
+  const service = new STDService();
+  const { errors } = service.normalizeWonderQuery({
+    group_by: 'year,state,disease,age_group,race_ethnicity,sex',
+    measures: 'deaths',
+    filters: { year: '2020', sex: 'other' }
+  });
+
+  assert.deepEqual(errors, [
+    'group_by accepts at most 5 dimensions',
+    'unknown measure "deaths" (use cases, rate, population)',
+    'year 2020 is outside 1996-2014',
+    'unknown sex "other" (use male, female, unknown)'
+  ]);
+  await assert.rejects(service.queryWonder({ measures: 'deaths' }), error => error.code === 'INVALID_WONDER_QUERY');
+  assert.equal(service.lastRequestTime, 0);
+});
+
+test('the catalog reports whether the codes have been verified', () => {
+  const service = new STDService();
+  assert.equal(service.getWonderCatalog().codesVerified, WONDER_CODES.verified);
+  assert.equal(service.getWonderCatalog().database, WONDER_CODES.database);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DatabaseService = require('../services/databaseService');
+const SurveillanceIngestionService = require('../services/surveillanceIngestionService');
+
+async function createStore(t) {
+  t.mock.method(console, 'log', () => {});
+  const db = new DatabaseService();
+  db.dbPath = ':memory:';
+  await db.init();
+  t.after(() => new Promise(resolve => db.db.close(resolve)));
+
+  const point = { source: 'cdc_nndss', disease: 'syphilis', geography: 'Ohio', period: '2024-W08', period_start: '2024-02-18', period_end: '2024-02-24', measure: 'cases', unit: 'cases' };
+  await db.createSurveillanceObservation({ ...point, value: 10, retrieved_at: '2024-02-28T06:15:00.000Z' });
+  await db.createSurveillanceObservation({ ...point, value: 14, retrieved_at: '2024-03-01T12:15:00.000Z' });
+  return new SurveillanceIngestionService(db);
+}
+
+test('a date-only as_of includes revisions retrieved during that day', async (t) => {
+  const ingestion = await createStore(t);
+
+  const [onDay] = await ingestion.getObservations({ disease: 'syphilis', as_of: '2024-03-01' });
+  assert.equal(onDay.value, 14);
+
+  const [dayBefore] = await ingestion.getObservations({ disease: 'syphilis', as_of: '2024-02-29' });
+  assert.equal(dayBefore.value, 10);
+
+  const [beforeRevision] = await ingestion.getObservations({ disease: 'syphilis', as_of: '2024-03-01T12:00:00Z' });
+  assert.equal(beforeRevision.value, 10);
+});
+
+test('an unparseable as_of is rejected', async (t) => {
+  const ingestion = await createStore(t);
+  await assert.rejects(
+    ingestion.getObservations({ disease: 'syphilis', as_of: 'last week' }),
+    error => error.code === 'INVALID_AS_OF'
+  );
+  assert.equal(ingestion.resolveAsOf('2024-03-01'), '2024-03-01T23:59:59.999Z');
+});
@@ -0,0 +1,208 @@
+/**
+ * Unsupervised anomaly models for multivariate surveillance features
+ * Isolation forest and kernel one-class SVM implemented in plain JS
+ */
+
+const Statistics = require('./statistics');
+
+const EULER_GAMMA = 0.5772156649;
+
+// Average path length of an unsuccessful BST search over n points (Liu et al., 2008)
+function averagePathLength(n) {
+  if (n <= 1) return 0;
+  if (n === 2) return 1;
+  return 2 * (Math.log(n - 1) + EULER_GAMMA) - 2 * (n - 1) / n;
+}
+
+class IsolationForest {
+  constructor(options = {}) {
+    this.nEstimators = options.nEstimators || 100;
+    this.maxSamples = options.maxSamples || 256;
+    this.random = Statistics.createRandom(options.seed);
+    this.trees = [];
+    this.sampleSize = 0;
+  }
+
+  fit(rows) {
+    if (!rows.length) {
+      throw new Error('Isolation forest needs at least one training row');
+    }
+
+    this.sampleSize = Math.min(this.maxSamples, rows.length);
+    const heightLimit = Math.ceil(Math.log2(Math.max(this.sampleSize, 2)));
+
+    this.trees = [];
+    for (let t = 0; t < this.nEstimators; t++) {
+      const sample = Statistics.shuffle([...rows], this.random).slice(0, this.sampleSize);
+      this.trees.push(this.buildTree(sample, 0, heightLimit));
+    }
+
+    return this;
+  }
+
+  buildTree(rows, depth, heightLimit) {
+    if (depth >= heightLimit || rows.length <= 1) {
+      return { size: rows.length };
+    }
+
+    // Only split on features that still vary within this node
+    const candidates = [];
+    for (let f = 0; f < rows[0].length; f++) {
+      let min = Infinity;
+      let max = -Infinity;
+      rows.forEach(row => {
+        if (row[f] < min) min = row[f];
+        if (row[f] > max) max = row[f];
+      });
+      if (max > min) candidates.push({ feature: f, min, max });
+    }
+
+    if (!candidates.length) {
+      return { size: rows.length };
+    }
+
+    const { feature, min, max } = candidates[Math.floor(this.random() * candidates.length)];
+    const split = min + this.random() * (max - min);
+
+    return {
+      feature: feature,
+      split: split,
+      left: this.buildTree(rows.filter(row => row[feature] < split), depth + 1, heightLimit),
+      right: this.buildTree(rows.filter(row => row[feature] >= split), depth + 1, heightLimit)
+    };
+  }
+
+  pathLength(row, node, depth = 0) {
+    if (node.size !== undefined) {
+      return depth + averagePathLength(node.size);
+    }
+    const next = row[node.feature] < node.split ? node.left : node.right;
+    return this.pathLength(row, next, depth + 1);
+  }
+
+  // Anomaly score s(x) = 2^(-E[h(x)] / c(psi)); values near 1 are isolated quickly
+  score(rows) {
+    const normalizer = averagePathLength(this.sampleSize) || 1;
+    return rows.map(row => {
+      const meanPath = this.trees.reduce((sum, tree) => sum + this.pathLength(row, tree), 0) / this.trees.length;
+      return Math.pow(2, -meanPath / normalizer);
+    });
+  }
+}
+
+class OneClassSVM {
+  constructor(options = {}) {
+    this.nu = options.nu || 0.1;
+    this.gamma = options.gamma || 'scale';
+    this.tolerance = options.tolerance || 1e-3;
+    this.maxIterations = options.maxIterations || 10000;
+    this.supportVectors = [];
+    this.coefficients = [];
+    this.rho = 0;
+  }
+
+  kernel(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+      const diff = a[i] - b[i];
+      distance += diff * diff;
+    }
+    return Math.exp(-this.gammaValue * distance);
+  }
+
+  fit(rows) {
+    const n = rows.length;
+    if (!n) {
+      throw new Error('One-class SVM needs at least one training row');
+    }
+
+    // 'scale' follows libsvm/scikit-learn: gamma = 1 / (n_features * Var(X))
+    if (this.gamma === 'scale') {
+      const flat = rows.flat();
+      const mean = Statistics.mean(flat);
+      const variance = flat.reduce((sum, x) => sum + (x - mean) * (x - mean), 0) / flat.length;
+      this.gammaValue = 1 / (rows[0].length * (variance || 1));
+    } else {
+      this.gammaValue = this.gamma;
+    }
+
+    const Q = rows.map(a => rows.map(b => this.kernel(a, b)));
+
+    // Schölkopf dual with libsvm scaling: 0 <= alpha_i <= 1, sum(alpha) = nu * n
+    const total = this.nu * n;
+    const alpha = new Array(n).fill(0);
+    const full = Math.min(Math.floor(total), n);
+    for (let i = 0; i < full; i++) alpha[i] = 1;
+    if (full < n) alpha[full] = total - full;
+
+    const gradient = Q.map(row => row.reduce((sum, q, j) => sum + q * alpha[j], 0));
+
+    // SMO with maximal violating pair selection
+    for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+      let i = -1;
+      let j = -1;
+      let gMin = Infinity;
+      let gMax = -Infinity;
+
+      for (let k = 0; k < n; k++) {
+        if (alpha[k] < 1 && gradient[k] < gMin) {
+          gMin = gradient[k];
+          i = k;
+        }
+        if (alpha[k] > 0 && gradient[k] > gMax) {
+          gMax = gradient[k];
+          j = k;
+        }
+      }
+
+      if (i === -1 || j === -1 || gMax - gMin < this.tolerance) break;
+
+      const curvature = Math.max(Q[i][i] + Q[j][j] - 2 * Q[i][j], 1e-12);
+      const step = Math.min((gMax - gMin) / curvature, 1 - alpha[i], alpha[j]);
+
+      alpha[i] += step;
+      alpha[j] -= step;
+      for (let k = 0; k < n; k++) {
+        gradient[k] += step * (Q[k][i] - Q[k][j]);
+      }
+    }
+
+    // rho is the gradient on free vectors, or the midpoint of the bounds when none are free
+    const free = alpha.map((a, k) => k).filter(k => alpha[k] > 1e-8 && alpha[k] < 1 - 1e-8);
+    if (free.length) {
+      this.rho = Statistics.mean(free.map(k => gradient[k]));
+    } else {
+      const upper = Math.min(...gradient.filter((_, k) => alpha[k] < 1));
+      const lower = Math.max(...gradient.filter((_, k) => alpha[k] > 0));
+      this.rho = (upper + lower) / 2;
+    }
+
+    this.supportVectors = [];
+    this.coefficients = [];
+    alpha.forEach((a, k) => {
+      if (a > 1e-8) {
+        this.supportVectors.push(rows[k]);
+        this.coefficients.push(a);
+      }
+    });
+
+    return this;
+  }
+
+  decisionFunction(rows) {
+    return rows.map(row =>
+      this.supportVectors.reduce((sum, sv, k) => sum + this.coefficients[k] * this.kernel(sv, row), 0) - this.rho
+    );
+  }
+
+  // Distance outside the learned support, relative to rho; positive values lie outside
+  score(rows) {
+    const scale = Math.abs(this.rho) || 1;
+    return this.decisionFunction(rows).map(value => -value / scale);
+  }
+}
+
+module.exports = {
+  IsolationForest,
+  OneClassSVM
+};
@@ -0,0 +1,281 @@
+/**
+ * Outbound HTTP Client
+ * Shared layer for every call to an external data API, with three modes selected by
+ * HTTP_FIXTURE_MODE:
+ *   passthrough (default) - live requests
+ *   record                - live requests, each request/response pair saved as a fixture
+ *   replay                - fixtures only; a request without one fails instead of going out
+ * Fixtures live in HTTP_FIXTURE_DIR (default data/http-fixtures), one JSON file per request,
+ * keyed by method, URL and body with credentials stripped, so replay needs no API keys.
+ *
+ * Surveillance-data services use fetch() and axios from here. The axios export is a dedicated
+ * instance carrying the fixture adapter; the global axios instance is left alone, so EHR,
+ * OAuth and webhook traffic is never recorded.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const MODES = ['passthrough', 'record', 'replay'];
+
+// Query parameters, body fields and headers never written to fixtures or used in fixture keys
+const SECRET_PARAMS = /^(api[_-]?key|apikey|key|token|access[_-]?token|refresh[_-]?token|id[_-]?token|app[_-]?token|session[_-]?token|auth|authorization|client[_-]?secret|client[_-]?assertion|password|secret|signature)$/i;
+const REDACTED = '[REDACTED]';
+const SECRET_HEADERS = /^(authorization|cookie|set-cookie|x-api-key|x-app-token|api-key|proxy-authorization)$/i;
+
+class HttpClient {
+  constructor(options = {}) {
+    this.mode = null;
+    this.setMode(options.mode || process.env.HTTP_FIXTURE_MODE || 'passthrough');
+    this.fixtureDir = path.resolve(options.fixtureDir || process.env.HTTP_FIXTURE_DIR ||
+      path.join(__dirname, '..', 'data', 'http-fixtures'));
+    this.nodeFetch = null;
+    this.stats = { live: 0, recorded: 0, replayed: 0, misses: 0 };
+  }
+
+  setMode(mode) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Invalid HTTP_FIXTURE_MODE "${mode}". Use one of: ${MODES.join(', ')}`);
+    }
+    this.mode = mode;
+  }
+
+  async initFetch() {
+    if (!this.nodeFetch) {
+      this.nodeFetch = await import('node-fetch');
+    }
+    return this.nodeFetch;
+  }
+
+  // URL with credential parameters removed and the remaining parameters sorted
+  redactUrl(url) {
+    const parsed = new URL(url);
+    const params = Array.from(parsed.searchParams.entries())
+      .filter(([name]) => !SECRET_PARAMS.test(name))
+      .sort(([a, av], [b, bv]) => a.localeCompare(b) || String(av).localeCompare(String(bv)));
+    parsed.search = new URLSearchParams(params).toString();
+    return parsed.toString();
+  }
+
+  redactHeaders(headers = {}) {
+    return Object.fromEntries(Object.entries(headers)
+      .filter(([name]) => !SECRET_HEADERS.test(name))
+      .map(([name, value]) => [name.toLowerCase(), Array.isArray(value) ? value.join(', ') : String(value)]));
+  }
+
+  // Request body as stored and keyed, with credential fields redacted
+  bodyText(body) {
+    if (body === undefined || body === null) return '';
+    if (typeof body === 'string') return this.redactText(body);
+    if (Buffer.isBuffer(body)) return body.toString('base64');
+    if (body instanceof URLSearchParams) return this.redactText(body.toString());
+    return JSON.stringify(this.redactValue(body));
+  }
+
+  redactValue(value) {
+    if (Array.isArray(value)) return value.map(item => this.redactValue(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([name, item]) =>
+        [name, SECRET_PARAMS.test(name) && item !== null && item !== '' ? REDACTED : this.redactValue(item)]));
+    }
+    return value;
+  }
+
+  // JSON and form-encoded text with credential fields redacted; other text is returned as is
+  redactText(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      try {
+        const parsed = JSON.parse(trimmed);
+        const redacted = JSON.stringify(this.redactValue(parsed));
+        return redacted === JSON.stringify(parsed) ? text : redacted;
+      } catch (error) {
+        return text;
+      }
+    }
+    if (/^[^\s=&]+=[^\s&]*(&[^\s=&]+=[^\s&]*)*$/.test(trimmed)) {
+      const params = new URLSearchParams(trimmed);
+      if (!Array.from(params.keys()).some(name => SECRET_PARAMS.test(name))) return text;
+      return Array.from(params.entries())
+        .map(([name, value]) => `${encodeURIComponent(name)}=${SECRET_PARAMS.test(name) ? encodeURIComponent(REDACTED) : encodeURIComponent(value)}`)
+        .join('&');
+    }
+    return text;
+  }
+
+  fixtureKey(method, url, body) {
+    return crypto.createHash('sha1')
+      .update(`${method.toUpperCase()} ${this.redactUrl(url)}\n${this.bodyText(body)}`)
+      .digest('hex')
+      .slice(0, 20);
+  }
+
+  fixturePath(method, url, body) {
+    const host = new URL(url).hostname.replace(/[^a-z0-9.-]/gi, '_');
+    return path.join(this.fixtureDir, host, `${this.fixtureKey(method, url, body)}.json`);
+  }
+
+  loadFixture(method, url, body) {
+    const file = this.fixturePath(method, url, body);
+    if (!fs.existsSync(file)) {
+      this.stats.misses++;
+      const error = new Error(`No HTTP fixture for ${method.toUpperCase()} ${this.redactUrl(url)} (HTTP_FIXTURE_MODE=replay, expected ${path.relative(process.cwd(), file)})`);
+      error.code = 'HTTP_FIXTURE_MISS';
+      throw error;
+    }
+    this.stats.replayed++;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  saveFixture(method, url, body, response) {
+    const file = this.fixturePath(method, url, body);
+    const text = Buffer.isBuffer(response.body) ? null : response.body;
+    const fixture = {
+      request: {
+        method: method.toUpperCase(),
+        url: this.redactUrl(url),
+        ...(body !== undefined && body !== null && { body: this.bodyText(body) })
+      },
+      response: {
+        status: response.status,
+        statusText: response.statusText || '',
+        headers: this.redactHeaders(response.headers),
+        encoding: text === null ? 'base64' : 'utf8',
+        body: text === null ? response.body.toString('base64') : this.redactText(text)
+      },
+      recorded_at: new Date().toISOString()
+    };
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+    this.stats.recorded++;
+    return fixture;
+  }
+
+  fixtureBody(fixture) {
+    return fixture.response.encoding === 'base64'
+      ? Buffer.from(fixture.response.body, 'base64')
+      : fixture.response.body;
+  }
+
+  /**
+   * fetch(url, options) with the node-fetch signature and Response. Recorded bodies are
+   * stored as text when they decode as UTF-8, otherwise base64.
+   */
+  async fetch(url, options = {}) {
+    const { default: nodeFetch, Response } = await this.initFetch();
+    const target = String(url);
+    const method = options.method || 'GET';
+
+    if (this.mode === 'replay') {
+      const fixture = this.loadFixture(method, target, options.body);
+      return new Response(this.fixtureBody(fixture), {
+        status: fixture.response.status,
+        statusText: fixture.response.statusText,
+        headers: fixture.response.headers,
+        url: target
+      });
+    }
+
+    this.stats.live++;
+    const response = await nodeFetch(target, options);
+    if (this.mode === 'passthrough') return response;
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    const text = buffer.toString('utf8');
+    const headers = Object.fromEntries(response.headers.entries());
+    this.saveFixture(method, target, options.body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+      body: Buffer.from(text, 'utf8').equals(buffer) ? text : buffer
+    });
+
+    return new Response(buffer, { status: response.status, statusText: response.statusText, headers, url: target });
+  }
+
+  /**
+   * Axios adapter with the same modes. Axios parses JSON after the adapter returns, so
+   * fixtures hold the raw body; replayed error statuses reject as axios would.
+   */
+  createAxiosAdapter(liveAdapter) {
+    return async (config) => {
+      const url = axios.getUri(config);
+      const method = config.method || 'get';
+
+      if (this.mode === 'passthrough') {
+        return liveAdapter(config);
+      }
+
+      if (this.mode === 'replay') {
+        const fixture = this.loadFixture(method, url, config.data);
+        const response = {
+          data: this.fixtureBody(fixture),
+          status: fixture.response.status,
+          statusText: fixture.response.statusText,
+          headers: fixture.response.headers,
+          config,
+          request: { fixture: true }
+        };
+        if (config.validateStatus && !config.validateStatus(response.status)) {
+          throw new axios.AxiosError(
+            `Request failed with status code ${response.status}`,
+            response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+            config,
+            response.request,
+            response
+          );
+        }
+        return response;
+      }
+
+      this.stats.live++;
+      const record = response => this.saveFixture(method, url, config.data, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: typeof response.headers?.toJSON === 'function' ? response.headers.toJSON() : response.headers,
+        body: response.data
+      });
+
+      try {
+        const response = await liveAdapter(config);
+        if (typeof response.data === 'string' || Buffer.isBuffer(response.data)) record(response);
+        return response;
+      } catch (error) {
+        // Error statuses are part of the source's behaviour; network failures are not recorded
+        if (error.response && (typeof error.response.data === 'string' || Buffer.isBuffer(error.response.data))) {
+          record(error.response);
+        }
+        throw error;
+      }
+    };
+  }
+
+  installAxiosAdapter(instance) {
+    if (instance.defaults.adapter?.httpFixtureAdapter) return;
+    const adapter = this.createAxiosAdapter(axios.getAdapter(instance.defaults.adapter));
+    adapter.httpFixtureAdapter = true;
+    instance.defaults.adapter = adapter;
+  }
+
+  getStatus() {
+    return {
+      mode: this.mode,
+      fixture_dir: this.fixtureDir,
+      ...this.stats
+    };
+  }
+}
+
+const httpClient = new HttpClient();
+const surveillanceAxios = axios.create();
+httpClient.installAxiosAdapter(surveillanceAxios);
+
+module.exports = {
+  HttpClient,
+  httpClient,
+  fetch: (url, options) => httpClient.fetch(url, options),
+  axios: surveillanceAxios
+};
@@ -25,21 +25,64 @@ class ResponseHandler {
       title = 'diseaseZone Data',
       description = 'Disease surveillance and tracking data',
       tableName = 'Data',
-      endpoint = req.originalUrl
+      endpoint = req.originalUrl,
+      provenance = null
     } = options;
 
+    data = this.attachProvenance(res, data, provenance);
+
     if (this.isApiRequest(req)) {
       // Send JSON for API clients
       return res.json(data);
     }
 
     // Send HTML for web browsers
-    const html = this.generateHTML(data, { title, description, tableName, endpoint });
+    const html = this.generateHTML(data, { title, description, tableName, endpoint, provenance });
     return res.send(html);
   }
 
+  /**
+   * Attach a provenance bundle (ProvenanceService.describe) to a response body and set
+   * X-Provenance-Id, so clients can cite a response without parsing it
+   */
+  static attachProvenance(res, data, provenance) {
+    if (!provenance || !data || typeof data !== 'object' || Array.isArray(data)) {
+      return data;
+    }
+
+    res.set('X-Provenance-Id', provenance.id);
+    if (provenance.synthetic) {
+      res.set('X-Data-Synthetic', 'true');
+    }
+    return { ...data, provenance };
+  }
+
+  /**
+   * Record the lineage of a payload with the app's ProvenanceService and send a tagged copy
+   * with the provenance attached. context describes results that don't describe themselves
+   * (kind, source, transformations). JSON unless options.html, which negotiates like
+   * sendResponse. If provenance cannot be recorded the data is still sent.
+   */
+  static async sendWithProvenance(req, res, data, context = {}, options = {}) {
+    const provenanceService = req.app?.locals?.provenanceService;
+    let provenance = null;
+
+    if (provenanceService && data && typeof data === 'object' && !Array.isArray(data)) {
+      try {
+        ({ data, provenance } = await provenanceService.describe(data, { endpoint: `${req.baseUrl}${req.path}`, ...context }));
+      } catch (error) {
+        console.error('Failed to record provenance:', error.message);
+      }
+    }
+
+    if (options.html) {
+      return this.sendResponse(req, res, data, { ...options, provenance });
+    }
+    return res.json(this.attachProvenance(res, data, provenance));
+  }
+
   static generateHTML(data, options) {
-    const { title, description, tableName, endpoint } = options;
+    const { title, description, tableName, endpoint, provenance } = options;
 
     // Convert data to table format
     let tableContent = '';
@@ -301,6 +344,14 @@ class ResponseHandler {
             background: var(--success-color);
         }
 
+        .status-dot.synthetic {
+            background: var(--warning-color);
+        }
+
+        .status-indicator a {
+            color: white;
+        }
+
         @media (max-width: 768px) {
             .container { padding: 10px; }
             .header { padding: 20px; }
@@ -328,8 +379,10 @@ class ResponseHandler {
                     <input type="text" class="search-box" id="searchInput" placeholder="Search data...">
                     <a href="${endpoint}?format=json" class="btn btn-secondary">📋 JSON API</a>
                     <div class="status-indicator">
-                        <div class="status-dot"></div>
-                        <span>Live Data</span>
+                        <div class="status-dot${provenance?.synthetic ? ' synthetic' : ''}"></div>
+                        ${provenance
+                          ? `<a href="/api/provenance/${provenance.id}">${provenance.synthetic ? 'Contains synthetic data' : 'Provenance'}</a>`
+                          : '<span>Live Data</span>'}
                     </div>
                 </div>
             </div>
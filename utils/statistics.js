@@ -0,0 +1,628 @@
+/**
+ * Statistical helpers shared by the surveillance engines
+ * Distribution functions and model fitting routines implemented in plain JS
+ */
+
+class Statistics {
+  static mean(values) {
+    if (values.length === 0) return 0;
+    return values.reduce((sum, val) => sum + val, 0) / values.length;
+  }
+
+  static median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+  }
+
+  // Linear-interpolation quantile (type 7) of an unsorted sample
+  static quantile(values, p) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const position = (sorted.length - 1) * Math.min(Math.max(p, 0), 1);
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  }
+
+  // Median absolute deviation, scaled to be consistent with the standard deviation
+  static mad(values, center = null) {
+    const m = center === null ? this.median(values) : center;
+    return 1.4826 * this.median(values.map(value => Math.abs(value - m)));
+  }
+
+  // Regularized incomplete beta I_x(a, b) via Lentz's continued fraction
+  static regularizedBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+
+    const logFront = this.logGamma(a + b) - this.logGamma(a) - this.logGamma(b) +
+      a * Math.log(x) + b * Math.log(1 - x);
+
+    if (x > (a + 1) / (a + b + 2)) {
+      return 1 - this.regularizedBeta(1 - x, b, a);
+    }
+
+    const tiny = 1e-30;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    if (Math.abs(d) < tiny) d = tiny;
+    d = 1 / d;
+    let f = d;
+
+    for (let m = 1; m <= 300; m++) {
+      const m2 = 2 * m;
+      let numerator = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+      d = 1 + numerator * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + numerator / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      f *= d * c;
+
+      numerator = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+      d = 1 + numerator * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + numerator / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      const delta = d * c;
+      f *= delta;
+      if (Math.abs(delta - 1) < 1e-12) break;
+    }
+
+    return Math.exp(logFront) * f / a;
+  }
+
+  // Regularized lower incomplete gamma P(a, x): series below a + 1, continued fraction above
+  static regularizedGammaP(a, x) {
+    if (x <= 0) return 0;
+
+    const logFront = a * Math.log(x) - x - this.logGamma(a);
+    // Both expansions need on the order of sqrt(a) terms near x = a
+    const maxIterations = Math.max(500, Math.ceil(20 * Math.sqrt(a)));
+
+    if (x < a + 1) {
+      let term = 1 / a;
+      let sum = term;
+      for (let n = 1; n < maxIterations; n++) {
+        term *= x / (a + n);
+        sum += term;
+        if (Math.abs(term) < Math.abs(sum) * 1e-14) break;
+      }
+      return Math.min(1, Math.exp(logFront) * sum);
+    }
+
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let n = 1; n < maxIterations; n++) {
+      const an = -n * (n - a);
+      b += 2;
+      d = an * d + b;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = b + an / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      const delta = d * c;
+      h *= delta;
+      if (Math.abs(delta - 1) < 1e-14) break;
+    }
+    return Math.max(0, 1 - Math.exp(logFront) * h);
+  }
+
+  static gammaCdf(x, shape, scale = 1) {
+    return this.regularizedGammaP(shape, x / scale);
+  }
+
+  static gammaQuantile(p, shape, scale = 1) {
+    if (p <= 0) return 0;
+
+    let hi = Math.max(shape * scale, scale);
+    while (this.gammaCdf(hi, shape, scale) < p) hi *= 2;
+    let lo = 0;
+
+    for (let i = 0; i < 100; i++) {
+      const mid = (lo + hi) / 2;
+      if (this.gammaCdf(mid, shape, scale) < p) lo = mid;
+      else hi = mid;
+      if (hi - lo < 1e-10 * Math.max(1, hi)) break;
+    }
+    return (lo + hi) / 2;
+  }
+
+  // Student t CDF with df degrees of freedom
+  static tCdf(t, df) {
+    const tail = 0.5 * this.regularizedBeta(df / (df + t * t), df / 2, 0.5);
+    return t >= 0 ? 1 - tail : tail;
+  }
+
+  static tQuantile(p, df) {
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+
+    // Bisection on the CDF once a bracket has been doubled out
+    let low = -1;
+    let high = 1;
+    while (this.tCdf(low, df) > p) low *= 2;
+    while (this.tCdf(high, df) < p) high *= 2;
+
+    for (let i = 0; i < 100; i++) {
+      const mid = (low + high) / 2;
+      if (this.tCdf(mid, df) < p) low = mid;
+      else high = mid;
+      if (high - low < 1e-10) break;
+    }
+    return (low + high) / 2;
+  }
+
+  /**
+   * Locally weighted linear regression (tricube kernel) evaluated at x0.
+   * xs must be sorted; span is the number of neighbouring points used.
+   */
+  static loessAt(xs, ys, x0, span, robustnessWeights = null) {
+    const n = xs.length;
+    const q = Math.min(span, n);
+
+    // Grow a contiguous window of the q points nearest to x0
+    let left = 0;
+    while (left < n - 1 && xs[left + 1] <= x0) left++;
+    let right = left;
+    while (right - left + 1 < q) {
+      if (left === 0) right++;
+      else if (right === n - 1) left--;
+      else if (x0 - xs[left - 1] <= xs[right + 1] - x0) left--;
+      else right++;
+    }
+
+    let maxDistance = Math.max(Math.abs(x0 - xs[left]), Math.abs(xs[right] - x0));
+    if (span > n) maxDistance += (span - n) / 2;
+    maxDistance = Math.max(maxDistance, 1e-9);
+
+    let sw = 0, swx = 0, swy = 0, swxx = 0, swxy = 0;
+    for (let i = left; i <= right; i++) {
+      const u = Math.abs(xs[i] - x0) / maxDistance;
+      let w = u < 1 ? Math.pow(1 - u * u * u, 3) : 0;
+      if (robustnessWeights) w *= robustnessWeights[i];
+      sw += w;
+      swx += w * xs[i];
+      swy += w * ys[i];
+      swxx += w * xs[i] * xs[i];
+      swxy += w * xs[i] * ys[i];
+    }
+
+    if (sw <= 0) {
+      return this.mean(ys.slice(left, right + 1));
+    }
+
+    const xMean = swx / sw;
+    const yMean = swy / sw;
+    const variance = swxx / sw - xMean * xMean;
+    if (variance < 1e-12) {
+      return yMean;
+    }
+    const slope = (swxy / sw - xMean * yMean) / variance;
+    return yMean + slope * (x0 - xMean);
+  }
+
+  /**
+   * Seasonal-trend decomposition by loess (Cleveland et al., 1990).
+   * seasonalWindow may be 'periodic' to use the subseries means.
+   */
+  static stlDecompose(values, period, options = {}) {
+    const n = values.length;
+    if (n < 2 * period) {
+      throw new Error(`STL needs at least two full periods (${2 * period} observations)`);
+    }
+
+    const {
+      seasonalWindow = 'periodic',
+      innerIterations = 2,
+      outerIterations = 0
+    } = options;
+
+    const nextOdd = value => {
+      const rounded = Math.ceil(value);
+      return rounded % 2 === 0 ? rounded + 1 : rounded;
+    };
+    const ns = seasonalWindow === 'periodic' ? null : nextOdd(Math.max(7, seasonalWindow));
+    const nl = nextOdd(period);
+    const nt = options.trendWindow || nextOdd(1.5 * period / (1 - 1.5 / (ns || 10 * n + 1)));
+
+    const positions = Array.from({ length: n }, (_, i) => i);
+    let trend = new Array(n).fill(0);
+    let seasonal = new Array(n).fill(0);
+    let weights = new Array(n).fill(1);
+
+    const movingAverage = (series, width) => {
+      const output = [];
+      let sum = 0;
+      for (let i = 0; i < series.length; i++) {
+        sum += series[i];
+        if (i >= width) sum -= series[i - width];
+        if (i >= width - 1) output.push(sum / width);
+      }
+      return output;
+    };
+
+    for (let outer = 0; outer <= outerIterations; outer++) {
+      for (let inner = 0; inner < innerIterations; inner++) {
+        const detrended = values.map((value, i) => value - trend[i]);
+
+        // Cycle-subseries smoothing, extended one period on each side
+        const cycle = new Array(n + 2 * period).fill(0);
+        for (let j = 0; j < period; j++) {
+          const subX = [];
+          const subY = [];
+          const subW = [];
+          for (let i = j, k = 0; i < n; i += period, k++) {
+            subX.push(k);
+            subY.push(detrended[i]);
+            subW.push(weights[i]);
+          }
+
+          for (let k = -1; k <= subX.length; k++) {
+            let smoothed;
+            if (ns === null) {
+              const totalWeight = subW.reduce((sum, w) => sum + w, 0);
+              smoothed = totalWeight > 0
+                ? subY.reduce((sum, y, idx) => sum + y * subW[idx], 0) / totalWeight
+                : this.mean(subY);
+            } else {
+              smoothed = this.loessAt(subX, subY, k, ns, subW);
+            }
+            const index = (k + 1) * period + j;
+            if (index < cycle.length) cycle[index] = smoothed;
+          }
+        }
+
+        // Low-pass filter of the cycle-subseries
+        const lowPassAverage = movingAverage(movingAverage(movingAverage(cycle, period), period), 3);
+        const lowPass = positions.map(x => this.loessAt(positions, lowPassAverage, x, nl));
+
+        seasonal = positions.map(i => cycle[period + i] - lowPass[i]);
+
+        const deseasonalized = values.map((value, i) => value - seasonal[i]);
+        trend = positions.map(x => this.loessAt(positions, deseasonalized, x, nt, weights));
+      }
+
+      if (outer < outerIterations) {
+        const residuals = values.map((value, i) => Math.abs(value - seasonal[i] - trend[i]));
+        const h = 6 * this.median(residuals);
+        weights = residuals.map(r => {
+          const u = h > 0 ? r / h : 0;
+          return u < 1 ? Math.pow(1 - u * u, 2) : 0;
+        });
+      }
+    }
+
+    return {
+      seasonal: seasonal,
+      trend: trend,
+      remainder: values.map((value, i) => value - seasonal[i] - trend[i])
+    };
+  }
+
+  /**
+   * Weighted ridge regression: minimises sum w_i (y_i - x_i b)^2 + sum penalty_j b_j^2.
+   */
+  static solveRidge(X, y, penalties, weights = null) {
+    const n = y.length;
+    const p = X[0].length;
+    const xtx = Array.from({ length: p }, () => new Array(p).fill(0));
+    const xty = new Array(p).fill(0);
+
+    for (let i = 0; i < n; i++) {
+      const w = weights ? weights[i] : 1;
+      for (let j = 0; j < p; j++) {
+        if (X[i][j] === 0) continue;
+        xty[j] += w * X[i][j] * y[i];
+        for (let k = 0; k < p; k++) {
+          xtx[j][k] += w * X[i][j] * X[i][k];
+        }
+      }
+    }
+    penalties.forEach((penalty, j) => { xtx[j][j] += penalty; });
+
+    const inverse = this.invertMatrix(xtx);
+    if (!inverse) {
+      throw new Error('Ridge regression system is singular');
+    }
+    return inverse.map(row => row.reduce((sum, value, j) => sum + value * xty[j], 0));
+  }
+
+  // Seedable uniform generator (mulberry32); falls back to Math.random without a seed
+  static createRandom(seed = null) {
+    if (seed === null || seed === undefined) {
+      return Math.random;
+    }
+
+    let state = Number(seed) >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  static shuffle(array, random = Math.random) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+  }
+
+  // Great-circle distance in kilometres
+  static haversineDistance(lat1, lon1, lat2, lon2) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  // Lanczos approximation of log Γ(x)
+  static logGamma(x) {
+    const coefficients = [676.5203681218851, -1259.1392167224028, 771.32342877765313,
+      -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+      9.9843695780195716e-6, 1.5056327351493116e-7];
+
+    if (x < 0.5) {
+      return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - this.logGamma(1 - x);
+    }
+
+    x -= 1;
+    let a = 0.99999999999980993;
+    const t = x + 7.5;
+    for (let i = 0; i < coefficients.length; i++) {
+      a += coefficients[i] / (x + i + 1);
+    }
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+  }
+
+  // P(X <= k) for X ~ Poisson(lambda)
+  static poissonCdf(k, lambda) {
+    if (k < 0) return 0;
+    if (lambda <= 0) return 1;
+
+    let total = 0;
+    for (let s = 0; s <= Math.floor(k); s++) {
+      total += Math.exp(-lambda + s * Math.log(lambda) - this.logGamma(s + 1));
+    }
+    return Math.min(1, total);
+  }
+
+  // Standard normal draw (Box-Muller)
+  static sampleNormal(random = Math.random) {
+    const u1 = Math.max(random(), 1e-12);
+    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * random());
+  }
+
+  // Poisson draw: Knuth's product method for small means, rounded normal approximation above 30
+  static samplePoisson(lambda, random = Math.random) {
+    if (lambda <= 0) return 0;
+    if (lambda > 30) {
+      const u1 = Math.max(random(), 1e-12);
+      const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * random());
+      return Math.max(0, Math.round(lambda + Math.sqrt(lambda) * z));
+    }
+
+    const limit = Math.exp(-lambda);
+    let k = 0;
+    let p = random();
+    while (p > limit) {
+      k++;
+      p *= random();
+    }
+    return k;
+  }
+
+  // Gamma(shape, 1) draw (Marsaglia & Tsang, 2000)
+  static sampleGamma(shape, random = Math.random) {
+    if (shape < 1) {
+      return this.sampleGamma(shape + 1, random) * Math.pow(random(), 1 / shape);
+    }
+
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+      let x;
+      let v;
+      do {
+        const u1 = Math.max(random(), 1e-12);
+        x = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * random());
+        v = 1 + c * x;
+      } while (v <= 0);
+      v = v * v * v;
+      const u = random();
+      if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) {
+        return d * v;
+      }
+    }
+  }
+
+  static sampleBeta(alpha, beta, random = Math.random) {
+    const x = this.sampleGamma(alpha, random);
+    const y = this.sampleGamma(beta, random);
+    return x / (x + y);
+  }
+
+  // Standard normal CDF (Abramowitz & Stegun 7.1.26 via erf)
+  static normalCdf(x) {
+    const sign = x < 0 ? -1 : 1;
+    const z = Math.abs(x) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * z);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-z * z);
+    return 0.5 * (1 + sign * erf);
+  }
+
+  // Inverse standard normal CDF (Acklam's rational approximation)
+  static normalQuantile(p) {
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+
+    const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+      1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+    const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+      6.680131188771972e+01, -1.328068155288572e+01];
+    const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+      -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+    const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+      3.754408661907416e+00];
+
+    const pLow = 0.02425;
+    if (p < pLow) {
+      const q = Math.sqrt(-2 * Math.log(p));
+      return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+        ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - pLow) {
+      const q = Math.sqrt(-2 * Math.log(1 - p));
+      return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+        ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+      (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  }
+
+  // Inverse of a symmetric positive definite matrix via Gauss-Jordan elimination
+  static invertMatrix(matrix) {
+    const n = matrix.length;
+    const augmented = matrix.map((row, i) => [
+      ...row,
+      ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))
+    ]);
+
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < n; row++) {
+        if (Math.abs(augmented[row][col]) > Math.abs(augmented[pivot][col])) {
+          pivot = row;
+        }
+      }
+
+      if (Math.abs(augmented[pivot][col]) < 1e-12) {
+        return null; // Singular matrix
+      }
+
+      [augmented[col], augmented[pivot]] = [augmented[pivot], augmented[col]];
+
+      const pivotValue = augmented[col][col];
+      for (let j = 0; j < 2 * n; j++) {
+        augmented[col][j] /= pivotValue;
+      }
+
+      for (let row = 0; row < n; row++) {
+        if (row !== col) {
+          const factor = augmented[row][col];
+          if (factor !== 0) {
+            for (let j = 0; j < 2 * n; j++) {
+              augmented[row][j] -= factor * augmented[col][j];
+            }
+          }
+        }
+      }
+    }
+
+    return augmented.map(row => row.slice(n));
+  }
+
+  /**
+   * Poisson GLM with log link fitted by iteratively reweighted least squares.
+   * Returns coefficients, fitted means, the unscaled covariance (X'WX)^-1,
+   * hat values and the Pearson dispersion estimate (floored at 1 for quasi-Poisson).
+   */
+  static fitPoissonGLM(X, y, priorWeights = null, options = {}) {
+    const { maxIterations = 50, tolerance = 1e-8 } = options;
+    const n = y.length;
+    const p = X[0].length;
+    const weights = priorWeights || new Array(n).fill(1);
+
+    const positiveMean = Math.max(this.mean(y), 0.5);
+    let beta = new Array(p).fill(0);
+    beta[0] = Math.log(positiveMean);
+
+    let mu = new Array(n).fill(positiveMean);
+    let covariance = null;
+    let converged = false;
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      const eta = X.map(row => row.reduce((sum, x, j) => sum + x * beta[j], 0));
+      mu = eta.map(value => Math.exp(value));
+
+      // Working response and IRLS weights
+      const z = eta.map((value, i) => value + (y[i] - mu[i]) / mu[i]);
+      const w = mu.map((value, i) => weights[i] * value);
+
+      const xtwx = Array.from({ length: p }, () => new Array(p).fill(0));
+      const xtwz = new Array(p).fill(0);
+      for (let i = 0; i < n; i++) {
+        for (let j = 0; j < p; j++) {
+          xtwz[j] += X[i][j] * w[i] * z[i];
+          for (let k = j; k < p; k++) {
+            xtwx[j][k] += X[i][j] * w[i] * X[i][k];
+          }
+        }
+      }
+      for (let j = 0; j < p; j++) {
+        for (let k = 0; k < j; k++) {
+          xtwx[j][k] = xtwx[k][j];
+        }
+      }
+
+      covariance = this.invertMatrix(xtwx);
+      if (!covariance) {
+        throw new Error('Poisson GLM design matrix is singular');
+      }
+
+      const nextBeta = covariance.map(row => row.reduce((sum, value, j) => sum + value * xtwz[j], 0));
+      const change = Math.max(...nextBeta.map((value, j) => Math.abs(value - beta[j])));
+      beta = nextBeta;
+
+      if (change < tolerance) {
+        converged = true;
+        break;
+      }
+    }
+
+    const eta = X.map(row => row.reduce((sum, x, j) => sum + x * beta[j], 0));
+    mu = eta.map(value => Math.exp(value));
+
+    const hat = X.map((row, i) => {
+      let quad = 0;
+      for (let j = 0; j < p; j++) {
+        for (let k = 0; k < p; k++) {
+          quad += row[j] * covariance[j][k] * row[k];
+        }
+      }
+      return weights[i] * mu[i] * quad;
+    });
+
+    const residualDf = Math.max(1, n - p);
+    const pearson = y.reduce((sum, value, i) => sum + weights[i] * Math.pow(value - mu[i], 2) / mu[i], 0);
+    const dispersion = Math.max(1, pearson / residualDf);
+
+    return {
+      coefficients: beta,
+      fitted: mu,
+      covariance: covariance,
+      hat: hat,
+      dispersion: dispersion,
+      residualDf: residualDf,
+      converged: converged
+    };
+  }
+}
+
+module.exports = Statistics;
@@ -0,0 +1,54 @@
+/**
+ * Worker thread tasks
+ * Runs CPU-heavy statistics (Monte Carlo scans, evaluation runs) off the request thread.
+ * A task module exports `async run(data)`; its result is sent back with structured clone,
+ * so tasks should take and return plain data.
+ */
+
+const path = require('path');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+// Resolves with the task's result, rejects with its error (code kept) or after timeoutMs
+function runWorkerTask(taskFile, data, { timeoutMs = 120000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(__filename, { workerData: { taskFile: path.resolve(taskFile), data } });
+    let settled = false;
+    // Terminating once settled stops a task that left timers or handles open
+    const finish = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      worker.terminate();
+      callback(value);
+    };
+
+    const timer = setTimeout(() => {
+      const error = new Error(`Worker task ${path.basename(taskFile)} timed out after ${timeoutMs} ms`);
+      error.code = 'WORKER_TIMEOUT';
+      finish(reject, error);
+    }, timeoutMs);
+
+    worker.once('message', message => {
+      if (message.error) {
+        const error = new Error(message.error.message);
+        error.code = message.error.code;
+        finish(reject, error);
+      } else {
+        finish(resolve, message.result);
+      }
+    });
+    worker.once('error', error => finish(reject, error));
+    worker.once('exit', exitCode => finish(reject, new Error(`Worker task ${path.basename(taskFile)} exited with code ${exitCode}`)));
+  });
+}
+
+if (!isMainThread && workerData?.taskFile) {
+  Promise.resolve()
+    .then(() => require(workerData.taskFile).run(workerData.data))
+    .then(
+      result => parentPort.postMessage({ result }),
+      error => parentPort.postMessage({ error: { message: error.message, code: error.code } })
+    );
+}
+
+module.exports = { runWorkerTask };